@@ -10,6 +10,8 @@ import Dashboard from './pages/dashboard';
 import TradeManagement from './pages/trade-management';
 import Analytics from './pages/analytics';
 import BrokerIntegration from './pages/broker-integration';
+import Positions from './pages/positions';
+import TaxReport from './pages/tax-report';
 import ProfileSettings from './pages/profile-settings';
 import HelpSupport from './pages/help-support';
 import Security from './pages/security';
@@ -39,6 +41,8 @@ const Routes = () => {
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/trade-management" element={<TradeManagement />} />
               <Route path="/analytics" element={<Analytics />} />
+              <Route path="/positions" element={<Positions />} />
+              <Route path="/tax-report" element={<TaxReport />} />
               <Route path="/broker-integration" element={<BrokerIntegration />} />
 
               {/* User Management Routes */}
@@ -1,42 +1,68 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Icon from '../AppIcon';
+import { useAuth } from '../../contexts/AuthContext';
+import FxService from '../../services/fxService';
 
+const CURRENCY_SYMBOLS = { USD: '$', INR: '₹', EUR: '€', GBP: '£', JPY: '¥' };
+
+// Picks the base currency every amount is converted into. It is the profile's preferred currency,
+// so the choice follows the user across devices
 const CurrencyToggle = () => {
+  const { userProfile, updateProfile } = useAuth();
   const [selectedCurrency, setSelectedCurrency] = useState('USD');
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
 
-  const currencies = [
-    { code: 'USD', symbol: '$', name: 'US Dollar' },
-    { code: 'INR', symbol: '₹', name: 'Indian Rupee' }
-  ];
+  const currencies = FxService?.CURRENCIES?.map((code) => ({
+    code,
+    symbol: CURRENCY_SYMBOLS?.[code] || code,
+    name: FxService?.CURRENCY_NAMES?.[code]
+  }));
 
-  // Load saved currency preference from localStorage
+  // Prefer the profile setting, falling back to the last choice on this device
   useEffect(() => {
-    const savedCurrency = localStorage.getItem('tradescope-currency');
+    const savedCurrency = userProfile?.preferred_currency || localStorage.getItem('tradescope-currency');
     if (savedCurrency && currencies?.find(c => c?.code === savedCurrency)) {
       setSelectedCurrency(savedCurrency);
+      localStorage.setItem('tradescope-currency', savedCurrency);
     }
+  }, [userProfile?.preferred_currency]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef?.current && !menuRef?.current?.contains(event?.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
   // Save currency preference and notify other components
-  const handleCurrencyChange = (currencyCode) => {
+  const handleCurrencyChange = async (currencyCode) => {
+    setIsOpen(false);
     setSelectedCurrency(currencyCode);
     localStorage.setItem('tradescope-currency', currencyCode);
-    
+
     // Dispatch custom event for other components to listen
     window.dispatchEvent(new CustomEvent('currencyChanged', {
       detail: { currency: currencyCode }
     }));
+
+    if (userProfile && userProfile?.preferred_currency !== currencyCode) {
+      await updateProfile?.({ preferred_currency: currencyCode });
+    }
   };
 
   const currentCurrency = currencies?.find(c => c?.code === selectedCurrency);
-  const otherCurrency = currencies?.find(c => c?.code !== selectedCurrency);
 
   return (
-    <div className="flex items-center">
+    <div className="relative flex items-center" ref={menuRef}>
       <button
-        onClick={() => handleCurrencyChange(otherCurrency?.code)}
+        onClick={() => setIsOpen(!isOpen)}
         className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-muted hover:bg-muted/80 transition-colors duration-200 group"
-        title={`Switch to ${otherCurrency?.name}`}
+        title="Base currency for P&L"
       >
         <div className="flex items-center space-x-1">
           <span className="text-sm font-medium text-foreground font-mono">
@@ -46,24 +72,35 @@ const CurrencyToggle = () => {
             {currentCurrency?.code}
           </span>
         </div>
-        
-        <Icon 
-          name="ArrowRightLeft" 
-          size={14} 
-          className="text-muted-foreground group-hover:text-accent transition-colors duration-200" 
+
+        <Icon
+          name="ArrowRightLeft"
+          size={14}
+          className="text-muted-foreground group-hover:text-accent transition-colors duration-200"
         />
-        
-        <div className="flex items-center space-x-1 opacity-60">
-          <span className="text-sm font-medium text-muted-foreground font-mono">
-            {otherCurrency?.symbol}
-          </span>
-          <span className="text-sm font-medium text-muted-foreground">
-            {otherCurrency?.code}
-          </span>
-        </div>
       </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 w-48 bg-popover border border-border rounded-lg shadow-lg z-50 py-1">
+          {currencies?.map((currency) => (
+            <button
+              key={currency?.code}
+              onClick={() => handleCurrencyChange(currency?.code)}
+              className={`w-full flex items-center justify-between px-3 py-2 text-sm hover:bg-muted transition-colors ${
+                currency?.code === selectedCurrency ? 'text-accent' : 'text-popover-foreground'
+              }`}
+            >
+              <span className="flex items-center space-x-2">
+                <span className="font-mono w-4">{currency?.symbol}</span>
+                <span>{currency?.name}</span>
+              </span>
+              <span className="text-xs text-muted-foreground">{currency?.code}</span>
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
 
-export default CurrencyToggle;
\ No newline at end of file
+export default CurrencyToggle;
@@ -29,6 +29,18 @@ const Header = ({ activeRoute = '/dashboard' }) => {
       icon: 'PieChart',
       tooltip: 'Advanced performance insights'
     },
+    { 
+      label: 'Positions', 
+      path: '/positions', 
+      icon: 'Briefcase',
+      tooltip: 'Live broker positions'
+    },
+    { 
+      label: 'Tax P&L', 
+      path: '/tax-report', 
+      icon: 'Receipt',
+      tooltip: 'Tax-year P&L by ITR schedule'
+    },
     { 
       label: 'Integrations', 
       path: '/broker-integration', 
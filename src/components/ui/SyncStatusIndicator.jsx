@@ -1,10 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import Icon from '../AppIcon';
 import Button from './Button';
+import UpstoxService from '../../services/upstoxService';
 
 const SyncStatusIndicator = () => {
   const [syncStatus, setSyncStatus] = useState('connected');
   const [lastSync, setLastSync] = useState(new Date());
+  const [authNotice, setAuthNotice] = useState(null);
+
+  // Brokers report when a session can no longer be refreshed and the user must log in again
+  useEffect(() => {
+    const handleAuthChange = (event) => {
+      setAuthNotice(event?.detail?.reauthRequired ? event?.detail : null);
+    };
+
+    window.addEventListener(UpstoxService.AUTH_EVENT, handleAuthChange);
+
+    // Checks expiry and refreshes if needed; a failed refresh raises the event above
+    UpstoxService?.getValidTokens();
+
+    return () => window.removeEventListener(UpstoxService.AUTH_EVENT, handleAuthChange);
+  }, []);
 
   // Simulate sync status changes for demo
   useEffect(() => {
@@ -23,6 +39,16 @@ const SyncStatusIndicator = () => {
   }, []);
 
   const getStatusConfig = () => {
+    if (authNotice) {
+      return {
+        icon: 'KeyRound',
+        color: 'text-warning',
+        bgColor: 'bg-warning/10',
+        label: 'Login required',
+        description: authNotice?.message || `${authNotice?.broker} session expired`
+      };
+    }
+
     switch (syncStatus) {
       case 'connected':
         return {
@@ -108,7 +134,7 @@ const SyncStatusIndicator = () => {
           {statusConfig?.label}
         </div>
         <div className="text-xs text-muted-foreground">
-          {syncStatus === 'syncing' ? statusConfig?.description : formatLastSync()}
+          {authNotice ? `Reconnect ${authNotice?.broker}` : syncStatus === 'syncing' ? statusConfig?.description : formatLastSync()}
         </div>
       </div>
     </Button>
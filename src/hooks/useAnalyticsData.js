@@ -0,0 +1,33 @@
+import { useMemo } from 'react';
+import { useFx } from './useFx';
+import AnalyticsService from '../services/analyticsService';
+
+// Chart inputs for the analytics page: filtered trades and daily rows in the base currency.
+// portfolioOf (usePortfolios) lets the portfolio filter find each trade's portfolio
+export const useAnalyticsData = ({ trades, analytics, dateRange, filters, portfolioOf = null }) => {
+  const { converter, baseCurrency } = useFx();
+
+  const prepared = useMemo(
+    () => AnalyticsService?.prepareTrades(trades, converter, { dateRange, filters, portfolioOf }),
+    [trades, converter, dateRange, filters, portfolioOf]
+  );
+
+  const useTrades = AnalyticsService?.hasTradeFilters(filters);
+
+  const daily = useMemo(
+    () => (useTrades ?
+      AnalyticsService?.dailyFromTrades(prepared?.trades) :
+      AnalyticsService?.dailyFromRollup(analytics, { dateRange, filters })),
+    [useTrades, prepared, analytics, dateRange, filters]
+  );
+
+  return {
+    trades: prepared?.trades,
+    unconverted: prepared?.unconverted,
+    daily,
+    source: useTrades ? 'trades' : 'rollup',
+    baseCurrency
+  };
+};
+
+export default useAnalyticsData;
@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useFx } from './useFx';
+import { BenchmarkService } from '../services/benchmarkService';
+import { TradingService } from '../services/tradingService';
+
+// Stored index closes and the capital base (active account balances in the base currency) returns are measured on
+export const useBenchmarks = () => {
+  const { user } = useAuth();
+  const { converter } = useFx();
+  const [prices, setPrices] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPrices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [priceResult, accountResult] = await Promise.all([
+        BenchmarkService?.getPrices(),
+        TradingService?.getTradingAccounts()
+      ]);
+
+      if (priceResult?.success) {
+        setPrices(priceResult?.data || []);
+        setError(null);
+      } else {
+        setError(priceResult?.error || 'Failed to load benchmark prices');
+      }
+
+      if (accountResult?.success) {
+        setAccounts(accountResult?.data || []);
+      }
+    } catch (err) {
+      setError('Failed to load benchmark prices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadPrices();
+    }
+  }, [user, loadPrices]);
+
+  // Prices imported on the settings page reload every comparison
+  useEffect(() => {
+    window.addEventListener('benchmarkPricesChanged', loadPrices);
+    return () => window.removeEventListener('benchmarkPricesChanged', loadPrices);
+  }, [loadPrices]);
+
+  // Balance of each account in the base currency; accounts without an FX rate are left out
+  const accountCapital = useMemo(() => Object.fromEntries(accounts
+    ?.map((account) => [account?.id, converter?.convert(account?.balance, account?.currency)])
+    ?.filter(([, balance]) => balance !== null)), [accounts, converter]);
+
+  const capital = useMemo(
+    () => Object.values(accountCapital)?.reduce((sum, balance) => sum + balance, 0),
+    [accountCapital]
+  );
+
+  const symbols = useMemo(() => [...new Set(prices?.map((row) => row?.symbol))], [prices]);
+
+  return {
+    prices,
+    symbols,
+    accounts,
+    accountCapital,
+    capital,
+    loading,
+    error,
+    loadPrices
+  };
+};
+
+export default useBenchmarks;
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { CashFlowService } from '../services/cashFlowService';
+import { TradingService } from '../services/tradingService';
+
+// Cash flow ledger rows and the trading accounts they belong to
+export const useCashFlows = () => {
+  const { user } = useAuth();
+  const [flows, setFlows] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadCashFlows = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [flowResult, accountResult] = await Promise.all([
+        CashFlowService?.getCashFlows(),
+        TradingService?.getTradingAccounts()
+      ]);
+
+      if (flowResult?.success) {
+        setFlows(flowResult?.data || []);
+        setError(null);
+      } else {
+        setError(flowResult?.error || 'Failed to load cash flows');
+      }
+
+      if (accountResult?.success) {
+        setAccounts(accountResult?.data || []);
+      }
+    } catch (err) {
+      setError('Failed to load cash flows');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadCashFlows();
+    }
+  }, [user, loadCashFlows]);
+
+  return {
+    flows,
+    accounts,
+    loading,
+    error,
+    loadCashFlows
+  };
+};
+
+export default useCashFlows;
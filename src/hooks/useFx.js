@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { FxService } from '../services/fxService';
+
+// Stored FX rates and a converter into the user's preferred currency
+export const useFx = () => {
+  const { user, userProfile } = useAuth();
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const baseCurrency = userProfile?.preferred_currency || 'USD';
+
+  const loadRates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await FxService?.getRates();
+      if (result?.success) {
+        setRates(result?.data || []);
+        setError(null);
+      } else {
+        setError(result?.error || 'Failed to load FX rates');
+      }
+    } catch (err) {
+      setError('Failed to load FX rates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadRates();
+    }
+  }, [user, loadRates]);
+
+  // Rates saved elsewhere in the app (settings page, CSV import) reload every converter
+  useEffect(() => {
+    window.addEventListener('fxRatesChanged', loadRates);
+    return () => window.removeEventListener('fxRatesChanged', loadRates);
+  }, [loadRates]);
+
+  const converter = useMemo(() => FxService?.buildConverter(rates, baseCurrency), [rates, baseCurrency]);
+
+  return {
+    rates,
+    baseCurrency,
+    convert: converter?.convert,
+    converter,
+    loading,
+    error,
+    loadRates
+  };
+};
+
+export default useFx;
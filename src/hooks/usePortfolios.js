@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { PortfolioService } from '../services/portfolioService';
+import { TradingService } from '../services/tradingService';
+
+// Portfolios with their members, the accounts and strategies that can be assigned, and a trade resolver
+export const usePortfolios = () => {
+  const { user } = useAuth();
+  const [portfolios, setPortfolios] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [strategies, setStrategies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPortfolios = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [portfolioResult, accountResult, strategyResult] = await Promise.all([
+        PortfolioService?.getPortfolios(),
+        TradingService?.getTradingAccounts(),
+        PortfolioService?.getStrategyNames()
+      ]);
+
+      if (portfolioResult?.success) {
+        setPortfolios(portfolioResult?.data || []);
+        setError(null);
+      } else {
+        setError(portfolioResult?.error || 'Failed to load portfolios');
+      }
+
+      if (accountResult?.success) {
+        setAccounts(accountResult?.data || []);
+      }
+
+      if (strategyResult?.success) {
+        setStrategies(strategyResult?.data || []);
+      }
+    } catch (err) {
+      setError('Failed to load portfolios');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadPortfolios();
+    }
+  }, [user, loadPortfolios]);
+
+  // Portfolios edited on the settings page regroup every open page; renaming a strategy renames its membership
+  useEffect(() => {
+    window.addEventListener('portfoliosChanged', loadPortfolios);
+    window.addEventListener('strategiesChanged', loadPortfolios);
+    return () => {
+      window.removeEventListener('portfoliosChanged', loadPortfolios);
+      window.removeEventListener('strategiesChanged', loadPortfolios);
+    };
+  }, [loadPortfolios]);
+
+  const portfolioOf = useMemo(() => PortfolioService?.resolver(portfolios), [portfolios]);
+
+  return {
+    portfolios,
+    accounts,
+    strategies,
+    portfolioOf,
+    loading,
+    error,
+    loadPortfolios
+  };
+};
+
+export default usePortfolios;
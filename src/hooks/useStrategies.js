@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { StrategyService } from '../services/strategyService';
+
+// Strategy registry with the stats the database keeps for each strategy
+export const useStrategies = () => {
+  const { user } = useAuth();
+  const [strategies, setStrategies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStrategies = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await StrategyService?.getStrategies();
+      if (result?.success) {
+        setStrategies(result?.data || []);
+        setError(null);
+      } else {
+        setError(result?.error || 'Failed to load strategies');
+      }
+    } catch (err) {
+      setError('Failed to load strategies');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadStrategies();
+    }
+  }, [user, loadStrategies]);
+
+  // Strategies edited on the settings page, or registered by a new trade, reload every open page
+  useEffect(() => {
+    window.addEventListener('strategiesChanged', loadStrategies);
+    return () => window.removeEventListener('strategiesChanged', loadStrategies);
+  }, [loadStrategies]);
+
+  return {
+    strategies,
+    loading,
+    error,
+    loadStrategies
+  };
+};
+
+export default useStrategies;
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { TagService } from '../services/tagService';
+
+// Tag groups with their tags, plus select options and a lookup by tag id
+export const useTags = () => {
+  const { user } = useAuth();
+  const [tagGroups, setTagGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTags = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await TagService?.getTagGroups();
+      if (result?.success) {
+        setTagGroups(result?.data || []);
+        setError(null);
+      } else {
+        setError(result?.error || 'Failed to load tags');
+      }
+    } catch (err) {
+      setError('Failed to load tags');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadTags();
+    }
+  }, [user, loadTags]);
+
+  // Tags edited on the settings page reload every open page
+  useEffect(() => {
+    window.addEventListener('tagsChanged', loadTags);
+    return () => window.removeEventListener('tagsChanged', loadTags);
+  }, [loadTags]);
+
+  const tagOptions = useMemo(() => TagService?.options(tagGroups), [tagGroups]);
+  const tagsById = useMemo(
+    () => Object.fromEntries(TagService?.flatten(tagGroups)?.map((tag) => [tag?.id, tag])),
+    [tagGroups]
+  );
+
+  return {
+    tagGroups,
+    tagOptions,
+    tagsById,
+    loading,
+    error,
+    loadTags
+  };
+};
+
+export default useTags;
@@ -194,11 +194,11 @@ export const useTrading = () => {
     }
   }, []);
 
-  // Load portfolio summary
-  const loadPortfolio = useCallback(async () => {
+  // Load portfolio summary; converter comes from useFx
+  const loadPortfolio = useCallback(async (converter) => {
     setLoading(prev => ({ ...prev, portfolio: true }));
     try {
-      const result = await TradingService?.getPortfolioSummary();
+      const result = await TradingService?.getPortfolioSummary(converter);
       if (result?.success) {
         setPortfolio(result?.data || null);
         setError(null);
@@ -262,9 +262,12 @@ export const useTrading = () => {
               item?.id === payload?.new?.id ? payload?.new : item
             );
           } else {
-            return [...prev, payload?.new];
+            return [...prev, payload?.new]?.sort((a, b) => (a?.date < b?.date ? -1 : a?.date > b?.date ? 1 : 0));
           }
         });
+      } else if (payload?.eventType === 'DELETE') {
+        // The rollup drops a day once its last closed trade is removed or reopened
+        setAnalytics(prev => prev?.filter(item => item?.id !== payload?.old?.id));
       }
     });
 
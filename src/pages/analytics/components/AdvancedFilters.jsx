@@ -4,12 +4,20 @@ import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 import { Checkbox } from '../../../components/ui/Checkbox';
 import Icon from '../../../components/AppIcon';
+import AnalyticsService from '../../../services/analyticsService';
+import PortfolioService from '../../../services/portfolioService';
 
-const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets = [] }) => {
+const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets = [], portfolios = [], strategies = [], tagOptions = [] }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [presetName, setPresetName] = useState('');
   const [showSavePreset, setShowSavePreset] = useState(false);
 
+  const portfolioOptions = [
+    { value: 'all', label: 'All Portfolios' },
+    ...portfolios?.map((portfolio) => ({ value: portfolio?.id, label: portfolio?.name })),
+    { value: PortfolioService?.UNASSIGNED, label: 'Unassigned' }
+  ];
+
   const assetClassOptions = [
     { value: 'all', label: 'All Asset Classes' },
     { value: 'stocks', label: 'Stocks' },
@@ -20,15 +28,10 @@ const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets
     { value: 'commodities', label: 'Commodities' }
   ];
 
+  // Trades carry their strategy's name, which the filter compares by slug
   const strategyOptions = [
     { value: 'all', label: 'All Strategies' },
-    { value: 'scalping', label: 'Scalping' },
-    { value: 'day-trading', label: 'Day Trading' },
-    { value: 'swing-trading', label: 'Swing Trading' },
-    { value: 'momentum', label: 'Momentum' },
-    { value: 'mean-reversion', label: 'Mean Reversion' },
-    { value: 'breakout', label: 'Breakout' },
-    { value: 'arbitrage', label: 'Arbitrage' }
+    ...strategies?.map((strategy) => ({ value: AnalyticsService?.slug(strategy?.name), label: strategy?.name }))
   ];
 
   const positionSizeOptions = [
@@ -70,19 +73,7 @@ const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets
   };
 
   const resetFilters = () => {
-    onFiltersChange({
-      assetClass: 'all',
-      strategy: 'all',
-      positionSize: 'all',
-      outcome: 'all',
-      minPnL: '',
-      maxPnL: '',
-      minDuration: '',
-      maxDuration: '',
-      tags: [],
-      includePartialFills: true,
-      includeCommissions: true
-    });
+    onFiltersChange(AnalyticsService?.DEFAULT_FILTERS);
   };
 
   return (
@@ -105,7 +96,16 @@ const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets
       {isExpanded && (
         <div className="space-y-6">
           {/* Basic Filters */}
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className={`grid grid-cols-1 md:grid-cols-2 ${portfolios?.length ? 'lg:grid-cols-5' : 'lg:grid-cols-4'} gap-4`}>
+            {portfolios?.length > 0 && (
+              <Select
+                label="Portfolio"
+                options={portfolioOptions}
+                value={filters?.portfolio || 'all'}
+                onChange={(value) => handleFilterChange('portfolio', value)}
+              />
+            )}
+
             <Select
               label="Asset Class"
               options={assetClassOptions}
@@ -200,12 +200,15 @@ const AdvancedFilters = ({ filters, onFiltersChange, onSavePreset, savedPresets
           {/* Tags */}
           <div className="space-y-4">
             <h4 className="text-sm font-medium text-foreground">Tags</h4>
-            <Input
+            <Select
               label="Filter by Tags"
-              placeholder="Enter tags separated by commas"
-              value={filters?.tags?.join(', ') || ''}
-              onChange={(e) => handleFilterChange('tags', e?.target?.value?.split(',')?.map(tag => tag?.trim())?.filter(Boolean))}
-              description="Filter trades by custom tags"
+              options={tagOptions}
+              value={filters?.tags || []}
+              onChange={(value) => handleFilterChange('tags', value)}
+              multiple
+              searchable
+              placeholder={tagOptions?.length ? 'Any tag' : 'No tags yet'}
+              description="Trades with any of the chosen tags"
             />
           </div>
 
@@ -1,9 +1,26 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import TradingService from '../../../services/tradingService';
+import FxService from '../../../services/fxService';
+import { useFx } from '../../../hooks/useFx';
+import { formatMoney } from '../../../utils/formatMoney';
 
+// Metrics are computed on P&L converted into the base currency at each trade's date; the
+// per-currency native totals are listed alongside so mixed INR/USD books stay readable
 const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
+  const { converter, baseCurrency } = useFx();
+
+  const normalised = useMemo(() => (data || [])?.map((row) => TradingService?.normaliseTrade(row)), [data]);
+  const summary = useMemo(() => FxService?.summarise(normalised, converter), [normalised, converter]);
+
+  const trades = useMemo(() => normalised?.map((trade) => {
+    const date = trade?.closedAt || trade?.openedAt;
+    return { ...trade, date, pnl: converter?.convert(trade?.pnl, trade?.currency, date) };
+  }), [normalised, converter]);
+  const nativeEntries = Object.entries(summary?.native || {});
+
   const [metrics, setMetrics] = useState({
     totalTrades: 0,
     winRate: 0,
@@ -28,9 +45,11 @@ const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
 
   useEffect(() => {
     calculateMetrics();
-  }, [data, timeframe]);
+  }, [trades, timeframe]);
 
   const calculateMetrics = () => {
+    // Trades with no FX rate into the base currency cannot be added to the rest
+    const data = trades?.filter(item => item?.pnl !== null);
     if (!data || data?.length === 0) return;
 
     // Filter data based on timeframe
@@ -54,11 +73,11 @@ const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
         filteredData = data;
     }
 
-    const trades = filteredData?.length;
+    const tradeCount = filteredData?.length;
     const profits = filteredData?.filter(item => (item?.pnl || 0) > 0);
     const losses = filteredData?.filter(item => (item?.pnl || 0) < 0);
     
-    const winRate = trades > 0 ? (profits?.length / trades) * 100 : 0;
+    const winRate = tradeCount > 0 ? (profits?.length / tradeCount) * 100 : 0;
     const avgWin = profits?.length > 0 ? profits?.reduce((sum, item) => sum + (item?.pnl || 0), 0) / profits?.length : 0;
     const avgLoss = losses?.length > 0 ? Math.abs(losses?.reduce((sum, item) => sum + (item?.pnl || 0), 0) / losses?.length) : 0;
     
@@ -117,7 +136,7 @@ const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
     const riskRewardRatio = avgLoss > 0 ? avgWin / avgLoss : avgWin > 0 ? Infinity : 0;
 
     setMetrics({
-      totalTrades: trades,
+      totalTrades: tradeCount,
       winRate,
       avgWin,
       avgLoss,
@@ -136,10 +155,7 @@ const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
     });
   };
 
-  const formatCurrency = (value) => {
-    const symbol = currency === 'USD' ? '$' : currency === 'INR' ? '₹' : currency;
-    return `${symbol}${Math.abs(value)?.toLocaleString()}`;
-  };
+  const formatCurrency = (value) => formatMoney(Math.abs(value), baseCurrency);
 
   const getMetricColor = (value, isGood) => {
     if (value === 0) return 'text-muted-foreground';
@@ -298,6 +314,29 @@ const AdvancedMetricsPanel = ({ currency = 'USD', data = [] }) => {
           </motion.div>
         ))}
       </div>
+      {/* Native vs base P&L */}
+      {nativeEntries?.length > 0 && (
+        <div className="mb-6 p-4 bg-background/50 rounded-lg border border-border/50 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-muted-foreground">Net P&L ({baseCurrency})</span>
+            <span className={`text-sm font-semibold ${getMetricColor(summary?.base, true)}`}>
+              {formatMoney(summary?.base, baseCurrency)}
+            </span>
+          </div>
+          {nativeEntries?.map(([code, amount]) => (
+            <div key={code} className="flex items-center justify-between">
+              <span className="text-xs text-muted-foreground">Native {code}</span>
+              <span className="text-xs font-mono text-foreground">{formatMoney(amount, code)}</span>
+            </div>
+          ))}
+          {summary?.unconverted > 0 && (
+            <div className="flex items-center space-x-1 text-xs text-warning">
+              <Icon name="AlertTriangle" size={12} />
+              <span>{summary?.unconverted} trade{summary?.unconverted === 1 ? '' : 's'} have no FX rate into {baseCurrency} and are left out</span>
+            </div>
+          )}
+        </div>
+      )}
       {/* Advanced Metrics Toggle */}
       <div className="flex items-center justify-between mb-4">
         <Button
@@ -1,8 +1,10 @@
 import React, { useState, useMemo } from 'react';
 import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
 import Icon from '../../../components/AppIcon';
+import ChartEmptyState from './ChartEmptyState';
 
-const AdvancedRiskMetrics = ({ data = [], currency = 'USD', config = {} }) => {
+// benchmark is BenchmarkService.compare() against the selected index, or null without index prices
+const AdvancedRiskMetrics = ({ data = [], currency = 'USD', filtered = false, benchmark = null, benchmarkName = '', config = {} }) => {
   const [activeMetric, setActiveMetric] = useState('drawdown');
   
   // Calculate advanced risk metrics
@@ -51,12 +53,6 @@ const AdvancedRiskMetrics = ({ data = [], currency = 'USD', config = {} }) => {
     const sortedReturns = [...returns]?.sort((a, b) => a - b);
     const var95 = sortedReturns?.[Math.floor(sortedReturns?.length * 0.05)] || 0;
     
-    // Calculate Beta (relative to market - simulated)
-    const marketReturns = returns?.map(() => (Math.random() - 0.5) * avgReturn * 0.8); // Simulated market
-    const covariance = returns?.reduce((sum, r, i) => sum + (r - avgReturn) * (marketReturns?.[i] - avgReturn), 0) / (returns?.length || 1);
-    const marketVariance = marketReturns?.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / (marketReturns?.length || 1);
-    const beta = marketVariance > 0 ? covariance / marketVariance : 1;
-    
     // Calmar Ratio
     const calmarRatio = maxDrawdown > 0 ? (avgReturn * 252) / maxDrawdown : 0;
     
@@ -65,7 +61,6 @@ const AdvancedRiskMetrics = ({ data = [], currency = 'USD', config = {} }) => {
       sharpeRatio: sharpeRatio?.toFixed(3),
       sortinoRatio: sortinoRatio?.toFixed(3),
       var95: var95?.toFixed(0),
-      beta: beta?.toFixed(3),
       calmarRatio: calmarRatio?.toFixed(3),
       volatility: (stdDev * Math.sqrt(252))?.toFixed(2), // Annualized volatility
       drawdownData,
@@ -155,11 +150,12 @@ const AdvancedRiskMetrics = ({ data = [], currency = 'USD', config = {} }) => {
     {
       id: 'beta',
       name: 'Beta',
-      value: riskMetrics?.beta,
-      description: 'Market correlation',
+      value: benchmark?.beta !== null && benchmark?.beta !== undefined ? benchmark?.beta?.toFixed(3) : 'N/A',
+      description: benchmark ? `Sensitivity to ${benchmarkName}` : 'Market correlation',
       icon: 'BarChart2',
-      color: Math.abs(parseFloat(riskMetrics?.beta || 1) - 1) < 0.2 ? 'text-success' : 'text-accent',
-      benchmark: '~1.0 Market neutral'
+      color: benchmark?.beta === null || benchmark?.beta === undefined ? 'text-muted-foreground' :
+        Math.abs(benchmark?.beta) < 0.5 ? 'text-success' : 'text-accent',
+      benchmark: benchmark ? `Correlation ${benchmark?.correlation?.toFixed(2) ?? '—'}` : 'Needs benchmark index prices'
     }
   ];
 
@@ -273,6 +269,14 @@ const AdvancedRiskMetrics = ({ data = [], currency = 'USD', config = {} }) => {
     }
   };
 
+  if (!data?.length) {
+    return (
+      <div className="bg-card rounded-lg border border-border p-6">
+        <ChartEmptyState icon="Shield" filtered={filtered} />
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -0,0 +1,252 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import Icon from '../../../components/AppIcon';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import ChartEmptyState from './ChartEmptyState';
+import BenchmarkService from '../../../services/benchmarkService';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-muted-foreground');
+
+const formatPercent = (value, digits = 2) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value?.toFixed(digits)}%`);
+
+const formatRatio = (value) => (value === null || value === undefined ? '—' : value?.toFixed(2));
+
+const formatCapture = (value) => (value === null || value === undefined ? '—' : `${value?.toFixed(0)}%`);
+
+// Portfolio returns against an index over the page's date range, for the whole book or per account/strategy
+const BenchmarkComparison = ({
+  currency,
+  comparison,
+  trades = [],
+  closes = [],
+  symbol,
+  onSymbolChange,
+  capital = 0,
+  capitalInput = null,
+  onCapitalChange,
+  accountCapital = {},
+  accounts = [],
+  dateRange = {},
+  filtered = false
+}) => {
+  const [groupBy, setGroupBy] = useState('all');
+  const benchmarkName = BenchmarkService?.BENCHMARKS?.[symbol]?.name || symbol;
+
+  const symbolOptions = Object.entries(BenchmarkService?.BENCHMARKS)?.map(([value, benchmark]) => ({
+    value,
+    label: benchmark?.name
+  }));
+
+  const groups = useMemo(() => {
+    if (groupBy === 'all' || !closes?.length) return [];
+
+    const accountNames = Object.fromEntries(accounts?.map((account) => [
+      account?.id,
+      [account?.brokers?.name, account?.account_name]?.filter(Boolean)?.join(' · ')
+    ]));
+
+    return BenchmarkService?.compareGroups(trades, closes, {
+      groupBy,
+      // Accounts are measured on their own balance; strategies share the whole capital base
+      capitalFor: (key) => (groupBy === 'account' && accountCapital?.[key] ? accountCapital?.[key] : capital),
+      labelFor: (key) => (groupBy === 'account' ? accountNames?.[key] || key : key),
+      startDate: dateRange?.startDate,
+      endDate: dateRange?.endDate
+    });
+  }, [groupBy, trades, closes, accounts, accountCapital, capital, dateRange?.startDate, dateRange?.endDate]);
+
+  // Compounded returns of both from the first close in the range
+  const curve = useMemo(() => {
+    let portfolio = 1;
+    let index = 1;
+    return comparison?.series?.map((point) => {
+      portfolio *= 1 + point?.portfolio;
+      index *= 1 + point?.benchmark;
+      return {
+        date: point?.date,
+        portfolio: (portfolio - 1) * 100,
+        benchmark: (index - 1) * 100
+      };
+    }) || [];
+  }, [comparison]);
+
+  const metrics = [
+    { label: 'Beta', value: formatRatio(comparison?.beta), hint: 'Sensitivity to index moves' },
+    { label: 'Alpha', value: formatPercent(comparison?.alpha), hint: 'Annualised return beyond beta', tone: comparison?.alpha },
+    { label: 'Correlation', value: formatRatio(comparison?.correlation), hint: 'Daily returns vs index' },
+    { label: 'Information Ratio', value: formatRatio(comparison?.informationRatio), hint: `Tracking error ${comparison?.trackingError?.toFixed(2)}%`, tone: comparison?.informationRatio },
+    { label: 'Up Capture', value: formatCapture(comparison?.upCapture), hint: 'Share of index gains on up days' },
+    { label: 'Down Capture', value: formatCapture(comparison?.downCapture), hint: 'Share of index losses on down days' }
+  ];
+
+  const renderBody = () => {
+    if (!closes?.length) {
+      return (
+        <ChartEmptyState
+          icon="LineChart"
+          title={`No ${benchmarkName} prices`}
+          message="Import the index's daily price history under Profile Settings → Benchmark Indices to compare your returns."
+        />
+      );
+    }
+
+    if (!(capital > 0)) {
+      return (
+        <ChartEmptyState
+          icon="Wallet"
+          title="Capital base needed"
+          message="Returns are measured on your capital. Add a trading account with a balance or enter a capital base above."
+        />
+      );
+    }
+
+    if (!comparison) {
+      return (
+        <ChartEmptyState
+          icon="LineChart"
+          filtered={filtered}
+          message={`Needs at least two ${benchmarkName} closes inside the date range with trading activity to compare.`}
+        />
+      );
+    }
+
+    const beat = comparison?.excessReturn >= 0;
+
+    return (
+      <>
+        <div className={`flex items-start space-x-3 p-4 rounded-lg mb-6 ${beat ? 'bg-success/10' : 'bg-destructive/10'}`}>
+          <Icon name={beat ? 'Trophy' : 'TrendingDown'} size={20} className={beat ? 'text-success' : 'text-destructive'} />
+          <div>
+            <p className={`text-sm font-semibold ${beat ? 'text-success' : 'text-destructive'}`}>
+              {beat ? 'Beat' : 'Trailed'} {benchmarkName} by {Math.abs(comparison?.excessReturn)?.toFixed(2)} percentage points
+            </p>
+            <p className="text-xs text-muted-foreground mt-1">
+              Portfolio {formatPercent(comparison?.portfolioReturn)} vs {benchmarkName} {formatPercent(comparison?.benchmarkReturn)} over {comparison?.days} sessions,
+              {' '}{new Date(comparison?.from)?.toLocaleDateString('en-GB')} to {new Date(comparison?.to)?.toLocaleDateString('en-GB')}
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+          {metrics?.map((metric) => (
+            <div key={metric?.label} className="bg-muted/30 rounded-lg p-4">
+              <p className="text-xs text-muted-foreground">{metric?.label}</p>
+              <p className={`text-xl font-bold ${metric?.tone !== undefined ? pnlColor(metric?.tone) : 'text-foreground'}`}>{metric?.value}</p>
+              <p className="text-xs text-muted-foreground mt-1">{metric?.hint}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="h-72 mb-6">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={curve} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" opacity={0.3} />
+              <XAxis
+                dataKey="date"
+                stroke="hsl(var(--muted-foreground))"
+                fontSize={12}
+                tickFormatter={(value) => new Date(value)?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+              />
+              <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12} tickFormatter={(value) => `${value?.toFixed(1)}%`} />
+              <Tooltip
+                formatter={(value) => formatPercent(value)}
+                labelFormatter={(value) => new Date(value)?.toLocaleDateString('en-GB')}
+                contentStyle={{ backgroundColor: 'hsl(var(--popover))', border: '1px solid hsl(var(--border))', borderRadius: '8px' }}
+              />
+              <Legend />
+              <ReferenceLine y={0} stroke="hsl(var(--muted-foreground))" strokeDasharray="2 2" />
+              <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke="hsl(var(--accent))" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="benchmark" name={benchmarkName} stroke="hsl(var(--muted-foreground))" strokeDasharray="5 5" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        {groups?.length > 0 && (
+          <div className="overflow-x-auto border border-border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-muted/50 border-b border-border">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-foreground">{groupBy === 'account' ? 'Account' : 'Strategy'}</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Trades</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Net P&amp;L</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Return</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">vs {benchmarkName}</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Beta</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Alpha</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Info Ratio</th>
+                  <th className="px-4 py-3 text-right font-medium text-foreground">Up / Down</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-border">
+                {groups?.map((group) => (
+                  <tr key={group?.key} className="hover:bg-muted/30 transition-colors">
+                    <td className="px-4 py-3 font-medium text-foreground">{group?.label}</td>
+                    <td className="px-4 py-3 text-right text-foreground">{group?.trades}</td>
+                    <td className={`px-4 py-3 text-right ${pnlColor(group?.pnl)}`}>{formatMoney(group?.pnl, currency)}</td>
+                    <td className={`px-4 py-3 text-right ${pnlColor(group?.stats?.portfolioReturn)}`}>{formatPercent(group?.stats?.portfolioReturn)}</td>
+                    <td className={`px-4 py-3 text-right font-semibold ${pnlColor(group?.stats?.excessReturn)}`}>{formatPercent(group?.stats?.excessReturn)}</td>
+                    <td className="px-4 py-3 text-right text-foreground">{formatRatio(group?.stats?.beta)}</td>
+                    <td className={`px-4 py-3 text-right ${pnlColor(group?.stats?.alpha)}`}>{formatPercent(group?.stats?.alpha)}</td>
+                    <td className="px-4 py-3 text-right text-foreground">{formatRatio(group?.stats?.informationRatio)}</td>
+                    <td className="px-4 py-3 text-right text-muted-foreground">
+                      {formatCapture(group?.stats?.upCapture)} / {formatCapture(group?.stats?.downCapture)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6">
+      <div className="flex flex-col lg:flex-row lg:items-end justify-between gap-4 mb-6">
+        <div>
+          <div className="flex items-center space-x-2">
+            <Icon name="Target" size={20} className="text-accent" />
+            <h3 className="text-lg font-semibold text-foreground">Benchmark Comparison</h3>
+          </div>
+          <p className="text-sm text-muted-foreground mt-1">
+            Daily P&amp;L as a return on capital plus P&amp;L earned earlier in the range, against the index close to close
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <div className="w-full sm:w-36">
+            <Select label="Index" options={symbolOptions} value={symbol} onChange={onSymbolChange} />
+          </div>
+          <div className="w-full sm:w-36">
+            <Select
+              label="Compare"
+              options={[
+                { value: 'all', label: 'Whole book' },
+                { value: 'account', label: 'Per account' },
+                { value: 'strategy', label: 'Per strategy' }
+              ]}
+              value={groupBy}
+              onChange={setGroupBy}
+            />
+          </div>
+          <div className="w-full sm:w-40">
+            <Input
+              label={`Capital (${currency})`}
+              type="number"
+              min="0"
+              step="any"
+              value={capitalInput || (capital ? Math.round(capital) : '')}
+              onChange={(e) => onCapitalChange?.(e?.target?.value)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {renderBody()}
+    </div>
+  );
+};
+
+export default BenchmarkComparison;
@@ -1,34 +1,30 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
+import ChartEmptyState from './ChartEmptyState';
+import AnalyticsService from '../../../services/analyticsService';
 
-const CalendarHeatmap = ({ currency }) => {
-  // Mock calendar data for the last 12 months
-  const generateCalendarData = () => {
-    const data = [];
-    const startDate = new Date();
-    startDate?.setMonth(startDate?.getMonth() - 12);
-    
-    for (let i = 0; i < 365; i++) {
-      const date = new Date(startDate);
-      date?.setDate(startDate?.getDate() + i);
-      
-      // Skip weekends for trading data
-      if (date?.getDay() !== 0 && date?.getDay() !== 6) {
-        const pnl = (Math.random() - 0.4) * 5000; // Bias towards positive
-        data?.push({
-          date: date?.toISOString()?.split('T')?.[0],
-          pnl: pnl,
-          trades: Math.floor(Math.random() * 8) + 1
-        });
-      }
+const CalendarHeatmap = ({ currency, data = [], filtered = false }) => {
+  const tradedDays = Object.fromEntries((data || [])?.map((day) => [day?.date, { date: day?.date, pnl: day?.daily_pnl, trades: day?.total_trades }]));
+  const calendarData = Object.values(tradedDays);
+
+  if (!calendarData?.length) {
+    return <ChartEmptyState icon="Calendar" filtered={filtered} />;
+  }
+
+  // Every weekday from the first to the last traded day, so untraded days show as gaps
+  const allDays = [];
+  const sortedDates = Object.keys(tradedDays)?.sort();
+  for (let date = new Date(`${sortedDates?.[0]}T00:00:00`); date <= new Date(`${sortedDates?.[sortedDates?.length - 1]}T00:00:00`); date?.setDate(date?.getDate() + 1)) {
+    if (date?.getDay() !== 0 && date?.getDay() !== 6) {
+      const key = AnalyticsService?.localDay(date);
+      allDays?.push(tradedDays?.[key] || { date: key, pnl: null, trades: 0 });
     }
-    return data;
-  };
+  }
 
-  const calendarData = generateCalendarData();
-  const maxPnl = Math.max(...calendarData?.map(d => Math.abs(d?.pnl)));
+  const maxPnl = Math.max(...calendarData?.map(d => Math.abs(d?.pnl)), 1);
 
   const getIntensity = (pnl) => {
+    if (pnl === null) return 'bg-gray-100';
     const intensity = Math.abs(pnl) / maxPnl;
     if (pnl > 0) {
       if (intensity > 0.8) return 'bg-green-600';
@@ -46,19 +42,18 @@ const CalendarHeatmap = ({ currency }) => {
     return 'bg-gray-100';
   };
 
-  const formatCurrency = (amount) => {
-    const symbol = currency === 'INR' ? '₹' : '$';
-    const formatted = currency === 'INR' ? amount?.toLocaleString('en-IN', { maximumFractionDigits: 0 })
-      : amount?.toLocaleString('en-US', { maximumFractionDigits: 2 });
-    return `${symbol}${formatted}`;
-  };
+  const formatCurrency = (amount) => new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+    maximumFractionDigits: 0
+  })?.format(amount || 0);
 
   // Group data by weeks for calendar layout
   const weeks = [];
   let currentWeek = [];
   
-  calendarData?.forEach((day, index) => {
-    const dayOfWeek = new Date(day.date)?.getDay();
+  allDays?.forEach((day, index) => {
+    const dayOfWeek = new Date(`${day.date}T00:00:00`)?.getDay();
     
     if (dayOfWeek === 1 && currentWeek?.length > 0) { // Monday
       weeks?.push(currentWeek);
@@ -66,7 +61,7 @@ const CalendarHeatmap = ({ currency }) => {
     }
     currentWeek?.push(day);
     
-    if (index === calendarData?.length - 1) {
+    if (index === allDays?.length - 1) {
       weeks?.push(currentWeek);
     }
   });
@@ -97,20 +92,24 @@ const CalendarHeatmap = ({ currency }) => {
       <div className="overflow-x-auto">
         <div className="min-w-full">
           {/* Month labels */}
-          <div className="flex mb-2">
-            {['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']?.map((month, index) => (
-              <div key={month} className="flex-1 text-xs text-muted-foreground text-center min-w-[60px]">
-                {month}
-              </div>
-            ))}
+          <div className="flex gap-1 mb-2">
+            {weeks?.slice(-53)?.map((week, weekIndex) => {
+              const month = new Date(`${week?.[0]?.date}T00:00:00`)?.toLocaleDateString('en-US', { month: 'short' });
+              const previous = weekIndex > 0 ? new Date(`${weeks?.slice(-53)?.[weekIndex - 1]?.[0]?.date}T00:00:00`)?.toLocaleDateString('en-US', { month: 'short' }) : null;
+              return (
+                <div key={weekIndex} className="w-3 text-xs text-muted-foreground overflow-visible whitespace-nowrap">
+                  {month !== previous ? month : ''}
+                </div>
+              );
+            })}
           </div>
 
           {/* Calendar grid */}
-          <div className="grid grid-cols-53 gap-1">
-            {weeks?.slice(0, 53)?.map((week, weekIndex) => (
+          <div className="flex gap-1">
+            {weeks?.slice(-53)?.map((week, weekIndex) => (
               <div key={weekIndex} className="flex flex-col gap-1">
                 {[1, 2, 3, 4, 5]?.map((dayOfWeek) => {
-                  const dayData = week?.find(d => new Date(d.date)?.getDay() === dayOfWeek);
+                  const dayData = week?.find(d => new Date(`${d.date}T00:00:00`)?.getDay() === dayOfWeek);
                   
                   return (
                     <div
@@ -118,9 +117,9 @@ const CalendarHeatmap = ({ currency }) => {
                       className={`w-3 h-3 rounded-sm cursor-pointer transition-all duration-200 hover:scale-110 ${
                         dayData ? getIntensity(dayData?.pnl) : 'bg-gray-100'
                       }`}
-                      title={dayData ? 
+                      title={dayData?.trades ? 
                         `${dayData?.date}: ${formatCurrency(dayData?.pnl)} (${dayData?.trades} trades)` : 
-                        'No trading day'
+                        dayData ? `${dayData?.date}: no trades` : 'No trading day'
                       }
                     />
                   );
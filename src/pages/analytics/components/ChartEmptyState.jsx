@@ -0,0 +1,17 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+// Shown in place of a chart when the date range and filters leave nothing to plot
+const ChartEmptyState = ({ icon = 'BarChart3', title = 'No trades in this range', message, filtered = false }) => (
+  <div className="flex flex-col items-center justify-center text-center py-12">
+    <Icon name={icon} size={40} className="text-muted-foreground mb-3" />
+    <h4 className="text-base font-medium text-foreground mb-1">{title}</h4>
+    <p className="text-sm text-muted-foreground max-w-sm">
+      {message || (filtered ?
+        'No closed trades match the current filters. Try widening the date range or clearing filters.' :
+        'Closed trades in the selected date range will appear here once they are imported or synced.')}
+    </p>
+  </div>
+);
+
+export default ChartEmptyState;
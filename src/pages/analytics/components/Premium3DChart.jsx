@@ -15,7 +15,7 @@ const Premium3DChart = ({ data = [], currency = 'USD', config = {} }) => {
     return data?.map((item, index) => ({
       x: index, // Time dimension
       y: item?.daily_pnl || 0, // Performance dimension
-      z: item?.volume || Math.random() * 1000, // Volume dimension
+      z: item?.volume_traded || item?.volume || 0, // Volume dimension
       risk: Math.abs(item?.daily_pnl || 0) / Math.max(item?.cumulative_pnl || 1, 1), // Risk dimension
       date: item?.date || new Date(Date.now() - (data.length - index) * 24 * 60 * 60 * 1000)?.toISOString()?.split('T')?.[0],
       winRate: item?.win_rate || 0,
@@ -15,7 +15,7 @@ const PremiumCandlestickChart = ({ data = [], currency = 'USD', config = {} }) =
       high: Math.max(item?.daily_pnl || 0, item?.cumulative_pnl || 0, item?.open_pnl || 0),
       low: Math.min(item?.daily_pnl || 0, item?.cumulative_pnl || 0, item?.open_pnl || 0, 0),
       close: item?.cumulative_pnl || 0,
-      volume: item?.volume || Math.floor(Math.random() * 1000) + 100,
+      volume: item?.volume_traded || item?.volume || 0,
       pnl: item?.daily_pnl || 0,
       winRate: item?.win_rate || 0
     }));
@@ -1,48 +1,30 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 
 import Icon from '../../../components/AppIcon';
+import ChartEmptyState from './ChartEmptyState';
+import AnalyticsService from '../../../services/analyticsService';
 
-const PremiumCorrelationMatrix = ({ data = [], currency = 'USD', config = {} }) => {
-  const formatCurrency = (amount) => {
-    const symbol = currency === 'INR' ? '₹' : '$';
-    const formatted = currency === 'INR' ? amount?.toLocaleString('en-IN', { maximumFractionDigits: 0 })
-      : amount?.toLocaleString('en-US', { maximumFractionDigits: 2 });
-    return `${symbol}${formatted}`;
-  };
+// Correlation of daily P&L between the most traded instruments in the range
+const PremiumCorrelationMatrix = ({ trades = [], currency = 'USD', filtered = false }) => {
+  const formatCurrency = (amount) => new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+    maximumFractionDigits: 0
+  })?.format(amount || 0);
 
-  // Mock correlation data for different asset classes
-  const generateCorrelationData = () => {
-    const assets = ['NIFTY', 'BANKNIFTY', 'GOLD', 'CRUDE', 'USD', 'TECH'];
-    const correlationMatrix = [];
-    
-    assets?.forEach((asset1, i) => {
-      assets?.forEach((asset2, j) => {
-        let correlation;
-        if (i === j) {
-          correlation = 1.0; // Self-correlation
-        } else {
-          // Generate realistic correlations
-          correlation = (Math.random() - 0.5) * 2;
-          if (asset1 === 'NIFTY' && asset2 === 'BANKNIFTY') correlation = 0.85;
-          if (asset1 === 'GOLD' && asset2 === 'USD') correlation = -0.7;
-          if (asset1 === 'CRUDE' && asset2 === 'USD') correlation = -0.6;
-        }
-        
-        correlationMatrix?.push({
-          x: i,
-          y: j,
-          asset1,
-          asset2,
-          correlation: correlation,
-          strength: Math.abs(correlation)
-        });
-      });
-    });
-    
-    return { matrix: correlationMatrix, assets };
-  };
+  const { matrix, assets, days } = useMemo(() => AnalyticsService?.correlationMatrix(trades), [trades]);
 
-  const { matrix, assets } = generateCorrelationData();
+  // Each pair once, strongest first, for the insight cards
+  const pairs = matrix?.filter((cell) => cell?.x < cell?.y)?.sort((a, b) => b?.correlation - a?.correlation);
+  const highest = pairs?.[0];
+  const lowest = pairs?.[pairs?.length - 1];
+
+  const describe = (correlation) => (
+    correlation > 0.7 ? 'Strong Positive' :
+    correlation > 0.3 ? 'Moderate Positive' :
+    correlation > -0.3 ? 'Weak' :
+    correlation > -0.7 ? 'Moderate Negative' : 'Strong Negative'
+  );
 
   const getCorrelationColor = (correlation) => {
     const intensity = Math.abs(correlation);
@@ -68,10 +50,7 @@ const PremiumCorrelationMatrix = ({ data = [], currency = 'USD', config = {} })
               </span>
             </p>
             <p className="text-xs text-muted-foreground">
-              {data?.correlation > 0.7 ? 'Strong Positive' :
-               data?.correlation > 0.3 ? 'Moderate Positive' :
-               data?.correlation > -0.3 ? 'Weak' :
-               data?.correlation > -0.7 ? 'Moderate Negative' : 'Strong Negative'}
+              {describe(data?.correlation)}
             </p>
           </div>
         </div>
@@ -92,90 +71,108 @@ const PremiumCorrelationMatrix = ({ data = [], currency = 'USD', config = {} })
           </div>
         </div>
       </div>
-      {/* Correlation Matrix Visualization */}
-      <div className="bg-card rounded-lg border border-border p-4 mb-4">
-        <div className="grid grid-cols-7 gap-1 mb-4">
-          {/* Header row */}
-          <div></div>
-          {assets?.map(asset => (
-            <div key={asset} className="text-xs text-center font-medium text-muted-foreground p-2">
-              {asset}
-            </div>
-          ))}
+      {assets?.length < 2 || days < AnalyticsService?.MIN_CORRELATION_DAYS ? (
+        <ChartEmptyState
+          icon="Network"
+          title={assets?.length ? 'Not enough history' : undefined}
+          message={assets?.length ?
+            `Correlations need closed trades in at least two instruments over ${AnalyticsService?.MIN_CORRELATION_DAYS} or more trading days. Widen the date range or clear filters to compare more.` :
+            undefined}
+          filtered={filtered}
+        />
+      ) : (
+        <>
+          {/* Correlation Matrix Visualization */}
+          <div className="bg-card rounded-lg border border-border p-4 mb-4">
+            <p className="text-xs text-muted-foreground mb-3">
+              Daily P&L across {days} trading days, by underlying
+            </p>
+            <div className="grid gap-1 mb-4" style={{ gridTemplateColumns: `repeat(${assets?.length + 1}, minmax(0, 1fr))` }}>
+              {/* Header row */}
+              <div></div>
+              {assets?.map(asset => (
+                <div key={asset} className="text-xs text-center font-medium text-muted-foreground p-2">
+                  {asset}
+                </div>
+              ))}
           
-          {/* Matrix rows */}
-          {assets?.map((asset1, i) => (
-            <React.Fragment key={asset1}>
-              <div className="text-xs font-medium text-muted-foreground p-2 text-right">
-                {asset1}
-              </div>
-              {assets?.map((asset2, j) => {
-                const cellData = matrix?.find(m => m?.x === i && m?.y === j);
-                return (
-                  <div
-                    key={`${asset1}-${asset2}`}
-                    className="h-8 w-8 rounded flex items-center justify-center text-xs font-bold text-white cursor-pointer transition-all duration-200 hover:scale-110"
-                    style={{ backgroundColor: getCorrelationColor(cellData?.correlation) }}
-                    title={`${asset1} vs ${asset2}: ${cellData?.correlation?.toFixed(3)}`}
-                  >
-                    {Math.abs(cellData?.correlation) > 0.1 ? cellData?.correlation?.toFixed(1) : '0'}
+              {/* Matrix rows */}
+              {assets?.map((asset1, i) => (
+                <React.Fragment key={asset1}>
+                  <div className="text-xs font-medium text-muted-foreground p-2 text-right">
+                    {asset1}
                   </div>
-                );
-              })}
-            </React.Fragment>
-          ))}
-        </div>
+                  {assets?.map((asset2, j) => {
+                    const cellData = matrix?.find(m => m?.x === i && m?.y === j);
+                    return (
+                      <div
+                        key={`${asset1}-${asset2}`}
+                        className="h-8 w-8 rounded flex items-center justify-center text-xs font-bold text-white cursor-pointer transition-all duration-200 hover:scale-110"
+                        style={{ backgroundColor: getCorrelationColor(cellData?.correlation) }}
+                        title={`${asset1} vs ${asset2}: ${cellData?.correlation?.toFixed(3)}`}
+                      >
+                        {Math.abs(cellData?.correlation) > 0.1 ? cellData?.correlation?.toFixed(1) : '0'}
+                      </div>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </div>
 
-        {/* Legend */}
-        <div className="flex items-center justify-center space-x-4 text-xs">
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-red-500 rounded"></div>
-            <span>Strong Negative (-1.0 to -0.7)</span>
-          </div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-orange-500 rounded"></div>
-            <span>Moderate Negative (-0.7 to -0.3)</span>
-          </div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-gray-500 rounded"></div>
-            <span>Weak (-0.3 to 0.3)</span>
-          </div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-lime-500 rounded"></div>
-            <span>Moderate Positive (0.3 to 0.7)</span>
-          </div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-green-500 rounded"></div>
-            <span>Strong Positive (0.7 to 1.0)</span>
-          </div>
-        </div>
-      </div>
-      {/* Key Insights */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div className="bg-gradient-to-r from-success/10 to-success/5 rounded-lg p-4 border border-success/20">
-          <div className="flex items-start space-x-2">
-            <Icon name="TrendingUp" size={16} className="text-success mt-0.5" />
-            <div>
-              <p className="text-sm font-medium text-success">Highest Positive Correlation</p>
-              <p className="text-xs text-muted-foreground mt-1">
-                NIFTY & BANKNIFTY: 0.850 - Strong positive correlation indicates similar market movements
-              </p>
+            {/* Legend */}
+            <div className="flex items-center justify-center space-x-4 text-xs">
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-red-500 rounded"></div>
+                <span>Strong Negative (-1.0 to -0.7)</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-orange-500 rounded"></div>
+                <span>Moderate Negative (-0.7 to -0.3)</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-gray-500 rounded"></div>
+                <span>Weak (-0.3 to 0.3)</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-lime-500 rounded"></div>
+                <span>Moderate Positive (0.3 to 0.7)</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <div className="w-3 h-3 bg-green-500 rounded"></div>
+                <span>Strong Positive (0.7 to 1.0)</span>
+              </div>
             </div>
           </div>
-        </div>
+          {/* Key Insights */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-gradient-to-r from-success/10 to-success/5 rounded-lg p-4 border border-success/20">
+              <div className="flex items-start space-x-2">
+                <Icon name="TrendingUp" size={16} className="text-success mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-success">Highest Correlation</p>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {highest?.asset1} & {highest?.asset2}: {highest?.correlation?.toFixed(3)} - {describe(highest?.correlation)?.toLowerCase()} correlation
+                    {highest?.correlation > 0.3 ? ' means these positions tend to win and lose together' : ''}
+                  </p>
+                </div>
+              </div>
+            </div>
         
-        <div className="bg-gradient-to-r from-destructive/10 to-destructive/5 rounded-lg p-4 border border-destructive/20">
-          <div className="flex items-start space-x-2">
-            <Icon name="TrendingDown" size={16} className="text-destructive mt-0.5" />
-            <div>
-              <p className="text-sm font-medium text-destructive">Strongest Negative Correlation</p>
-              <p className="text-xs text-muted-foreground mt-1">
-                GOLD & USD: -0.700 - Strong negative correlation suggests inverse relationship
-              </p>
+            <div className="bg-gradient-to-r from-destructive/10 to-destructive/5 rounded-lg p-4 border border-destructive/20">
+              <div className="flex items-start space-x-2">
+                <Icon name="TrendingDown" size={16} className="text-destructive mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-destructive">Lowest Correlation</p>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {lowest?.asset1} & {lowest?.asset2}: {lowest?.correlation?.toFixed(3)} - {describe(lowest?.correlation)?.toLowerCase()} correlation
+                    {lowest?.correlation < -0.3 ? ' suggests these positions offset each other' : ''}
+                  </p>
+                </div>
+              </div>
             </div>
           </div>
-        </div>
-      </div>
+        </>
+      )}
     </div>
   );
 };
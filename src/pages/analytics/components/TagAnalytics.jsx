@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell } from 'recharts';
+import Icon from '../../../components/AppIcon';
+import ChartEmptyState from './ChartEmptyState';
+import TagService from '../../../services/tagService';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-muted-foreground');
+
+const formatFactor = (value) => (value === null || value === undefined ? '—' : value?.toFixed(2));
+
+// P&L, win rate and expectancy per tag over the filtered trades, one tag group at a time
+const TagAnalytics = ({ currency, trades = [], tagGroups = [], filtered = false }) => {
+  const [groupId, setGroupId] = useState('all');
+
+  const stats = useMemo(
+    () => TagService?.stats(trades, tagGroups, { groupId: groupId === 'all' ? null : groupId }),
+    [trades, tagGroups, groupId]
+  );
+
+  const rows = stats?.tags || [];
+  const chartData = rows?.map((row) => ({ name: row?.tag?.name, expectancy: row?.expectancy, trades: row?.trades }));
+  const hasTags = TagService?.flatten(tagGroups)?.length > 0;
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload?.length) {
+      const data = payload?.[0]?.payload;
+      return (
+        <div className="bg-popover border border-border rounded-lg p-3 shadow-lg">
+          <p className="font-medium text-popover-foreground mb-2">{label}</p>
+          <p className={`text-sm ${pnlColor(data?.expectancy)}`}>Expectancy: {formatMoney(data?.expectancy, currency)} / trade</p>
+          <p className="text-sm text-muted-foreground">Trades: {data?.trades}</p>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  const renderRow = (row) => (
+    <tr key={row?.key} className="hover:bg-muted/30 transition-colors">
+      <td className="px-4 py-3">
+        {row?.tag ? (
+          <div className="flex items-center space-x-2">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: row?.tag?.color || 'hsl(var(--muted-foreground))' }} />
+            <span className="font-medium text-foreground">{row?.tag?.name}</span>
+            {groupId === 'all' && <span className="text-xs text-muted-foreground">{row?.tag?.groupName}</span>}
+          </div>
+        ) : (
+          <span className="italic text-muted-foreground">Untagged</span>
+        )}
+      </td>
+      <td className="px-4 py-3 text-right text-foreground">{row?.trades}</td>
+      <td className="px-4 py-3 text-right text-foreground">{row?.winRate?.toFixed(1)}%</td>
+      <td className="px-4 py-3 text-right text-success">{formatMoney(row?.avgWin, currency)}</td>
+      <td className="px-4 py-3 text-right text-destructive">{formatMoney(row?.avgLoss, currency)}</td>
+      <td className="px-4 py-3 text-right text-foreground">{formatFactor(row?.profitFactor)}</td>
+      <td className={`px-4 py-3 text-right ${pnlColor(row?.expectancy)}`}>{formatMoney(row?.expectancy, currency)}</td>
+      <td className={`px-4 py-3 text-right font-semibold ${pnlColor(row?.pnl)}`}>{formatMoney(row?.pnl, currency)}</td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center space-x-2">
+          <Icon name="Tags" size={20} className="text-accent" />
+          <h3 className="text-lg font-semibold text-foreground">Tag Performance</h3>
+        </div>
+        {tagGroups?.length > 0 && (
+          <div className="flex flex-wrap items-center bg-muted rounded-lg p-1">
+            {[{ id: 'all', name: 'All Tags' }, ...tagGroups]?.map((group) => (
+              <button
+                key={group?.id}
+                type="button"
+                onClick={() => setGroupId(group?.id)}
+                className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                  groupId === group?.id ? 'bg-card text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+                }`}
+              >
+                {group?.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-card border border-border rounded-xl overflow-hidden">
+        {!hasTags ? (
+          <ChartEmptyState
+            icon="Tags"
+            title="No tags yet"
+            message="Create tags under Profile Settings, then tag trades from Trade Management to compare setups, mistakes and market conditions."
+          />
+        ) : !rows?.length ? (
+          <ChartEmptyState
+            icon="Tags"
+            title="No tagged trades"
+            message={filtered ?
+              'No closed trades with these tags match the current filters.' :
+              'Closed trades in the selected date range carry none of these tags yet.'}
+          />
+        ) : (
+          <>
+            <div className="h-64 p-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={chartData} margin={{ top: 10, right: 20, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+                  <XAxis dataKey="name" tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }} />
+                  <YAxis
+                    tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }}
+                    tickFormatter={(value) => formatMoney(value, currency)}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <ReferenceLine y={0} stroke="hsl(var(--border))" />
+                  <Bar dataKey="expectancy" radius={[2, 2, 0, 0]}>
+                    {chartData?.map((entry) => (
+                      <Cell key={entry?.name} fill={entry?.expectancy >= 0 ? 'hsl(var(--success))' : 'hsl(var(--destructive))'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto border-t border-border">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50 border-b border-border">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-medium text-foreground">Tag</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Trades</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Win Rate</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Avg Win</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Avg Loss</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Profit Factor</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Expectancy</th>
+                    <th className="px-4 py-3 text-right font-medium text-foreground">Net P&amp;L</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border">
+                  {rows?.map(renderRow)}
+                  {stats?.untagged && renderRow(stats?.untagged)}
+                </tbody>
+              </table>
+              <p className="text-xs text-muted-foreground px-4 py-2">
+                Expectancy is the average P&amp;L per trade in {currency}. A trade with several tags counts under each of them.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagAnalytics;
@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import TradingService from '../../../services/tradingService';
+import FuturesService from '../../../services/futuresService';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-muted-foreground');
+
+// Derivatives P&L per underlying, so a position rolled across expiries reads as one series
+const UnderlyingBreakdown = ({ trades }) => {
+  const [groupBy, setGroupBy] = useState('underlying');
+
+  const series = useMemo(() => {
+    const derivatives = (trades || [])?.map((trade) => TradingService?.normaliseTrade(trade))?.filter((trade) => trade?.underlying && trade?.status === 'closed');
+    return FuturesService?.summariseBySeries(derivatives, groupBy);
+  }, [trades, groupBy]);
+
+  if (!series?.length) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-foreground">Futures &amp; Options by {groupBy === 'underlying' ? 'Underlying' : 'Contract'}</h3>
+        <div className="flex items-center bg-muted rounded-lg p-1">
+          {[['underlying', 'Underlying'], ['contract', 'Contract']]?.map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setGroupBy(value)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                groupBy === value ? 'bg-card text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-card border border-border rounded-xl overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-muted/50 border-b border-border">
+            <tr>
+              <th className="px-4 py-3 text-left font-medium text-foreground">{groupBy === 'underlying' ? 'Underlying' : 'Contract'}</th>
+              <th className="px-4 py-3 text-right font-medium text-foreground">Trades</th>
+              {groupBy === 'underlying' && <th className="px-4 py-3 text-right font-medium text-foreground">Contracts</th>}
+              <th className="px-4 py-3 text-right font-medium text-foreground">Rollovers</th>
+              <th className="px-4 py-3 text-right font-medium text-foreground">Gross P&amp;L</th>
+              <th className="px-4 py-3 text-right font-medium text-foreground">Charges</th>
+              <th className="px-4 py-3 text-right font-medium text-foreground">Net P&amp;L</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border">
+            {series?.map((entry) => (
+              <tr key={entry?.key} className="hover:bg-muted/30 transition-colors">
+                <td className="px-4 py-3 font-medium text-foreground">{entry?.key}</td>
+                <td className="px-4 py-3 text-right text-foreground">{entry?.trades}</td>
+                {groupBy === 'underlying' && <td className="px-4 py-3 text-right text-foreground">{entry?.contracts}</td>}
+                <td className="px-4 py-3 text-right text-foreground">
+                  {entry?.rollovers > 0 ? (
+                    <span className="inline-flex items-center space-x-1">
+                      <Icon name="Repeat" size={12} className="text-primary" />
+                      <span>{entry?.rollovers}</span>
+                    </span>
+                  ) : '—'}
+                </td>
+                <td className={`px-4 py-3 text-right ${pnlColor(entry?.grossPnl)}`}>{formatMoney(entry?.grossPnl, entry?.currency)}</td>
+                <td className="px-4 py-3 text-right text-muted-foreground">{formatMoney(entry?.fees, entry?.currency)}</td>
+                <td className={`px-4 py-3 text-right font-semibold ${pnlColor(entry?.netPnl)}`}>{formatMoney(entry?.netPnl, entry?.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default UnderlyingBreakdown;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import Header from '../../components/ui/Header';
 import ChartTypeSelector from './components/ChartTypeSelector';
 import DateRangeControls from './components/DateRangeControls';
@@ -16,34 +16,36 @@ import AdvancedRiskMetrics from './components/AdvancedRiskMetrics';
 import Premium3DChart from './components/Premium3DChart';
 import PremiumCorrelationMatrix from './components/PremiumCorrelationMatrix';
 import PremiumReturnsDistribution from './components/PremiumReturnsDistribution';
+import UnderlyingBreakdown from './components/UnderlyingBreakdown';
+import BenchmarkComparison from './components/BenchmarkComparison';
+import TagAnalytics from './components/TagAnalytics';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
 import { useTrading } from '../../hooks/useTrading';
+import { useAnalyticsData } from '../../hooks/useAnalyticsData';
+import { useBenchmarks } from '../../hooks/useBenchmarks';
+import { usePortfolios } from '../../hooks/usePortfolios';
+import { useStrategies } from '../../hooks/useStrategies';
+import { useTags } from '../../hooks/useTags';
 import { useAuth } from '../../contexts/AuthContext';
+import AnalyticsService from '../../services/analyticsService';
+import BenchmarkService from '../../services/benchmarkService';
+import PortfolioService from '../../services/portfolioService';
+import TradingService from '../../services/tradingService';
 
 const Analytics = () => {
   const { user } = useAuth();
-  const { analytics, trades, loading, loadAnalytics, loadTrades } = useTrading();
+  const { analytics, loading, loadAnalytics } = useTrading();
+  const [tradeRows, setTradeRows] = useState([]);
   const [activeChart, setActiveChart] = useState('calendar');
-  const [currency, setCurrency] = useState('USD');
   const [dateRange, setDateRange] = useState({
     startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)?.toISOString()?.split('T')?.[0],
     endDate: new Date()?.toISOString()?.split('T')?.[0],
     preset: '30d'
   });
-  const [filters, setFilters] = useState({
-    assetClass: 'all',
-    strategy: 'all',
-    positionSize: 'all',
-    outcome: 'all',
-    minPnL: '',
-    maxPnL: '',
-    minDuration: '',
-    maxDuration: '',
-    tags: [],
-    includePartialFills: true,
-    includeCommissions: true
-  });
+  const [filters, setFilters] = useState(AnalyticsService?.DEFAULT_FILTERS);
+  const [benchmarkSymbol, setBenchmarkSymbol] = useState(BenchmarkService?.DEFAULT_BENCHMARK);
+  const [capitalInput, setCapitalInput] = useState(null);
   const [chartConfig, setChartConfig] = useState({
     colorScheme: 'default',
     dataDensity: 'medium',
@@ -83,29 +85,58 @@ const Analytics = () => {
         dateFrom: dateRange?.startDate,
         dateTo: dateRange?.endDate
       });
-      loadTrades({
-        dateFrom: dateRange?.startDate,
-        dateTo: dateRange?.endDate,
-        limit: 1000 // Load more for analytics
-      });
     }
-  }, [user, dateRange?.startDate, dateRange?.endDate, loadAnalytics, loadTrades]);
+  }, [user, dateRange?.startDate, dateRange?.endDate, loadAnalytics]);
 
-  // Load saved currency preference
+  // Trades are limited to the range by their close day below, so every trade is loaded: a range query on
+  // the open date would miss manual trades and trades opened before the range
   useEffect(() => {
-    const savedCurrency = localStorage.getItem('tradescope-currency');
-    if (savedCurrency) {
-      setCurrency(savedCurrency);
-    }
+    if (!user) return;
 
-    // Listen for currency changes from header
-    const handleCurrencyChange = (event) => {
-      setCurrency(event?.detail?.currency);
-    };
+    TradingService?.getAllTrades()?.then((result) => {
+      if (result?.success) {
+        setTradeRows(result?.data || []);
+      }
+    });
+  }, [user]);
+
+  const { portfolios, portfolioOf } = usePortfolios();
+  const { strategies } = useStrategies();
+  const { tagGroups, tagOptions } = useTags();
+
+  // Chart series in the base currency, limited to the date range and filters
+  const {
+    trades: chartTrades,
+    daily,
+    source,
+    baseCurrency: currency
+  } = useAnalyticsData({ trades: tradeRows, analytics, dateRange, filters, portfolioOf });
+  const filtered = source === 'trades';
+
+  // The rows behind the charts, for the panels that read trade rows
+  const trades = useMemo(() => {
+    const ids = new Set(chartTrades?.map((trade) => trade?.id));
+    return tradeRows?.filter((row) => ids?.has(row?.id));
+  }, [tradeRows, chartTrades]);
+
+  // Index comparison; returns are measured on the balances of the accounts in view unless a capital base is typed in
+  const { prices: benchmarkPrices, accounts, accountCapital } = useBenchmarks();
+  const accountsCapital = useMemo(() => Object.entries(accountCapital)
+    ?.filter(([accountId]) => PortfolioService?.matches(portfolioOf({ accountId }), filters?.portfolio))
+    ?.reduce((sum, [, balance]) => sum + balance, 0), [accountCapital, portfolioOf, filters?.portfolio]);
+  const capital = capitalInput ? parseFloat(capitalInput) || 0 : accountsCapital;
+  const benchmarkName = BenchmarkService?.BENCHMARKS?.[benchmarkSymbol]?.name;
+  const closes = useMemo(() => BenchmarkService?.closeSeries(benchmarkPrices, benchmarkSymbol), [benchmarkPrices, benchmarkSymbol]);
+
+  const comparison = useMemo(() => BenchmarkService?.compare(daily, closes, {
+    capital,
+    startDate: dateRange?.startDate,
+    endDate: dateRange?.endDate
+  }), [daily, closes, capital, dateRange?.startDate, dateRange?.endDate]);
 
-    window.addEventListener('currencyChanged', handleCurrencyChange);
-    return () => window.removeEventListener('currencyChanged', handleCurrencyChange);
-  }, []);
+  const benchmarkOverlay = useMemo(() => (chartConfig?.showBenchmark && capital > 0 ?
+    BenchmarkService?.equivalentPnl(closes, { capital, startDate: dateRange?.startDate, endDate: dateRange?.endDate }) :
+    null), [chartConfig?.showBenchmark, closes, capital, dateRange?.startDate, dateRange?.endDate]);
 
   const handleSavePreset = (preset) => {
     setSavedPresets(prev => [...prev, preset]);
@@ -126,14 +157,15 @@ const Analytics = () => {
 
   // Transform data for premium visualization engine
   const transformDataForChart = () => {
-    if (!analytics || analytics?.length === 0) return [];
+    if (!daily || daily?.length === 0) return [];
     
-    return analytics?.map(item => ({
+    return daily?.map(item => ({
       name: new Date(item.date)?.toLocaleDateString(),
       'Daily P&L': item?.daily_pnl || 0,
       'Cumulative P&L': item?.cumulative_pnl || 0,
       'Win Rate': item?.win_rate || 0,
-      'Volume': item?.volume || 0
+      'Volume': item?.volume_traded || 0,
+      ...(benchmarkOverlay?.length ? { [`${benchmarkName} P&L`]: BenchmarkService?.valueOn(benchmarkOverlay, item?.date) ?? 0 } : {})
     }));
   };
 
@@ -144,7 +176,7 @@ const Analytics = () => {
       case 'premium-candlestick':
         return (
           <PremiumCandlestickChart
-            data={analytics}
+            data={daily}
             currency={currency}
             config={chartConfig}
           />
@@ -160,31 +192,34 @@ const Analytics = () => {
       case 'premium-risk':
         return (
           <AdvancedRiskMetrics
-            data={analytics}
+            data={daily}
             currency={currency}
+            filtered={filtered}
+            benchmark={comparison}
+            benchmarkName={benchmarkName}
             config={chartConfig}
           />
         );
       case 'premium-correlation':
         return (
           <PremiumCorrelationMatrix
-            data={analytics}
+            trades={chartTrades}
             currency={currency}
-            config={chartConfig}
+            filtered={filtered}
           />
         );
       case 'premium-distribution':
         return (
           <PremiumReturnsDistribution
-            data={analytics}
+            trades={chartTrades}
             currency={currency}
-            config={chartConfig}
+            filtered={filtered}
           />
         );
       case 'premium-3d':
         return (
           <Premium3DChart
-            data={analytics}
+            data={daily}
             currency={currency}
             config={chartConfig}
           />
@@ -217,15 +252,23 @@ const Analytics = () => {
           />
         );
       case 'calendar':
-        return <CalendarHeatmap currency={currency} data={analytics} />;
+        return <CalendarHeatmap currency={currency} data={daily} filtered={filtered} />;
       case 'radar':
-        return <StrategyRadarChart currency={currency} data={analytics} />;
+        return <StrategyRadarChart currency={currency} data={daily} />;
       case 'bar':
-        return <TimeAnalysisChart currency={currency} data={analytics} />;
+        return <TimeAnalysisChart currency={currency} data={daily} trades={chartTrades} filtered={filtered} />;
       case 'line':
-        return <TrendAnalysisChart currency={currency} data={analytics} />;
+        return (
+          <TrendAnalysisChart
+            currency={currency}
+            data={daily}
+            filtered={filtered}
+            benchmark={benchmarkOverlay}
+            benchmarkName={benchmarkName}
+          />
+        );
       default:
-        return <CalendarHeatmap currency={currency} data={analytics} />;
+        return <CalendarHeatmap currency={currency} data={daily} filtered={filtered} />;
     }
   };
 
@@ -357,6 +400,9 @@ const Analytics = () => {
             {/* Advanced Filters */}
             <AdvancedFilters
               filters={filters}
+              portfolios={portfolios}
+              strategies={strategies}
+              tagOptions={tagOptions}
               onFiltersChange={setFilters}
               onSavePreset={handleSavePreset}
               savedPresets={savedPresets}
@@ -414,7 +460,7 @@ const Analytics = () => {
                 <div className="space-y-4">
                   <h3 className="text-lg font-semibold text-foreground">Complementary Analysis</h3>
                   <div className="bg-card border border-border rounded-xl p-6">
-                    <StrategyRadarChart currency={currency} data={analytics} />
+                    <StrategyRadarChart currency={currency} data={daily} />
                   </div>
                 </div>
               )}
@@ -425,7 +471,7 @@ const Analytics = () => {
                   <div className="space-y-4">
                     <h3 className="text-lg font-semibold text-foreground">Risk Overview</h3>
                     <div className="bg-card border border-border rounded-xl p-4 h-64">
-                      <AdvancedRiskMetrics data={analytics?.slice(0, 10)} currency={currency} />
+                      <AdvancedRiskMetrics data={daily?.slice(-10)} currency={currency} filtered={filtered} benchmark={comparison} benchmarkName={benchmarkName} />
                     </div>
                   </div>
                   <div className="space-y-4">
@@ -436,6 +482,26 @@ const Analytics = () => {
                   </div>
                 </div>
               )}
+
+              <BenchmarkComparison
+                currency={currency}
+                comparison={comparison}
+                trades={chartTrades}
+                closes={closes}
+                symbol={benchmarkSymbol}
+                onSymbolChange={setBenchmarkSymbol}
+                capital={capital}
+                capitalInput={capitalInput}
+                onCapitalChange={setCapitalInput}
+                accountCapital={accountCapital}
+                accounts={accounts}
+                dateRange={dateRange}
+                filtered={filtered}
+              />
+
+              <TagAnalytics currency={currency} trades={chartTrades} tagGroups={tagGroups} filtered={filtered} />
+
+              <UnderlyingBreakdown trades={trades} />
             </div>
 
             {/* Enhanced Metrics Sidebar */}
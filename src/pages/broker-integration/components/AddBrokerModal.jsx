@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
@@ -6,108 +6,42 @@ import Select from '../../../components/ui/Select';
 import Image from '../../../components/AppImage';
 import { TradingService } from '../../../services/tradingService';
 import BrokerCredentialService from '../../../services/brokerCredentialService';
+import BrokerRegistry from '../../../services/brokerAdapters';
 
-const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
+// Blank values for every field, with defaults such as Alpaca's paper environment
+const emptyForm = (adapter) => Object.fromEntries(
+  (adapter?.credentialFields || [])?.map((field) => [field?.name, field?.defaultValue ?? ''])
+);
+
+const AddBrokerModal = ({ isOpen, initialBroker, onClose, onAdd }) => {
   const [selectedBroker, setSelectedBroker] = useState('');
   const [step, setStep] = useState(1);
-  const [formData, setFormData] = useState({
-    apiKey: '',
-    apiSecret: '',
-    userId: '',
-    password: '',
-    totpKey: '',
-    serverAddress: ''
-  });
+  const [formData, setFormData] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState(null);
 
-  const supportedBrokers = [
-  {
-    value: 'zerodha',
-    label: 'Zerodha Kite',
-    description: 'India\'s largest retail broker',
-    logo: "https://images.unsplash.com/photo-1690692927220-12c0d6305389",
-    fields: ['apiKey', 'apiSecret', 'userId', 'password', 'totpKey']
-  },
-  {
-    value: 'mt5',
-    label: 'MetaTrader 5',
-    description: 'Multi-asset trading platform',
-    logo: "https://images.unsplash.com/photo-1642052503374-13c45f288e5e",
-    fields: ['userId', 'password', 'serverAddress']
-  },
-  {
-    value: 'interactive',
-    label: 'Interactive Brokers',
-    description: 'Global electronic trading',
-    logo: "https://images.unsplash.com/photo-1614029951470-ef9eb9952be7",
-    fields: ['apiKey', 'userId', 'password']
-  },
-  {
-    value: 'alpaca',
-    label: 'Alpaca Markets',
-    description: 'Commission-free trading API',
-    logo: "https://images.unsplash.com/photo-1644995520599-211478ea8254",
-    fields: ['apiKey', 'apiSecret']
-  }];
-
-
-  const getFieldConfig = (fieldName) => {
-    const configs = {
-      apiKey: {
-        label: 'API Key',
-        type: 'password',
-        placeholder: 'Enter your API key',
-        description: 'Your broker API key for authentication'
-      },
-      apiSecret: {
-        label: 'API Secret',
-        type: 'password',
-        placeholder: 'Enter your API secret',
-        description: 'Secret key paired with your API key'
-      },
-      userId: {
-        label: 'User ID',
-        type: 'text',
-        placeholder: 'Enter your user ID',
-        description: 'Your broker account user ID'
-      },
-      password: {
-        label: 'Password',
-        type: 'password',
-        placeholder: 'Enter your password',
-        description: 'Your broker account password'
-      },
-      totpKey: {
-        label: 'TOTP Key',
-        type: 'password',
-        placeholder: 'Enter TOTP key',
-        description: 'Time-based one-time password key'
-      },
-      serverAddress: {
-        label: 'Server Address',
-        type: 'text',
-        placeholder: 'Enter server address',
-        description: 'MT5 server address'
-      }
-    };
-    return configs?.[fieldName] || {};
-  };
+  const supportedBrokers = BrokerRegistry?.credentialBrokers();
 
   const handleBrokerSelect = (value) => {
     setSelectedBroker(value);
     setStep(2);
-    setFormData({
-      apiKey: '',
-      apiSecret: '',
-      userId: '',
-      password: '',
-      totpKey: '',
-      serverAddress: ''
-    });
+    setFormData(emptyForm(BrokerRegistry?.get(value)));
     setConnectionStatus(null);
   };
 
+  // Opened from a broker's Connect button: skip straight to its form
+  useEffect(() => {
+    if (isOpen && initialBroker && BrokerRegistry?.get(initialBroker)?.connection === 'credentials') {
+      handleBrokerSelect(initialBroker);
+    }
+  }, [isOpen, initialBroker]);
+
+  // Split the form into the broker's environment column and the credentials to encrypt
+  const getBrokerValues = () => {
+    const { environment, ...credentials } = formData;
+    return { environment: environment || null, credentials };
+  };
+
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -120,17 +54,15 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
     setConnectionStatus(null);
 
     try {
-      const broker = supportedBrokers?.find((b) => b?.value === selectedBroker);
-      
+      const broker = BrokerRegistry?.get(selectedBroker);
+      const { environment, credentials } = getBrokerValues();
+
       const brokerData = {
         name: broker?.label,
-        apiKey: formData?.apiKey,
-        apiSecret: formData?.apiSecret,
-        userId: formData?.userId,
-        password: formData?.password,
-        totpKey: formData?.totpKey,
-        serverAddress: formData?.serverAddress,
-        accountId: formData?.userId
+        brokerKey: broker?.key,
+        environment,
+        credentials,
+        accountId: formData?.userId || null
       };
 
       // Add broker using enhanced TradingService
@@ -140,7 +72,9 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
         setConnectionStatus({
           type: 'success',
           message: 'Broker connected successfully!',
-          details: result?.data?.connectionTest?.success ? 
+          details: result?.data?.connectionTest?.data?.status === 'login_required' ?
+            'Credentials saved. Use Manage on the broker card to log in and start importing.' :
+            result?.data?.connectionTest?.success ?
             'Connection test passed. Data synchronization will begin shortly.' : 'Broker added but connection test failed. Please check your credentials.'
         });
         
@@ -176,27 +110,8 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
     setConnectionStatus(null);
 
     try {
-      const broker = supportedBrokers?.find((b) => b?.value === selectedBroker);
-      
-      let testResult = { success: false, error: 'Connection test not implemented for this broker' };
-      
-      // Simulate connection test based on broker type
-      switch (selectedBroker) {
-        case 'zerodha':
-          testResult = await BrokerCredentialService?.testZerodhaConnection(formData);
-          break;
-        case 'alpaca':
-          testResult = await BrokerCredentialService?.testAlpacaConnection(formData);
-          break;
-        case 'interactive':
-          testResult = await BrokerCredentialService?.testInteractiveBrokersConnection(formData);
-          break;
-        case 'mt5':
-          testResult = await BrokerCredentialService?.testMT5Connection(formData);
-          break;
-        default:
-          testResult = { success: true, data: { status: 'test_successful' }, error: null };
-      }
+      const { environment, credentials } = getBrokerValues();
+      const testResult = await BrokerCredentialService?.testCredentials(selectedBroker, credentials, environment);
 
       if (testResult?.success) {
         setConnectionStatus({
@@ -226,21 +141,14 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
   const handleClose = () => {
     setStep(1);
     setSelectedBroker('');
-    setFormData({
-      apiKey: '',
-      apiSecret: '',
-      userId: '',
-      password: '',
-      totpKey: '',
-      serverAddress: ''
-    });
+    setFormData({});
     setConnectionStatus(null);
     onClose();
   };
 
-  const selectedBrokerData = supportedBrokers?.find((b) => b?.value === selectedBroker);
-  const isFormValid = selectedBrokerData?.fields?.every((field) => 
-    formData?.[field]?.trim()?.length > 0
+  const selectedBrokerData = BrokerRegistry?.get(selectedBroker);
+  const isFormValid = selectedBrokerData?.credentialFields?.every((field) =>
+    `${formData?.[field?.name] ?? ''}`?.trim()?.length > 0
   );
 
   if (!isOpen) return null;
@@ -271,8 +179,8 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {supportedBrokers?.map((broker) =>
               <button
-                key={broker?.value}
-                onClick={() => handleBrokerSelect(broker?.value)}
+                key={broker?.key}
+                onClick={() => handleBrokerSelect(broker?.key)}
                 className="p-4 border border-border rounded-lg hover:border-accent hover:bg-accent/5 transition-colors duration-200 text-left">
 
                     <div className="flex items-center space-x-3">
@@ -317,24 +225,34 @@ const AddBrokerModal = ({ isOpen, onClose, onAdd }) => {
                   <div>
                     <p className="text-sm font-medium text-accent">Secure Connection</p>
                     <p className="text-xs text-accent/80 mt-1">
-                      Your credentials are encrypted and stored securely. We never store your actual passwords in plain text.
+                      Your credentials are encrypted at rest and only used server-side to call your broker. They are never shown again after saving.
                     </p>
                   </div>
                 </div>
               </div>
 
               <div className="space-y-4">
-                {selectedBrokerData?.fields?.map((field) => {
-                const config = getFieldConfig(field);
+                {selectedBrokerData?.credentialFields?.map((field) => {
+                if (field?.type === 'select') {
+                  return (
+                    <Select
+                      key={field?.name}
+                      label={field?.label}
+                      options={field?.options}
+                      description={field?.description}
+                      value={formData?.[field?.name]}
+                      onChange={(value) => handleInputChange(field?.name, value)} />);
+
+                }
                 return (
                   <Input
-                    key={field}
-                    label={config?.label}
-                    type={config?.type}
-                    placeholder={config?.placeholder}
-                    description={config?.description}
-                    value={formData?.[field]}
-                    onChange={(e) => handleInputChange(field, e?.target?.value)}
+                    key={field?.name}
+                    label={field?.label}
+                    type={field?.type}
+                    placeholder={field?.placeholder}
+                    description={field?.description}
+                    value={formData?.[field?.name] ?? ''}
+                    onChange={(e) => handleInputChange(field?.name, e?.target?.value)}
                     required />);
 
 
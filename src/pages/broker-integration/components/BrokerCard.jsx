@@ -2,9 +2,21 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Image from '../../../components/AppImage';
+import Select from '../../../components/ui/Select';
+import ChargesService from '../../../services/chargesService';
 
-const BrokerCard = ({ broker, onManage, onDisconnect, onSync }) => {
+const MATCHING_METHOD_OPTIONS = [
+  { value: 'fifo', label: 'FIFO (first in, first out)' },
+  { value: 'lifo', label: 'LIFO (last in, first out)' },
+  { value: 'average', label: 'Average cost' }
+];
+
+const CHARGES_PLAN_OPTIONS = Object.entries(ChargesService?.PLANS)?.map(([value, plan]) => ({ value, label: plan?.label }));
+
+const BrokerCard = ({ broker, onManage, onDisconnect, onSync, onMatchingMethodChange, onChargesPlanChange }) => {
   const [isLoading, setIsLoading] = useState(false);
+  const [isRematching, setIsRematching] = useState(false);
+  const [isRecharging, setIsRecharging] = useState(false);
 
   const getStatusConfig = () => {
     switch (broker?.status) {
@@ -46,6 +58,18 @@ const BrokerCard = ({ broker, onManage, onDisconnect, onSync }) => {
     setIsLoading(false);
   };
 
+  const handleMatchingMethodChange = async (method) => {
+    setIsRematching(true);
+    await onMatchingMethodChange(broker?.id, method);
+    setIsRematching(false);
+  };
+
+  const handleChargesPlanChange = async (plan) => {
+    setIsRecharging(true);
+    await onChargesPlanChange(broker?.id, plan);
+    setIsRecharging(false);
+  };
+
   const statusConfig = getStatusConfig();
 
   return (
@@ -90,6 +114,40 @@ const BrokerCard = ({ broker, onManage, onDisconnect, onSync }) => {
           <p className="text-sm font-medium text-card-foreground">{broker?.recordsImported}</p>
         </div>
       </div>
+      {onMatchingMethodChange && (
+        <div className="mb-4">
+          <Select
+            label="Lot Matching"
+            description="How fills are paired into round trips when realizing P&L"
+            options={MATCHING_METHOD_OPTIONS}
+            value={broker?.matching_method || 'fifo'}
+            onChange={handleMatchingMethodChange}
+            loading={isRematching}
+            disabled={isRematching}
+          />
+        </div>
+      )}
+      {onChargesPlanChange && (
+        <div className="mb-4">
+          <Select
+            label="Brokerage Plan"
+            description="Used to work out brokerage and statutory charges on imported fills"
+            options={CHARGES_PLAN_OPTIONS}
+            value={broker?.charges_plan || ChargesService?.DEFAULT_PLAN_BY_BROKER?.[broker?.broker_key] || ChargesService?.DEFAULT_PLAN}
+            onChange={handleChargesPlanChange}
+            loading={isRecharging}
+            disabled={isRecharging}
+          />
+        </div>
+      )}
+      {broker?.settingsError && (
+        <div className="mb-4 bg-destructive/10 rounded-lg p-3">
+          <div className="flex items-start space-x-2">
+            <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+            <p className="text-sm text-destructive">{broker?.settingsError}</p>
+          </div>
+        </div>
+      )}
       {broker?.status === 'error' && (
         <div className="mb-4 p-3 bg-destructive/10 border border-destructive/20 rounded-lg">
           <div className="flex items-start space-x-2">
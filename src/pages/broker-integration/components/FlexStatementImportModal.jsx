@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+import InteractiveBrokersService from '../../../services/interactiveBrokersService';
+import SyncRunService from '../../../services/syncRunService';
+import { TradingService } from '../../../services/tradingService';
+
+const FlexStatementImportModal = ({ isOpen, broker, onClose, onSuccess }) => {
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleClose = () => {
+    setFile(null);
+    setError('');
+    setResult(null);
+    onClose();
+  };
+
+  const handleImportResult = (importResult) => {
+    if (importResult?.success) {
+      setResult(importResult?.data);
+      onSuccess?.(importResult?.data);
+    } else {
+      setError(importResult?.error);
+    }
+  };
+
+  const handleUpload = async () => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const xmlText = await file?.text();
+      handleImportResult(await SyncRunService?.track(broker?.id, 'upload', () => InteractiveBrokersService?.importStatement(broker?.id, xmlText)));
+    } catch (err) {
+      setError('Failed to read statement file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFetch = async () => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    try {
+      handleImportResult(await TradingService?.syncBroker(broker));
+    } catch (err) {
+      setError('Failed to fetch Flex statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-card border border-border rounded-xl p-6 w-full max-w-lg mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-gradient-to-r from-red-600 to-red-800 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-sm">IB</span>
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-foreground">Flex Statement Import</h3>
+              <p className="text-sm text-muted-foreground">Import Interactive Brokers trades and commissions</p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-muted-foreground hover:text-foreground transition-colors"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {/* Fetch with stored token */}
+          <div className="border border-border rounded-lg p-4 space-y-3">
+            <div>
+              <p className="text-sm font-medium text-foreground">Fetch from Flex Web Service</p>
+              <p className="text-xs text-muted-foreground mt-1">
+                Runs your saved Flex Query with the stored token. Statements can take up to 30 seconds to generate.
+              </p>
+            </div>
+            <Button
+              variant="outline"
+              onClick={handleFetch}
+              loading={loading}
+              iconName="CloudDownload"
+              iconPosition="left"
+              fullWidth
+            >
+              Fetch Statement
+            </Button>
+          </div>
+
+          {/* Upload file */}
+          <div className="border border-border rounded-lg p-4 space-y-3">
+            <div>
+              <p className="text-sm font-medium text-foreground">Upload Flex XML</p>
+              <p className="text-xs text-muted-foreground mt-1">
+                Download an Activity Flex Query in XML format from Client Portal and upload it here. Times are read as UTC
+                unless the query's time format includes a zone.
+              </p>
+            </div>
+            <input
+              type="file"
+              accept=".xml,application/xml,text/xml"
+              onChange={(e) => setFile(e?.target?.files?.[0] || null)}
+              className="block w-full text-sm text-muted-foreground file:mr-3 file:py-2 file:px-3 file:rounded-lg file:border-0 file:bg-muted file:text-foreground"
+            />
+            <Button
+              onClick={handleUpload}
+              disabled={!file}
+              loading={loading}
+              iconName="Upload"
+              iconPosition="left"
+              fullWidth
+            >
+              Import File
+            </Button>
+          </div>
+
+          {error && (
+            <div className="bg-destructive/10 rounded-lg p-3">
+              <div className="flex items-start space-x-2">
+                <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                <p className="text-sm text-destructive">{error}</p>
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <div className="bg-success/10 rounded-lg p-4 space-y-2">
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Executions in statement:</span>
+                <span className="text-foreground">{result?.totalFlexTrades}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Execution legs saved:</span>
+                <span className="text-foreground">{result?.importedLegs}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Round trips built:</span>
+                <span className="text-success font-medium">{result?.importedCount}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Open positions:</span>
+                <span className="text-foreground">{result?.openPositions}</span>
+              </div>
+              {result?.importedConversions > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">FX conversions:</span>
+                  <span className="text-foreground">{result?.importedConversions}</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          <Button variant="outline" onClick={handleClose} fullWidth>
+            Done
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlexStatementImportModal;
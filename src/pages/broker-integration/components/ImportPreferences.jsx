@@ -1,32 +1,44 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 
 import Select from '../../../components/ui/Select';
 import { Checkbox } from '../../../components/ui/Checkbox';
+import SyncPreferencesService from '../../../services/syncPreferencesService';
 
-const ImportPreferences = () => {
-  const [preferences, setPreferences] = useState({
-    autoSync: true,
-    syncFrequency: '15min',
-    dataRange: '30days',
-    duplicateHandling: 'skip',
-    autoCategories: true,
-    importTypes: {
-      equity: true,
-      futures: true,
-      options: true,
-      forex: false,
-      crypto: false
-    },
-    notifications: {
-      syncComplete: true,
-      syncErrors: true,
-      dailySummary: false
+const ImportPreferences = ({ brokers = [] }) => {
+  const [selectedBrokerId, setSelectedBrokerId] = useState(brokers?.[0]?.id || '');
+  const [preferences, setPreferences] = useState(SyncPreferencesService?.DEFAULT_PREFERENCES);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    if (!selectedBrokerId && brokers?.length > 0) {
+      setSelectedBrokerId(brokers?.[0]?.id);
     }
-  });
+  }, [brokers]);
 
-  const [isSaving, setIsSaving] = useState(false);
+  useEffect(() => {
+    if (selectedBrokerId) {
+      loadPreferences(selectedBrokerId);
+    }
+  }, [selectedBrokerId]);
+
+  const loadPreferences = async (brokerId) => {
+    setIsLoading(true);
+    setSaveMessage(null);
+    try {
+      const result = await SyncPreferencesService?.getPreferences(brokerId);
+      if (result?.success) {
+        setPreferences(result?.data);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const brokerOptions = brokers?.map((broker) => ({ value: broker?.id, label: broker?.name }));
 
   const syncFrequencyOptions = [
     { value: '5min', label: 'Every 5 minutes' },
@@ -46,42 +58,41 @@ const ImportPreferences = () => {
 
   const duplicateHandlingOptions = [
     { value: 'skip', label: 'Skip duplicates' },
-    { value: 'update', label: 'Update existing' },
-    { value: 'create', label: 'Create new entry' }
+    { value: 'update', label: 'Update existing' }
   ];
 
   const handleSave = async () => {
     setIsSaving(true);
-    
-    // Simulate API call
-    setTimeout(() => {
-      console.log('Preferences saved:', preferences);
-      setIsSaving(false);
-    }, 1500);
+    setSaveMessage(null);
+
+    const result = await SyncPreferencesService?.savePreferences(selectedBrokerId, preferences);
+
+    if (result?.success) {
+      setPreferences(result?.data);
+      setSaveMessage({ type: 'success', text: 'Preferences saved' });
+    } else {
+      setSaveMessage({ type: 'error', text: result?.error });
+    }
+
+    setIsSaving(false);
   };
 
   const handleReset = () => {
-    setPreferences({
-      autoSync: true,
-      syncFrequency: '15min',
-      dataRange: '30days',
-      duplicateHandling: 'skip',
-      autoCategories: true,
-      importTypes: {
-        equity: true,
-        futures: true,
-        options: true,
-        forex: false,
-        crypto: false
-      },
-      notifications: {
-        syncComplete: true,
-        syncErrors: true,
-        dailySummary: false
-      }
-    });
+    setPreferences(SyncPreferencesService?.DEFAULT_PREFERENCES);
   };
 
+  if (brokers?.length === 0) {
+    return (
+      <div className="bg-card border border-border rounded-lg p-6 text-center">
+        <Icon name="Settings" size={32} className="text-muted-foreground mx-auto mb-3" />
+        <h3 className="text-lg font-semibold text-card-foreground">Import Preferences</h3>
+        <p className="text-sm text-muted-foreground mt-1">
+          Connect a broker to configure how its trades are imported
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-card border border-border rounded-lg p-6">
       <div className="flex items-center justify-between mb-6">
@@ -108,6 +119,7 @@ const ImportPreferences = () => {
             size="sm"
             onClick={handleSave}
             loading={isSaving}
+            disabled={!selectedBrokerId || isLoading}
             iconName="Save"
             iconPosition="left"
           >
@@ -116,6 +128,31 @@ const ImportPreferences = () => {
         </div>
       </div>
       <div className="space-y-8">
+        {/* Broker */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            label="Broker"
+            description="Preferences are saved separately for each connected broker"
+            options={brokerOptions}
+            value={selectedBrokerId}
+            onChange={setSelectedBrokerId}
+            loading={isLoading}
+          />
+          <div className="flex flex-col justify-end space-y-1">
+            {preferences?.nextSyncAt && (
+              <p className="text-sm text-muted-foreground flex items-center space-x-2">
+                <Icon name="Clock" size={14} />
+                <span>Next automatic sync: {new Date(preferences?.nextSyncAt)?.toLocaleString()}</span>
+              </p>
+            )}
+            {saveMessage && (
+              <p className={`text-sm ${saveMessage?.type === 'success' ? 'text-success' : 'text-destructive'}`}>
+                {saveMessage?.text}
+              </p>
+            )}
+          </div>
+        </div>
+
         {/* Sync Settings */}
         <div className="space-y-4">
           <h4 className="text-md font-medium text-card-foreground flex items-center space-x-2">
@@ -266,8 +303,8 @@ const ImportPreferences = () => {
             <div>
               <h5 className="text-sm font-medium text-accent mb-1">Security & Privacy</h5>
               <p className="text-xs text-accent/80">
-                All broker credentials are encrypted using AES-256 encryption and stored securely. 
-                We never store your actual passwords and use secure API connections only. 
+                Broker credentials are encrypted at rest with keys held in Supabase Vault and are only 
+                decrypted server-side to call your broker. They are never sent back to the browser. 
                 Your trading data is processed locally and never shared with third parties.
               </p>
             </div>
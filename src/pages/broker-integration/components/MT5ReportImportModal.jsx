@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+import MetaTraderService from '../../../services/metaTraderService';
+import SyncRunService from '../../../services/syncRunService';
+
+const MT5ReportImportModal = ({ isOpen, broker, onClose, onSuccess }) => {
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleClose = () => {
+    setFile(null);
+    setError('');
+    setResult(null);
+    onClose();
+  };
+
+  const handleUpload = async () => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const importResult = await SyncRunService?.track(broker?.id, 'upload', () => MetaTraderService?.importReport(broker?.id, file));
+      if (importResult?.success) {
+        setResult(importResult?.data);
+        onSuccess?.(importResult?.data);
+      } else {
+        setError(importResult?.error);
+      }
+    } catch (err) {
+      setError('Failed to import report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-card border border-border rounded-xl p-6 w-full max-w-lg mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-gradient-to-r from-sky-500 to-blue-700 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-sm">MT5</span>
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-foreground">MetaTrader 5 Report Import</h3>
+              <p className="text-sm text-muted-foreground">Upload your terminal's History report</p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-muted-foreground hover:text-foreground transition-colors"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="bg-accent/10 rounded-lg p-4">
+            <div className="flex items-start space-x-2">
+              <Icon name="Info" size={16} className="text-accent mt-0.5" />
+              <div className="text-sm">
+                <p className="font-medium text-accent">Exporting the report</p>
+                <ol className="text-muted-foreground mt-2 space-y-1 text-xs list-decimal list-inside">
+                  <li>In the terminal's Toolbox, open the History tab and choose "Positions" view</li>
+                  <li>Right-click, pick the full period, then Report &gt; HTML or Open XML</li>
+                  <li>Re-importing the same report is safe: deals are matched by ticket</li>
+                  <li>Report times are the trade server's clock and are read as UTC</li>
+                </ol>
+              </div>
+            </div>
+          </div>
+
+          <input
+            type="file"
+            accept=".html,.htm,.xlsx"
+            onChange={(e) => setFile(e?.target?.files?.[0] || null)}
+            className="block w-full text-sm text-muted-foreground file:mr-3 file:py-2 file:px-3 file:rounded-lg file:border-0 file:bg-muted file:text-foreground"
+          />
+
+          {error && (
+            <div className="bg-destructive/10 rounded-lg p-3">
+              <div className="flex items-start space-x-2">
+                <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                <p className="text-sm text-destructive">{error}</p>
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <div className="bg-success/10 rounded-lg p-4 space-y-2">
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Round trips in report:</span>
+                <span className="text-foreground">{result?.totalRoundTrips}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">Trades imported:</span>
+                <span className="text-success font-medium">{result?.importedCount}</span>
+              </div>
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <Button variant="outline" onClick={handleClose} fullWidth>
+              Done
+            </Button>
+            <Button
+              onClick={handleUpload}
+              disabled={!file}
+              loading={loading}
+              iconName="Upload"
+              iconPosition="left"
+              fullWidth
+            >
+              Import Report
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MT5ReportImportModal;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import BrokerRegistry from '../../../services/brokerAdapters';
+import ReconciliationService from '../../../services/reconciliationService';
+
+const TYPE_CONFIG = {
+  missing: {
+    color: 'text-destructive',
+    bgColor: 'bg-destructive/10',
+    label: 'Missing',
+    fixLabel: 'Import'
+  },
+  extra: {
+    color: 'text-warning',
+    bgColor: 'bg-warning/10',
+    label: 'Extra',
+    fixLabel: 'Delete'
+  },
+  mismatch: {
+    color: 'text-accent',
+    bgColor: 'bg-accent/10',
+    label: 'Mismatch',
+    fixLabel: 'Use broker'
+  },
+  position: {
+    color: 'text-muted-foreground',
+    bgColor: 'bg-muted/30',
+    label: 'Position'
+  }
+};
+
+const REPORT_STATUS_CONFIG = {
+  clean: { color: 'text-success', icon: 'CheckCircle', label: 'Clean' },
+  differences: { color: 'text-warning', icon: 'AlertCircle', label: 'Differences' },
+  resolved: { color: 'text-success', icon: 'CheckCheck', label: 'Resolved' },
+  error: { color: 'text-destructive', icon: 'XCircle', label: 'Failed' }
+};
+
+const toDateInput = (value) => new Date(value)?.toISOString()?.slice(0, 10);
+
+const ReconciliationPanel = ({ brokers = [], onFixComplete }) => {
+  const reconcilableBrokers = brokers?.filter((broker) => BrokerRegistry?.forBroker(broker)?.supportsReconciliation);
+  const defaultRange = ReconciliationService?.defaultRange();
+
+  const [selectedBrokerId, setSelectedBrokerId] = useState(reconcilableBrokers?.[0]?.id || '');
+  const [dateFrom, setDateFrom] = useState(toDateInput(defaultRange?.from));
+  const [dateTo, setDateTo] = useState(toDateInput(defaultRange?.to));
+  const [reports, setReports] = useState([]);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [fixingIds, setFixingIds] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!selectedBrokerId && reconcilableBrokers?.length > 0) {
+      setSelectedBrokerId(reconcilableBrokers?.[0]?.id);
+    }
+  }, [brokers]);
+
+  useEffect(() => {
+    loadReports();
+  }, [selectedBrokerId]);
+
+  const loadReports = async () => {
+    if (!selectedBrokerId) return;
+
+    const result = await ReconciliationService?.getReports({ brokerId: selectedBrokerId });
+    if (result?.success) {
+      setReports(result?.data);
+      setSelectedReport(result?.data?.[0] || null);
+    } else {
+      setError(result?.error);
+    }
+  };
+
+  const handleRun = async () => {
+    const broker = reconcilableBrokers?.find((item) => item?.id === selectedBrokerId);
+    setRunning(true);
+    setError('');
+    try {
+      const result = await ReconciliationService?.runReport(broker, {
+        from: new Date(`${dateFrom}T00:00:00`)?.toISOString(),
+        to: new Date(`${dateTo}T23:59:59.999`)?.toISOString()
+      });
+
+      if (result?.success) {
+        setReports((current) => [result?.data, ...current]);
+        setSelectedReport(result?.data);
+      } else {
+        setError(result?.error);
+      }
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleFix = async (itemIds = null) => {
+    setFixingIds(itemIds || ['all']);
+    setError('');
+    try {
+      const result = await ReconciliationService?.fixItems(selectedReport?.id, itemIds);
+      if (result?.data) {
+        setSelectedReport(result?.data);
+        setReports((current) => current?.map((report) => report?.id === result?.data?.id ? result?.data : report));
+      }
+      if (!result?.success) {
+        setError(result?.error);
+      }
+      onFixComplete?.();
+    } finally {
+      setFixingIds([]);
+    }
+  };
+
+  const formatValue = (value, digits = 4) =>
+    value === null || value === undefined ? '—' : Number(value)?.toLocaleString('en-US', { maximumFractionDigits: digits });
+
+  const formatDateTime = (value) => value ? new Date(value)?.toLocaleString('en-GB') : '—';
+
+  const items = selectedReport?.items || [];
+  const openFixes = items?.filter((item) => !item?.resolved && ReconciliationService?.FIXABLE_TYPES?.includes(item?.type));
+  const brokerOptions = reconcilableBrokers?.map((broker) => ({ value: broker?.id, label: broker?.name }));
+
+  if (reconcilableBrokers?.length === 0) {
+    return (
+      <div className="bg-card border border-border rounded-lg p-12 text-center">
+        <Icon name="Scale" size={32} className="text-muted-foreground mx-auto mb-2" />
+        <p className="text-muted-foreground">
+          Connect Zerodha, Upstox, Alpaca or Interactive Brokers to reconcile their tradebooks with your journal
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-card border border-border rounded-lg p-6">
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold text-card-foreground">Broker Reconciliation</h3>
+          <p className="text-sm text-muted-foreground mt-1">
+            Compare the broker's executions and positions with your journal. Zerodha and Upstox only report today's fills;
+            Interactive Brokers reports the period of your Flex Query.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <Select
+            label="Broker"
+            options={brokerOptions}
+            value={selectedBrokerId}
+            onChange={setSelectedBrokerId}
+          />
+          <Input
+            label="From"
+            type="date"
+            value={dateFrom}
+            max={dateTo}
+            onChange={(e) => setDateFrom(e?.target?.value)}
+          />
+          <Input
+            label="To"
+            type="date"
+            value={dateTo}
+            min={dateFrom}
+            onChange={(e) => setDateTo(e?.target?.value)}
+          />
+          <Button
+            onClick={handleRun}
+            loading={running}
+            disabled={!selectedBrokerId || !dateFrom || !dateTo}
+            iconName="Scale"
+            iconPosition="left"
+          >
+            Reconcile
+          </Button>
+        </div>
+
+        {error && (
+          <div className="mt-4 bg-destructive/10 rounded-lg p-3">
+            <div className="flex items-start space-x-2">
+              <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+              <p className="text-sm text-destructive">{error}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="bg-card border border-border rounded-lg">
+          <div className="p-4 border-b border-border">
+            <h4 className="text-sm font-medium text-card-foreground">Reports</h4>
+          </div>
+          {reports?.length === 0 ? (
+            <p className="p-4 text-sm text-muted-foreground">No reconciliations yet</p>
+          ) : (
+            <div className="divide-y divide-border max-h-[32rem] overflow-y-auto">
+              {reports?.map((report) => {
+                const statusConfig = REPORT_STATUS_CONFIG?.[report?.status];
+
+                return (
+                  <button
+                    key={report?.id}
+                    onClick={() => setSelectedReport(report)}
+                    className={`w-full text-left p-4 transition-colors ${selectedReport?.id === report?.id ? 'bg-muted/50' : 'hover:bg-muted/20'}`}
+                  >
+                    <div className="flex items-center space-x-2">
+                      <Icon name={statusConfig?.icon} size={14} className={statusConfig?.color} />
+                      <span className={`text-xs font-medium ${statusConfig?.color}`}>{statusConfig?.label}</span>
+                      {report?.trigger_type === 'scheduled' && (
+                        <span className="text-xs text-muted-foreground">· Automatic</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-card-foreground mt-1">{formatDateTime(report?.created_at)}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {report?.missing_count} missing · {report?.extra_count} extra · {report?.mismatch_count} mismatched
+                    </p>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-3 bg-card border border-border rounded-lg">
+          {!selectedReport ? (
+            <div className="p-8 text-center">
+              <Icon name="Scale" size={32} className="text-muted-foreground mx-auto mb-2" />
+              <p className="text-muted-foreground">Run a reconciliation to compare this broker with your journal</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between p-6 border-b border-border">
+                <div>
+                  <h4 className="text-lg font-semibold text-card-foreground">
+                    {selectedReport?.brokers?.name} · {formatDateTime(selectedReport?.covered_from || selectedReport?.range_from)} – {formatDateTime(selectedReport?.covered_to || selectedReport?.range_to)}
+                  </h4>
+                  <p className="text-sm text-muted-foreground mt-1">
+                    {selectedReport?.broker_count} broker executions · {selectedReport?.journal_count} journal legs
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="Wrench"
+                  iconPosition="left"
+                  loading={fixingIds?.includes('all')}
+                  disabled={openFixes?.length === 0 || fixingIds?.length > 0}
+                  onClick={() => handleFix()}
+                >
+                  Fix All ({openFixes?.length})
+                </Button>
+              </div>
+
+              {selectedReport?.error_message && (
+                <div className="mx-6 mt-4 bg-destructive/10 rounded-lg p-3">
+                  <div className="flex items-start space-x-2">
+                    <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                    <p className="text-sm text-destructive">{selectedReport?.error_message}</p>
+                  </div>
+                </div>
+              )}
+
+              {items?.length === 0 && !selectedReport?.error_message ? (
+                <div className="p-8 text-center">
+                  <Icon name="CheckCircle" size={32} className="text-success mx-auto mb-2" />
+                  <p className="text-muted-foreground">The journal matches everything the broker reported for this period</p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-muted/50">
+                      <tr>
+                        <th className="text-left p-3 font-medium text-muted-foreground">Difference</th>
+                        <th className="text-left p-3 font-medium text-muted-foreground">Symbol</th>
+                        <th className="text-left p-3 font-medium text-muted-foreground">Executed</th>
+                        <th className="text-right p-3 font-medium text-muted-foreground">Broker Qty / Price / Fees</th>
+                        <th className="text-right p-3 font-medium text-muted-foreground">Journal Qty / Price / Fees</th>
+                        <th className="text-left p-3 font-medium text-muted-foreground">Action</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {items?.map((item) => {
+                        const typeConfig = TYPE_CONFIG?.[item?.type];
+                        const describeValues = (values) => values ?
+                          [values?.quantity, values?.price, values?.fees]?.map((value) => formatValue(value))?.join(' / ') :
+                          '—';
+
+                        return (
+                          <tr key={item?.id} className={`border-t border-border ${item?.resolved ? 'opacity-50' : ''}`}>
+                            <td className="p-3">
+                              <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${typeConfig?.bgColor} ${typeConfig?.color}`}>
+                                {typeConfig?.label}
+                              </span>
+                              {item?.fields?.length > 0 && (
+                                <div className="text-xs text-muted-foreground mt-1">{item?.fields?.join(', ')}</div>
+                              )}
+                              {item?.duplicateOf && (
+                                <div className="text-xs text-muted-foreground mt-1">Duplicate of {item?.duplicateOf}</div>
+                              )}
+                            </td>
+                            <td className="p-3">
+                              <div className="font-medium text-card-foreground">{item?.symbol}</div>
+                              <div className="text-xs text-muted-foreground">
+                                {item?.type === 'position' ? item?.status?.replace(/_/g, ' ') : `${item?.side} · ${item?.executionId}`}
+                              </div>
+                            </td>
+                            <td className="p-3 text-muted-foreground">{formatDateTime(item?.executedAt)}</td>
+                            <td className="p-3 text-right font-mono text-xs text-card-foreground">{describeValues(item?.broker)}</td>
+                            <td className="p-3 text-right font-mono text-xs text-card-foreground">{describeValues(item?.journal)}</td>
+                            <td className="p-3">
+                              {item?.resolved ? (
+                                <span className="inline-flex items-center space-x-1 text-xs text-success">
+                                  <Icon name="Check" size={14} />
+                                  <span>Fixed</span>
+                                </span>
+                              ) : typeConfig?.fixLabel ? (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  loading={fixingIds?.includes(item?.id)}
+                                  disabled={fixingIds?.length > 0}
+                                  onClick={() => handleFix([item?.id])}
+                                >
+                                  {typeConfig?.fixLabel}
+                                </Button>
+                              ) : (
+                                <span className="text-xs text-muted-foreground">Settles with leg fixes</span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReconciliationPanel;
@@ -1,64 +1,97 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import SyncRunDetailModal from './SyncRunDetailModal';
+import SyncRunService from '../../../services/syncRunService';
+import { TradingService } from '../../../services/tradingService';
 
-const SyncHistoryTable = () => {
+const TRIGGER_LABELS = {
+  manual: 'Manual',
+  scheduled: 'Automatic',
+  upload: 'Upload',
+  retry: 'Retry'
+};
+
+const SyncHistoryTable = ({ onRetryComplete }) => {
   const [selectedPeriod, setSelectedPeriod] = useState('7days');
+  const [syncHistory, setSyncHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [retryingRunId, setRetryingRunId] = useState(null);
 
-  const syncHistory = [
-    {
-      id: 1,
-      broker: 'Zerodha Kite',
-      timestamp: '2025-10-16 09:15:00',
-      status: 'success',
-      recordsImported: 45,
-      duration: '2.3s',
-      type: 'Automatic',
-      details: 'Successfully imported 45 trades from the last 24 hours'
-    },
-    {
-      id: 2,
-      broker: 'MetaTrader 5',
-      timestamp: '2025-10-16 08:45:00',
-      status: 'success',
-      recordsImported: 23,
-      duration: '1.8s',
-      type: 'Manual',
-      details: 'Manual sync completed for forex positions'
-    },
-    {
-      id: 3,
-      broker: 'Interactive Brokers',
-      timestamp: '2025-10-16 08:30:00',
-      status: 'error',
-      recordsImported: 0,
-      duration: '15.2s',
-      type: 'Automatic',
-      details: 'API rate limit exceeded. Retry scheduled for next interval.',
-      error: 'Rate limit exceeded (429)'
-    },
-    {
-      id: 4,
-      broker: 'Zerodha Kite',
-      timestamp: '2025-10-16 08:00:00',
-      status: 'success',
-      recordsImported: 67,
-      duration: '3.1s',
-      type: 'Automatic',
-      details: 'Successfully imported equity and F&O trades'
-    },
-    {
-      id: 5,
-      broker: 'Alpaca Markets',
-      timestamp: '2025-10-16 07:45:00',
-      status: 'partial',
-      recordsImported: 12,
-      duration: '4.7s',
-      type: 'Automatic',
-      details: 'Imported 12 of 15 trades. 3 trades had data validation issues.',
-      warning: 'Some records skipped due to validation errors'
+  useEffect(() => {
+    loadSyncHistory();
+  }, [selectedPeriod]);
+
+  // offset 0 reloads the list; later pages are appended to it
+  const loadSyncHistory = async (offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await SyncRunService?.getRuns({ period: selectedPeriod, offset });
+      if (result?.success) {
+        setSyncHistory((prev) => offset > 0 ? [...prev, ...result?.data] : result?.data);
+        setHasMore(result?.data?.length === SyncRunService?.PAGE_SIZE);
+      } else {
+        setError(result?.error);
+      }
+    } finally {
+      setLoading(false);
     }
-  ];
+  };
+
+  const handleRetry = async (run) => {
+    setRetryingRunId(run?.id);
+    setError('');
+    try {
+      const result = await TradingService?.retrySyncRun(run?.id);
+      if (!result?.success) {
+        setError(result?.error);
+      }
+      setSelectedRun(null);
+      await loadSyncHistory();
+      onRetryComplete?.();
+    } finally {
+      setRetryingRunId(null);
+    }
+  };
+
+  const canRetry = (run) => ['error', 'partial']?.includes(run?.status) &&
+    SyncRunService?.RETRYABLE_TRIGGERS?.includes(run?.trigger_type);
+
+  const formatDuration = (run) => {
+    if (!run?.finished_at) return '—';
+    const seconds = (new Date(run?.finished_at) - new Date(run?.started_at)) / 1000;
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s` : `${seconds?.toFixed(1)}s`;
+  };
+
+  const handleExport = () => {
+    const header = ['Broker', 'Started', 'Finished', 'Type', 'Status', 'Fetched', 'Inserted', 'Updated', 'Skipped', 'Row Errors', 'Error'];
+    const escape = (value) => `"${`${value ?? ''}`?.replace(/"/g, '""')}"`;
+    const lines = syncHistory?.map((run) => [
+      run?.brokers?.name,
+      run?.started_at,
+      run?.finished_at,
+      TRIGGER_LABELS?.[run?.trigger_type] || run?.trigger_type,
+      run?.status,
+      run?.fetched_count,
+      run?.inserted_count,
+      run?.updated_count,
+      run?.skipped_count,
+      run?.row_errors?.length || 0,
+      run?.error_message
+    ]?.map(escape)?.join(','));
+
+    const blob = new Blob([[header?.join(','), ...lines]?.join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sync-history-${selectedPeriod}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
   const getStatusConfig = (status) => {
     switch (status) {
@@ -76,6 +109,13 @@ const SyncHistoryTable = () => {
           icon: 'XCircle',
           label: 'Failed'
         };
+      case 'running':
+        return {
+          color: 'text-accent',
+          bgColor: 'bg-accent/10',
+          icon: 'Loader2',
+          label: 'Running'
+        };
       case 'partial':
         return {
           color: 'text-warning',
@@ -139,12 +179,21 @@ const SyncHistoryTable = () => {
             size="sm"
             iconName="Download"
             iconPosition="left"
-            onClick={() => console.log('Export sync history')}
+            onClick={handleExport}
+            disabled={syncHistory?.length === 0}
           >
             Export
           </Button>
         </div>
       </div>
+      {error && (
+        <div className="mx-6 mt-4 bg-destructive/10 rounded-lg p-3">
+          <div className="flex items-start space-x-2">
+            <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+            <p className="text-sm text-destructive">{error}</p>
+          </div>
+        </div>
+      )}
       <div className="overflow-x-auto">
         <table className="w-full">
           <thead className="bg-muted/50">
@@ -161,12 +210,13 @@ const SyncHistoryTable = () => {
           <tbody>
             {syncHistory?.map((sync, index) => {
               const statusConfig = getStatusConfig(sync?.status);
-              const { date, time } = formatTimestamp(sync?.timestamp);
+              const { date, time } = formatTimestamp(sync?.started_at);
+              const triggerLabel = TRIGGER_LABELS?.[sync?.trigger_type] || sync?.trigger_type;
               
               return (
                 <tr key={sync?.id} className={`border-b border-border ${index % 2 === 0 ? 'bg-background' : 'bg-muted/20'}`}>
                   <td className="p-4">
-                    <div className="font-medium text-card-foreground">{sync?.broker}</div>
+                    <div className="font-medium text-card-foreground">{sync?.brokers?.name || 'Unknown broker'}</div>
                   </td>
                   <td className="p-4">
                     <div className="text-sm text-card-foreground">{date}</div>
@@ -182,17 +232,21 @@ const SyncHistoryTable = () => {
                   </td>
                   <td className="p-4">
                     <div className="text-sm font-medium text-card-foreground">
-                      {sync?.recordsImported}
+                      {(sync?.inserted_count || 0) + (sync?.updated_count || 0)}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      of {sync?.fetched_count || 0} fetched
+                      {sync?.row_errors?.length > 0 && ` · ${sync?.row_errors?.length} errors`}
                     </div>
                   </td>
                   <td className="p-4">
-                    <div className="text-sm text-muted-foreground">{sync?.duration}</div>
+                    <div className="text-sm text-muted-foreground">{formatDuration(sync)}</div>
                   </td>
                   <td className="p-4">
                     <div className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                      sync?.type === 'Automatic' ?'bg-accent/10 text-accent' :'bg-secondary/10 text-secondary'
+                      sync?.trigger_type === 'scheduled' ?'bg-accent/10 text-accent' :'bg-secondary/10 text-secondary'
                     }`}>
-                      {sync?.type}
+                      {triggerLabel}
                     </div>
                   </td>
                   <td className="p-4">
@@ -201,16 +255,17 @@ const SyncHistoryTable = () => {
                         variant="ghost"
                         size="sm"
                         iconName="Eye"
-                        onClick={() => console.log('View details', sync?.id)}
+                        onClick={() => setSelectedRun(sync)}
                         title="View details"
                       />
                       
-                      {sync?.status === 'error' && (
+                      {canRetry(sync) && (
                         <Button
                           variant="ghost"
                           size="sm"
                           iconName="RefreshCw"
-                          onClick={() => console.log('Retry sync', sync?.id)}
+                          loading={retryingRunId === sync?.id}
+                          onClick={() => handleRetry(sync)}
                           title="Retry sync"
                           className="text-accent hover:text-accent/80"
                         />
@@ -223,12 +278,38 @@ const SyncHistoryTable = () => {
           </tbody>
         </table>
       </div>
-      {syncHistory?.length === 0 && (
+      {hasMore && syncHistory?.length > 0 && (
+        <div className="p-4 border-t border-border text-center">
+          <Button
+            variant="outline"
+            onClick={() => loadSyncHistory(syncHistory?.length)}
+            loading={loading}
+          >
+            Load More
+          </Button>
+        </div>
+      )}
+      {loading && syncHistory?.length === 0 && (
+        <div className="p-8 text-center">
+          <Icon name="Loader2" size={32} className="text-muted-foreground mx-auto mb-2 animate-spin" />
+          <p className="text-muted-foreground">Loading sync history...</p>
+        </div>
+      )}
+      {!loading && syncHistory?.length === 0 && (
         <div className="p-8 text-center">
           <Icon name="Clock" size={32} className="text-muted-foreground mx-auto mb-2" />
           <p className="text-muted-foreground">No sync history available</p>
         </div>
       )}
+      <SyncRunDetailModal
+        run={selectedRun}
+        statusConfig={getStatusConfig(selectedRun?.status)}
+        triggerLabel={TRIGGER_LABELS?.[selectedRun?.trigger_type] || selectedRun?.trigger_type}
+        canRetry={canRetry(selectedRun)}
+        retrying={retryingRunId === selectedRun?.id}
+        onRetry={handleRetry}
+        onClose={() => setSelectedRun(null)}
+      />
     </div>
   );
 };
@@ -0,0 +1,114 @@
+import React from 'react';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+
+const SyncRunDetailModal = ({ run, statusConfig, triggerLabel, canRetry, retrying, onRetry, onClose }) => {
+  if (!run) return null;
+
+  const rowErrors = run?.row_errors || [];
+  const formatDateTime = (value) => value ? new Date(value)?.toLocaleString('en-GB') : '—';
+
+  const counts = [
+    { label: 'Fetched', value: run?.fetched_count },
+    { label: 'Inserted', value: run?.inserted_count },
+    { label: 'Updated', value: run?.updated_count },
+    { label: 'Skipped', value: run?.skipped_count }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-card border border-border rounded-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-lg font-semibold text-foreground">{run?.brokers?.name || 'Unknown broker'} Sync</h3>
+            <p className="text-sm text-muted-foreground">{triggerLabel} run · {formatDateTime(run?.started_at)}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-muted-foreground hover:text-foreground transition-colors"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          <div className="flex items-center justify-between">
+            <div className={`inline-flex items-center space-x-2 px-2 py-1 rounded-full ${statusConfig?.bgColor}`}>
+              <Icon name={statusConfig?.icon} size={14} className={statusConfig?.color} />
+              <span className={`text-xs font-medium ${statusConfig?.color}`}>{statusConfig?.label}</span>
+            </div>
+            <div className="text-sm text-muted-foreground">
+              Finished: {formatDateTime(run?.finished_at)}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {counts?.map((count) => (
+              <div key={count?.label} className="bg-muted/30 rounded-lg p-3">
+                <p className="text-xs text-muted-foreground">{count?.label}</p>
+                <p className="text-lg font-semibold text-foreground">{count?.value ?? 0}</p>
+              </div>
+            ))}
+          </div>
+
+          {run?.error_message && (
+            <div className="bg-destructive/10 rounded-lg p-3">
+              <div className="flex items-start space-x-2">
+                <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                <p className="text-sm text-destructive">{run?.error_message}</p>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-sm font-medium text-foreground mb-2">Row errors ({rowErrors?.length})</h4>
+            {rowErrors?.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No rows were rejected in this run.</p>
+            ) : (
+              <div className="border border-border rounded-lg overflow-hidden max-h-64 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/50">
+                    <tr>
+                      <th className="text-left p-2 font-medium text-muted-foreground">External ID</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Symbol</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rowErrors?.map((rowError, index) => (
+                      <tr key={`${rowError?.externalId}-${index}`} className="border-t border-border">
+                        <td className="p-2 font-mono text-xs text-foreground">{rowError?.externalId || '—'}</td>
+                        <td className="p-2 text-foreground">{rowError?.symbol || '—'}</td>
+                        <td className="p-2 text-destructive">{rowError?.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="flex space-x-3">
+            {canRetry && (
+              <Button
+                onClick={() => onRetry(run)}
+                loading={retrying}
+                iconName="RefreshCw"
+                iconPosition="left"
+                fullWidth
+              >
+                Retry Sync
+              </Button>
+            )}
+            <Button variant="outline" onClick={onClose} fullWidth>
+              Close
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncRunDetailModal;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+import ZerodhaService from '../../../services/zerodhaService';
+import SyncRunService from '../../../services/syncRunService';
+
+const ZerodhaLoginModal = ({ isOpen, broker, requestToken, onClose, onSuccess }) => {
+  const [step, setStep] = useState('login'); // login, auth, success
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [session, setSession] = useState(null);
+  const redirectUri = `${window.location?.origin}/broker-integration`;
+
+  // Complete the login when we come back from Kite with a request token
+  useEffect(() => {
+    if (isOpen && requestToken && broker?.id) {
+      handleTokenExchange(requestToken);
+    }
+  }, [isOpen, requestToken, broker?.id]);
+
+  const handleLogin = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const urlResult = await ZerodhaService?.getLoginUrl(broker?.id, {
+        broker: 'zerodha',
+        broker_id: broker?.id
+      });
+      if (!urlResult?.success) {
+        setError(urlResult?.error);
+        return;
+      }
+
+      window.location.href = urlResult?.data;
+    } catch (err) {
+      setError('Failed to start Kite login');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTokenExchange = async (token) => {
+    setStep('auth');
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await ZerodhaService?.exchangeRequestToken(broker?.id, token);
+
+      if (result?.success) {
+        setSession(result?.data);
+        setStep('success');
+        onSuccess?.(result?.data);
+      } else {
+        setError(result?.error);
+        setStep('login');
+      }
+    } catch (err) {
+      setError('Failed to complete Kite login');
+      setStep('login');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSyncData = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await SyncRunService?.track(broker?.id, 'manual', () => ZerodhaService?.importTradesToDatabase(broker?.id));
+      if (result?.success) {
+        onSuccess?.(result?.data);
+        onClose();
+      } else {
+        setError(result?.error);
+      }
+    } catch (err) {
+      setError('Failed to sync data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-card border border-border rounded-xl p-6 w-full max-w-lg mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-gradient-to-r from-orange-500 to-red-500 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-sm">K</span>
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-foreground">Zerodha Kite Login</h3>
+              <p className="text-sm text-muted-foreground">Start a Kite session to import trades</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-muted-foreground hover:text-foreground transition-colors"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        {/* Login Step */}
+        {step === 'login' && (
+          <div className="space-y-4">
+            <div className="bg-accent/10 rounded-lg p-4">
+              <div className="flex items-start space-x-2">
+                <Icon name="Info" size={16} className="text-accent mt-0.5" />
+                <div className="text-sm">
+                  <p className="font-medium text-accent">Setup Instructions</p>
+                  <ol className="text-muted-foreground mt-2 space-y-1 text-xs list-decimal list-inside">
+                    <li>Open your app in the <a href="https://developers.kite.trade/apps" target="_blank" rel="noopener" className="text-accent underline">Kite Connect Developer Console</a></li>
+                    <li>Set Redirect URL to: <code className="bg-muted px-1 rounded text-xs">{redirectUri}</code></li>
+                    <li>Kite sessions expire every morning at 6:00 AM IST, so log in again each trading day</li>
+                  </ol>
+                </div>
+              </div>
+            </div>
+
+            {error && (
+              <div className="bg-destructive/10 rounded-lg p-3">
+                <div className="flex items-start space-x-2">
+                  <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                  <div>
+                    <p className="text-sm font-medium text-destructive">Login Error</p>
+                    <p className="text-sm text-destructive mt-1">{error}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <Button variant="outline" onClick={onClose} fullWidth>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleLogin}
+                loading={loading}
+                iconName="ExternalLink"
+                iconPosition="right"
+                fullWidth
+              >
+                Login with Kite
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Authentication Step */}
+        {step === 'auth' && (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-accent"></div>
+            <span className="ml-3 text-muted-foreground">Completing Kite login...</span>
+          </div>
+        )}
+
+        {/* Success Step */}
+        {step === 'success' && (
+          <div className="space-y-4">
+            <div className="text-center">
+              <div className="w-16 h-16 bg-success/10 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Icon name="CheckCircle" size={24} className="text-success" />
+              </div>
+              <h4 className="text-lg font-semibold text-foreground mb-2">Kite Session Active</h4>
+              <p className="text-muted-foreground mb-4">
+                TradeScope can now import your Zerodha tradebook and orders.
+              </p>
+            </div>
+
+            {session && (
+              <div className="bg-muted/50 rounded-lg p-4 space-y-2">
+                {session?.userName && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">Account:</span>
+                    <span className="text-foreground">{session?.userName} ({session?.userId})</span>
+                  </div>
+                )}
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">Session Expires:</span>
+                  <span className="text-foreground">
+                    {new Date(session.expiresAt)?.toLocaleString()}
+                  </span>
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <div className="bg-destructive/10 rounded-lg p-3">
+                <p className="text-sm text-destructive">{error}</p>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <Button variant="outline" onClick={onClose} fullWidth>
+                Done
+              </Button>
+              <Button
+                onClick={handleSyncData}
+                loading={loading}
+                iconName="RefreshCw"
+                iconPosition="left"
+                fullWidth
+              >
+                Sync Data Now
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ZerodhaLoginModal;
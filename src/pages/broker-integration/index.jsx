@@ -5,30 +5,27 @@ import Button from '../../components/ui/Button';
 import BrokerCard from './components/BrokerCard';
 import AddBrokerModal from './components/AddBrokerModal';
 import SyncHistoryTable from './components/SyncHistoryTable';
+import ReconciliationPanel from './components/ReconciliationPanel';
 import ImportPreferences from './components/ImportPreferences';
 import UpstoxIntegrationModal from './components/UpstoxIntegrationModal';
+import ZerodhaLoginModal from './components/ZerodhaLoginModal';
+import FlexStatementImportModal from './components/FlexStatementImportModal';
+import MT5ReportImportModal from './components/MT5ReportImportModal';
 import { TradingService } from '../../services/tradingService';
-import UpstoxService from '../../services/upstoxService';
+import BrokerRegistry from '../../services/brokerAdapters';
+import TradeMatchingService from '../../services/tradeMatchingService';
 
 const BrokerIntegration = () => {
   const [connectedBrokers, setConnectedBrokers] = useState([]);
   const [availableBrokers] = useState([
-  {
-    id: 'zerodha',
-    name: 'Zerodha Kite',
-    description: 'India\'s largest retail broker',
-    logo: "https://images.unsplash.com/photo-1690692927220-12c0d6305389",
-    features: ['Equity Trading', 'F&O', 'Commodity', 'Currency'],
+  ...BrokerRegistry?.list()?.map((adapter) => ({
+    id: adapter?.key,
+    name: adapter?.label,
+    description: adapter?.description,
+    logo: adapter?.logo,
+    features: adapter?.features,
     supported: true
-  },
-  {
-    id: 'upstox',
-    name: 'Upstox',
-    description: 'Technology-first discount broker',
-    logo: "https://images.unsplash.com/photo-1644995520599-211478ea8254",
-    features: ['Equity Trading', 'F&O', 'Commodity', 'Currency'],
-    supported: true
-  },
+  })),
   {
     id: 'angelone',
     name: 'Angel One',
@@ -48,10 +45,15 @@ const BrokerIntegration = () => {
   );
 
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [addBrokerKey, setAddBrokerKey] = useState(null);
   const [isUpstoxModalOpen, setIsUpstoxModalOpen] = useState(false);
+  const [zerodhaLogin, setZerodhaLogin] = useState(null);
+  const [flexImportBroker, setFlexImportBroker] = useState(null);
+  const [mt5ImportBroker, setMt5ImportBroker] = useState(null);
   const [activeTab, setActiveTab] = useState('brokers');
   const [loading, setLoading] = useState(false);
   const [syncStatus, setSyncStatus] = useState({});
+  const [settingsErrors, setSettingsErrors] = useState({});
 
   // Load connected brokers on component mount
   useEffect(() => {
@@ -59,6 +61,20 @@ const BrokerIntegration = () => {
     loadBrokerStatuses();
   }, []);
 
+  // Handle Kite login redirect (request_token plus our echoed redirect_params)
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    const requestToken = urlParams?.get('request_token');
+    const brokerId = urlParams?.get('broker_id');
+
+    if (urlParams?.get('broker') === 'zerodha' && requestToken && brokerId) {
+      setZerodhaLogin({ broker: { id: brokerId }, requestToken });
+
+      // Clean up URL
+      window.history?.replaceState({}, document.title, window.location?.pathname);
+    }
+  }, []);
+
   const loadConnectedBrokers = async () => {
     setLoading(true);
     try {
@@ -84,10 +100,11 @@ const BrokerIntegration = () => {
     }
   };
 
-  const handleAddBroker = (brokerType) => {
-    if (brokerType === 'upstox') {
+  const handleAddBroker = (brokerKey) => {
+    if (BrokerRegistry?.get(brokerKey)?.connection === 'oauth') {
       setIsUpstoxModalOpen(true);
     } else {
+      setAddBrokerKey(brokerKey);
       setIsAddModalOpen(true);
     }
   };
@@ -98,13 +115,63 @@ const BrokerIntegration = () => {
     setIsUpstoxModalOpen(false);
   };
 
+  const handleManageBroker = (brokerId) => {
+    const broker = connectedBrokers?.find((b) => b?.id === brokerId);
+
+    // Broker-specific management screens, keyed by adapter
+    const manageActions = {
+      upstox: () => setIsUpstoxModalOpen(true),
+      zerodha: () => setZerodhaLogin({ broker, requestToken: null }),
+      interactive: () => setFlexImportBroker(broker),
+      mt5: () => setMt5ImportBroker(broker)
+    };
+
+    manageActions?.[BrokerRegistry?.forBroker(broker)?.key]?.();
+  };
+
+  const handleImportSuccess = async () => {
+    await loadConnectedBrokers();
+    await loadBrokerStatuses();
+  };
+
+  // Show the choice while the broker's round trips are rebuilt, and put the old one back if that fails
+  const updateBrokerSetting = async (brokerId, field, value, apply) => {
+    const previous = connectedBrokers?.find((b) => b?.id === brokerId)?.[field];
+    const setField = (fieldValue) => setConnectedBrokers((prev) => prev?.map((b) => b?.id === brokerId ? { ...b, [field]: fieldValue } : b));
+
+    setSettingsErrors((prev) => ({ ...prev, [brokerId]: '' }));
+    setField(value);
+
+    try {
+      const result = await apply();
+
+      if (result?.success) {
+        await loadConnectedBrokers();
+      } else {
+        setField(previous);
+        setSettingsErrors((prev) => ({ ...prev, [brokerId]: result?.error }));
+      }
+    } catch (error) {
+      setField(previous);
+      setSettingsErrors((prev) => ({ ...prev, [brokerId]: 'Failed to update broker settings' }));
+    }
+  };
+
+  const handleMatchingMethodChange = (brokerId, method) =>
+    updateBrokerSetting(brokerId, 'matching_method', method, () => TradeMatchingService?.setMatchingMethod(brokerId, method));
+
+  const handleChargesPlanChange = (brokerId, plan) =>
+    updateBrokerSetting(brokerId, 'charges_plan', plan, () => TradeMatchingService?.setChargesPlan(brokerId, plan));
+
+  const usesLotMatching = (broker) => BrokerRegistry?.forBroker(broker)?.usesLotMatching ?? true;
+
+  const usesChargesPlan = (broker) => BrokerRegistry?.forBroker(broker)?.usesChargesPlan ?? false;
+
   const handleDisconnectBroker = async (brokerId) => {
     if (window.confirm('Are you sure you want to disconnect this broker? This will stop automatic data synchronization.')) {
       try {
         const broker = connectedBrokers?.find((b) => b?.id === brokerId);
-        if (broker?.name === 'Upstox') {
-          await UpstoxService?.disconnect();
-        }
+        await BrokerRegistry?.forBroker(broker)?.disconnect(broker);
         // Refresh the list
         await loadConnectedBrokers();
         await loadBrokerStatuses();
@@ -121,9 +188,11 @@ const BrokerIntegration = () => {
         [brokerId]: { ...prev?.[brokerId], syncing: true }
       }));
 
-      const result = await TradingService?.syncFromBrokers();
+      const broker = connectedBrokers?.find((b) => b?.id === brokerId);
+      const result = await TradingService?.syncBroker(broker);
 
       if (result?.success) {
+        await loadConnectedBrokers();
         await loadBrokerStatuses();
       } else {
         console.error('Sync failed:', result?.error);
@@ -144,10 +213,13 @@ const BrokerIntegration = () => {
       return sum + (parseInt(broker?.records_imported) || 0);
     }, 0);
 
+    const lastSync = connectedBrokers?.map((b) => b?.last_sync_at)?.filter(Boolean)?.sort()?.pop() || null;
+
     return {
       total: connectedBrokers?.length,
       active: activeCount,
-      totalRecords
+      totalRecords,
+      lastSync
     };
   };
 
@@ -156,6 +228,7 @@ const BrokerIntegration = () => {
   { id: 'brokers', label: 'Connected Brokers', icon: 'Link' },
   { id: 'available', label: 'Available Brokers', icon: 'Plus' },
   { id: 'history', label: 'Sync History', icon: 'Clock' },
+  { id: 'reconciliation', label: 'Reconciliation', icon: 'Scale' },
   { id: 'preferences', label: 'Import Preferences', icon: 'Settings' }];
 
 
@@ -229,8 +302,8 @@ const BrokerIntegration = () => {
                 <div>
                   <p className="text-sm text-muted-foreground">Last Sync</p>
                   <p className="text-2xl font-bold text-card-foreground">
-                    {syncStatus?.upstox?.lastSync ?
-                    new Date(syncStatus.upstox.lastSync)?.toLocaleTimeString() :
+                    {stats?.lastSync ?
+                    new Date(stats.lastSync)?.toLocaleTimeString() :
                     'Never'
                     }
                   </p>
@@ -291,13 +364,16 @@ const BrokerIntegration = () => {
                   key={broker?.id}
                   broker={{
                     ...broker,
-                    logo: broker?.name === 'Upstox' ?
-                    "https://images.unsplash.com/photo-1611974789855-9c2a0a7236a3" :
+                    logo: BrokerRegistry?.forBroker(broker)?.logo ||
                     "https://images.unsplash.com/photo-1690692927220-12c0d6305389",
-                    syncStatus: syncStatus?.[broker?.name?.toLowerCase()]
+                    syncStatus: syncStatus?.[broker?.id],
+                    settingsError: settingsErrors?.[broker?.id]
                   }}
+                  onManage={handleManageBroker}
                   onDisconnect={handleDisconnectBroker}
-                  onSync={handleSyncBroker} />
+                  onSync={handleSyncBroker}
+                  onMatchingMethodChange={usesLotMatching(broker) ? handleMatchingMethodChange : null}
+                  onChargesPlanChange={usesChargesPlan(broker) ? handleChargesPlanChange : null} />
 
                 )}
                   </div>
@@ -365,15 +441,20 @@ const BrokerIntegration = () => {
               </div>
             }
 
-            {activeTab === 'history' && <SyncHistoryTable />}
-            {activeTab === 'preferences' && <ImportPreferences />}
+            {activeTab === 'history' && <SyncHistoryTable onRetryComplete={handleImportSuccess} />}
+            {activeTab === 'reconciliation' && <ReconciliationPanel brokers={connectedBrokers} onFixComplete={handleImportSuccess} />}
+            {activeTab === 'preferences' && <ImportPreferences brokers={connectedBrokers} />}
           </div>
         </div>
       </main>
       {/* Modals */}
       <AddBrokerModal
         isOpen={isAddModalOpen}
-        onClose={() => setIsAddModalOpen(false)}
+        initialBroker={addBrokerKey}
+        onClose={() => {
+          setIsAddModalOpen(false);
+          setAddBrokerKey(null);
+        }}
         onAdd={loadConnectedBrokers} />
 
       <UpstoxIntegrationModal
@@ -381,6 +462,25 @@ const BrokerIntegration = () => {
         onClose={() => setIsUpstoxModalOpen(false)}
         onSuccess={handleUpstoxSuccess} />
 
+      <ZerodhaLoginModal
+        isOpen={!!zerodhaLogin}
+        broker={zerodhaLogin?.broker}
+        requestToken={zerodhaLogin?.requestToken}
+        onClose={() => setZerodhaLogin(null)}
+        onSuccess={handleImportSuccess} />
+
+      <FlexStatementImportModal
+        isOpen={!!flexImportBroker}
+        broker={flexImportBroker}
+        onClose={() => setFlexImportBroker(null)}
+        onSuccess={handleImportSuccess} />
+
+      <MT5ReportImportModal
+        isOpen={!!mt5ImportBroker}
+        broker={mt5ImportBroker}
+        onClose={() => setMt5ImportBroker(null)}
+        onSuccess={handleImportSuccess} />
+
     </div>);
 
 };
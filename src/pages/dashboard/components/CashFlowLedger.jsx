@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import CashFlowService from '../../../services/cashFlowService';
+import FxService from '../../../services/fxService';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const RECENT_LIMIT = 10;
+
+// Deposits, withdrawals, dividends and interest per trading account
+const CashFlowLedger = ({ flows = [], accounts = [], onChanged }) => {
+  const [form, setForm] = useState({
+    accountId: '',
+    type: 'deposit',
+    amount: '',
+    currency: 'USD',
+    date: new Date()?.toISOString()?.slice(0, 10)
+  });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Default to the first account, in its currency
+  useEffect(() => {
+    if (!form?.accountId && accounts?.length) {
+      setForm((prev) => ({ ...prev, accountId: accounts?.[0]?.id, currency: accounts?.[0]?.currency || prev?.currency }));
+    }
+  }, [accounts, form?.accountId]);
+
+  const accountOptions = accounts?.map((account) => ({ value: account?.id, label: account?.account_name }));
+  const typeOptions = Object.entries(CashFlowService?.FLOW_TYPES)?.map(([value, type]) => ({ value, label: type?.label }));
+  const currencyOptions = FxService?.CURRENCIES?.map((code) => ({ value: code, label: code }));
+  const recent = [...flows]?.reverse()?.slice(0, RECENT_LIMIT);
+
+  const handleAccountChange = (accountId) => {
+    const account = accounts?.find((item) => item?.id === accountId);
+    setForm((prev) => ({ ...prev, accountId, currency: account?.currency || prev?.currency }));
+  };
+
+  const handleSave = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const result = await CashFlowService?.addCashFlow(form);
+    if (result?.success) {
+      setForm((prev) => ({ ...prev, amount: '' }));
+      setMessage({ type: 'success', text: `Recorded ${CashFlowService?.FLOW_TYPES?.[form?.type]?.label?.toLowerCase()} of ${formatMoney(parseFloat(form?.amount), form?.currency)}` });
+      await onChanged?.();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+
+    setSaving(false);
+  };
+
+  const handleDelete = async (id) => {
+    const result = await CashFlowService?.deleteCashFlow(id);
+    if (result?.success) {
+      await onChanged?.();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+  };
+
+  if (!accounts?.length) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Connect a broker to create a trading account before recording cash flows.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end mb-6">
+        <Select label="Account" options={accountOptions} value={form?.accountId} onChange={handleAccountChange} />
+        <Select label="Type" options={typeOptions} value={form?.type} onChange={(value) => setForm((prev) => ({ ...prev, type: value }))} />
+        <Input
+          label="Amount"
+          type="number"
+          value={form?.amount}
+          onChange={(e) => setForm((prev) => ({ ...prev, amount: e?.target?.value }))}
+          required
+          min="0"
+          step="any"
+        />
+        <Select label="Currency" options={currencyOptions} value={form?.currency} onChange={(value) => setForm((prev) => ({ ...prev, currency: value }))} />
+        <Input
+          label="Date"
+          type="date"
+          value={form?.date}
+          onChange={(e) => setForm((prev) => ({ ...prev, date: e?.target?.value }))}
+          required
+        />
+        <Button type="submit" iconName="Plus" iconPosition="left" loading={saving}>
+          Record
+        </Button>
+      </form>
+
+      {recent?.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No cash flows recorded yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border">
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Date</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Account</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Type</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Amount</th>
+                <th className="py-2 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {recent?.map((flow) => {
+                const type = CashFlowService?.FLOW_TYPES?.[flow?.flow_type];
+                return (
+                  <tr key={flow?.id} className="border-b border-border">
+                    <td className="py-2 px-2 text-foreground">{new Date(flow?.flow_date)?.toLocaleDateString('en-GB')}</td>
+                    <td className="py-2 px-2 text-foreground">{flow?.trading_accounts?.account_name || '—'}</td>
+                    <td className="py-2 px-2 text-muted-foreground">{type?.label}</td>
+                    <td className={`py-2 px-2 text-right font-mono ${type?.sign < 0 ? 'text-warning' : 'text-foreground'}`}>
+                      {type?.sign < 0 ? '-' : ''}{formatMoney(parseFloat(flow?.amount), flow?.currency)}
+                    </td>
+                    <td className="py-2 px-2 text-right">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDelete(flow?.id)}
+                        title="Delete cash flow"
+                        className="text-destructive hover:text-destructive"
+                      >
+                        <Icon name="Trash2" size={14} />
+                      </Button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {flows?.length > RECENT_LIMIT && (
+            <p className="text-xs text-muted-foreground mt-2">Showing the latest {RECENT_LIMIT} cash flows</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashFlowLedger;
@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import Icon from '../../../components/AppIcon';
+import Select from '../../../components/ui/Select';
+import CashFlowService from '../../../services/cashFlowService';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value?.toFixed(2)}%`);
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-foreground');
+
+// Account equity over time, split into money paid in (contributions), income and trading P&L
+const EquityCurveChart = ({ flows = [], trades = [], accounts = [], currency = 'USD', unconverted = 0 }) => {
+  const [accountId, setAccountId] = useState('');
+
+  const timeline = useMemo(
+    () => CashFlowService?.equityTimeline(flows, trades, { accountId: accountId || null }),
+    [flows, trades, accountId]
+  );
+  const today = new Date()?.toISOString()?.split('T')?.[0];
+  const performance = useMemo(() => CashFlowService?.performance(timeline, today), [timeline, today]);
+
+  const accountOptions = [
+    { value: '', label: 'All accounts' },
+    ...accounts?.map((account) => ({ value: account?.id, label: account?.account_name }))
+  ];
+
+  const stats = [
+    { label: 'Equity', value: formatMoney(performance?.equity, currency) },
+    { label: 'Net Contributions', value: formatMoney(performance?.contributions, currency) },
+    { label: 'Trading P&L', value: formatMoney(performance?.tradingPnl, currency), tone: performance?.tradingPnl },
+    { label: 'Dividends & Interest', value: formatMoney(performance?.income, currency), tone: performance?.income },
+    {
+      label: 'Time-Weighted Return',
+      value: formatPercent(performance?.twr),
+      hint: performance?.twrAnnualised !== null && performance?.twrAnnualised !== undefined ? `${formatPercent(performance?.twrAnnualised)} a year` : 'Ignores timing of deposits',
+      tone: performance?.twr
+    },
+    {
+      label: 'Money-Weighted Return',
+      value: formatPercent(performance?.mwr),
+      hint: 'Annualised (XIRR)',
+      tone: performance?.mwr
+    }
+  ];
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload?.length) {
+      const point = payload?.[0]?.payload;
+      return (
+        <div className="bg-popover border border-border rounded-lg p-3 shadow-lg">
+          <p className="text-sm font-medium text-popover-foreground mb-2">{new Date(label)?.toLocaleDateString('en-GB')}</p>
+          <div className="space-y-1 text-xs">
+            <p className="text-foreground">Equity: <span className="font-semibold">{formatMoney(point?.equity, currency)}</span></p>
+            <p className="text-muted-foreground">Contributions: {formatMoney(point?.contributions, currency)}</p>
+            <p className="text-muted-foreground">Trading P&L: {formatMoney(point?.tradingPnl, currency)}</p>
+            {point?.incomeTotal !== 0 && <p className="text-muted-foreground">Income: {formatMoney(point?.incomeTotal, currency)}</p>}
+            {point?.flow !== 0 && (
+              <p className={point?.flow > 0 ? 'text-success' : 'text-warning'}>
+                {point?.flow > 0 ? 'Deposit' : 'Withdrawal'}: {formatMoney(Math.abs(point?.flow), currency)}
+              </p>
+            )}
+          </div>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <p className="text-sm text-muted-foreground">
+          Returns exclude deposits and withdrawals; dividends and interest count as income.
+        </p>
+        {accounts?.length > 1 && (
+          <div className="w-full sm:w-48">
+            <Select options={accountOptions} value={accountId} onChange={setAccountId} />
+          </div>
+        )}
+      </div>
+
+      {unconverted > 0 && (
+        <div className="flex items-center space-x-1 text-xs text-warning mb-4">
+          <Icon name="AlertTriangle" size={12} />
+          <span>{unconverted} cash flow{unconverted === 1 ? '' : 's'} without an FX rate excluded</span>
+        </div>
+      )}
+
+      {!timeline?.length ? (
+        <div className="flex flex-col items-center justify-center text-center py-12">
+          <Icon name="Wallet" size={40} className="text-muted-foreground mb-3" />
+          <h4 className="text-base font-medium text-foreground mb-1">No equity history yet</h4>
+          <p className="text-sm text-muted-foreground max-w-sm">
+            Record the deposits you made into each account below, so returns can be measured on the money you put in.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+            {stats?.map((stat) => (
+              <div key={stat?.label} className="bg-muted/30 rounded-lg p-4">
+                <p className="text-xs text-muted-foreground">{stat?.label}</p>
+                <p className={`text-xl font-bold ${stat?.tone !== undefined ? pnlColor(stat?.tone) : 'text-foreground'}`}>{stat?.value}</p>
+                {stat?.hint && <p className="text-xs text-muted-foreground mt-1">{stat?.hint}</p>}
+              </div>
+            ))}
+          </div>
+
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={timeline} margin={{ top: 10, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" opacity={0.3} />
+                <XAxis
+                  dataKey="date"
+                  stroke="hsl(var(--muted-foreground))"
+                  fontSize={12}
+                  tickFormatter={(value) => new Date(value)?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                />
+                <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12} tickFormatter={(value) => formatMoney(value, currency)} width={90} />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend />
+                <Area type="stepAfter" dataKey="contributions" name="Net Contributions" stroke="hsl(var(--muted-foreground))" fill="hsl(var(--muted-foreground))" fillOpacity={0.15} />
+                <Line type="monotone" dataKey="equity" name="Equity" stroke="hsl(var(--accent))" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="tradingPnl" name="Trading P&L" stroke="hsl(var(--success))" strokeWidth={2} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EquityCurveChart;
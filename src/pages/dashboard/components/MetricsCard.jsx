@@ -1,7 +1,11 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
+import { formatMoney } from '../../../utils/formatMoney';
+
+// native: per-currency amounts behind a converted value, listed under it when trades span currencies
+const MetricsCard = ({ title, value, change, changeType, changeLabel = 'vs last month', icon, currency = '', native = null, unconverted = 0 }) => {
+  const nativeEntries = Object.entries(native || {})?.filter(([, amount]) => amount !== 0);
 
-const MetricsCard = ({ title, value, change, changeType, icon, currency = '' }) => {
   const getChangeColor = () => {
     if (changeType === 'positive') return 'text-success';
     if (changeType === 'negative') return 'text-destructive';
@@ -32,12 +36,25 @@ const MetricsCard = ({ title, value, change, changeType, icon, currency = '' })
             {value}
           </span>
         </div>
+
+        {nativeEntries?.length > 0 && (
+          <div className="text-xs text-muted-foreground font-mono">
+            {nativeEntries?.map(([code, amount]) => formatMoney(amount, code))?.join(' + ')}
+          </div>
+        )}
+
+        {unconverted > 0 && (
+          <div className="flex items-center space-x-1 text-xs text-warning">
+            <Icon name="AlertTriangle" size={12} />
+            <span>{unconverted} trade{unconverted === 1 ? '' : 's'} without an FX rate excluded</span>
+          </div>
+        )}
         
         {change && (
           <div className={`flex items-center space-x-1 ${getChangeColor()}`}>
             <Icon name={getChangeIcon()} size={14} />
             <span className="text-sm font-medium">{change}</span>
-            <span className="text-xs text-muted-foreground">vs last month</span>
+            <span className="text-xs text-muted-foreground">{changeLabel}</span>
           </div>
         )}
       </div>
@@ -0,0 +1,36 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-foreground');
+
+// One card per portfolio (PortfolioService.breakdown rows); clicking a card shows only that book
+const PortfolioBreakdown = ({ rows = [], currency = 'USD', selected = 'all', onSelect }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+    {rows?.map((row) => {
+      const active = selected === row?.id;
+      return (
+        <button
+          key={row?.id}
+          type="button"
+          onClick={() => onSelect?.(active ? 'all' : row?.id)}
+          className={`text-left rounded-lg p-4 border transition-colors ${
+            active ? 'border-primary bg-primary/5' : 'border-border bg-muted/30 hover:border-primary/50'
+          }`}
+        >
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-foreground truncate">{row?.name}</p>
+            <Icon name={row?.portfolio ? 'Briefcase' : 'HelpCircle'} size={14} className="text-muted-foreground" />
+          </div>
+          <p className={`text-xl font-bold ${pnlColor(row?.pnl)}`}>{formatMoney(row?.pnl, currency)}</p>
+          <p className="text-xs text-muted-foreground mt-1">
+            {row?.trades} closed trade{row?.trades === 1 ? '' : 's'}
+            {row?.winRate !== null && ` · ${row?.winRate?.toFixed(1)}% win rate`}
+          </p>
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default PortfolioBreakdown;
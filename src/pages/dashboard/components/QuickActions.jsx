@@ -15,10 +15,10 @@ const QuickActions = () => {
     {
       id: 'import-trades',
       title: 'Import Trades',
-      description: 'Sync from broker APIs',
+      description: 'Upload CSV or Excel files',
       icon: 'Download',
       color: 'accent',
-      action: () => window.location.href = '/broker-integration'
+      action: () => window.location.href = '/trade-management?action=import'
     },
     {
       id: 'generate-report',
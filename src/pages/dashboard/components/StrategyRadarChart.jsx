@@ -1,90 +1,50 @@
-import React from 'react';
-import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, ResponsiveContainer } from 'recharts';
+import React, { useMemo } from 'react';
+import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Legend, ResponsiveContainer } from 'recharts';
 import Icon from '../../../components/AppIcon';
+import StrategyService from '../../../services/strategyService';
+import { formatMoney } from '../../../utils/formatMoney';
 
-const StrategyRadarChart = () => {
-  // Mock strategy performance data
-  const strategyData = [
-    {
-      strategy: 'Scalping',
-      performance: 85,
-      winRate: 78,
-      riskReward: 72,
-      consistency: 88,
-      profitability: 82
-    },
-    {
-      strategy: 'Swing Trading',
-      performance: 92,
-      winRate: 85,
-      riskReward: 95,
-      consistency: 90,
-      profitability: 89
-    },
-    {
-      strategy: 'Day Trading',
-      performance: 76,
-      winRate: 68,
-      riskReward: 80,
-      consistency: 75,
-      profitability: 78
-    },
-    {
-      strategy: 'Momentum',
-      performance: 88,
-      winRate: 82,
-      riskReward: 85,
-      consistency: 91,
-      profitability: 87
-    },
-    {
-      strategy: 'Mean Reversion',
-      performance: 70,
-      winRate: 65,
-      riskReward: 78,
-      consistency: 68,
-      profitability: 72
-    }
-  ];
+const CHARTED = 3;
+const LISTED = 5;
+const COLORS = ['hsl(var(--primary))', 'hsl(var(--accent))', 'hsl(var(--warning))'];
 
-  // Aggregate data for radar chart
-  const radarData = [
-    {
-      subject: 'Win Rate',
-      A: strategyData?.reduce((sum, item) => sum + item?.winRate, 0) / strategyData?.length,
-      fullMark: 100
-    },
-    {
-      subject: 'Risk/Reward',
-      A: strategyData?.reduce((sum, item) => sum + item?.riskReward, 0) / strategyData?.length,
-      fullMark: 100
-    },
-    {
-      subject: 'Consistency',
-      A: strategyData?.reduce((sum, item) => sum + item?.consistency, 0) / strategyData?.length,
-      fullMark: 100
-    },
-    {
-      subject: 'Profitability',
-      A: strategyData?.reduce((sum, item) => sum + item?.profitability, 0) / strategyData?.length,
-      fullMark: 100
-    },
-    {
-      subject: 'Performance',
-      A: strategyData?.reduce((sum, item) => sum + item?.performance, 0) / strategyData?.length,
-      fullMark: 100
-    }
-  ];
+const AXES = [
+  { key: 'winRate', label: 'Win Rate' },
+  { key: 'riskReward', label: 'Risk/Reward' },
+  { key: 'profitability', label: 'Profitability' },
+  { key: 'activity', label: 'Activity' }
+];
+
+// Stored strategy stats (see StrategyService.scores) for the most traded strategies
+const StrategyRadarChart = ({ strategies = [], currency = 'USD', loading = false }) => {
+  const ranked = useMemo(() => {
+    const traded = strategies?.filter((strategy) => strategy?.total_trades > 0);
+    const maxTrades = Math.max(0, ...traded?.map((strategy) => strategy?.total_trades));
+    return traded
+      ?.map((strategy) => ({ ...strategy, scores: StrategyService?.scores(strategy, maxTrades) }))
+      ?.sort((a, b) => b?.total_trades - a?.total_trades);
+  }, [strategies]);
+
+  const charted = ranked?.slice(0, CHARTED);
+  const radarData = AXES?.map((axis) => ({
+    subject: axis?.label,
+    fullMark: 100,
+    ...Object.fromEntries(charted?.map((strategy) => [strategy?.id, Math.round(strategy?.scores?.[axis?.key])]))
+  }));
+
+  const byScore = [...ranked]?.sort((a, b) => b?.scores?.overall - a?.scores?.overall);
+  const best = byScore?.[0];
+  const weakest = byScore?.length > 1 ? byScore?.[byScore?.length - 1] : null;
 
   const getPerformanceColor = (score) => {
-    if (score >= 85) return 'text-success';
-    if (score >= 70) return 'text-warning';
+    if (score >= 60) return 'text-success';
+    if (score >= 45) return 'text-warning';
     return 'text-destructive';
   };
 
   const getPerformanceIcon = (score) => {
-    if (score >= 85) return 'TrendingUp';
-    if (score >= 70) return 'Minus';
+    if (score >= 60) return 'TrendingUp';
+    if (score >= 45) return 'Minus';
     return 'TrendingDown';
   };
 
@@ -96,85 +56,104 @@ const StrategyRadarChart = () => {
         </div>
         <div>
           <h3 className="text-lg font-semibold text-foreground">Strategy Performance</h3>
-          <p className="text-sm text-muted-foreground">Multi-dimensional analysis</p>
+          <p className="text-sm text-muted-foreground">Win rate, payoff and profit factor of your most traded strategies</p>
         </div>
       </div>
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Radar Chart */}
-        <div className="h-64" aria-label="Strategy Performance Radar Chart">
-          <ResponsiveContainer width="100%" height="100%">
-            <RadarChart data={radarData}>
-              <PolarGrid stroke="hsl(var(--border))" />
-              <PolarAngleAxis 
-                dataKey="subject" 
-                tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }}
-              />
-              <PolarRadiusAxis 
-                angle={90} 
-                domain={[0, 100]} 
-                tick={{ fontSize: 10, fill: 'hsl(var(--muted-foreground))' }}
-              />
-              <Radar
-                name="Performance"
-                dataKey="A"
-                stroke="hsl(var(--primary))"
-                fill="hsl(var(--primary))"
-                fillOpacity={0.2}
-                strokeWidth={2}
-              />
-            </RadarChart>
-          </ResponsiveContainer>
+      {loading && !ranked?.length ? (
+        <div className="text-sm text-muted-foreground py-8 text-center">Loading strategies...</div>
+      ) : !ranked?.length ? (
+        <div className="flex flex-col items-center justify-center text-center py-12">
+          <Icon name="BookOpen" size={40} className="text-muted-foreground mb-3" />
+          <h4 className="text-base font-medium text-foreground mb-1">No strategy stats yet</h4>
+          <p className="text-sm text-muted-foreground max-w-sm">
+            Pick a strategy when you log or import trades; its stats appear here once trades are closed.
+          </p>
         </div>
-
-        {/* Strategy Breakdown */}
-        <div className="space-y-4">
-          <h4 className="text-sm font-semibold text-foreground mb-3">Strategy Breakdown</h4>
-          {strategyData?.map((strategy, index) => (
-            <div key={index} className="flex items-center justify-between p-3 bg-muted/30 rounded-lg">
-              <div className="flex items-center space-x-3">
-                <div className={`p-1.5 rounded-full ${getPerformanceColor(strategy?.performance)} bg-current/10`}>
-                  <Icon 
-                    name={getPerformanceIcon(strategy?.performance)} 
-                    size={14} 
-                    className={getPerformanceColor(strategy?.performance)}
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Radar Chart */}
+            <div className="h-64" aria-label="Strategy Performance Radar Chart">
+              <ResponsiveContainer width="100%" height="100%">
+                <RadarChart data={radarData}>
+                  <PolarGrid stroke="hsl(var(--border))" />
+                  <PolarAngleAxis
+                    dataKey="subject"
+                    tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }}
                   />
-                </div>
-                <div>
-                  <div className="text-sm font-medium text-foreground">
-                    {strategy?.strategy}
+                  <PolarRadiusAxis
+                    angle={90}
+                    domain={[0, 100]}
+                    tick={{ fontSize: 10, fill: 'hsl(var(--muted-foreground))' }}
+                  />
+                  {charted?.map((strategy, index) => (
+                    <Radar
+                      key={strategy?.id}
+                      name={strategy?.name}
+                      dataKey={strategy?.id}
+                      stroke={COLORS?.[index]}
+                      fill={COLORS?.[index]}
+                      fillOpacity={0.15}
+                      strokeWidth={2}
+                    />
+                  ))}
+                  {charted?.length > 1 && <Legend iconType="circle" wrapperStyle={{ fontSize: 12 }} />}
+                </RadarChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Strategy Breakdown */}
+            <div className="space-y-4">
+              <h4 className="text-sm font-semibold text-foreground mb-3">Strategy Breakdown</h4>
+              {ranked?.slice(0, LISTED)?.map((strategy) => (
+                <div key={strategy?.id} className="flex items-center justify-between p-3 bg-muted/30 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <div className={`p-1.5 rounded-full ${getPerformanceColor(strategy?.scores?.overall)} bg-current/10`}>
+                      <Icon
+                        name={getPerformanceIcon(strategy?.scores?.overall)}
+                        size={14}
+                        className={getPerformanceColor(strategy?.scores?.overall)}
+                      />
+                    </div>
+                    <div>
+                      <div className="text-sm font-medium text-foreground">
+                        {strategy?.name}
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {strategy?.total_trades} trades · Win Rate: {strategy?.scores?.winRate?.toFixed(1)}%
+                      </div>
+                    </div>
                   </div>
-                  <div className="text-xs text-muted-foreground">
-                    Win Rate: {strategy?.winRate}%
+                  <div className="text-right">
+                    <div className={`text-sm font-semibold ${parseFloat(strategy?.total_pnl) >= 0 ? 'text-success' : 'text-destructive'}`}>
+                      {formatMoney(parseFloat(strategy?.total_pnl) || 0, currency)}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {formatMoney(strategy?.scores?.expectancy, currency)} / trade
+                    </div>
                   </div>
                 </div>
-              </div>
-              <div className="text-right">
-                <div className={`text-sm font-semibold ${getPerformanceColor(strategy?.performance)}`}>
-                  {strategy?.performance}%
-                </div>
-                <div className="text-xs text-muted-foreground">
-                  Overall
-                </div>
+              ))}
+            </div>
+          </div>
+          {/* Performance Insights */}
+          <div className="mt-6 p-4 bg-accent/5 border border-accent/20 rounded-lg">
+            <div className="flex items-start space-x-3">
+              <Icon name="Lightbulb" size={16} className="text-accent mt-0.5" />
+              <div>
+                <h5 className="text-sm font-medium text-foreground mb-1">Performance Insights</h5>
+                <p className="text-xs text-muted-foreground">
+                  {best?.name} scores best overall ({best?.scores?.overall?.toFixed(0)}/100), winning {best?.scores?.winRate?.toFixed(0)}% of {best?.total_trades} trades
+                  {' '}for an expectancy of {formatMoney(best?.scores?.expectancy, currency)} per trade.
+                  {weakest && ` ${weakest?.name} is weakest (${weakest?.scores?.overall?.toFixed(0)}/100) and may need its rules reviewed.`}
+                </p>
               </div>
             </div>
-          ))}
-        </div>
-      </div>
-      {/* Performance Insights */}
-      <div className="mt-6 p-4 bg-accent/5 border border-accent/20 rounded-lg">
-        <div className="flex items-start space-x-3">
-          <Icon name="Lightbulb" size={16} className="text-accent mt-0.5" />
-          <div>
-            <h5 className="text-sm font-medium text-foreground mb-1">Performance Insights</h5>
-            <p className="text-xs text-muted-foreground">
-              Your swing trading strategy shows the highest consistency (90%) and risk-reward ratio (95%). 
-              Consider focusing more on swing trades while improving mean reversion entry timing.
-            </p>
           </div>
-        </div>
-      </div>
+        </>
+      )}
     </div>
   );
 };
 
-export default StrategyRadarChart;
\ No newline at end of file
+export default StrategyRadarChart;
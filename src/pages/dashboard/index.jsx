@@ -1,17 +1,30 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTrading } from '../../hooks/useTrading';
+import { useFx } from '../../hooks/useFx';
+import { useCashFlows } from '../../hooks/useCashFlows';
+import { usePortfolios } from '../../hooks/usePortfolios';
+import { useStrategies } from '../../hooks/useStrategies';
+import TradingService from '../../services/tradingService';
+import FxService from '../../services/fxService';
+import AnalyticsService from '../../services/analyticsService';
+import CashFlowService from '../../services/cashFlowService';
+import PortfolioService from '../../services/portfolioService';
 import MetricsCard from './components/MetricsCard';
 import DailyPnLChart from './components/DailyPnLChart';
 import RecentTradesTable from './components/RecentTradesTable';
 import StrategyRadarChart from './components/StrategyRadarChart';
+import EquityCurveChart from './components/EquityCurveChart';
+import CashFlowLedger from './components/CashFlowLedger';
+import PortfolioBreakdown from './components/PortfolioBreakdown';
 import Header from '../../components/ui/Header';
+import Select from '../../components/ui/Select';
+import { formatMoney } from '../../utils/formatMoney';
 
 const Dashboard = () => {
   const { user, userProfile, loading: authLoading } = useAuth();
   const {
     trades,
-    portfolio,
     analytics,
     loading,
     error,
@@ -19,10 +32,16 @@ const Dashboard = () => {
     loadPortfolio,
     loadAnalytics
   } = useTrading();
+  const { converter, baseCurrency } = useFx();
+  const { flows: cashFlowRows, accounts, loadCashFlows } = useCashFlows();
+  const { portfolios, portfolioOf } = usePortfolios();
+  const { strategies, loading: strategiesLoading } = useStrategies();
+  const [tradeRows, setTradeRows] = useState([]);
+  const [portfolio, setPortfolio] = useState('all');
   
   const [dashboardMetrics, setDashboardMetrics] = useState({
-    totalPnL: 0,
-    todayPnL: 0,
+    totalPnL: { base: 0, native: {}, unconverted: 0 },
+    todayPnL: { base: 0, native: {}, unconverted: 0 },
     totalTrades: 0,
     winRate: 0,
     activePositions: 0
@@ -32,26 +51,77 @@ const Dashboard = () => {
   useEffect(() => {
     if (user) {
       loadTrades({ limit: 10 }); // Load recent trades
-      loadPortfolio();
       loadAnalytics({
         dateFrom: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)?.toISOString()?.split('T')?.[0], // Last 30 days
         dateTo: new Date()?.toISOString()?.split('T')?.[0]
       });
     }
-  }, [user, loadTrades, loadPortfolio, loadAnalytics]);
+  }, [user, loadTrades, loadAnalytics]);
+
+  // Reloaded with the converter so contributions follow newly loaded FX rates
+  useEffect(() => {
+    if (user) {
+      loadPortfolio(converter);
+    }
+  }, [user, converter, loadPortfolio]);
+
+  // P&L cards sum every trade in its own currency, so they need the full history rather than the recent page
+  useEffect(() => {
+    if (!user) return;
+
+    TradingService?.getAllTrades()?.then((result) => {
+      if (result?.success) {
+        setTradeRows(result?.data || []);
+      }
+    });
+  }, [user]);
+
+  // Everything below is limited to the selected portfolio; trades and cash flows go by their account's portfolio
+  const inPortfolio = useCallback((item) => PortfolioService?.matches(portfolioOf(item), portfolio), [portfolioOf, portfolio]);
+
+  const allTrades = useMemo(
+    () => tradeRows?.map((row) => TradingService?.normaliseTrade(row))?.filter(inPortfolio),
+    [tradeRows, inPortfolio]
+  );
+  const recentTrades = useMemo(
+    () => trades?.filter((row) => inPortfolio(TradingService?.normaliseTrade(row))),
+    [trades, inPortfolio]
+  );
+
+  // Equity curve inputs in the base currency: closed trades net of fees and the cash flow ledger
+  const preparedTrades = useMemo(() => AnalyticsService?.prepareTrades(tradeRows, converter, { portfolioOf })?.trades, [tradeRows, converter, portfolioOf]);
+  const equityTrades = useMemo(
+    () => preparedTrades?.filter((trade) => PortfolioService?.matches(trade?.portfolioId, portfolio)),
+    [preparedTrades, portfolio]
+  );
+  const cashFlows = useMemo(() => {
+    const prepared = CashFlowService?.prepareFlows(cashFlowRows, converter);
+    return { ...prepared, flows: prepared?.flows?.filter(inPortfolio) };
+  }, [cashFlowRows, converter, inPortfolio]);
+  const equityAccounts = useMemo(() => accounts?.filter((account) => inPortfolio({ accountId: account?.id })), [accounts, inPortfolio]);
+  const portfolioRows = useMemo(() => PortfolioService?.breakdown(portfolios, preparedTrades), [portfolios, preparedTrades]);
+  const portfolioOptions = [
+    { value: 'all', label: 'All Portfolios' },
+    ...portfolios?.map((item) => ({ value: item?.id, label: item?.name })),
+    { value: PortfolioService?.UNASSIGNED, label: 'Unassigned' }
+  ];
+  const performance = useMemo(() => CashFlowService?.performance(
+    CashFlowService?.equityTimeline(cashFlows?.flows, equityTrades),
+    new Date()?.toISOString()?.split('T')?.[0]
+  ), [cashFlows, equityTrades]);
 
   // Calculate dashboard metrics
   useEffect(() => {
     const today = new Date()?.toISOString()?.split('T')?.[0];
-    const todayAnalytics = analytics?.find(item => item?.date === today);
-    
-    const totalPnL = portfolio?.totalPnL || 0;
-    const todayPnL = todayAnalytics?.daily_pnl || 0;
-    const totalTrades = trades?.length || 0;
-    const activePositions = trades?.filter(trade => trade?.status === 'open')?.length || 0;
+    const closedAll = allTrades?.filter(trade => trade?.status === 'closed');
+
+    const totalPnL = FxService?.summarise(closedAll, converter);
+    const todayPnL = FxService?.summarise(closedAll?.filter(trade => `${trade?.closedAt}`?.slice(0, 10) === today), converter);
+    const totalTrades = recentTrades?.length || 0;
+    const activePositions = recentTrades?.filter(trade => trade?.status === 'open')?.length || 0;
     
     // Calculate win rate from recent trades
-    const closedTrades = trades?.filter(trade => trade?.status === 'closed') || [];
+    const closedTrades = recentTrades?.filter(trade => trade?.status === 'closed') || [];
     const winningTrades = closedTrades?.filter(trade => (trade?.pnl || 0) > 0)?.length || 0;
     const winRate = closedTrades?.length > 0 ? (winningTrades / closedTrades?.length) * 100 : 0;
 
@@ -62,7 +132,13 @@ const Dashboard = () => {
       winRate,
       activePositions
     });
-  }, [trades, portfolio, analytics]);
+  }, [recentTrades, allTrades, converter]);
+
+  // Native amounts only add information when they are not all already in the base currency
+  const nativeBreakdown = (summary) => {
+    const codes = Object.keys(summary?.native || {});
+    return codes?.some(code => code !== baseCurrency) ? summary?.native : null;
+  };
 
   if (authLoading || loading?.portfolio) {
     return (
@@ -105,29 +181,48 @@ const Dashboard = () => {
       <Header />
       <main className="container mx-auto px-4 py-8">
         {/* Welcome Section */}
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-foreground mb-2">
-            Welcome back, {userProfile?.full_name || user?.email?.split('@')?.[0] || 'Trader'}!
-          </h1>
-          <p className="text-muted-foreground">
-            Here's your trading performance overview
-          </p>
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-foreground mb-2">
+              Welcome back, {userProfile?.full_name || user?.email?.split('@')?.[0] || 'Trader'}!
+            </h1>
+            <p className="text-muted-foreground">
+              Here's your trading performance overview
+            </p>
+          </div>
+          {portfolios?.length > 0 && (
+            <div className="w-full md:w-56">
+              <Select label="Portfolio" options={portfolioOptions} value={portfolio} onChange={setPortfolio} />
+            </div>
+          )}
         </div>
 
+        {/* Portfolios side by side */}
+        {portfolios?.length > 0 && (
+          <div className="mb-8">
+            <PortfolioBreakdown rows={portfolioRows} currency={baseCurrency} selected={portfolio} onSelect={setPortfolio} />
+          </div>
+        )}
+
         {/* Metrics Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
           <MetricsCard
             title="Total P&L"
-            value={`${dashboardMetrics?.totalPnL?.toLocaleString() || '0'}`}
-            change=""
-            changeType={dashboardMetrics?.totalPnL >= 0 ? 'positive' : 'negative'}
+            value={formatMoney(dashboardMetrics?.totalPnL?.base, baseCurrency)}
+            change={performance?.twr !== null && performance?.twr !== undefined ? `${performance?.twr > 0 ? '+' : ''}${performance?.twr?.toFixed(2)}%` : ''}
+            changeLabel="time-weighted return"
+            changeType={dashboardMetrics?.totalPnL?.base >= 0 ? 'positive' : 'negative'}
+            native={nativeBreakdown(dashboardMetrics?.totalPnL)}
+            unconverted={dashboardMetrics?.totalPnL?.unconverted}
             icon="TrendingUp"
           />
           <MetricsCard
             title="Today's P&L"
-            value={`${dashboardMetrics?.todayPnL?.toLocaleString() || '0'}`}
+            value={formatMoney(dashboardMetrics?.todayPnL?.base, baseCurrency)}
             change=""
-            changeType={dashboardMetrics?.todayPnL >= 0 ? 'positive' : 'negative'}
+            changeType={dashboardMetrics?.todayPnL?.base >= 0 ? 'positive' : 'negative'}
+            native={nativeBreakdown(dashboardMetrics?.todayPnL)}
+            unconverted={dashboardMetrics?.todayPnL?.unconverted}
             icon="Calendar"
           />
           <MetricsCard
@@ -164,7 +259,24 @@ const Dashboard = () => {
           {/* Strategy Performance */}
           <div className="bg-card border border-border rounded-xl p-6">
             <h2 className="text-xl font-semibold text-foreground mb-4">Strategy Performance</h2>
-            <StrategyRadarChart data={analytics || []} loading={loading?.analytics} />
+            <StrategyRadarChart strategies={strategies} currency={baseCurrency} loading={strategiesLoading} />
+          </div>
+        </div>
+
+        {/* Equity Curve and Cash Flows */}
+        <div className="bg-card border border-border rounded-xl p-6 mb-8">
+          <h2 className="text-xl font-semibold text-foreground mb-4">Equity Curve</h2>
+          <EquityCurveChart
+            key={portfolio}
+            flows={cashFlows?.flows}
+            trades={equityTrades}
+            accounts={equityAccounts}
+            currency={baseCurrency}
+            unconverted={cashFlows?.unconverted}
+          />
+          <div className="border-t border-border mt-6 pt-6">
+            <h3 className="text-lg font-semibold text-foreground mb-4">Cash Flows</h3>
+            <CashFlowLedger flows={cashFlowRows} accounts={accounts} onChanged={loadCashFlows} />
           </div>
         </div>
 
@@ -172,7 +284,7 @@ const Dashboard = () => {
         <div className="bg-card border border-border rounded-xl p-6">
           <h2 className="text-xl font-semibold text-foreground mb-4">Recent Trades</h2>
           <RecentTradesTable 
-            trades={trades?.slice(0, 8) || []} 
+            trades={recentTrades?.slice(0, 8) || []} 
             loading={loading?.trades}
           />
         </div>
@@ -0,0 +1,52 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const BrokerFundsPanel = ({ brokers }) => {
+  return (
+    <div className="bg-card border border-border rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-card-foreground mb-4">Funds & Margin</h3>
+
+      {brokers?.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No connected broker reports live positions yet. Zerodha, Upstox and Alpaca are supported.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {brokers?.map((broker) => (
+            <div key={broker?.id} className="border border-border rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <span className="font-medium text-card-foreground">{broker?.name}</span>
+                <span className="text-xs text-muted-foreground">{broker?.positionCount} positions</span>
+              </div>
+
+              {broker?.error ? (
+                <div className="flex items-start space-x-2">
+                  <Icon name="AlertCircle" size={14} className="text-destructive mt-0.5" />
+                  <p className="text-xs text-destructive">{broker?.error}</p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="bg-muted/30 rounded-lg p-3">
+                    <p className="text-xs text-muted-foreground">Available</p>
+                    <p className="text-sm font-semibold text-foreground">
+                      {formatMoney(broker?.funds?.available, broker?.funds?.currency)}
+                    </p>
+                  </div>
+                  <div className="bg-muted/30 rounded-lg p-3">
+                    <p className="text-xs text-muted-foreground">Margin Used</p>
+                    <p className="text-sm font-semibold text-foreground">
+                      {formatMoney(broker?.funds?.marginUsed, broker?.funds?.currency)}
+                    </p>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BrokerFundsPanel;
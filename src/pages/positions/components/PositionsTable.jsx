@@ -0,0 +1,115 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const STATUS_CONFIG = {
+  matched: {
+    color: 'text-success',
+    bgColor: 'bg-success/10',
+    icon: 'CheckCircle',
+    label: 'Matched'
+  },
+  quantity_mismatch: {
+    color: 'text-warning',
+    bgColor: 'bg-warning/10',
+    icon: 'AlertCircle',
+    label: 'Qty mismatch'
+  },
+  not_in_journal: {
+    color: 'text-destructive',
+    bgColor: 'bg-destructive/10',
+    icon: 'FileX',
+    label: 'Not in journal'
+  },
+  not_at_broker: {
+    color: 'text-destructive',
+    bgColor: 'bg-destructive/10',
+    icon: 'XCircle',
+    label: 'Not at broker'
+  }
+};
+
+const formatQuantity = (value) => Number(value || 0)?.toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+const PositionsTable = ({ positions, loading }) => {
+  return (
+    <div className="bg-card border border-border rounded-lg">
+      <div className="p-6 border-b border-border">
+        <h3 className="text-lg font-semibold text-card-foreground">Open Positions</h3>
+        <p className="text-sm text-muted-foreground mt-1">
+          Current holdings at your brokers, checked against open trades in your journal
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-muted/50">
+            <tr>
+              <th className="text-left p-4 text-sm font-medium text-muted-foreground">Broker</th>
+              <th className="text-left p-4 text-sm font-medium text-muted-foreground">Symbol</th>
+              <th className="text-right p-4 text-sm font-medium text-muted-foreground">Qty</th>
+              <th className="text-right p-4 text-sm font-medium text-muted-foreground">Avg Price</th>
+              <th className="text-right p-4 text-sm font-medium text-muted-foreground">LTP</th>
+              <th className="text-right p-4 text-sm font-medium text-muted-foreground">Unrealised P&L</th>
+              <th className="text-left p-4 text-sm font-medium text-muted-foreground">Journal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {positions?.map((position, index) => {
+              const statusConfig = STATUS_CONFIG?.[position?.status];
+              const pnl = position?.unrealizedPnl;
+
+              return (
+                <tr key={position?.key} className={`border-b border-border ${index % 2 === 0 ? 'bg-background' : 'bg-muted/20'}`}>
+                  <td className="p-4 text-sm text-card-foreground">{position?.brokerName}</td>
+                  <td className="p-4">
+                    <div className="font-medium text-card-foreground">{position?.symbol}</div>
+                    {position?.exchange && (
+                      <div className="text-xs text-muted-foreground">{position?.exchange}</div>
+                    )}
+                  </td>
+                  <td className={`p-4 text-right text-sm font-medium ${position?.quantity < 0 ? 'text-destructive' : 'text-card-foreground'}`}>
+                    {formatQuantity(position?.quantity)}
+                  </td>
+                  <td className="p-4 text-right text-sm text-card-foreground">
+                    {formatMoney(position?.averagePrice, position?.currency)}
+                  </td>
+                  <td className="p-4 text-right text-sm text-card-foreground">
+                    {formatMoney(position?.lastPrice, position?.currency)}
+                  </td>
+                  <td className={`p-4 text-right text-sm font-medium ${pnl > 0 ? 'text-success' : pnl < 0 ? 'text-destructive' : 'text-card-foreground'}`}>
+                    {formatMoney(pnl, position?.currency)}
+                  </td>
+                  <td className="p-4">
+                    <div className={`inline-flex items-center space-x-2 px-2 py-1 rounded-full ${statusConfig?.bgColor}`}>
+                      <Icon name={statusConfig?.icon} size={14} className={statusConfig?.color} />
+                      <span className={`text-xs font-medium ${statusConfig?.color}`}>{statusConfig?.label}</span>
+                    </div>
+                    {position?.status === 'quantity_mismatch' && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Journal: {formatQuantity(position?.journalQuantity)}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {loading && positions?.length === 0 && (
+        <div className="p-8 text-center">
+          <Icon name="Loader2" size={32} className="text-muted-foreground mx-auto mb-2 animate-spin" />
+          <p className="text-muted-foreground">Loading positions...</p>
+        </div>
+      )}
+      {!loading && positions?.length === 0 && (
+        <div className="p-8 text-center">
+          <Icon name="Briefcase" size={32} className="text-muted-foreground mx-auto mb-2" />
+          <p className="text-muted-foreground">No open positions at your connected brokers</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PositionsTable;
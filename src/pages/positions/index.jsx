@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from '../../components/ui/Header';
+import Icon from '../../components/AppIcon';
+import Button from '../../components/ui/Button';
+import PositionsTable from './components/PositionsTable';
+import { formatMoney } from '../../utils/formatMoney';
+import BrokerFundsPanel from './components/BrokerFundsPanel';
+import PositionsService from '../../services/positionsService';
+
+// Positions and funds come back in each broker's own currency, so totals are kept per currency
+const sumByCurrency = (items, getValue) => items?.reduce((totals, item) => {
+  const value = getValue(item);
+  if (value === null || value === undefined || Number.isNaN(value)) return totals;
+  const currency = item?.currency || item?.funds?.currency || 'USD';
+  return { ...totals, [currency]: (totals?.[currency] || 0) + value };
+}, {});
+
+const formatTotals = (totals) => {
+  const entries = Object.entries(totals || {});
+  if (entries?.length === 0) return '—';
+  return entries?.map(([currency, value]) => formatMoney(value, currency))?.join(' · ');
+};
+
+const Positions = () => {
+  const [positions, setPositions] = useState([]);
+  const [brokers, setBrokers] = useState([]);
+  const [fetchedAt, setFetchedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [refreshInterval, setRefreshInterval] = useState('30000');
+
+  const loadPositions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await PositionsService?.getLivePositions();
+      if (result?.success) {
+        setPositions(result?.data?.positions);
+        setBrokers(result?.data?.brokers);
+        setFetchedAt(result?.data?.fetchedAt);
+      } else {
+        setError(result?.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPositions();
+  }, [loadPositions]);
+
+  useEffect(() => {
+    const interval = Number(refreshInterval);
+    if (!interval) return undefined;
+
+    // Skip refreshes while the tab is hidden to stay within broker rate limits
+    const timer = setInterval(() => {
+      if (document.visibilityState === 'visible') {
+        loadPositions();
+      }
+    }, interval);
+
+    return () => clearInterval(timer);
+  }, [refreshInterval, loadPositions]);
+
+  const issueCount = positions?.filter((position) => position?.status !== 'matched')?.length || 0;
+
+  const summaryCards = [
+    {
+      title: 'Open Positions',
+      value: positions?.filter((position) => position?.status !== 'not_at_broker')?.length || 0,
+      icon: 'Briefcase'
+    },
+    {
+      title: 'Unrealised P&L',
+      value: formatTotals(sumByCurrency(positions, (position) => position?.unrealizedPnl)),
+      icon: 'TrendingUp'
+    },
+    {
+      title: 'Margin Used',
+      value: formatTotals(sumByCurrency(brokers?.filter((broker) => broker?.funds), (broker) => broker?.funds?.marginUsed)),
+      icon: 'Gauge'
+    },
+    {
+      title: 'Journal Differences',
+      value: issueCount,
+      icon: issueCount > 0 ? 'AlertTriangle' : 'CheckCircle'
+    }
+  ];
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header activeRoute="/positions" />
+      <main className="container mx-auto px-4 py-8 pt-24">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8 gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-foreground mb-2">Live Positions</h1>
+            <p className="text-muted-foreground">
+              {fetchedAt
+                ? `Last updated ${new Date(fetchedAt)?.toLocaleTimeString('en-GB')}`
+                : 'Current holdings across your connected brokers'}
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-3">
+            <select
+              value={refreshInterval}
+              onChange={(e) => setRefreshInterval(e?.target?.value)}
+              className="px-3 py-2 border border-border rounded-lg bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring"
+              title="Auto refresh"
+            >
+              {PositionsService?.REFRESH_INTERVALS?.map((option) => (
+                <option key={option?.value} value={option?.value}>
+                  {option?.label}
+                </option>
+              ))}
+            </select>
+
+            <Button
+              variant="outline"
+              iconName="RefreshCw"
+              iconPosition="left"
+              loading={loading}
+              onClick={loadPositions}
+            >
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-destructive/10 rounded-lg p-3">
+            <div className="flex items-start space-x-2">
+              <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+              <p className="text-sm text-destructive">{error}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          {summaryCards?.map((card) => (
+            <div key={card?.title} className="bg-card border border-border rounded-lg p-6">
+              <div className="flex items-center space-x-3 mb-4">
+                <div className="p-2 bg-primary/10 rounded-lg">
+                  <Icon name={card?.icon} size={20} className="text-primary" />
+                </div>
+                <h3 className="text-sm font-medium text-muted-foreground">{card?.title}</h3>
+              </div>
+              <p className="text-2xl font-bold text-foreground">{card?.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-3">
+            <PositionsTable positions={positions} loading={loading} />
+          </div>
+          <div>
+            <BrokerFundsPanel brokers={brokers} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Positions;
@@ -0,0 +1,188 @@
+import React, { useMemo, useRef, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Select from '../../../components/ui/Select';
+import BenchmarkService from '../../../services/benchmarkService';
+import TradeImportService from '../../../services/tradeImportService';
+import { useBenchmarks } from '../../../hooks/useBenchmarks';
+
+const BenchmarkPricesPanel = () => {
+  const { prices, loading, loadPrices } = useBenchmarks();
+  const fileInputRef = useRef(null);
+  const [symbol, setSymbol] = useState(BenchmarkService?.DEFAULT_BENCHMARK);
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const symbolOptions = Object.entries(BenchmarkService?.BENCHMARKS)?.map(([value, benchmark]) => ({
+    value,
+    label: benchmark?.name
+  }));
+  const dateFormatOptions = TradeImportService?.DATE_FORMATS?.map((format) => ({
+    value: format,
+    label: format === 'auto' ? 'Detect automatically' : format
+  }));
+
+  // One summary row per index with stored closes
+  const histories = useMemo(() => Object.keys(BenchmarkService?.BENCHMARKS)
+    ?.map((key) => ({ key, closes: BenchmarkService?.closeSeries(prices, key) }))
+    ?.filter((history) => history?.closes?.length), [prices]);
+
+  const notifyChanged = async () => {
+    await loadPrices();
+    window.dispatchEvent(new CustomEvent('benchmarkPricesChanged'));
+  };
+
+  const handleImport = async (e) => {
+    const file = e?.target?.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    setMessage(null);
+
+    const parsed = await BenchmarkService?.parsePricesFile(file, symbol, dateFormat);
+    if (!parsed?.success) {
+      setMessage({ type: 'error', text: parsed?.error });
+    } else if (!parsed?.data?.prices?.length) {
+      setMessage({ type: 'error', text: `No valid closes found${parsed?.data?.errors?.[0] ? ` (row ${parsed?.data?.errors?.[0]?.rowNumber}: ${parsed?.data?.errors?.[0]?.error})` : ''}` });
+    } else {
+      const result = await BenchmarkService?.savePrices(parsed?.data?.prices, 'import');
+      if (result?.success) {
+        const skipped = parsed?.data?.errors?.length;
+        setMessage({ type: 'success', text: `Imported ${result?.data?.length} closes${skipped ? `, skipped ${skipped} invalid rows` : ''}` });
+        await notifyChanged();
+      } else {
+        setMessage({ type: 'error', text: result?.error });
+      }
+    }
+
+    setImporting(false);
+    if (fileInputRef?.current) fileInputRef.current.value = '';
+  };
+
+  const handleDelete = async (key) => {
+    const result = await BenchmarkService?.deletePrices(key);
+    if (result?.success) {
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6 mt-6">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Benchmark Indices</h3>
+          <p className="text-sm text-muted-foreground">
+            Daily index closes used to compare your returns with NIFTY 50, SENSEX or the S&P 500 on the analytics page.
+          </p>
+        </div>
+        <Icon name="LineChart" size={20} className="text-primary" />
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      {/* CSV import */}
+      <div className="flex flex-col md:flex-row md:items-end gap-3 p-4 bg-muted/30 rounded-lg mb-6">
+        <div className="flex-1">
+          <p className="text-sm font-medium text-foreground">Import price history</p>
+          <p className="text-xs text-muted-foreground mt-1">
+            CSV or XLSX export from NSE, BSE or Yahoo Finance with date and close columns. Closes already stored for the same day are replaced
+          </p>
+        </div>
+        <div className="w-40">
+          <Select
+            label="Index"
+            options={symbolOptions}
+            value={symbol}
+            onChange={setSymbol}
+          />
+        </div>
+        <div className="w-48">
+          <Select
+            label="Date format"
+            options={dateFormatOptions}
+            value={dateFormat}
+            onChange={setDateFormat}
+          />
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          className="hidden"
+          onChange={handleImport}
+        />
+        <Button
+          variant="outline"
+          iconName="Upload"
+          iconPosition="left"
+          loading={importing}
+          onClick={() => fileInputRef?.current?.click()}
+        >
+          Import File
+        </Button>
+      </div>
+
+      {/* Stored histories */}
+      <h4 className="text-sm font-semibold text-foreground mb-3">Stored indices</h4>
+
+      {loading ? (
+        <div className="text-sm text-muted-foreground py-4">Loading prices...</div>
+      ) : histories?.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-4">
+          No index prices yet. Import a daily price history to see how your trading compares with the market.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border">
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Index</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Closes</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">From</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">To</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Last Close</th>
+                <th className="py-2 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {histories?.map(({ key, closes }) => (
+                <tr key={key} className="border-b border-border">
+                  <td className="py-2 px-2 text-foreground">{BenchmarkService?.BENCHMARKS?.[key]?.name}</td>
+                  <td className="py-2 px-2 text-right text-foreground">{closes?.length}</td>
+                  <td className="py-2 px-2 text-foreground">{new Date(closes?.[0]?.date)?.toLocaleDateString('en-GB')}</td>
+                  <td className="py-2 px-2 text-foreground">{new Date(closes?.[closes?.length - 1]?.date)?.toLocaleDateString('en-GB')}</td>
+                  <td className="py-2 px-2 text-right font-mono text-foreground">
+                    {closes?.[closes?.length - 1]?.close?.toLocaleString('en-US', { maximumFractionDigits: 2 })}
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDelete(key)}
+                      title="Delete price history"
+                      className="text-destructive hover:text-destructive"
+                    >
+                      <Icon name="Trash2" size={14} />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPricesPanel;
@@ -0,0 +1,254 @@
+import React, { useMemo, useRef, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import FxService from '../../../services/fxService';
+import TradeImportService from '../../../services/tradeImportService';
+import { useFx } from '../../../hooks/useFx';
+
+const RECENT_LIMIT = 25;
+
+const FxRatesPanel = () => {
+  const { rates, baseCurrency, loading, loadRates } = useFx();
+  const fileInputRef = useRef(null);
+  const [form, setForm] = useState({
+    baseCurrency: 'USD',
+    quoteCurrency: 'INR',
+    rateDate: new Date()?.toISOString()?.slice(0, 10),
+    rate: ''
+  });
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [pairFilter, setPairFilter] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const currencyOptions = FxService?.CURRENCIES?.map((code) => ({ value: code, label: code }));
+  const dateFormatOptions = TradeImportService?.DATE_FORMATS?.map((format) => ({
+    value: format,
+    label: format === 'auto' ? 'Detect automatically' : format
+  }));
+
+  const pairs = useMemo(() => [...new Set(rates?.map((rate) => `${rate?.base_currency}/${rate?.quote_currency}`))], [rates]);
+
+  const visibleRates = useMemo(() => rates
+    ?.filter((rate) => !pairFilter || `${rate?.base_currency}/${rate?.quote_currency}` === pairFilter)
+    ?.slice(-RECENT_LIMIT)
+    ?.reverse(), [rates, pairFilter]);
+
+  const notifyChanged = async () => {
+    await loadRates();
+    window.dispatchEvent(new CustomEvent('fxRatesChanged'));
+  };
+
+  const handleSave = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const result = await FxService?.saveRates([form], 'manual');
+    if (result?.success) {
+      setForm((prev) => ({ ...prev, rate: '' }));
+      setMessage({ type: 'success', text: `Saved ${form?.baseCurrency}/${form?.quoteCurrency} for ${form?.rateDate}` });
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+
+    setSaving(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e?.target?.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    setMessage(null);
+
+    const parsed = await FxService?.parseRatesFile(file, dateFormat);
+    if (!parsed?.success) {
+      setMessage({ type: 'error', text: parsed?.error });
+    } else if (!parsed?.data?.rates?.length) {
+      setMessage({ type: 'error', text: `No valid rates found${parsed?.data?.errors?.[0] ? ` (row ${parsed?.data?.errors?.[0]?.rowNumber}: ${parsed?.data?.errors?.[0]?.error})` : ''}` });
+    } else {
+      const result = await FxService?.saveRates(parsed?.data?.rates, 'import');
+      if (result?.success) {
+        const skipped = parsed?.data?.errors?.length;
+        setMessage({ type: 'success', text: `Imported ${result?.data?.length} rates${skipped ? `, skipped ${skipped} invalid rows` : ''}` });
+        await notifyChanged();
+      } else {
+        setMessage({ type: 'error', text: result?.error });
+      }
+    }
+
+    setImporting(false);
+    if (fileInputRef?.current) fileInputRef.current.value = '';
+  };
+
+  const handleDelete = async (id) => {
+    const result = await FxService?.deleteRate(id);
+    if (result?.success) {
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6 mt-6">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">FX Rates</h3>
+          <p className="text-sm text-muted-foreground">
+            Trades are converted into {baseCurrency} at the rate on their trade date. Pairs without a direct rate are crossed through USD.
+          </p>
+        </div>
+        <Icon name="ArrowRightLeft" size={20} className="text-primary" />
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      {/* Manual entry */}
+      <form onSubmit={handleSave} className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end mb-6">
+        <Select
+          label="Base"
+          options={currencyOptions}
+          value={form?.baseCurrency}
+          onChange={(value) => setForm((prev) => ({ ...prev, baseCurrency: value }))}
+        />
+        <Select
+          label="Quote"
+          options={currencyOptions}
+          value={form?.quoteCurrency}
+          onChange={(value) => setForm((prev) => ({ ...prev, quoteCurrency: value }))}
+        />
+        <Input
+          label="Date"
+          type="date"
+          value={form?.rateDate}
+          onChange={(e) => setForm((prev) => ({ ...prev, rateDate: e?.target?.value }))}
+          required
+        />
+        <Input
+          label={`1 ${form?.baseCurrency} =`}
+          type="number"
+          placeholder={form?.quoteCurrency}
+          value={form?.rate}
+          onChange={(e) => setForm((prev) => ({ ...prev, rate: e?.target?.value }))}
+          required
+          min="0"
+          step="any"
+        />
+        <Button type="submit" iconName="Plus" iconPosition="left" loading={saving}>
+          Add Rate
+        </Button>
+      </form>
+
+      {/* CSV import */}
+      <div className="flex flex-col md:flex-row md:items-end gap-3 p-4 bg-muted/30 rounded-lg mb-6">
+        <div className="flex-1">
+          <p className="text-sm font-medium text-foreground">Import historical rates</p>
+          <p className="text-xs text-muted-foreground mt-1">
+            CSV or XLSX with a date column, a rate column and either a pair column (USDINR, EUR/USD) or base and quote columns
+          </p>
+        </div>
+        <div className="w-48">
+          <Select
+            label="Date format"
+            options={dateFormatOptions}
+            value={dateFormat}
+            onChange={setDateFormat}
+          />
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          className="hidden"
+          onChange={handleImport}
+        />
+        <Button
+          variant="outline"
+          iconName="Upload"
+          iconPosition="left"
+          loading={importing}
+          onClick={() => fileInputRef?.current?.click()}
+        >
+          Import File
+        </Button>
+      </div>
+
+      {/* Stored rates */}
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-foreground">
+          Stored rates <span className="text-muted-foreground font-normal">({rates?.length})</span>
+        </h4>
+        {pairs?.length > 1 && (
+          <div className="w-40">
+            <Select
+              options={[{ value: '', label: 'All pairs' }, ...pairs?.map((pair) => ({ value: pair, label: pair }))]}
+              value={pairFilter}
+              onChange={setPairFilter}
+            />
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="text-sm text-muted-foreground py-4">Loading rates...</div>
+      ) : visibleRates?.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-4">
+          No rates yet. Add rates for each currency your trades use so totals can be shown in {baseCurrency}.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border">
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Date</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Pair</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Rate</th>
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Source</th>
+                <th className="py-2 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRates?.map((rate) => (
+                <tr key={rate?.id} className="border-b border-border">
+                  <td className="py-2 px-2 text-foreground">{new Date(rate?.rate_date)?.toLocaleDateString('en-GB')}</td>
+                  <td className="py-2 px-2 text-foreground">{rate?.base_currency}/{rate?.quote_currency}</td>
+                  <td className="py-2 px-2 text-right font-mono text-foreground">{parseFloat(rate?.rate)}</td>
+                  <td className="py-2 px-2 text-muted-foreground capitalize">{rate?.source}</td>
+                  <td className="py-2 px-2 text-right">
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDelete(rate?.id)}
+                      title="Delete rate"
+                      className="text-destructive hover:text-destructive"
+                    >
+                      <Icon name="Trash2" size={14} />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rates?.length > RECENT_LIMIT && !pairFilter && (
+            <p className="text-xs text-muted-foreground mt-2">Showing the latest {RECENT_LIMIT} rates</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FxRatesPanel;
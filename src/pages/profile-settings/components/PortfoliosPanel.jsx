@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import PortfolioService from '../../../services/portfolioService';
+import { usePortfolios } from '../../../hooks/usePortfolios';
+import { useFx } from '../../../hooks/useFx';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-foreground');
+
+const PortfoliosPanel = () => {
+  const { portfolios, accounts, strategies, loading, loadPortfolios } = usePortfolios();
+  const { baseCurrency } = useFx();
+  const [form, setForm] = useState({ name: '', description: '' });
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const notifyChanged = async () => {
+    await loadPortfolios();
+    window.dispatchEvent(new CustomEvent('portfoliosChanged'));
+  };
+
+  const report = async (result, text) => {
+    if (result?.success) {
+      setMessage(text ? { type: 'success', text } : null);
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+    return result?.success;
+  };
+
+  const handleCreate = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    if (await report(await PortfolioService?.createPortfolio(form), `Created ${form?.name?.trim()}`)) {
+      setForm({ name: '', description: '' });
+    }
+
+    setSaving(false);
+  };
+
+  const handleRename = async () => {
+    if (await report(await PortfolioService?.updatePortfolio(editing?.id, editing), null)) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = async (portfolio) => {
+    await report(await PortfolioService?.deletePortfolio(portfolio?.id), `Deleted ${portfolio?.name}; its accounts and strategies are unassigned`);
+  };
+
+  // Accounts and strategies in another portfolio are not offered, as each belongs to one portfolio only
+  const membersOf = (portfolio) => {
+    const members = portfolio?.portfolio_members || [];
+    return {
+      accountIds: members?.map((member) => member?.trading_account_id)?.filter(Boolean),
+      strategies: members?.map((member) => member?.strategy)?.filter(Boolean)
+    };
+  };
+
+  const takenElsewhere = (portfolio) => {
+    const others = portfolios?.filter((other) => other?.id !== portfolio?.id)?.map(membersOf);
+    return {
+      accountIds: new Set(others?.flatMap((other) => other?.accountIds)),
+      strategyKeys: new Set(others?.flatMap((other) => other?.strategies)?.map((name) => PortfolioService?.strategyKey(name)))
+    };
+  };
+
+  const handleMembersChange = async (portfolio, changes) => {
+    await report(await PortfolioService?.setMembers(portfolio, { ...membersOf(portfolio), ...changes }), null);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6 mt-6">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Portfolios</h3>
+          <p className="text-sm text-muted-foreground">
+            Group trading accounts and strategies into separate books. A trade counts towards its account's portfolio, or its strategy's when the account is not assigned.
+          </p>
+        </div>
+        <Icon name="Briefcase" size={20} className="text-primary" />
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-6">
+        <Input
+          label="Name"
+          placeholder="e.g. Prop"
+          value={form?.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e?.target?.value }))}
+          required
+        />
+        <div className="md:col-span-2">
+          <Input
+            label="Description"
+            placeholder="Optional"
+            value={form?.description}
+            onChange={(e) => setForm((prev) => ({ ...prev, description: e?.target?.value }))}
+          />
+        </div>
+        <Button type="submit" iconName="Plus" iconPosition="left" loading={saving}>
+          Add Portfolio
+        </Button>
+      </form>
+
+      {loading && !portfolios?.length ? (
+        <div className="text-sm text-muted-foreground py-4">Loading portfolios...</div>
+      ) : portfolios?.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-4">
+          No portfolios yet. Create one per book, then assign its accounts or strategies.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {portfolios?.map((portfolio) => {
+            const members = membersOf(portfolio);
+            const taken = takenElsewhere(portfolio);
+            const accountOptions = accounts
+              ?.filter((account) => !taken?.accountIds?.has(account?.id))
+              ?.map((account) => ({ value: account?.id, label: account?.account_name }));
+            const ownKeys = new Set(members?.strategies?.map((name) => PortfolioService?.strategyKey(name)));
+            const strategyOptions = [
+              ...members?.strategies,
+              ...strategies?.filter((name) => {
+                const key = PortfolioService?.strategyKey(name);
+                return !ownKeys?.has(key) && !taken?.strategyKeys?.has(key);
+              })
+            ]?.map((name) => ({ value: name, label: name }));
+            const percentage = portfolio?.total_pnl_percentage !== null && portfolio?.total_pnl_percentage !== undefined ?
+              parseFloat(portfolio?.total_pnl_percentage) : null;
+
+            return (
+              <div key={portfolio?.id} className="border border-border rounded-lg p-4">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-4">
+                  {editing?.id === portfolio?.id ? (
+                    <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                      <Input
+                        label="Name"
+                        value={editing?.name}
+                        onChange={(e) => setEditing((prev) => ({ ...prev, name: e?.target?.value }))}
+                      />
+                      <Input
+                        label="Description"
+                        value={editing?.description || ''}
+                        onChange={(e) => setEditing((prev) => ({ ...prev, description: e?.target?.value }))}
+                      />
+                      <div className="flex space-x-2">
+                        <Button size="sm" onClick={handleRename}>Save</Button>
+                        <Button size="sm" variant="ghost" onClick={() => setEditing(null)}>Cancel</Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <h4 className="font-semibold text-foreground">{portfolio?.name}</h4>
+                      {portfolio?.description && <p className="text-sm text-muted-foreground">{portfolio?.description}</p>}
+                    </div>
+                  )}
+
+                  <div className="flex items-center space-x-6">
+                    <div className="text-right">
+                      <p className="text-xs text-muted-foreground">P&L</p>
+                      <p className={`font-semibold font-mono ${pnlColor(parseFloat(portfolio?.total_pnl))}`}>
+                        {formatMoney(parseFloat(portfolio?.total_pnl) || 0, baseCurrency)}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-xs text-muted-foreground">Return</p>
+                      <p className={`font-semibold font-mono ${pnlColor(percentage)}`}>
+                        {percentage === null ? '—' : `${percentage > 0 ? '+' : ''}${percentage?.toFixed(2)}%`}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-xs text-muted-foreground">Account Value</p>
+                      <p className="font-semibold font-mono text-foreground">{formatMoney(parseFloat(portfolio?.total_value) || 0, baseCurrency)}</p>
+                    </div>
+                    <div className="flex">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setEditing({ id: portfolio?.id, name: portfolio?.name, description: portfolio?.description })}
+                        title="Rename portfolio"
+                      >
+                        <Icon name="Pencil" size={14} />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDelete(portfolio)}
+                        title="Delete portfolio"
+                        className="text-destructive hover:text-destructive"
+                      >
+                        <Icon name="Trash2" size={14} />
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <Select
+                    label="Trading accounts"
+                    multiple
+                    placeholder={accountOptions?.length ? 'No accounts' : 'All accounts are assigned elsewhere'}
+                    options={accountOptions}
+                    value={members?.accountIds}
+                    onChange={(accountIds) => handleMembersChange(portfolio, { accountIds })}
+                  />
+                  <Select
+                    label="Strategies"
+                    multiple
+                    searchable
+                    placeholder={strategyOptions?.length ? 'No strategies' : 'No strategies to assign'}
+                    options={strategyOptions}
+                    value={members?.strategies}
+                    onChange={(names) => handleMembersChange(portfolio, { strategies: names })}
+                  />
+                </div>
+              </div>
+            );
+          })}
+          <p className="text-xs text-muted-foreground">
+            P&L is closed-trade P&L net of fees in {baseCurrency}; return is measured on net deposits into the portfolio's accounts.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfoliosPanel;
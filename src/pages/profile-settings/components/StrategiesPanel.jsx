@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import StrategyService from '../../../services/strategyService';
+import { useStrategies } from '../../../hooks/useStrategies';
+import { useFx } from '../../../hooks/useFx';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const EMPTY_FORM = { id: null, name: '', description: '', parameters: '' };
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-foreground');
+
+const amount = (value, currency) => (value === null || value === undefined ? '—' : formatMoney(parseFloat(value), currency));
+
+const StrategiesPanel = () => {
+  const { strategies, loading, loadStrategies } = useStrategies();
+  const { baseCurrency } = useFx();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const notifyChanged = async () => {
+    await loadStrategies();
+    window.dispatchEvent(new CustomEvent('strategiesChanged'));
+  };
+
+  const report = async (result, text) => {
+    if (result?.success) {
+      setMessage(text ? { type: 'success', text } : null);
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+    return result?.success;
+  };
+
+  const handleSave = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const result = form?.id ?
+      await StrategyService?.updateStrategy(form?.id, form) :
+      await StrategyService?.createStrategy(form);
+    if (await report(result, `${form?.id ? 'Updated' : 'Created'} ${form?.name?.trim()}`)) {
+      setForm(EMPTY_FORM);
+    }
+
+    setSaving(false);
+  };
+
+  const handleEdit = (strategy) => {
+    setMessage(null);
+    setForm({
+      id: strategy?.id,
+      name: strategy?.name,
+      description: strategy?.description || '',
+      parameters: strategy?.parameters ? JSON.stringify(strategy?.parameters, null, 2) : ''
+    });
+  };
+
+  const handleToggleActive = async (strategy) => {
+    await report(await StrategyService?.setActive(strategy?.id, strategy?.is_active === false), null);
+  };
+
+  const handleDelete = async (strategy) => {
+    await report(await StrategyService?.deleteStrategy(strategy?.id), `Deleted ${strategy?.name}; its trades are kept without a strategy`);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6 mt-6">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Strategies</h3>
+          <p className="text-sm text-muted-foreground">
+            Your playbooks. Stats update as trades are closed, edited or imported; new strategy names in imports are added here automatically.
+          </p>
+        </div>
+        <Icon name="BookOpen" size={20} className="text-primary" />
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="space-y-3 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <Input
+            label="Name"
+            placeholder="e.g. Opening range breakout"
+            value={form?.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e?.target?.value }))}
+            required
+          />
+          <div className="md:col-span-2">
+            <Input
+              label="Description"
+              placeholder="Setup, entry and exit rules"
+              value={form?.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e?.target?.value }))}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-foreground mb-2">Parameters (optional JSON)</label>
+          <textarea
+            className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary"
+            rows={3}
+            placeholder='{"timeframe": "15m", "maxRiskPercent": 1}'
+            value={form?.parameters}
+            onChange={(e) => setForm((prev) => ({ ...prev, parameters: e?.target?.value }))}
+          />
+        </div>
+        <div className="flex space-x-2">
+          <Button type="submit" iconName={form?.id ? 'Save' : 'Plus'} iconPosition="left" loading={saving}>
+            {form?.id ? 'Save Strategy' : 'Add Strategy'}
+          </Button>
+          {form?.id && (
+            <Button variant="ghost" onClick={() => setForm(EMPTY_FORM)}>Cancel</Button>
+          )}
+        </div>
+      </form>
+
+      {loading && !strategies?.length ? (
+        <div className="text-sm text-muted-foreground py-4">Loading strategies...</div>
+      ) : strategies?.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-4">
+          No strategies yet. Add the playbooks you trade so each trade can be linked to one.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-border">
+                <th className="text-left py-2 px-2 font-medium text-muted-foreground">Strategy</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Trades</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Win Rate</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Avg Win</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Avg Loss</th>
+                <th className="text-right py-2 px-2 font-medium text-muted-foreground">Total P&L</th>
+                <th className="py-2 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {strategies?.map((strategy) => (
+                <tr key={strategy?.id} className={`border-b border-border ${strategy?.is_active === false ? 'opacity-60' : ''}`}>
+                  <td className="py-2 px-2">
+                    <div className="text-foreground font-medium">
+                      {strategy?.name}
+                      {strategy?.is_active === false && <span className="ml-2 text-xs text-muted-foreground">(archived)</span>}
+                    </div>
+                    {strategy?.description && <div className="text-xs text-muted-foreground">{strategy?.description}</div>}
+                  </td>
+                  <td className="py-2 px-2 text-right font-mono text-foreground">{strategy?.total_trades || 0}</td>
+                  <td className="py-2 px-2 text-right font-mono text-foreground">
+                    {strategy?.win_rate === null || strategy?.win_rate === undefined ? '—' : `${parseFloat(strategy?.win_rate)?.toFixed(1)}%`}
+                  </td>
+                  <td className="py-2 px-2 text-right font-mono text-success">{amount(strategy?.avg_profit, baseCurrency)}</td>
+                  <td className="py-2 px-2 text-right font-mono text-destructive">{amount(strategy?.avg_loss, baseCurrency)}</td>
+                  <td className={`py-2 px-2 text-right font-mono ${pnlColor(parseFloat(strategy?.total_pnl))}`}>{amount(strategy?.total_pnl, baseCurrency)}</td>
+                  <td className="py-2 px-2 text-right whitespace-nowrap">
+                    <Button variant="ghost" size="icon" onClick={() => handleEdit(strategy)} title="Edit strategy">
+                      <Icon name="Pencil" size={14} />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleToggleActive(strategy)}
+                      title={strategy?.is_active === false ? 'Restore strategy' : 'Archive strategy'}
+                    >
+                      <Icon name={strategy?.is_active === false ? 'ArchiveRestore' : 'Archive'} size={14} />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDelete(strategy)}
+                      title="Delete strategy"
+                      className="text-destructive hover:text-destructive"
+                    >
+                      <Icon name="Trash2" size={14} />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-muted-foreground mt-2">Amounts are closed-trade P&L net of fees in {baseCurrency}.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StrategiesPanel;
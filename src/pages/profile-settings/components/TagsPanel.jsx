@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import TagService from '../../../services/tagService';
+import { useTags } from '../../../hooks/useTags';
+
+const TagsPanel = () => {
+  const { tagGroups, loading, loadTags } = useTags();
+  const [groupName, setGroupName] = useState('');
+  const [tagForm, setTagForm] = useState({ groupId: '', name: '', color: '' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const groupOptions = tagGroups?.map((group) => ({ value: group?.id, label: group?.name }));
+  const tagColor = tagForm?.color || TagService?.nextColor(tagGroups);
+
+  const notifyChanged = async () => {
+    await loadTags();
+    window.dispatchEvent(new CustomEvent('tagsChanged'));
+  };
+
+  const report = async (result, text) => {
+    if (result?.success) {
+      setMessage(text ? { type: 'success', text } : null);
+      await notifyChanged();
+    } else {
+      setMessage({ type: 'error', text: result?.error });
+    }
+    return result?.success;
+  };
+
+  const handleAddGroup = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    if (await report(await TagService?.createGroup(groupName), `Added group ${groupName?.trim()}`)) {
+      setGroupName('');
+    }
+
+    setSaving(false);
+  };
+
+  const handleAddTag = async (e) => {
+    e?.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const result = await TagService?.createTag({ ...tagForm, color: tagColor });
+    if (await report(result, `Added tag ${tagForm?.name?.trim()}`)) {
+      setTagForm((prev) => ({ ...prev, name: '', color: '' }));
+    }
+
+    setSaving(false);
+  };
+
+  const handleDeleteGroup = async (group) => {
+    await report(await TagService?.deleteGroup(group?.id), `Deleted ${group?.name} and its tags`);
+  };
+
+  const handleDeleteTag = async (tag) => {
+    await report(await TagService?.deleteTag(tag?.id), `Deleted ${tag?.name}; it was removed from its trades`);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl p-6 mt-6">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Trade Tags</h3>
+          <p className="text-sm text-muted-foreground">
+            Tags grouped by what they describe, such as the setup, a mistake, your emotion or the market condition. Tag trades from Trade Management and compare them in Analytics.
+          </p>
+        </div>
+        <Icon name="Tags" size={20} className="text-primary" />
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center space-x-2 text-sm ${
+          message?.type === 'success' ? 'bg-success/10 text-success' : 'bg-destructive/10 text-destructive'
+        }`}>
+          <Icon name={message?.type === 'success' ? 'CheckCircle' : 'AlertCircle'} size={16} />
+          <span>{message?.text}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <form onSubmit={handleAddTag} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3 items-end">
+          <Select
+            label="Group"
+            options={groupOptions}
+            value={tagForm?.groupId}
+            onChange={(value) => setTagForm((prev) => ({ ...prev, groupId: value }))}
+            placeholder="Choose a group"
+          />
+          <Input
+            label="Tag"
+            placeholder="e.g. Breakout, FOMO, Trending"
+            value={tagForm?.name}
+            onChange={(e) => setTagForm((prev) => ({ ...prev, name: e?.target?.value }))}
+            required
+          />
+          <div className="flex items-end space-x-2">
+            <input
+              type="color"
+              aria-label="Tag colour"
+              className="h-10 w-10 rounded border border-border bg-background cursor-pointer"
+              value={tagColor}
+              onChange={(e) => setTagForm((prev) => ({ ...prev, color: e?.target?.value }))}
+            />
+            <Button type="submit" iconName="Plus" iconPosition="left" loading={saving} disabled={!tagForm?.groupId}>
+              Add Tag
+            </Button>
+          </div>
+        </form>
+
+        <form onSubmit={handleAddGroup} className="flex items-end space-x-3">
+          <div className="flex-1">
+            <Input
+              label="New Group"
+              placeholder="e.g. Timeframe"
+              value={groupName}
+              onChange={(e) => setGroupName(e?.target?.value)}
+              required
+            />
+          </div>
+          <Button type="submit" variant="outline" iconName="FolderPlus" iconPosition="left" loading={saving}>
+            Add Group
+          </Button>
+        </form>
+      </div>
+
+      {loading && !tagGroups?.length ? (
+        <div className="text-sm text-muted-foreground py-4">Loading tags...</div>
+      ) : tagGroups?.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-4">
+          No tag groups yet. Add a group, then the tags you want to journal with.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {tagGroups?.map((group) => (
+            <div key={group?.id} className="border border-border rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-foreground">{group?.name}</h4>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleDeleteGroup(group)}
+                  title="Delete group and its tags"
+                  className="text-destructive hover:text-destructive"
+                >
+                  <Icon name="Trash2" size={14} />
+                </Button>
+              </div>
+              {group?.tags?.length ? (
+                <div className="flex flex-wrap gap-2">
+                  {group?.tags?.map((tag) => (
+                    <span
+                      key={tag?.id}
+                      className="inline-flex items-center space-x-1 pl-2 pr-1 py-0.5 rounded-full border border-border text-xs text-foreground"
+                    >
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: tag?.color || 'hsl(var(--muted-foreground))' }} />
+                      <span>{tag?.name}</span>
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteTag(tag)}
+                        className="p-0.5 rounded-full text-muted-foreground hover:text-destructive"
+                        title="Delete tag"
+                      >
+                        <Icon name="X" size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs text-muted-foreground">No tags in this group yet.</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagsPanel;
@@ -5,6 +5,11 @@ import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Icon from '../../components/AppIcon';
+import FxRatesPanel from './components/FxRatesPanel';
+import BenchmarkPricesPanel from './components/BenchmarkPricesPanel';
+import PortfoliosPanel from './components/PortfoliosPanel';
+import StrategiesPanel from './components/StrategiesPanel';
+import TagsPanel from './components/TagsPanel';
 
 const ProfileSettings = () => {
   const navigate = useNavigate();
@@ -83,7 +88,8 @@ const ProfileSettings = () => {
     { value: 'INR', label: 'Indian Rupee (₹)' },
     { value: 'USD', label: 'US Dollar ($)' },
     { value: 'EUR', label: 'Euro (€)' },
-    { value: 'GBP', label: 'British Pound (£)' }
+    { value: 'GBP', label: 'British Pound (£)' },
+    { value: 'JPY', label: 'Japanese Yen (¥)' }
   ];
 
   const riskOptions = [
@@ -293,6 +299,12 @@ const ProfileSettings = () => {
             </Button>
           </div>
         </form>
+
+        <StrategiesPanel />
+        <TagsPanel />
+        <PortfoliosPanel />
+        <FxRatesPanel />
+        <BenchmarkPricesPanel />
       </main>
     </div>
   );
@@ -0,0 +1,82 @@
+import React from 'react';
+import { formatMoney } from '../../../utils/formatMoney';
+
+const TaxScheduleTable = ({ label, schedule, rows, totals, showTurnover }) => {
+  const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-card-foreground');
+
+  return (
+    <div className="bg-card border border-border rounded-lg">
+      <div className="p-6 border-b border-border flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+        <div>
+          <h3 className="text-lg font-semibold text-card-foreground">{label}</h3>
+          <p className="text-sm text-muted-foreground mt-1">{schedule}</p>
+        </div>
+        <div className="text-sm text-muted-foreground">
+          {totals?.count} trades · Net <span className={`font-semibold ${pnlColor(totals?.netPnl)}`}>{formatMoney(totals?.netPnl, 'INR')}</span>
+        </div>
+      </div>
+      {rows?.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-muted/50">
+              <tr>
+                <th className="text-left p-4 text-sm font-medium text-muted-foreground">Symbol</th>
+                <th className="text-left p-4 text-sm font-medium text-muted-foreground">Closed</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Held</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Buy Value</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Sell Value</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Gross P&L</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Charges</th>
+                <th className="text-right p-4 text-sm font-medium text-muted-foreground">Net P&L</th>
+                {showTurnover && (
+                  <th className="text-right p-4 text-sm font-medium text-muted-foreground">Turnover</th>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {rows?.map((row, index) => (
+                <tr key={row?.id} className={`border-b border-border ${index % 2 === 0 ? 'bg-background' : 'bg-muted/20'}`}>
+                  <td className="p-4">
+                    <div className="font-medium text-card-foreground">{row?.symbol}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {row?.side === 'short' ? 'Short' : 'Long'} · {Number(row?.quantity || 0)?.toLocaleString('en-IN')}
+                    </div>
+                  </td>
+                  <td className="p-4 text-sm text-card-foreground">
+                    {row?.closedAt ? new Date(row?.closedAt)?.toLocaleDateString('en-GB') : '—'}
+                  </td>
+                  <td className="p-4 text-right text-sm text-card-foreground">{row?.holdingDays}d</td>
+                  <td className="p-4 text-right text-sm text-card-foreground">{formatMoney(row?.buyValue, 'INR')}</td>
+                  <td className="p-4 text-right text-sm text-card-foreground">{formatMoney(row?.sellValue, 'INR')}</td>
+                  <td className={`p-4 text-right text-sm ${pnlColor(row?.grossPnl)}`}>{formatMoney(row?.grossPnl, 'INR')}</td>
+                  <td className="p-4 text-right text-sm text-muted-foreground">{formatMoney(row?.fees, 'INR')}</td>
+                  <td className={`p-4 text-right text-sm font-medium ${pnlColor(row?.netPnl)}`}>{formatMoney(row?.netPnl, 'INR')}</td>
+                  {showTurnover && (
+                    <td className="p-4 text-right text-sm text-card-foreground">{formatMoney(row?.turnover, 'INR')}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-muted/50">
+              <tr>
+                <td className="p-4 text-sm font-semibold text-card-foreground" colSpan={3}>Total</td>
+                <td className="p-4 text-right text-sm font-semibold text-card-foreground">{formatMoney(totals?.buyValue, 'INR')}</td>
+                <td className="p-4 text-right text-sm font-semibold text-card-foreground">{formatMoney(totals?.sellValue, 'INR')}</td>
+                <td className={`p-4 text-right text-sm font-semibold ${pnlColor(totals?.grossPnl)}`}>{formatMoney(totals?.grossPnl, 'INR')}</td>
+                <td className="p-4 text-right text-sm font-semibold text-muted-foreground">{formatMoney(totals?.fees, 'INR')}</td>
+                <td className={`p-4 text-right text-sm font-semibold ${pnlColor(totals?.netPnl)}`}>{formatMoney(totals?.netPnl, 'INR')}</td>
+                {showTurnover && (
+                  <td className="p-4 text-right text-sm font-semibold text-card-foreground">{formatMoney(totals?.turnover, 'INR')}</td>
+                )}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      ) : (
+        <p className="p-6 text-sm text-muted-foreground">No trades in this schedule for the selected year.</p>
+      )}
+    </div>
+  );
+};
+
+export default TaxScheduleTable;
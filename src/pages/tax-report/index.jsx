@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from '../../components/ui/Header';
+import Icon from '../../components/AppIcon';
+import Button from '../../components/ui/Button';
+import TaxScheduleTable from './components/TaxScheduleTable';
+import { formatMoney } from '../../utils/formatMoney';
+import TaxReportService from '../../services/taxReportService';
+
+const TaxReport = () => {
+  const [financialYear, setFinancialYear] = useState(() => TaxReportService?.financialYear());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await TaxReportService?.getReport(financialYear);
+      if (result?.success) {
+        setReport(result?.data);
+      } else {
+        setError(result?.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [financialYear]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleExportCsv = () => {
+    const blob = new Blob([TaxReportService?.toCsv(report)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tax-pnl-fy-${report?.financialYear}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // The browser's print dialog saves the printable report as a PDF
+  const handleExportPdf = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      setError('Allow pop-ups for this site to export the PDF');
+      return;
+    }
+    printWindow?.document?.write(TaxReportService?.toPrintableHtml(report));
+    printWindow?.document?.close();
+    printWindow?.focus();
+    printWindow?.print();
+  };
+
+  const summaryCards = [
+    ...Object.entries(TaxReportService?.CATEGORIES)?.map(([category, { label }]) => ({
+      title: label,
+      value: formatMoney(report?.totals?.[category]?.netPnl ?? 0, 'INR'),
+      detail: `${report?.totals?.[category]?.count || 0} trades`,
+      icon: { speculative: 'Zap', stcg: 'Clock', ltcg: 'CalendarClock', fno: 'Layers' }?.[category]
+    })),
+    {
+      title: 'Business Turnover',
+      value: formatMoney(report?.businessTurnover ?? 0, 'INR'),
+      detail: 'Speculative + F&O, absolute P&L per trade',
+      icon: 'Scale'
+    }
+  ];
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header activeRoute="/tax-report" />
+      <main className="container mx-auto px-4 py-8 pt-24">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8 gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-foreground mb-2">Tax P&amp;L</h1>
+            <p className="text-muted-foreground">
+              Closed INR trades for the financial year, split by how the ITR reports them
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-3">
+            <select
+              value={financialYear}
+              onChange={(e) => setFinancialYear(e?.target?.value)}
+              className="px-3 py-2 border border-border rounded-lg bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring"
+              title="Financial year"
+            >
+              {TaxReportService?.yearOptions()?.map((option) => (
+                <option key={option?.value} value={option?.value}>
+                  {option?.label}
+                </option>
+              ))}
+            </select>
+
+            <Button
+              variant="outline"
+              iconName="Download"
+              iconPosition="left"
+              onClick={handleExportCsv}
+              disabled={!report || loading}
+            >
+              CSV
+            </Button>
+
+            <Button
+              variant="outline"
+              iconName="FileText"
+              iconPosition="left"
+              onClick={handleExportPdf}
+              disabled={!report || loading}
+            >
+              PDF
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-destructive/10 rounded-lg p-3">
+            <div className="flex items-start space-x-2">
+              <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+              <p className="text-sm text-destructive">{error}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
+          {summaryCards?.map((card) => (
+            <div key={card?.title} className="bg-card border border-border rounded-lg p-6">
+              <div className="flex items-center space-x-3 mb-4">
+                <div className="p-2 bg-primary/10 rounded-lg">
+                  <Icon name={card?.icon} size={20} className="text-primary" />
+                </div>
+                <h3 className="text-sm font-medium text-muted-foreground">{card?.title}</h3>
+              </div>
+              <p className="text-2xl font-bold text-foreground">{card?.value}</p>
+              <p className="text-xs text-muted-foreground mt-1">{card?.detail}</p>
+            </div>
+          ))}
+        </div>
+
+        {report?.skipped?.length > 0 && (
+          <div className="mb-6 bg-warning/10 rounded-lg p-3">
+            <div className="flex items-start space-x-2">
+              <Icon name="AlertTriangle" size={16} className="text-warning mt-0.5" />
+              <p className="text-sm text-foreground">
+                {report?.skipped?.length} closed trades are not included: {[...new Set(report?.skipped?.map((item) => item?.reason))]?.join(', ')}.
+              </p>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {Object.entries(TaxReportService?.CATEGORIES)?.map(([category, { label, schedule }]) => (
+            <TaxScheduleTable
+              key={category}
+              label={label}
+              schedule={schedule}
+              rows={report?.schedules?.[category]}
+              totals={report?.totals?.[category]}
+              showTurnover={['speculative', 'fno']?.includes(category)}
+            />
+          ))}
+        </div>
+
+        <p className="text-xs text-muted-foreground mt-6">
+          Holding periods use each trade's entry and exit dates; manually entered trades without an exit date count as intraday.
+          Charges other than STT are deducted from capital gains. Check the figures with your tax advisor before filing.
+        </p>
+      </main>
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -3,8 +3,12 @@ import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
+import ChargesService from '../../../services/chargesService';
+import OptionsService from '../../../services/optionsService';
+import FuturesService from '../../../services/futuresService';
+import StrategyService from '../../../services/strategyService';
 
-const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
+const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts, strategies = [] }) => {
   const [formData, setFormData] = useState({
     instrument: '',
     assetClass: '',
@@ -14,9 +18,18 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
     exitPrice: '',
     entryDate: '',
     exitDate: '',
-    strategy: '',
+    strategyId: '',
     notes: '',
-    currency: 'USD'
+    currency: 'USD',
+    exchange: '',
+    chargesPlan: ChargesService?.DEFAULT_PLAN,
+    fees: '',
+    underlying: '',
+    expiry: '',
+    strike: '',
+    optionType: 'CE',
+    lotSize: '',
+    multiplier: ''
   });
 
   const [errors, setErrors] = useState({});
@@ -24,6 +37,8 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
   const assetClassOptions = [
     { value: '', label: 'Select Asset Class' },
     { value: 'stocks', label: 'Stocks' },
+    { value: 'options', label: 'Options' },
+    { value: 'futures', label: 'Futures' },
     { value: 'forex', label: 'Forex' },
     { value: 'crypto', label: 'Cryptocurrency' },
     { value: 'commodities', label: 'Commodities' },
@@ -37,12 +52,7 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
 
   const strategyOptions = [
     { value: '', label: 'Select Strategy (Optional)' },
-    { value: 'scalping', label: 'Scalping' },
-    { value: 'day-trading', label: 'Day Trading' },
-    { value: 'swing-trading', label: 'Swing Trading' },
-    { value: 'position-trading', label: 'Position Trading' },
-    { value: 'momentum', label: 'Momentum' },
-    { value: 'mean-reversion', label: 'Mean Reversion' }
+    ...StrategyService?.options(strategies)
   ];
 
   const currencyOptions = [
@@ -50,6 +60,40 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
     { value: 'INR', label: 'INR (₹)' }
   ];
 
+  const exchangeOptions = [
+    { value: '', label: 'Other / not listed in India' },
+    ...ChargesService?.EXCHANGES?.map((exchange) => ({ value: exchange, label: exchange }))
+  ];
+
+  const planOptions = Object.entries(ChargesService?.PLANS)?.map(([value, plan]) => ({ value, label: plan?.label }));
+
+  const optionTypeOptions = OptionsService?.OPTION_TYPES?.map((type) => ({ value: type, label: type === 'CE' ? 'Call (CE)' : 'Put (PE)' }));
+
+  const isDerivative = ['options', 'futures']?.includes(formData?.assetClass);
+
+  // Symbols like NIFTY24OCT25000CE fill in the contract details
+  const handleInstrumentChange = (value) => {
+    const contract = OptionsService?.parseSymbol(value, formData?.exchange);
+    setFormData(prev => ({
+      ...prev,
+      instrument: value,
+      ...(contract ? {
+        assetClass: contract?.instrumentType === 'OPT' ? 'options' : 'futures',
+        underlying: contract?.underlying,
+        expiry: contract?.expiry,
+        strike: contract?.strike ?? '',
+        optionType: contract?.optionType || prev?.optionType,
+        lotSize: prev?.lotSize || OptionsService?.lotSizeFor(contract?.underlying) || '',
+        multiplier: prev?.multiplier || FuturesService?.multiplierFor(contract?.underlying, prev?.exchange || 'NSE'),
+        exchange: prev?.exchange || 'NSE'
+      } : {})
+    }));
+
+    if (errors?.instrument) {
+      setErrors(prev => ({ ...prev, instrument: '' }));
+    }
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     
@@ -86,6 +130,22 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
       newErrors.exitPrice = 'Exit price must be greater than 0';
     }
 
+    if (isDerivative && !formData?.underlying?.trim()) {
+      newErrors.underlying = 'Underlying is required';
+    }
+
+    if (isDerivative && !formData?.expiry) {
+      newErrors.expiry = 'Expiry is required';
+    }
+
+    if (formData?.assetClass === 'options' && !(parseFloat(formData?.strike) > 0)) {
+      newErrors.strike = 'Valid strike is required';
+    }
+
+    if (formData?.fees !== '' && parseFloat(formData?.fees) < 0) {
+      newErrors.fees = 'Fees cannot be negative';
+    }
+
     if (formData?.exitDate && formData?.entryDate && new Date(formData.exitDate) < new Date(formData.entryDate)) {
       newErrors.exitDate = 'Exit date cannot be before entry date';
     }
@@ -94,18 +154,34 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
     return Object.keys(newErrors)?.length === 0;
   };
 
+  // Price moves are worth quantity × multiplier, e.g. 100 for MCX gold quoted per 10g
+  const contractMultiplier = () => (isDerivative && parseFloat(formData?.multiplier)) || 1;
+
   const calculatePnL = () => {
     const quantity = parseFloat(formData?.quantity) || 0;
     const entryPrice = parseFloat(formData?.entryPrice) || 0;
     const exitPrice = parseFloat(formData?.exitPrice) || 0;
 
     if (quantity && entryPrice && exitPrice) {
-      const multiplier = formData?.type === 'BUY' ? 1 : -1;
-      return multiplier * quantity * (exitPrice - entryPrice);
+      const direction = formData?.type === 'BUY' ? 1 : -1;
+      return direction * quantity * contractMultiplier() * (exitPrice - entryPrice);
     }
     return 0;
   };
 
+  const estimateCharges = () => ChargesService?.calculateForTrade({
+    exchange: formData?.exchange,
+    instrument: formData?.instrument,
+    tradeType: formData?.type,
+    quantity: formData?.quantity,
+    multiplier: contractMultiplier(),
+    entryPrice: formData?.entryPrice,
+    exitPrice: formData?.exitPrice,
+    tradeDate: formData?.entryDate,
+    exitDate: formData?.exitDate,
+    assetClass: formData?.assetClass
+  }, formData?.chargesPlan);
+
   const handleSubmit = (e) => {
     e?.preventDefault();
     
@@ -121,7 +197,21 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
       entryPrice: parseFloat(formData?.entryPrice),
       exitPrice: formData?.exitPrice ? parseFloat(formData?.exitPrice) : null,
       tradeDate: formData?.entryDate,
-      strategy: formData?.strategy || null,
+      exitDate: formData?.exitDate || null,
+      exchange: formData?.exchange || null,
+      chargesPlan: formData?.chargesPlan,
+      fees: formData?.fees !== '' ? parseFloat(formData?.fees) : null,
+      assetClass: formData?.assetClass,
+      ...(isDerivative ? {
+        underlying: formData?.underlying?.trim()?.toUpperCase(),
+        expiry: formData?.expiry,
+        strike: formData?.assetClass === 'options' ? parseFloat(formData?.strike) : null,
+        optionType: formData?.assetClass === 'options' ? formData?.optionType : null,
+        lotSize: formData?.lotSize ? parseInt(formData?.lotSize, 10) : null,
+        multiplier: contractMultiplier()
+      } : {}),
+      strategyId: formData?.strategyId || null,
+      strategy: strategies?.find((strategy) => strategy?.id === formData?.strategyId)?.name || null,
       notes: formData?.notes?.trim() || null,
       process: 'manual',
       pnl: calculatePnL(),
@@ -148,9 +238,18 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
       exitPrice: '',
       entryDate: '',
       exitDate: '',
-      strategy: '',
+      strategyId: '',
       notes: '',
-      currency: 'USD'
+      currency: 'USD',
+      exchange: '',
+      chargesPlan: ChargesService?.DEFAULT_PLAN,
+      fees: '',
+      underlying: '',
+      expiry: '',
+      strike: '',
+      optionType: 'CE',
+      lotSize: '',
+      multiplier: ''
     });
     setErrors({});
     onClose();
@@ -159,6 +258,8 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
   if (!isOpen) return null;
 
   const pnl = calculatePnL();
+  const charges = estimateCharges();
+  const currencySymbol = formData?.currency === 'INR' ? '₹' : '$';
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -185,9 +286,9 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
               <Input
                 label="Instrument Name"
                 type="text"
-                placeholder="e.g., AAPL, EURUSD, BTC"
+                placeholder="e.g., AAPL, NIFTY24OCT25000CE"
                 value={formData?.instrument}
-                onChange={(e) => handleInputChange('instrument', e?.target?.value)}
+                onChange={(e) => handleInstrumentChange(e?.target?.value)}
                 error={errors?.instrument}
                 required
               />
@@ -217,6 +318,78 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
             </div>
           </div>
 
+          {/* Contract */}
+          {isDerivative && (
+            <div className="space-y-4">
+              <h3 className="text-lg font-medium text-foreground">Contract</h3>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Underlying"
+                  type="text"
+                  placeholder="e.g., NIFTY, BANKNIFTY, RELIANCE"
+                  value={formData?.underlying}
+                  onChange={(e) => handleInputChange('underlying', e?.target?.value)}
+                  error={errors?.underlying}
+                  required
+                />
+
+                <Input
+                  label="Expiry"
+                  type="date"
+                  value={formData?.expiry}
+                  onChange={(e) => handleInputChange('expiry', e?.target?.value)}
+                  error={errors?.expiry}
+                  required
+                />
+
+                {formData?.assetClass === 'options' && (
+                  <>
+                    <Input
+                      label="Strike"
+                      type="number"
+                      placeholder="Strike price"
+                      value={formData?.strike}
+                      onChange={(e) => handleInputChange('strike', e?.target?.value)}
+                      error={errors?.strike}
+                      required
+                      min="0"
+                      step="0.05"
+                    />
+
+                    <Select
+                      label="Option Type"
+                      options={optionTypeOptions}
+                      value={formData?.optionType}
+                      onChange={(value) => handleInputChange('optionType', value)}
+                    />
+                  </>
+                )}
+
+                <Input
+                  label="Lot Size"
+                  type="number"
+                  placeholder="Units per lot"
+                  value={formData?.lotSize}
+                  onChange={(e) => handleInputChange('lotSize', e?.target?.value)}
+                  min="1"
+                  step="1"
+                />
+
+                <Input
+                  label="Multiplier"
+                  type="number"
+                  placeholder="1"
+                  value={formData?.multiplier}
+                  onChange={(e) => handleInputChange('multiplier', e?.target?.value)}
+                  description="Value of a one-point move per unit of quantity"
+                  min="0"
+                  step="any"
+                />
+              </div>
+            </div>
+          )}
+
           {/* Trade Details */}
           <div className="space-y-4">
             <h3 className="text-lg font-medium text-foreground">Trade Details</h3>
@@ -229,6 +402,8 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
                 value={formData?.quantity}
                 onChange={(e) => handleInputChange('quantity', e?.target?.value)}
                 error={errors?.quantity}
+                description={isDerivative && parseFloat(formData?.lotSize) > 0 && parseFloat(formData?.quantity) > 0 ?
+                  `${+(parseFloat(formData?.quantity) / parseFloat(formData?.lotSize))?.toFixed(2)} lots` : undefined}
                 required
                 min="0"
                 step="0.01"
@@ -263,7 +438,53 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
                   <div className={`text-lg font-semibold ${
                     pnl > 0 ? 'text-success' : pnl < 0 ? 'text-destructive' : 'text-muted-foreground'
                   }`}>
-                    {pnl > 0 ? '+' : ''}{formData?.currency === 'INR' ? '₹' : '$'}{Math.abs(pnl)?.toFixed(2)}
+                    {pnl > 0 ? '+' : ''}{currencySymbol}{Math.abs(pnl)?.toFixed(2)}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Charges */}
+          <div className="space-y-4">
+            <h3 className="text-lg font-medium text-foreground">Charges</h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Select
+                label="Exchange"
+                options={exchangeOptions}
+                value={formData?.exchange}
+                onChange={(value) => handleInputChange('exchange', value)}
+              />
+
+              <Select
+                label="Brokerage Plan"
+                options={planOptions}
+                value={formData?.chargesPlan}
+                onChange={(value) => handleInputChange('chargesPlan', value)}
+                disabled={!formData?.exchange}
+              />
+
+              <Input
+                label="Fees Override (Optional)"
+                type="number"
+                placeholder={charges ? charges?.total?.toFixed(2) : 'Total fees paid'}
+                value={formData?.fees}
+                onChange={(e) => handleInputChange('fees', e?.target?.value)}
+                error={errors?.fees}
+                min="0"
+                step="0.01"
+              />
+
+              <div className="flex items-end">
+                <div className="w-full p-3 bg-muted rounded-lg">
+                  <div className="text-sm text-muted-foreground">
+                    {charges ? `Estimated charges (${ChargesService?.SEGMENTS?.[charges?.segment]})` : 'Estimated charges'}
+                  </div>
+                  <div className="text-lg font-semibold text-foreground">
+                    {formData?.fees !== '' ?
+                      `${currencySymbol}${(parseFloat(formData?.fees) || 0)?.toFixed(2)}` :
+                      charges ? `₹${charges?.total?.toFixed(2)}` : '—'}
                   </div>
                 </div>
               </div>
@@ -301,8 +522,9 @@ const AddTradeModal = ({ isOpen, onClose, onAddTrade, accounts }) => {
             <Select
               label="Strategy"
               options={strategyOptions}
-              value={formData?.strategy}
-              onChange={(value) => handleInputChange('strategy', value)}
+              value={formData?.strategyId}
+              onChange={(value) => handleInputChange('strategyId', value)}
+              description={strategies?.length ? null : 'Add your playbooks under Profile Settings → Strategies'}
             />
 
             <div>
@@ -3,22 +3,31 @@ import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Select from '../../../components/ui/Select';
 
-const BulkActions = ({ selectedTrades, onBulkAction, onClearSelection }) => {
+const BulkActions = ({ selectedTrades, onBulkAction, onClearSelection, tagOptions = [] }) => {
   const [selectedAction, setSelectedAction] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [result, setResult] = useState(null);
+  const needsTags = selectedAction === 'tag' || selectedAction === 'untag';
 
   const bulkActionOptions = [
     { value: '', label: 'Select bulk action...' },
     { value: 'export', label: 'Export Selected' },
-    { value: 'categorize', label: 'Add Category' },
-    { value: 'tag', label: 'Add Strategy Tag' },
+    { value: 'tag', label: 'Add Tags' },
+    { value: 'untag', label: 'Remove Tags' },
+    { value: 'group', label: 'Group as Strategy' },
     { value: 'delete', label: 'Delete Selected' }
   ];
 
-  const handleActionExecute = () => {
+  const handleActionExecute = async () => {
     if (!selectedAction || selectedTrades?.length === 0) return;
-    
-    onBulkAction(selectedAction, selectedTrades);
-    setSelectedAction('');
+    if (needsTags && selectedTags?.length === 0) return;
+
+    const outcome = await onBulkAction(selectedAction, selectedTrades, needsTags ? { tagIds: selectedTags } : undefined);
+    setResult(outcome?.success === false ? outcome?.error : null);
+    if (outcome?.success !== false) {
+      setSelectedAction('');
+      setSelectedTags([]);
+    }
   };
 
   const exportOptions = [
@@ -85,11 +94,23 @@ const BulkActions = ({ selectedTrades, onBulkAction, onClearSelection }) => {
               onChange={setSelectedAction}
               className="min-w-48"
             />
+
+            {needsTags && (
+              <Select
+                options={tagOptions}
+                value={selectedTags}
+                onChange={setSelectedTags}
+                multiple
+                searchable
+                placeholder={tagOptions?.length ? 'Choose tags' : 'No tags yet'}
+                className="min-w-48"
+              />
+            )}
             
             <Button
               variant="default"
               onClick={handleActionExecute}
-              disabled={!selectedAction}
+              disabled={!selectedAction || (needsTags && selectedTags?.length === 0)}
               iconName="Play"
               iconPosition="left"
             >
@@ -103,8 +124,13 @@ const BulkActions = ({ selectedTrades, onBulkAction, onClearSelection }) => {
         <div className="mt-3 pt-3 border-t border-accent/20">
           <div className="text-sm text-muted-foreground">
             {selectedAction === 'export' && `Export ${selectedTrades?.length} trades to file`}
-            {selectedAction === 'categorize' && `Add category to ${selectedTrades?.length} trades`}
-            {selectedAction === 'tag' && `Add strategy tag to ${selectedTrades?.length} trades`}
+            {selectedAction === 'tag' && (tagOptions?.length ?
+              `Add ${selectedTags?.length || 'the chosen'} tag${selectedTags?.length === 1 ? '' : 's'} to ${selectedTrades?.length} trades` :
+              'Create tags under Profile Settings to tag trades')}
+            {selectedAction === 'untag' && `Remove ${selectedTags?.length || 'the chosen'} tag${selectedTags?.length === 1 ? '' : 's'} from ${selectedTrades?.length} trades`}
+            {selectedAction === 'group' && (selectedTrades?.length > 1 ?
+              `Combine ${selectedTrades?.length} legs into one strategy with combined P&L` :
+              'Select at least two legs to group')}
             {selectedAction === 'delete' && (
               <span className="text-destructive font-medium">
                 Permanently delete {selectedTrades?.length} trades (this cannot be undone)
@@ -113,6 +139,9 @@ const BulkActions = ({ selectedTrades, onBulkAction, onClearSelection }) => {
           </div>
         </div>
       )}
+      {result && (
+        <div className="mt-3 text-sm text-destructive">{result}</div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,370 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import TradeImportService from '../../../services/tradeImportService';
+
+const PREVIEW_LIMIT = 200;
+
+const stringifyMapping = (mapping) =>
+  Object.fromEntries(Object.entries(mapping || {})?.map(([field, index]) => [field, String(index)]));
+
+const ImportTradesWizard = ({ isOpen, onClose, onImported }) => {
+  const [step, setStep] = useState('upload'); // upload, mapping, preview, done
+  const [brokerName, setBrokerName] = useState('');
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [defaultCurrency, setDefaultCurrency] = useState('INR');
+  const [saveMapping, setSaveMapping] = useState(true);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [validatedRows, setValidatedRows] = useState([]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const columnOptions = [
+    { value: '', label: 'Not mapped' },
+    ...(parsed?.headers || [])?.map((header, index) => ({ value: String(index), label: header }))
+  ];
+
+  const dateFormatOptions = TradeImportService?.DATE_FORMATS?.map((format) => ({
+    value: format,
+    label: format === 'auto' ? 'Auto-detect (ISO / native)' : format
+  }));
+
+  const currencyOptions = TradeImportService?.CURRENCIES?.map((currency) => ({ value: currency, label: currency }));
+
+  const handleClose = () => {
+    setStep('upload');
+    setFile(null);
+    setParsed(null);
+    setMapping({});
+    setValidatedRows([]);
+    setResult(null);
+    setError('');
+    onClose();
+  };
+
+  const handleParse = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const parseResult = await TradeImportService?.parseFile(file);
+      if (!parseResult?.success) {
+        setError(parseResult?.error);
+        return;
+      }
+
+      setParsed(parseResult?.data);
+
+      // Prefer the mapping saved for this broker, falling back to header guesses
+      const savedResult = brokerName?.trim() ? await TradeImportService?.getSavedMapping(brokerName) : null;
+      const saved = savedResult?.data;
+      const suggested = TradeImportService?.suggestMapping(parseResult?.data?.headers);
+      const applied = saved ? TradeImportService?.applySavedMapping(saved, parseResult?.data?.headers) : {};
+
+      setMapping(stringifyMapping({ ...suggested, ...applied }));
+      if (saved?.date_format) setDateFormat(saved?.date_format);
+      if (saved?.default_currency) setDefaultCurrency(saved?.default_currency);
+      setStep('mapping');
+    } catch (err) {
+      setError('Failed to read file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const missingRequired = TradeImportService?.TRADE_FIELDS
+    ?.filter((field) => field?.required && !mapping?.[field?.key])
+    ?.filter((field) => !(field?.key === 'tradeType' && mapping?.quantity));
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const rows = TradeImportService?.validateRows(parsed?.rows, mapping, {
+        dateFormat,
+        defaultCurrency,
+        firstRowNumber: parsed?.headerRowNumber + 1
+      });
+
+      const duplicateResult = await TradeImportService?.markDuplicates(rows);
+      if (!duplicateResult?.success) {
+        setError(`${duplicateResult?.error}. Duplicate check against your journal was skipped.`);
+      }
+
+      setValidatedRows(duplicateResult?.data || rows);
+
+      if (saveMapping && brokerName?.trim()) {
+        await TradeImportService?.saveMapping(brokerName, parsed?.headers, mapping, { dateFormat, defaultCurrency });
+      }
+
+      setStep('preview');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const importResult = await TradeImportService?.importRows(validatedRows, { skipDuplicates });
+      setResult(importResult?.data);
+
+      if (!importResult?.success) {
+        setError(importResult?.error);
+      }
+
+      if (importResult?.data?.insertedCount > 0) {
+        onImported?.(importResult?.data);
+      }
+
+      setStep('done');
+    } catch (err) {
+      setError('Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const errorCount = validatedRows?.filter((row) => row?.errors?.length > 0)?.length;
+  const duplicateCount = validatedRows?.filter((row) => row?.errors?.length === 0 && row?.duplicate)?.length;
+  const readyCount = validatedRows?.length - errorCount - (skipDuplicates ? duplicateCount : 0);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card border border-border rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Import Trades</h2>
+            <p className="text-sm text-muted-foreground mt-1">
+              {step === 'upload' && 'Upload a CSV or Excel export from your broker'}
+              {step === 'mapping' && `Map ${parsed?.headers?.length} columns to trade fields`}
+              {step === 'preview' && `${validatedRows?.length} rows checked`}
+              {step === 'done' && 'Import complete'}
+            </p>
+          </div>
+          <Button variant="ghost" size="icon" onClick={handleClose}>
+            <Icon name="X" size={20} />
+          </Button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Upload Step */}
+          {step === 'upload' && (
+            <div className="space-y-4">
+              <Input
+                label="Broker / Source"
+                placeholder="e.g., Fyers, Angel One, Robinhood"
+                description="Column mappings are saved per broker and reused next time"
+                value={brokerName}
+                onChange={(e) => setBrokerName(e?.target?.value)}
+              />
+              <div>
+                <label className="block text-sm font-medium text-foreground mb-2">File</label>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.xlsx,.xls"
+                  onChange={(e) => setFile(e?.target?.files?.[0] || null)}
+                  className="block w-full text-sm text-muted-foreground file:mr-3 file:py-2 file:px-3 file:rounded-lg file:border-0 file:bg-muted file:text-foreground"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Mapping Step */}
+          {step === 'mapping' && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {TradeImportService?.TRADE_FIELDS?.map((field) => (
+                  <Select
+                    key={field?.key}
+                    label={field?.label}
+                    required={field?.required}
+                    options={columnOptions}
+                    value={mapping?.[field?.key] || ''}
+                    onChange={(value) => setMapping((prev) => ({ ...prev, [field?.key]: value }))}
+                  />
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Select
+                  label="Date Format"
+                  options={dateFormatOptions}
+                  value={dateFormat}
+                  onChange={setDateFormat}
+                />
+                <Select
+                  label="Default Currency"
+                  description="Used when no currency column is mapped"
+                  options={currencyOptions}
+                  value={defaultCurrency}
+                  onChange={setDefaultCurrency}
+                />
+              </div>
+
+              {brokerName?.trim() && (
+                <Checkbox
+                  label={`Save this mapping for ${brokerName?.trim()}`}
+                  checked={saveMapping}
+                  onChange={(e) => setSaveMapping(e?.target?.checked)}
+                />
+              )}
+
+              {missingRequired?.length > 0 && (
+                <p className="text-sm text-warning">
+                  Map required fields: {missingRequired?.map((field) => field?.label)?.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Preview Step */}
+          {step === 'preview' && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div className="p-3 bg-success/10 rounded-lg">
+                  <div className="text-sm text-muted-foreground">Ready to import</div>
+                  <div className="text-lg font-semibold text-success">{readyCount}</div>
+                </div>
+                <div className="p-3 bg-destructive/10 rounded-lg">
+                  <div className="text-sm text-muted-foreground">Rows with errors</div>
+                  <div className="text-lg font-semibold text-destructive">{errorCount}</div>
+                </div>
+                <div className="p-3 bg-warning/10 rounded-lg">
+                  <div className="text-sm text-muted-foreground">Duplicates</div>
+                  <div className="text-lg font-semibold text-warning">{duplicateCount}</div>
+                </div>
+              </div>
+
+              <Checkbox
+                label="Skip duplicates"
+                description="Rows matching an existing trade (instrument, date, side, quantity, price) or an earlier row in this file"
+                checked={skipDuplicates}
+                onChange={(e) => setSkipDuplicates(e?.target?.checked)}
+              />
+
+              <div className="border border-border rounded-lg overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/50">
+                    <tr>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Row</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Instrument</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Type</th>
+                      <th className="text-right p-2 font-medium text-muted-foreground">Qty</th>
+                      <th className="text-right p-2 font-medium text-muted-foreground">Price</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Date</th>
+                      <th className="text-left p-2 font-medium text-muted-foreground">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border">
+                    {validatedRows?.slice(0, PREVIEW_LIMIT)?.map((row) => (
+                      <tr key={row?.rowNumber} className={row?.errors?.length > 0 ? 'bg-destructive/5' : ''}>
+                        <td className="p-2 text-muted-foreground">{row?.rowNumber}</td>
+                        <td className="p-2 text-foreground">{row?.trade?.instrument || '-'}</td>
+                        <td className="p-2 text-foreground">{row?.trade?.tradeType || '-'}</td>
+                        <td className="p-2 text-right text-foreground">{row?.trade?.quantity ?? '-'}</td>
+                        <td className="p-2 text-right text-foreground">{row?.trade?.entryPrice ?? '-'}</td>
+                        <td className="p-2 text-foreground">{row?.trade?.tradeDate ? new Date(row.trade.tradeDate)?.toLocaleDateString() : '-'}</td>
+                        <td className="p-2">
+                          {row?.errors?.length > 0 ? (
+                            <span className="text-destructive">{row?.errors?.join('; ')}</span>
+                          ) : row?.duplicate ? (
+                            <span className="text-warning">
+                              Duplicate of {row?.duplicate === 'journal' ? 'existing trade' : 'earlier row'}
+                            </span>
+                          ) : (
+                            <span className="text-success">OK</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {validatedRows?.length > PREVIEW_LIMIT && (
+                <p className="text-xs text-muted-foreground">
+                  Showing first {PREVIEW_LIMIT} of {validatedRows?.length} rows. All valid rows will be imported.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Done Step */}
+          {step === 'done' && (
+            <div className="text-center py-6">
+              <div className="w-16 h-16 bg-success/10 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Icon name="CheckCircle" size={24} className="text-success" />
+              </div>
+              <h4 className="text-lg font-semibold text-foreground mb-2">
+                {result?.insertedCount || 0} trades imported
+              </h4>
+              <p className="text-muted-foreground">
+                {result?.skippedCount || 0} rows skipped (errors or duplicates)
+              </p>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-3">
+              <div className="flex items-start space-x-2">
+                <Icon name="AlertCircle" size={16} className="text-destructive mt-0.5" />
+                <p className="text-sm text-destructive">{error}</p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-between p-6 border-t border-border">
+          {(step === 'mapping' || step === 'preview') ? (
+            <Button
+              variant="ghost"
+              onClick={() => setStep(step === 'preview' ? 'mapping' : 'upload')}
+              iconName="ArrowLeft"
+              iconPosition="left"
+            >
+              Back
+            </Button>
+          ) : <span />}
+
+          <div className="flex items-center space-x-3">
+            <Button variant="outline" onClick={handleClose}>
+              {step === 'done' ? 'Close' : 'Cancel'}
+            </Button>
+
+            {step === 'upload' && (
+              <Button onClick={handleParse} disabled={!file} loading={loading} iconName="ArrowRight" iconPosition="right">
+                Next
+              </Button>
+            )}
+            {step === 'mapping' && (
+              <Button onClick={handlePreview} disabled={missingRequired?.length > 0} loading={loading} iconName="ArrowRight" iconPosition="right">
+                Preview
+              </Button>
+            )}
+            {step === 'preview' && (
+              <Button onClick={handleImport} disabled={readyCount <= 0} loading={loading} iconName="Upload" iconPosition="left">
+                Import {readyCount} Trades
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportTradesWizard;
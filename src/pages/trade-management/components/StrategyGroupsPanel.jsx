@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import OptionsService from '../../../services/optionsService';
+
+const formatAmount = (value) => (value || 0)?.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const pnlColor = (value) => (value > 0 ? 'text-success' : value < 0 ? 'text-destructive' : 'text-muted-foreground');
+
+const describeLeg = (leg) => {
+  if (!leg?.optionType) return leg?.symbol;
+  const expiry = leg?.expiry ? new Date(leg?.expiry)?.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' }) : '';
+  return `${leg?.underlying || leg?.symbol} ${expiry} ${leg?.strike ?? ''} ${leg?.optionType}`?.replace(/\s+/g, ' ');
+};
+
+const StrategyGroupsPanel = ({ groups, onUngroup }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const [ungroupingId, setUngroupingId] = useState(null);
+
+  if (!groups?.length) return null;
+
+  const handleUngroup = async (groupId) => {
+    setUngroupingId(groupId);
+    await onUngroup?.(groupId);
+    setUngroupingId(null);
+  };
+
+  return (
+    <div className="bg-card border border-border rounded-xl mb-6">
+      <div className="p-6 border-b border-border">
+        <h3 className="text-lg font-semibold text-card-foreground">Strategies</h3>
+        <p className="text-sm text-muted-foreground mt-1">Multi-leg positions with their combined P&amp;L</p>
+      </div>
+      <div className="divide-y divide-border">
+        {groups?.map((group) => {
+          const isExpanded = expandedId === group?.id;
+
+          return (
+            <div key={group?.id} className="p-4">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <button
+                  type="button"
+                  className="flex items-center space-x-3 text-left"
+                  onClick={() => setExpandedId(isExpanded ? null : group?.id)}
+                >
+                  <Icon name={isExpanded ? 'ChevronDown' : 'ChevronRight'} size={16} className="text-muted-foreground" />
+                  <div>
+                    <div className="font-medium text-card-foreground">{group?.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {OptionsService?.STRATEGY_TYPES?.[group?.strategy_type] || 'Custom'} · {group?.legs?.length} legs
+                    </div>
+                  </div>
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                    group?.status === 'closed' ? 'bg-success/10 text-success' : 'bg-primary/10 text-primary'
+                  }`}>
+                    {group?.status === 'closed' ? 'Closed' : 'Open'}
+                  </span>
+                </button>
+
+                <div className="flex items-center space-x-6">
+                  <div className="text-right">
+                    <div className="text-xs text-muted-foreground">Gross</div>
+                    <div className={`text-sm font-medium ${pnlColor(group?.grossPnl)}`}>{formatAmount(group?.grossPnl)}</div>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-xs text-muted-foreground">Charges</div>
+                    <div className="text-sm text-muted-foreground">{formatAmount(group?.fees)}</div>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-xs text-muted-foreground">Net</div>
+                    <div className={`text-sm font-semibold ${pnlColor(group?.netPnl)}`}>{formatAmount(group?.netPnl)}</div>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    iconName="Ungroup"
+                    iconPosition="left"
+                    loading={ungroupingId === group?.id}
+                    onClick={() => handleUngroup(group?.id)}
+                  >
+                    Ungroup
+                  </Button>
+                </div>
+              </div>
+
+              {isExpanded && (
+                <div className="mt-3 ml-7 space-y-1">
+                  {group?.legs?.map((leg) => (
+                    <div key={leg?.id} className="flex items-center justify-between text-sm">
+                      <div className="flex items-center space-x-2">
+                        <span className={`text-xs font-medium ${leg?.side === 'short' ? 'text-destructive' : 'text-success'}`}>
+                          {leg?.side === 'short' ? 'SELL' : 'BUY'}
+                        </span>
+                        <span className="text-card-foreground">{describeLeg(leg)}</span>
+                        <span className="text-muted-foreground">
+                          × {leg?.quantity}{leg?.lotSize ? ` (${+(leg?.quantity / leg?.lotSize)?.toFixed(2)} lots)` : ''}
+                        </span>
+                      </div>
+                      <span className={pnlColor(leg?.pnl)}>{formatAmount(leg?.pnl)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StrategyGroupsPanel;
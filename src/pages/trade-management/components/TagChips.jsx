@@ -0,0 +1,24 @@
+import React from 'react';
+
+// A trade's tags in their colours; ids of deleted tags are skipped
+const TagChips = ({ tagIds = [], tagsById = {}, className = '' }) => {
+  const tags = tagIds?.map((id) => tagsById?.[id])?.filter(Boolean);
+  if (!tags?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags?.map((tag) => (
+        <span
+          key={tag?.id}
+          title={tag?.groupName}
+          className="inline-flex items-center space-x-1 px-1.5 py-0.5 rounded-full border border-border text-xs text-foreground"
+        >
+          <span className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: tag?.color || 'hsl(var(--muted-foreground))' }} />
+          <span>{tag?.name}</span>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default TagChips;
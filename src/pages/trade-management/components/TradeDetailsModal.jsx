@@ -1,10 +1,61 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import TradingService from '../../../services/tradingService';
+import ChargesService from '../../../services/chargesService';
+import TagService from '../../../services/tagService';
+import TagChips from './TagChips';
+
+const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit, onChargesUpdated, onTagsUpdated, tagOptions = [], tagsById = {} }) => {
+  const [feesOverride, setFeesOverride] = useState('');
+  const [savingCharges, setSavingCharges] = useState(false);
+  const [chargesError, setChargesError] = useState('');
+  const [editingTags, setEditingTags] = useState(null);
+  const [savingTags, setSavingTags] = useState(false);
+  const [tagsError, setTagsError] = useState('');
 
-const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
   if (!isOpen || !trade) return null;
 
+  const tagIds = TagService?.tagIdsOf(trade);
+
+  const saveTags = async () => {
+    setSavingTags(true);
+    setTagsError('');
+    try {
+      const result = await TagService?.setTradeTags(trade?.id, tagIds, editingTags);
+      if (result?.success) {
+        onTagsUpdated?.({ trade_tags: editingTags?.map((tagId) => ({ tag_id: tagId })) });
+        setEditingTags(null);
+      } else {
+        setTagsError(result?.error || 'Failed to update tags');
+      }
+    } finally {
+      setSavingTags(false);
+    }
+  };
+
+  const saveCharges = async (fees) => {
+    setSavingCharges(true);
+    setChargesError('');
+    try {
+      const result = await TradingService?.updateTradeCharges(trade, fees);
+      if (result?.success) {
+        setFeesOverride('');
+        onChargesUpdated?.(result?.data);
+      } else {
+        setChargesError(result?.error || 'Failed to update charges');
+      }
+    } finally {
+      setSavingCharges(false);
+    }
+  };
+
+  const chargeItems = Object.entries(ChargesService?.CHARGE_LABELS)
+    ?.filter(([key]) => trade?.charges?.[key] !== undefined)
+    ?.map(([key, label]) => ({ key, label, amount: trade?.charges?.[key] }));
+
   const formatCurrency = (amount, currency = 'USD') => {
     const symbol = currency === 'INR' ? '₹' : '$';
     const formatted = Math.abs(amount)?.toLocaleString('en-US', {
@@ -114,6 +165,42 @@ const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
                   {trade?.strategy || 'No strategy specified'}
                 </div>
               </div>
+
+              <div>
+                <div className="flex items-center justify-between">
+                  <label className="text-sm font-medium text-muted-foreground">Tags</label>
+                  {editingTags === null && (
+                    <Button variant="ghost" size="sm" iconName="Pencil" onClick={() => setEditingTags(tagIds)}>
+                      Edit
+                    </Button>
+                  )}
+                </div>
+                {editingTags === null ? (
+                  <div className="mt-1">
+                    {tagIds?.length ? (
+                      <TagChips tagIds={tagIds} tagsById={tagsById} />
+                    ) : (
+                      <span className="text-foreground">No tags</span>
+                    )}
+                  </div>
+                ) : (
+                  <div className="mt-1 space-y-2">
+                    <Select
+                      options={tagOptions}
+                      value={editingTags}
+                      onChange={setEditingTags}
+                      multiple
+                      searchable
+                      placeholder={tagOptions?.length ? 'Choose tags' : 'Create tags under Profile Settings'}
+                    />
+                    <div className="flex space-x-2">
+                      <Button size="sm" onClick={saveTags} loading={savingTags}>Save Tags</Button>
+                      <Button size="sm" variant="ghost" onClick={() => setEditingTags(null)}>Cancel</Button>
+                    </div>
+                    {tagsError && <div className="text-sm text-destructive">{tagsError}</div>}
+                  </div>
+                )}
+              </div>
             </div>
 
             <div className="space-y-4">
@@ -139,7 +226,7 @@ const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
               </div>
 
               <div>
-                <label className="text-sm font-medium text-muted-foreground">P&L</label>
+                <label className="text-sm font-medium text-muted-foreground">Gross P&L</label>
                 <div className="mt-1">
                   <span className={`text-lg font-bold ${getPnLColor(trade?.pnl)}`}>
                     {trade?.pnl > 0 ? '+' : ''}{formatCurrency(trade?.pnl, trade?.currency)}
@@ -149,6 +236,51 @@ const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
             </div>
           </div>
 
+          {/* Contract */}
+          {trade?.underlying && (
+            <div className="border-t border-border pt-6">
+              <h3 className="text-lg font-semibold text-foreground mb-4">Contract</h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-muted-foreground">Underlying</label>
+                  <div className="mt-1 text-foreground">{trade?.underlying}</div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-muted-foreground">Expiry</label>
+                  <div className="mt-1 text-foreground">
+                    {trade?.expiry ? new Date(trade?.expiry)?.toLocaleDateString('en-GB') : 'N/A'}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-muted-foreground">
+                    {trade?.option_type ? 'Strike' : 'Type'}
+                  </label>
+                  <div className="mt-1 text-foreground">
+                    {trade?.option_type ? `${parseFloat(trade?.strike)?.toLocaleString('en-IN')} ${trade?.option_type}` : 'Future'}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-muted-foreground">Lots</label>
+                  <div className="mt-1 text-foreground">
+                    {trade?.lot_size ? `${+(trade?.quantity / trade?.lot_size)?.toFixed(2)} × ${trade?.lot_size}` : 'N/A'}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-muted-foreground">Multiplier</label>
+                  <div className="mt-1 text-foreground">{parseFloat(trade?.multiplier) || 1}</div>
+                </div>
+                {trade?.roll_chain_id && (
+                  <div>
+                    <label className="text-sm font-medium text-muted-foreground">Rollover</label>
+                    <div className="mt-1 text-foreground">
+                      {trade?.rolled_from_id ? 'Rolled from previous expiry' : 'Start of roll chain'}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Date Information */}
           <div className="border-t border-border pt-6">
             <h3 className="text-lg font-semibold text-foreground mb-4">Timeline</h3>
@@ -186,6 +318,9 @@ const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
                 <label className="text-sm font-medium text-muted-foreground">Fees</label>
                 <div className="mt-1 text-foreground">
                   {trade?.fees ? formatCurrency(trade?.fees, trade?.currency) : 'N/A'}
+                  {trade?.charges_overridden && (
+                    <span className="ml-2 text-xs text-muted-foreground">(entered manually)</span>
+                  )}
                 </div>
               </div>
 
@@ -200,6 +335,72 @@ const TradeDetailsModal = ({ isOpen, trade, onClose, onEdit }) => {
             </div>
           </div>
 
+          {/* Charges */}
+          <div className="border-t border-border pt-6">
+            <h3 className="text-lg font-semibold text-foreground mb-4">Charges</h3>
+
+            {chargeItems?.length > 0 ? (
+              <div className="bg-muted/30 rounded-lg p-4 space-y-2 mb-4">
+                {chargeItems?.map((item) => (
+                  <div key={item?.key} className="flex items-center justify-between text-sm">
+                    <span className="text-muted-foreground">{item?.label}</span>
+                    <span className="text-foreground">{formatCurrency(item?.amount, 'INR')}</span>
+                  </div>
+                ))}
+                <div className="flex items-center justify-between text-sm font-semibold border-t border-border pt-2">
+                  <span className="text-foreground">
+                    Calculated total
+                    {trade?.charges?.segment && (
+                      <span className="ml-2 font-normal text-muted-foreground">
+                        {trade?.charges?.exchange} · {ChargesService?.SEGMENTS?.[trade?.charges?.segment]}
+                      </span>
+                    )}
+                  </span>
+                  <span className="text-foreground">{formatCurrency(trade?.charges?.total, 'INR')}</span>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground mb-4">
+                No calculated charges. Charges are worked out for trades on NSE, BSE and MCX.
+              </p>
+            )}
+
+            <div className="flex flex-col md:flex-row md:items-end gap-3">
+              <div className="flex-1">
+                <Input
+                  label="Override fees"
+                  type="number"
+                  placeholder="Total fees paid"
+                  value={feesOverride}
+                  onChange={(e) => setFeesOverride(e?.target?.value)}
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+              <Button
+                variant="outline"
+                onClick={() => saveCharges(feesOverride)}
+                disabled={feesOverride === '' || parseFloat(feesOverride) < 0}
+                loading={savingCharges}
+              >
+                Save Fees
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={() => saveCharges(null)}
+                iconName="RotateCcw"
+                iconPosition="left"
+                disabled={savingCharges}
+              >
+                Recalculate
+              </Button>
+            </div>
+
+            {chargesError && (
+              <p className="mt-2 text-sm text-destructive">{chargesError}</p>
+            )}
+          </div>
+
           {/* Notes */}
           {trade?.notes && (
             <div className="border-t border-border pt-6">
@@ -4,11 +4,12 @@ import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 
-const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades }) => {
+const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades, strategies = [], tagOptions = [] }) => {
   const [filters, setFilters] = useState({
     dateRange: { start: '', end: '' },
     assetClass: '',
-    strategy: '',
+    strategyId: '',
+    tagIds: [],
     pnlRange: { min: '', max: '' },
     source: '',
     search: ''
@@ -25,14 +26,10 @@ const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades }) => {
     { value: 'indices', label: 'Indices' }
   ];
 
+  // Archived strategies stay filterable, as their trades are still in the journal
   const strategyOptions = [
     { value: '', label: 'All Strategies' },
-    { value: 'scalping', label: 'Scalping' },
-    { value: 'day-trading', label: 'Day Trading' },
-    { value: 'swing-trading', label: 'Swing Trading' },
-    { value: 'position-trading', label: 'Position Trading' },
-    { value: 'momentum', label: 'Momentum' },
-    { value: 'mean-reversion', label: 'Mean Reversion' }
+    ...strategies?.map((strategy) => ({ value: strategy?.id, label: strategy?.name }))
   ];
 
   const sourceOptions = [
@@ -61,7 +58,8 @@ const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades }) => {
     const clearedFilters = {
       dateRange: { start: '', end: '' },
       assetClass: '',
-      strategy: '',
+      strategyId: '',
+      tagIds: [],
       pnlRange: { min: '', max: '' },
       source: '',
       search: ''
@@ -116,7 +114,7 @@ const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades }) => {
       </div>
       {/* Advanced Filters */}
       <div className={`${isExpanded ? 'block' : 'hidden'} lg:block`}>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-7 gap-4">
           {/* Date Range */}
           <div className="space-y-2">
             <label className="text-sm font-medium text-foreground">Date Range</label>
@@ -151,8 +149,21 @@ const TradeFilters = ({ onFiltersChange, totalTrades, filteredTrades }) => {
             <Select
               label="Strategy"
               options={strategyOptions}
-              value={filters?.strategy}
-              onChange={(value) => handleFilterChange('strategy', value)}
+              value={filters?.strategyId}
+              onChange={(value) => handleFilterChange('strategyId', value)}
+            />
+          </div>
+
+          {/* Tags */}
+          <div>
+            <Select
+              label="Tags"
+              options={tagOptions}
+              value={filters?.tagIds}
+              onChange={(value) => handleFilterChange('tagIds', value)}
+              multiple
+              searchable
+              placeholder="Any tag"
             />
           </div>
 
@@ -2,8 +2,10 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import { Checkbox } from '../../../components/ui/Checkbox';
+import TagService from '../../../services/tagService';
+import TagChips from './TagChips';
 
-const TradeTable = ({ trades, onEditTrade, onViewTrade, onDeleteTrade, onBulkAction, selectedTrades, onTradeSelect }) => {
+const TradeTable = ({ trades, onEditTrade, onViewTrade, onDeleteTrade, onBulkAction, selectedTrades, onTradeSelect, tagsById = {} }) => {
   const [sortConfig, setSortConfig] = useState({ key: 'date', direction: 'desc' });
 
   const handleSort = (key) => {
@@ -63,6 +65,28 @@ const TradeTable = ({ trades, onEditTrade, onViewTrade, onDeleteTrade, onBulkAct
     );
   };
 
+  // Futures and options read as their underlying and expiry, with rolled contracts marked
+  const getContractLine = (trade) => {
+    if (!trade?.underlying) {
+      return <div className="text-sm text-muted-foreground">{trade?.assetClass}</div>;
+    }
+
+    const expiry = trade?.expiry ? new Date(trade?.expiry)?.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: '2-digit' }) : '';
+    const contract = trade?.option_type ? `${parseFloat(trade?.strike)} ${trade?.option_type}` : 'FUT';
+
+    return (
+      <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+        <span>{trade?.underlying} · {contract} · {expiry}</span>
+        {trade?.rolled_from_id && (
+          <span className="inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary" title="Rolled over from the previous expiry">
+            <Icon name="Repeat" size={10} className="mr-1" />
+            Rolled
+          </span>
+        )}
+      </div>
+    );
+  };
+
   const handleSelectAll = (checked) => {
     if (checked) {
       onTradeSelect(trades?.map(trade => trade?.id));
@@ -214,7 +238,8 @@ const TradeTable = ({ trades, onEditTrade, onViewTrade, onDeleteTrade, onBulkAct
                 <td className="px-4 py-3">
                   <div>
                     <div className="font-medium text-foreground">{trade?.instrument}</div>
-                    <div className="text-sm text-muted-foreground">{trade?.assetClass}</div>
+                    {getContractLine(trade)}
+                    <TagChips tagIds={TagService?.tagIdsOf(trade)} tagsById={tagsById} className="mt-1" />
                   </div>
                 </td>
                 
@@ -331,7 +356,8 @@ const TradeTable = ({ trades, onEditTrade, onViewTrade, onDeleteTrade, onBulkAct
                 
                 <div>
                   <div className="font-medium text-foreground">{trade?.instrument}</div>
-                  <div className="text-sm text-muted-foreground">{trade?.assetClass}</div>
+                  {getContractLine(trade)}
+                  <TagChips tagIds={TagService?.tagIdsOf(trade)} tagsById={tagsById} className="mt-1" />
                 </div>
               </div>
               
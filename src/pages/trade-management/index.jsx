@@ -1,11 +1,17 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTrading } from '../../hooks/useTrading';
+import { useStrategies } from '../../hooks/useStrategies';
+import { useTags } from '../../hooks/useTags';
 import TradeFilters from './components/TradeFilters';
 import TradeTable from './components/TradeTable';
 import BulkActions from './components/BulkActions';
 import AddTradeModal from './components/AddTradeModal';
 import TradeDetailsModal from './components/TradeDetailsModal';
+import ImportTradesWizard from './components/ImportTradesWizard';
+import StrategyGroupsPanel from './components/StrategyGroupsPanel';
+import TradingService from '../../services/tradingService';
+import TagService from '../../services/tagService';
 import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 
@@ -24,11 +30,17 @@ const TradeManagement = () => {
     closeTrade,
     clearError
   } = useTrading();
+  const { strategies } = useStrategies();
+  const { tagOptions, tagsById } = useTags();
 
   const [selectedTrades, setSelectedTrades] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(
+    () => new URLSearchParams(window.location.search)?.get('action') === 'import'
+  );
   const [selectedTrade, setSelectedTrade] = useState(null);
+  const [tradeGroups, setTradeGroups] = useState([]);
   const [filters, setFilters] = useState({
     status: '',
     symbol: '',
@@ -38,13 +50,21 @@ const TradeManagement = () => {
     offset: 0
   });
 
+  const loadTradeGroups = useCallback(async () => {
+    const result = await TradingService?.getTradeGroups();
+    if (result?.success) {
+      setTradeGroups(result?.data);
+    }
+  }, []);
+
   // Load initial data
   useEffect(() => {
     if (user) {
       loadTrades(filters);
       loadAccounts();
+      loadTradeGroups();
     }
-  }, [user, loadTrades, loadAccounts]);
+  }, [user, loadTrades, loadAccounts, loadTradeGroups]);
 
   // Reload trades when filters change
   useEffect(() => {
@@ -108,6 +128,7 @@ const TradeManagement = () => {
           quantity: tradeOrId?.quantity,
           entryPrice: tradeOrId?.entryPrice,
           tradeDate: new Date()?.toISOString(),
+          strategyId: tradeOrId?.strategy_id,
           strategy: tradeOrId?.strategy,
           notes: tradeOrId?.notes,
           process: 'manual'
@@ -126,6 +147,13 @@ const TradeManagement = () => {
     }
   };
 
+  const handleTradeUpdated = (updatedTrade) => {
+    if (updatedTrade) {
+      setSelectedTrade((prev) => ({ ...prev, ...updatedTrade }));
+    }
+    loadTrades(filters);
+  };
+
   const handleCloseTrade = async (tradeId, exitPrice) => {
     try {
       const result = await closeTrade(tradeId, exitPrice);
@@ -144,8 +172,36 @@ const TradeManagement = () => {
     }
   };
 
-  const handleBulkAction = async (action, tradeIds) => {
+  const handleUngroup = async (groupId) => {
+    const result = await TradingService?.deleteTradeGroup(groupId);
+    if (result?.success) {
+      loadTradeGroups();
+    }
+    return result;
+  };
+
+  const handleBulkAction = async (action, tradeIds, options = {}) => {
     try {
+      if (action === 'tag' || action === 'untag') {
+        const result = action === 'tag' ?
+          await TagService?.tagTrades(tradeIds, options?.tagIds) :
+          await TagService?.untagTrades(tradeIds, options?.tagIds);
+        if (result?.success) {
+          setSelectedTrades([]);
+          loadTrades(filters);
+        }
+        return result;
+      }
+
+      if (action === 'group') {
+        const result = await TradingService?.createTradeGroup(tradeIds);
+        if (result?.success) {
+          setSelectedTrades([]);
+          loadTradeGroups();
+        }
+        return result;
+      }
+
       const promises = tradeIds?.map(tradeId => {
         switch (action) {
           case 'delete':
@@ -209,14 +265,23 @@ const TradeManagement = () => {
               Manage and analyze your trading positions
             </p>
           </div>
-          <Button
-            onClick={() => setShowAddModal(true)}
-            className="mt-4 md:mt-0"
-            iconName="Plus"
-            iconPosition="left"
-          >
-            Add Trade
-          </Button>
+          <div className="flex items-center space-x-3 mt-4 md:mt-0">
+            <Button
+              variant="outline"
+              onClick={() => setShowImportWizard(true)}
+              iconName="Upload"
+              iconPosition="left"
+            >
+              Import File
+            </Button>
+            <Button
+              onClick={() => setShowAddModal(true)}
+              iconName="Plus"
+              iconPosition="left"
+            >
+              Add Trade
+            </Button>
+          </div>
         </div>
 
         {/* Error Message */}
@@ -249,6 +314,8 @@ const TradeManagement = () => {
             loading={loading?.trades}
             totalTrades={trades?.length || 0}
             filteredTrades={trades?.length || 0}
+            strategies={strategies}
+            tagOptions={tagOptions}
           />
         </div>
 
@@ -260,10 +327,13 @@ const TradeManagement = () => {
               onBulkAction={handleBulkAction}
               selectedTrades={selectedTrades}
               onClearSelection={() => setSelectedTrades([])}
+              tagOptions={tagOptions}
             />
           </div>
         )}
 
+        <StrategyGroupsPanel groups={tradeGroups} onUngroup={handleUngroup} />
+
         {/* Trades Table */}
         <div className="bg-card border border-border rounded-xl overflow-hidden">
           <TradeTable
@@ -277,6 +347,7 @@ const TradeManagement = () => {
             onCloseTrade={handleCloseTrade}
             onDeleteTrade={handleDeleteTrade}
             onBulkAction={handleBulkAction}
+            tagsById={tagsById}
           />
 
           {/* Load More */}
@@ -299,6 +370,7 @@ const TradeManagement = () => {
             isOpen={showAddModal}
             trade={selectedTrade} // Pass selected trade for editing
             accounts={accounts || []}
+            strategies={strategies}
             onClose={handleCloseModals}
             onAddTrade={handleAddTrade}
             onSubmit={handleAddTrade}
@@ -306,6 +378,17 @@ const TradeManagement = () => {
           />
         )}
 
+        {/* Import Trades Wizard */}
+        <ImportTradesWizard
+          isOpen={showImportWizard}
+          onClose={() => setShowImportWizard(false)}
+          onImported={() => {
+            loadTrades(filters);
+            // Imports register the strategy names they introduce
+            window.dispatchEvent(new CustomEvent('strategiesChanged'));
+          }}
+        />
+
         {/* Trade Details Modal */}
         {showDetailsModal && (
           <TradeDetailsModal
@@ -313,6 +396,10 @@ const TradeManagement = () => {
             trade={selectedTrade}
             onClose={handleCloseModals}
             onEdit={handleEditTrade}
+            onChargesUpdated={handleTradeUpdated}
+            onTagsUpdated={handleTradeUpdated}
+            tagOptions={tagOptions}
+            tagsById={tagsById}
           />
         )}
       </main>
@@ -0,0 +1,38 @@
+import { describe, it, expect, vi } from 'vitest';
+import CashFlowService from '../cashFlowService';
+
+vi.mock('../../lib/supabase', async () => ({ supabase: (await import('../brokerAdapters/__tests__/helpers')).fakeSupabase }));
+
+const deposit = (date, amount) => ({ date, amount, contribution: true });
+const withdrawal = (date, amount) => ({ date, amount: -amount, contribution: true });
+const trade = (day, pnl) => ({ day, pnl });
+
+describe('CashFlowService returns', () => {
+  it('chains daily returns across a deposit made after the account was emptied', () => {
+    const timeline = CashFlowService.equityTimeline(
+      [deposit('2024-01-01', 1000), withdrawal('2024-01-03', 1100), deposit('2024-01-05', 500)],
+      [trade('2024-01-02', 100), trade('2024-01-05', 50)]
+    );
+
+    expect(timeline.map((point) => point.equity)).toEqual([1000, 1100, 0, 550]);
+    // The day after the withdrawal opens with nothing; its deposit is the starting capital for that day
+    expect(CashFlowService.timeWeightedReturn(timeline)).toBeCloseTo(21, 6);
+  });
+
+  it('counts a deposit on a day that starts with no equity as that day\'s capital in both returns', () => {
+    const timeline = CashFlowService.equityTimeline([deposit('2023-01-01', 1000)], [trade('2023-01-01', 20), trade('2023-06-01', 80)]);
+    const performance = CashFlowService.performance(timeline, '2024-01-01');
+
+    expect(performance).toMatchObject({ from: '2023-01-01', to: '2024-01-01', equity: 1100, contributions: 1000, tradingPnl: 100 });
+    expect(performance.twr).toBeCloseTo(10, 6);
+    expect(performance.twrAnnualised).toBeCloseTo(10, 6);
+    expect(performance.mwr).toBeCloseTo(10, 4);
+  });
+
+  it('has no returns without money invested', () => {
+    const timeline = CashFlowService.equityTimeline([], [trade('2024-01-02', -50)]);
+
+    expect(CashFlowService.timeWeightedReturn(timeline)).toBeNull();
+    expect(CashFlowService.moneyWeightedReturn(timeline)).toBeNull();
+  });
+});
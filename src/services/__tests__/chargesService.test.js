@@ -0,0 +1,81 @@
+import { describe, it, expect, vi } from 'vitest';
+import ChargesService from '../chargesService';
+
+vi.mock('../../lib/supabase', async () => ({ supabase: (await import('../brokerAdapters/__tests__/helpers')).fakeSupabase }));
+
+describe('ChargesService.calculate', () => {
+  it('charges STT on both sides and stamp duty on the buy for equity delivery', () => {
+    const charges = ChargesService.calculate({ exchange: 'NSE', segment: 'equity_delivery', buyValue: 100000, sellValue: 110000, plan: 'zerodha' });
+
+    expect(charges).toMatchObject({
+      segment: 'equity_delivery',
+      exchange: 'NSE',
+      brokerage: 0,
+      stt: 210,
+      exchangeCharges: 6.24,
+      sebiFees: 0.21,
+      stampDuty: 15,
+      gst: 1.16,
+      total: 232.61
+    });
+  });
+
+  it('charges intraday STT on the sell only and caps brokerage per order', () => {
+    const charges = ChargesService.calculate({ exchange: 'NSE', segment: 'equity_intraday', buyValue: 100000, sellValue: 101000, plan: 'zerodha' });
+
+    expect(charges).toMatchObject({ brokerage: 40, stt: 25.25, exchangeCharges: 5.97, sebiFees: 0.2, stampDuty: 3, gst: 8.31 });
+  });
+
+  it('charges futures and options on their own rates, options on premium turnover', () => {
+    const futures = ChargesService.calculate({ exchange: 'NFO', segment: 'futures', buyValue: 400000, sellValue: 410000, plan: 'zerodha' });
+    const options = ChargesService.calculate({ exchange: 'NFO', segment: 'options', buyValue: 10000, sellValue: 12000, plan: 'zerodha' });
+
+    expect(futures).toMatchObject({ exchange: 'NSE', brokerage: 40, stt: 82, exchangeCharges: 14.01, sebiFees: 0.81, stampDuty: 8, gst: 9.87 });
+    expect(options).toMatchObject({ exchange: 'NSE', brokerage: 40, stt: 12, exchangeCharges: 7.71, sebiFees: 0.02, stampDuty: 0.3, gst: 8.59 });
+  });
+
+  it('levies GST on brokerage, exchange charges and SEBI fees but not on STT or stamp duty', () => {
+    const charges = ChargesService.calculate({ exchange: 'BSE', segment: 'equity_delivery', buyValue: 500000, sellValue: 0, plan: 'upstox' });
+    const base = 20 + 500000 * 0.00375 / 100 + 500000 * ChargesService.SEBI_FEE_PERCENT / 100;
+
+    expect(charges.stt).toBe(500);
+    expect(charges.stampDuty).toBe(75);
+    expect(charges.gst).toBe(ChargesService.round(base * 0.18));
+  });
+
+  it('returns null outside the segments and exchanges it covers', () => {
+    expect(ChargesService.calculate({ exchange: 'NASDAQ', segment: 'equity_delivery', buyValue: 1000 })).toBeNull();
+    expect(ChargesService.segmentFor({ exchange: 'NSE_CD', symbol: 'USDINR24MAYFUT' })).toBeNull();
+  });
+});
+
+describe('ChargesService.calculateForTrade', () => {
+  const trade = {
+    exchange: 'NSE',
+    instrument: 'INFY',
+    tradeType: 'BUY',
+    quantity: 100,
+    entryPrice: 1000,
+    exitPrice: 1010,
+    tradeDate: '2024-05-02',
+    exitDate: '2024-05-02'
+  };
+
+  it('charges a same-day round trip as intraday', () => {
+    const charges = ChargesService.calculateForTrade(trade, 'zerodha');
+
+    expect(charges).toMatchObject({ segment: 'equity_intraday', stt: 25.25 });
+  });
+
+  it('charges it as delivery when the trade says it was not intraday', () => {
+    const charges = ChargesService.calculateForTrade({ ...trade, intraday: false }, 'zerodha');
+
+    expect(charges).toMatchObject({ segment: 'equity_delivery', brokerage: 0, stt: 201, stampDuty: 15 });
+  });
+
+  it('charges it as intraday when the trade says so despite a later exit date', () => {
+    const charges = ChargesService.calculateForTrade({ ...trade, exitDate: '2024-05-06', intraday: true }, 'zerodha');
+
+    expect(charges?.segment).toBe('equity_intraday');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest';
+import TaxReportService from '../taxReportService';
+
+vi.mock('../../lib/supabase', async () => ({ supabase: (await import('../brokerAdapters/__tests__/helpers')).fakeSupabase }));
+
+const equityTrade = (overrides = {}) => ({
+  symbol: 'INFY',
+  assetClass: 'stocks',
+  side: 'long',
+  quantity: 100,
+  entryPrice: 1000,
+  exitPrice: 1100,
+  pnl: 10000,
+  fees: 250,
+  openedAt: '2024-05-02T09:30:00',
+  closedAt: '2024-08-02T15:00:00',
+  charges: null,
+  ...overrides
+});
+
+describe('TaxReportService.isLongTerm', () => {
+  it('treats a holding of exactly 12 months as short term and anything longer as long term', () => {
+    expect(TaxReportService.isLongTerm('2023-04-10T10:00:00', '2024-04-10T10:00:00')).toBe(false);
+    expect(TaxReportService.isLongTerm('2023-04-10T10:00:00', '2024-04-10T10:00:00.001')).toBe(true);
+    expect(TaxReportService.isLongTerm('2023-04-10T10:00:00', '2024-04-11T09:15:00')).toBe(true);
+  });
+});
+
+describe('TaxReportService.categorise', () => {
+  it('puts derivatives under F&O and leaves crypto and forex out', () => {
+    expect(TaxReportService.categorise(equityTrade({ symbol: 'NIFTY24MAY22000CE' }))).toBe('fno');
+    expect(TaxReportService.categorise(equityTrade({ assetClass: 'futures', symbol: 'CRUDEOIL' }))).toBe('fno');
+    expect(TaxReportService.categorise(equityTrade({ charges: { segment: 'commodity_options' } }))).toBe('fno');
+    expect(TaxReportService.categorise(equityTrade({ assetClass: 'crypto', symbol: 'BTCUSD' }))).toBeNull();
+    expect(TaxReportService.categorise(equityTrade({ assetClass: 'forex', symbol: 'EURUSD' }))).toBeNull();
+  });
+
+  it('splits equity into speculative, short-term and long-term by product and holding period', () => {
+    expect(TaxReportService.categorise(equityTrade({ closedAt: '2024-05-02T15:00:00' }))).toBe('speculative');
+    expect(TaxReportService.categorise(equityTrade({ side: 'short' }))).toBe('speculative');
+    expect(TaxReportService.categorise(equityTrade())).toBe('stcg');
+    expect(TaxReportService.categorise(equityTrade({ closedAt: '2025-05-03T15:00:00' }))).toBe('ltcg');
+  });
+
+  it('follows the charged segment over the dates when it is recorded', () => {
+    expect(TaxReportService.categorise(equityTrade({ closedAt: '2024-05-02T15:00:00', charges: { segment: 'equity_delivery' } }))).toBe('stcg');
+    expect(TaxReportService.categorise(equityTrade({ charges: { segment: 'equity_intraday' } }))).toBe('speculative');
+  });
+});
+
+describe('TaxReportService.deductibleFees', () => {
+  const trade = equityTrade({ charges: { segment: 'equity_delivery', stt: 210 } });
+
+  it('leaves STT out of the charges deducted from capital gains', () => {
+    expect(TaxReportService.deductibleFees(trade, 'stcg')).toBe(40);
+    expect(TaxReportService.deductibleFees(trade, 'ltcg')).toBe(40);
+    expect(TaxReportService.buildRow(trade, 'stcg')).toMatchObject({ fees: 40, netPnl: 9960, turnover: 0 });
+  });
+
+  it('deducts every charge from business income', () => {
+    expect(TaxReportService.deductibleFees(trade, 'speculative')).toBe(250);
+    expect(TaxReportService.deductibleFees(trade, 'fno')).toBe(250);
+  });
+});
@@ -0,0 +1,261 @@
+import { supabase } from '../lib/supabase.js';
+import BrokerProxyService from './brokerProxyService.js';
+import TradeMatchingService from './tradeMatchingService.js';
+import SyncPreferencesService from './syncPreferencesService.js';
+
+/**
+ * Alpaca Markets Integration Service for TradeScope
+ * Pages account FILL activities and closed orders into execution legs and round-trip trades
+ */
+export class AlpacaService {
+  static PAGE_SIZE = 100;
+
+  // Re-read a window before last_sync_at so late-settling fills are not missed
+  static SYNC_OVERLAP_MS = 60 * 60 * 1000;
+
+  /**
+   * Alpaca crypto pairs contain a slash; options use OCC symbols (root, YYMMDD, C/P, strike)
+   */
+  static getAssetClass(symbol) {
+    if (symbol?.includes('/')) return 'crypto';
+    if (/^[A-Z]{1,6}\d{6}[CP]\d{8}$/?.test(symbol || '')) return 'options';
+    return 'equity';
+  }
+
+  /**
+   * Build a client context for a stored Alpaca broker; requests are signed by the broker proxy
+   */
+  static async getClient(brokerId) {
+    try {
+      const { data, error } = await supabase?.from('brokers')?.select('id, last_sync_at')?.eq('id', brokerId)?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return {
+        success: true,
+        data: {
+          brokerId: data?.id,
+          lastSyncAt: data?.last_sync_at
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to load Alpaca broker' };
+    }
+  }
+
+  /**
+   * Get all FILL activities after a timestamp, following page tokens
+   */
+  static async getFillActivities(client, after) {
+    try {
+      const activities = [];
+      let pageToken = null;
+
+      do {
+        const params = { direction: 'asc', page_size: this.PAGE_SIZE };
+        if (after) params.after = after;
+        if (pageToken) params.page_token = pageToken;
+
+        const response = await BrokerProxyService?.request(client?.brokerId, {
+          path: '/v2/account/activities/FILL',
+          params
+        });
+
+        const page = response?.data || [];
+        activities?.push(...page);
+        pageToken = page?.length === this.PAGE_SIZE ? page?.[page?.length - 1]?.id : null;
+      } while (pageToken);
+
+      return { success: true, data: activities, error: null };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: error?.response?.data?.message || 'Failed to get Alpaca fill activities'
+      };
+    }
+  }
+
+  /**
+   * Get all closed orders submitted after a timestamp, paging by submitted_at.
+   * Alpaca's after is exclusive, so each page starts just before the last submitted_at seen and
+   * orders sharing that timestamp are fetched again and de-duplicated by id
+   */
+  static async getClosedOrders(client, after) {
+    try {
+      const orders = {};
+      let cursor = after;
+      let page = [];
+      let added = 0;
+
+      do {
+        const params = { status: 'closed', direction: 'asc', limit: 500, nested: false };
+        if (cursor) params.after = cursor;
+
+        const response = await BrokerProxyService?.request(client?.brokerId, {
+          path: '/v2/orders',
+          params
+        });
+
+        page = response?.data || [];
+        added = page?.filter((order) => !orders?.[order?.id])?.length;
+        page?.forEach((order) => {
+          orders[order?.id] = order;
+        });
+
+        const lastSubmittedAt = page?.[page?.length - 1]?.submitted_at;
+        cursor = lastSubmittedAt ? new Date(new Date(lastSubmittedAt)?.getTime() - 1)?.toISOString() : cursor;
+        // A full page of orders already seen means they all share one timestamp; stop rather than loop
+      } while (page?.length === 500 && added > 0);
+
+      return { success: true, data: Object.values(orders), error: null };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: error?.response?.data?.message || 'Failed to get Alpaca orders'
+      };
+    }
+  }
+
+  /**
+   * Get open positions
+   */
+  static async getPositions(brokerId) {
+    try {
+      const clientResult = await this.getClient(brokerId);
+      if (!clientResult?.success) {
+        return clientResult;
+      }
+
+      const response = await BrokerProxyService?.request(clientResult?.data?.brokerId, { path: '/v2/positions' });
+
+      return { success: true, data: response?.data, error: null };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: error?.response?.data?.message || 'Failed to get positions'
+      };
+    }
+  }
+
+  /**
+   * Get account cash, buying power and equity
+   */
+  static async getAccount(brokerId) {
+    try {
+      const response = await BrokerProxyService?.request(brokerId, { path: '/v2/account' });
+
+      return { success: true, data: response?.data, error: null };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: error?.response?.data?.message || 'Failed to get account'
+      };
+    }
+  }
+
+  /**
+   * Read fills after a timestamp as execution legs, without saving them
+   */
+  static async fetchLegs(brokerId, after = null) {
+    try {
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const client = { brokerId };
+
+      const fillsResult = await this.getFillActivities(client, after);
+      if (!fillsResult?.success) {
+        return fillsResult;
+      }
+
+      const ordersResult = await this.getClosedOrders(client, after);
+      if (!ordersResult?.success) {
+        return ordersResult;
+      }
+
+      const ordersById = Object.fromEntries((ordersResult?.data || [])?.map((order) => [order?.id, order]));
+
+      // Store each fill as an execution leg carrying its closed order's type and limit/stop price
+      const legs = (fillsResult?.data || [])?.map((fill) => {
+        const order = ordersById?.[fill?.order_id];
+
+        return {
+          user_profile_id: user?.user?.id,
+          broker_id: brokerId,
+          symbol: fill?.symbol,
+          side: fill?.side === 'buy' ? 'buy' : 'sell',
+          order_type: ['market', 'limit', 'stop', 'stop_limit']?.includes(order?.order_type) ? order?.order_type : 'market',
+          quantity: parseFloat(fill?.qty),
+          price: parseFloat(order?.limit_price) || parseFloat(order?.stop_price) || null,
+          status: 'filled',
+          filled_quantity: parseFloat(fill?.qty),
+          filled_price: parseFloat(fill?.price),
+          executed_at: new Date(fill?.transaction_time)?.toISOString(),
+          asset_class: this.getAssetClass(fill?.symbol),
+          // Alpaca accounts trade and settle in US dollars
+          currency: 'USD',
+          fees_currency: 'USD',
+          order_id_external: fill?.order_id,
+          execution_id_external: fill?.id
+        };
+      });
+
+      return { success: true, data: legs, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to read Alpaca fills' };
+    }
+  }
+
+  /**
+   * Import fills since the broker's last successful sync as legs and rebuild round trips
+   */
+  static async importTradesToDatabase(brokerId, preferences = null) {
+    try {
+      const clientResult = await this.getClient(brokerId);
+      if (!clientResult?.success) {
+        return clientResult;
+      }
+
+      const client = clientResult?.data;
+      const after = client?.lastSyncAt ?
+        new Date(new Date(client.lastSyncAt)?.getTime() - this.SYNC_OVERLAP_MS)?.toISOString() :
+        SyncPreferencesService?.getDataRangeStart(preferences);
+
+      const legsResult = await this.fetchLegs(brokerId, after);
+      if (!legsResult?.success) {
+        return legsResult;
+      }
+
+      const legs = legsResult?.data;
+
+      // Matching runs over every stored leg, so incremental syncs still close earlier positions
+      const importResult = await TradeMatchingService?.importLegs(brokerId, legs, preferences);
+      if (!importResult?.success) {
+        return importResult;
+      }
+
+      return {
+        success: true,
+        data: { ...importResult?.data, totalAlpacaFills: legs?.length },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: 'Failed to import Alpaca trades to database'
+      };
+    }
+  }
+}
+
+export default AlpacaService;
@@ -0,0 +1,406 @@
+import TradingService from './tradingService.js';
+
+/**
+ * Analytics Service for TradeScope
+ * Derives the analytics page's chart series from the user's own trades and daily analytics_data rows.
+ *
+ * Daily rows keep the analytics_data shape (date, daily_pnl, cumulative_pnl, total_trades, winning_trades,
+ * losing_trades, win_rate, largest_win, largest_loss, volume_traded, commission_paid) whichever source they
+ * come from. The server rollup is used while no trade-level filter is set, as it covers history the trade
+ * page does not load; any filter switches to the loaded trades. Amounts are in the user's base currency.
+ */
+export class AnalyticsService {
+  static DEFAULT_FILTERS = {
+    portfolio: 'all',
+    assetClass: 'all',
+    strategy: 'all',
+    positionSize: 'all',
+    outcome: 'all',
+    minPnL: '',
+    maxPnL: '',
+    minDuration: '',
+    maxDuration: '',
+    tags: [],
+    includePartialFills: true,
+    includeCommissions: true
+  };
+
+  // Notional bounds of the position size filter, in the base currency
+  static POSITION_SIZES = {
+    small: [0, 1000],
+    medium: [1000, 10000],
+    large: [10000, 50000],
+    xlarge: [50000, Infinity]
+  };
+
+  static TRADING_DAYS_PER_YEAR = 252;
+
+  static ROLLING_WINDOW = 20;
+
+  // Fewer trading days than this make any pair of instruments look perfectly (anti-)correlated
+  static MIN_CORRELATION_DAYS = 5;
+
+  /**
+   * True when a filter narrows the trades, so the daily rollup no longer describes them
+   */
+  static hasTradeFilters(filters = {}) {
+    return ['portfolio', 'assetClass', 'strategy', 'positionSize', 'outcome']?.some((key) => filters?.[key] && filters?.[key] !== 'all') ||
+      ['minPnL', 'maxPnL', 'minDuration', 'maxDuration']?.some((key) => `${filters?.[key] ?? ''}` !== '') ||
+      filters?.tags?.length > 0;
+  }
+
+  /**
+   * Calendar day (YYYY-MM-DD) of a timestamp in local time
+   */
+  static localDay(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date?.getTime())) return null;
+    const pad = (number) => `${number}`?.padStart(2, '0');
+    return `${date?.getFullYear()}-${pad(date?.getMonth() + 1)}-${pad(date?.getDate())}`;
+  }
+
+  static slug(value) {
+    return `${value || ''}`?.trim()?.toLowerCase()?.replace(/[^a-z0-9]+/g, '-')?.replace(/^-|-$/g, '');
+  }
+
+  static matchesAssetClass(trade, assetClass) {
+    const tradeClass = `${trade?.assetClass || 'equity'}`?.toLowerCase();
+    const isCommodity = tradeClass?.startsWith('commodit') || `${trade?.exchange || ''}`?.toUpperCase()?.startsWith('MCX');
+
+    switch (assetClass) {
+      case 'stocks': return ['equity', 'stock', 'stocks']?.includes(tradeClass);
+      case 'commodities': return isCommodity;
+      case 'options': return tradeClass === 'options' && !isCommodity;
+      case 'futures': return tradeClass === 'futures' && !isCommodity;
+      default: return tradeClass === assetClass;
+    }
+  }
+
+  /**
+   * Whether a prepared trade passes the page filters
+   */
+  static matchesFilters(trade, filters = {}) {
+    const number = (value) => (`${value ?? ''}` === '' ? null : parseFloat(value));
+    const minPnL = number(filters?.minPnL);
+    const maxPnL = number(filters?.maxPnL);
+    const minDuration = number(filters?.minDuration);
+    const maxDuration = number(filters?.maxDuration);
+    const sizeBounds = this.POSITION_SIZES?.[filters?.positionSize];
+
+    // Trades no portfolio claims match 'unassigned' (PortfolioService.UNASSIGNED)
+    if (filters?.portfolio && filters?.portfolio !== 'all' && (trade?.portfolioId || 'unassigned') !== filters?.portfolio) return false;
+    if (filters?.assetClass && filters?.assetClass !== 'all' && !this.matchesAssetClass(trade, filters?.assetClass)) return false;
+    if (filters?.strategy && filters?.strategy !== 'all' && this.slug(trade?.strategy) !== filters?.strategy) return false;
+    if (sizeBounds && !(trade?.notional >= sizeBounds?.[0] && trade?.notional < sizeBounds?.[1])) return false;
+    if (filters?.outcome === 'winners' && !(trade?.pnl > 0)) return false;
+    if (filters?.outcome === 'losers' && !(trade?.pnl < 0)) return false;
+    if (filters?.outcome === 'breakeven' && trade?.pnl !== 0) return false;
+    if (minPnL !== null && trade?.pnl < minPnL) return false;
+    if (maxPnL !== null && trade?.pnl > maxPnL) return false;
+    if (minDuration !== null && !(trade?.durationMinutes >= minDuration)) return false;
+    if (maxDuration !== null && !(trade?.durationMinutes <= maxDuration)) return false;
+    if (filters?.tags?.length > 0 && !filters?.tags?.some((tag) => trade?.tags?.includes(tag))) return false;
+    return true;
+  }
+
+  /**
+   * Closed trades inside the date range that pass the filters, with P&L, fees and notional converted
+   * into the base currency at the close date. P&L is net of fees when includeCommissions is set.
+   * portfolioOf (see PortfolioService.resolver) tags each trade with its portfolioId.
+   * Returns { trades, unconverted } where unconverted counts trades with no FX rate
+   */
+  static prepareTrades(rows, converter, { dateRange = {}, filters = {}, portfolioOf = null } = {}) {
+    const includeCommissions = filters?.includeCommissions ?? true;
+    let unconverted = 0;
+
+    const trades = (rows || [])?.map((row) => TradingService?.normaliseTrade(row))?.flatMap((trade) => {
+      if (trade?.status !== 'closed' || !trade?.closedAt) return [];
+
+      const day = this.localDay(trade?.closedAt);
+      if (!day || (dateRange?.startDate && day < dateRange?.startDate) || (dateRange?.endDate && day > dateRange?.endDate)) return [];
+
+      const rate = converter ? converter?.rateOn(trade?.currency, converter?.baseCurrency, trade?.closedAt) : 1;
+      if (rate === null) {
+        unconverted += 1;
+        return [];
+      }
+
+      const grossPnl = trade?.pnl * rate;
+      const fees = trade?.fees * rate;
+      const notional = trade?.entryPrice * trade?.quantity * (trade?.multiplier || 1) * rate;
+      const durationMinutes = trade?.openedAt ? (new Date(trade?.closedAt) - new Date(trade?.openedAt)) / 60000 : null;
+      const pnl = includeCommissions ? grossPnl - fees : grossPnl;
+
+      return [{
+        ...trade,
+        day,
+        grossPnl,
+        fees,
+        pnl,
+        notional,
+        durationMinutes,
+        portfolioId: portfolioOf ? portfolioOf(trade) : null,
+        returnPct: notional > 0 ? (pnl / notional) * 100 : null
+      }];
+    })?.filter((trade) => this.matchesFilters(trade, filters));
+
+    return { trades, unconverted };
+  }
+
+  /**
+   * Running totals over daily rows sorted by date: cumulative P&L from the first day shown and win rate
+   */
+  static withRunningTotals(days) {
+    let cumulative = 0;
+
+    return [...(days || [])]?.sort((a, b) => (a?.date < b?.date ? -1 : a?.date > b?.date ? 1 : 0))?.map((day) => {
+      cumulative += day?.daily_pnl;
+      return {
+        ...day,
+        cumulative_pnl: cumulative,
+        win_rate: day?.total_trades > 0 ? (day?.winning_trades / day?.total_trades) * 100 : 0
+      };
+    });
+  }
+
+  /**
+   * Daily rows built from prepared trades
+   */
+  static dailyFromTrades(trades) {
+    const byDay = {};
+
+    trades?.forEach((trade) => {
+      const day = byDay[trade?.day] || {
+        date: trade?.day,
+        daily_pnl: 0,
+        total_trades: 0,
+        winning_trades: 0,
+        losing_trades: 0,
+        largest_win: 0,
+        largest_loss: 0,
+        volume_traded: 0,
+        commission_paid: 0
+      };
+
+      day.daily_pnl += trade?.pnl;
+      day.total_trades += 1;
+      if (trade?.pnl > 0) day.winning_trades += 1;
+      if (trade?.pnl < 0) day.losing_trades += 1;
+      day.largest_win = Math.max(day?.largest_win, trade?.pnl);
+      day.largest_loss = Math.min(day?.largest_loss, trade?.pnl);
+      day.volume_traded += trade?.quantity;
+      day.commission_paid += trade?.fees;
+      byDay[trade?.day] = day;
+    });
+
+    return this.withRunningTotals(Object.values(byDay));
+  }
+
+  /**
+   * Daily rows read from analytics_data, limited to the date range. The rollup stores gross P&L,
+   * so commissions are taken off here when includeCommissions is set
+   */
+  static dailyFromRollup(rows, { dateRange = {}, filters = {} } = {}) {
+    const includeCommissions = filters?.includeCommissions ?? true;
+
+    const days = (rows || [])
+      ?.filter((row) => (!dateRange?.startDate || row?.date >= dateRange?.startDate) && (!dateRange?.endDate || row?.date <= dateRange?.endDate))
+      ?.map((row) => {
+        const commission = parseFloat(row?.commission_paid) || 0;
+        return {
+          date: row?.date,
+          daily_pnl: (parseFloat(row?.daily_pnl) || 0) - (includeCommissions ? commission : 0),
+          total_trades: row?.total_trades || 0,
+          winning_trades: row?.winning_trades || 0,
+          losing_trades: row?.losing_trades || 0,
+          largest_win: parseFloat(row?.largest_win) || 0,
+          largest_loss: parseFloat(row?.largest_loss) || 0,
+          volume_traded: parseFloat(row?.volume_traded) || 0,
+          commission_paid: commission
+        };
+      });
+
+    return this.withRunningTotals(days);
+  }
+
+  /**
+   * Daily P&L summed into daily, weekly (from Monday) or monthly periods
+   */
+  static periodSeries(days, timeframe = 'daily') {
+    const periods = {};
+
+    days?.forEach((day) => {
+      const date = new Date(`${day?.date}T00:00:00`);
+      let key = day?.date;
+      let label = date?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+      if (timeframe === 'weekly') {
+        const monday = new Date(date);
+        monday?.setDate(date?.getDate() - ((date?.getDay() + 6) % 7));
+        key = this.localDay(monday);
+        label = `Wk of ${monday?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+      } else if (timeframe === 'monthly') {
+        key = day?.date?.slice(0, 7);
+        label = date?.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+      }
+
+      const period = periods[key] || { key, period: label, pnl: 0, trades: 0, volume: 0 };
+      period.pnl += day?.daily_pnl;
+      period.trades += day?.total_trades;
+      period.volume += day?.volume_traded;
+      periods[key] = period;
+    });
+
+    return Object.values(periods)?.sort((a, b) => (a?.key < b?.key ? -1 : 1));
+  }
+
+  /**
+   * P&L by the local hour trades were closed in, for hours that had trades
+   */
+  static hourlySeries(trades) {
+    const hours = {};
+
+    trades?.forEach((trade) => {
+      const hour = new Date(trade?.closedAt)?.getHours();
+      const period = hours[hour] || { key: hour, period: `${`${hour}`?.padStart(2, '0')}:00`, pnl: 0, trades: 0, volume: 0 };
+      period.pnl += trade?.pnl;
+      period.trades += 1;
+      period.volume += trade?.quantity;
+      hours[hour] = period;
+    });
+
+    return Object.values(hours)?.sort((a, b) => a?.key - b?.key);
+  }
+
+  /**
+   * Per-day cumulative P&L, drawdown from the running peak (percent of the peak), cumulative win rate
+   * and a rolling annualised Sharpe ratio of daily P&L
+   */
+  static trendSeries(days, window = this.ROLLING_WINDOW) {
+    let peak = 0;
+    let wins = 0;
+    let total = 0;
+
+    return days?.map((day, index) => {
+      peak = Math.max(peak, day?.cumulative_pnl);
+      wins += day?.winning_trades;
+      total += day?.total_trades;
+
+      const windowPnl = days?.slice(Math.max(0, index - window + 1), index + 1)?.map((item) => item?.daily_pnl);
+      const mean = windowPnl?.reduce((sum, value) => sum + value, 0) / windowPnl?.length;
+      const stdDev = Math.sqrt(windowPnl?.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / windowPnl?.length);
+
+      return {
+        date: new Date(`${day?.date}T00:00:00`)?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        day: day?.date,
+        cumulative: day?.cumulative_pnl,
+        drawdown: peak > 0 ? -((peak - day?.cumulative_pnl) / peak) * 100 : 0,
+        winrate: total > 0 ? (wins / total) * 100 : 0,
+        sharpe: windowPnl?.length > 1 && stdDev > 0 ? (mean / stdDev) * Math.sqrt(this.TRADING_DAYS_PER_YEAR) : 0,
+        dailyPnL: day?.daily_pnl
+      };
+    });
+  }
+
+  /**
+   * Histogram and summary statistics of per-trade returns (P&L as a percent of the position's notional)
+   */
+  static returnsDistribution(trades, binSize = 0.5) {
+    const returns = trades?.map((trade) => trade?.returnPct)?.filter((value) => value !== null && Number.isFinite(value));
+    if (!returns?.length) return { bins: [], returns: [], stats: null };
+
+    const minBin = Math.floor(Math.min(...returns) / binSize) * binSize;
+    const maxBin = Math.floor(Math.max(...returns) / binSize) * binSize;
+    const bins = [];
+    let cumulative = 0;
+
+    for (let start = minBin; start <= maxBin + binSize / 2; start += binSize) {
+      const count = returns?.filter((value) => value >= start && value < start + binSize)?.length;
+      cumulative += count / returns?.length;
+      bins?.push({
+        range: `${start?.toFixed(1)}%`,
+        binStart: start,
+        binEnd: start + binSize,
+        count,
+        frequency: count / returns?.length,
+        cumulative
+      });
+    }
+
+    const sorted = [...returns]?.sort((a, b) => a - b);
+    const mean = returns?.reduce((sum, value) => sum + value, 0) / returns?.length;
+    const stdDev = Math.sqrt(returns?.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / returns?.length);
+    const percentile = (p) => sorted?.[Math.min(sorted?.length - 1, Math.floor(p * sorted?.length))];
+    const moment = (power) => (stdDev > 0 ? returns?.reduce((sum, value) => sum + Math.pow((value - mean) / stdDev, power), 0) / returns?.length : 0);
+
+    return {
+      bins,
+      returns,
+      stats: {
+        count: returns?.length,
+        mean,
+        median: percentile(0.5),
+        stdDev,
+        skewness: moment(3),
+        kurtosis: stdDev > 0 ? moment(4) - 3 : 0,
+        var95: percentile(0.05),
+        var99: percentile(0.01),
+        percentile25: percentile(0.25),
+        percentile75: percentile(0.75),
+        sharpeRatio: stdDev > 0 ? mean / stdDev : 0,
+        maxLoss: sorted?.[0],
+        maxGain: sorted?.[sorted?.length - 1]
+      }
+    };
+  }
+
+  /**
+   * Pearson correlation of daily P&L between the most traded instruments (underlying for derivatives).
+   * Days an instrument was not traded count as zero P&L for it
+   */
+  static correlationMatrix(trades, maxAssets = 6) {
+    const byAsset = {};
+    const allDays = new Set();
+
+    trades?.forEach((trade) => {
+      const asset = trade?.underlying || trade?.symbol;
+      if (!asset) return;
+      byAsset[asset] = byAsset[asset] || { count: 0, days: {} };
+      byAsset[asset].count += 1;
+      byAsset[asset].days[trade?.day] = (byAsset?.[asset]?.days?.[trade?.day] || 0) + trade?.pnl;
+      allDays?.add(trade?.day);
+    });
+
+    const assets = Object.entries(byAsset)
+      ?.sort((a, b) => b?.[1]?.count - a?.[1]?.count)
+      ?.slice(0, maxAssets)
+      ?.map(([asset]) => asset);
+    const days = [...allDays]?.sort();
+    const vectors = Object.fromEntries(assets?.map((asset) => [asset, days?.map((day) => byAsset?.[asset]?.days?.[day] || 0)]));
+
+    const correlate = (a, b) => {
+      const meanA = a?.reduce((sum, value) => sum + value, 0) / a?.length;
+      const meanB = b?.reduce((sum, value) => sum + value, 0) / b?.length;
+      let covariance = 0;
+      let varianceA = 0;
+      let varianceB = 0;
+
+      a?.forEach((value, index) => {
+        covariance += (value - meanA) * (b?.[index] - meanB);
+        varianceA += Math.pow(value - meanA, 2);
+        varianceB += Math.pow(b?.[index] - meanB, 2);
+      });
+
+      return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    };
+
+    const matrix = assets?.flatMap((asset1, x) => assets?.map((asset2, y) => {
+      const correlation = x === y ? 1 : correlate(vectors?.[asset1], vectors?.[asset2]);
+      return { x, y, asset1, asset2, correlation, strength: Math.abs(correlation) };
+    }));
+
+    return { assets, matrix, days: days?.length };
+  }
+}
+
+export default AnalyticsService;
@@ -0,0 +1,355 @@
+import { supabase } from '../lib/supabase.js';
+import TradeImportService from './tradeImportService.js';
+import FxService from './fxService.js';
+import AnalyticsService from './analyticsService.js';
+
+/**
+ * Benchmark Service for TradeScope
+ * Stores daily index closes imported from price history files and compares the user's daily
+ * returns with an index: beta, alpha, correlation, information ratio and up/down capture.
+ *
+ * Returns are daily P&L over equity, where equity is the capital base plus the P&L earned earlier
+ * in the range. P&L between two index closes (weekends, holidays) counts towards the later close.
+ */
+export class BenchmarkService {
+  static BENCHMARKS = {
+    NIFTY50: { name: 'NIFTY 50', currency: 'INR' },
+    SENSEX: { name: 'BSE SENSEX', currency: 'INR' },
+    SPX: { name: 'S&P 500', currency: 'USD' }
+  };
+
+  static DEFAULT_BENCHMARK = 'NIFTY50';
+
+  // Index names and tickers found in price files
+  static SYMBOL_ALIASES = {
+    NIFTY50: ['nifty50', 'nifty', 'nsei', 'niftyindex'],
+    SENSEX: ['sensex', 'spbsesensex', 'sandpbsesensex', 'bsesensex', 'bsesn'],
+    SPX: ['spx', 'gspc', 'sp500', 'sandp500', 'spindex', 'us500']
+  };
+
+  // Price file columns, with header names we recognise
+  static PRICE_FIELDS = [
+    { key: 'date', aliases: ['date', 'pricedate', 'day', 'asof', 'indexdate'] },
+    { key: 'symbol', aliases: ['symbol', 'index', 'indexname', 'ticker', 'name'] },
+    { key: 'close', aliases: ['close', 'closeprice', 'closingprice', 'closingindexvalue', 'adjclose', 'price', 'last', 'value'] }
+  ];
+
+  static PAGE_SIZE = 1000;
+
+  /**
+   * Read every stored close, oldest first, optionally for one index
+   */
+  static async getPrices(symbol = null) {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += this.PAGE_SIZE) {
+        let query = supabase?.from('benchmark_prices')?.select('*');
+
+        if (symbol) {
+          query = query?.eq('symbol', symbol);
+        }
+
+        const { data, error } = await query
+          ?.order('price_date', { ascending: true })
+          ?.order('id')
+          ?.range(offset, offset + this.PAGE_SIZE - 1);
+
+        if (error) {
+          return { success: false, data: [], error: error?.message };
+        }
+
+        rows?.push(...(data || []));
+        if ((data?.length || 0) < this.PAGE_SIZE) break;
+      }
+
+      return { success: true, data: rows, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch benchmark prices' };
+    }
+  }
+
+  /**
+   * Add or replace closes ({ symbol, priceDate, close }), one per index and day
+   */
+  static async savePrices(prices, source = 'import') {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const invalid = prices?.find((price) => this.validatePrice(price));
+      if (invalid) {
+        return { success: false, data: null, error: this.validatePrice(invalid) };
+      }
+
+      // Later rows for the same index and day win, as a single upsert cannot touch a row twice
+      const rows = Object.values(Object.fromEntries(prices?.map((price) => [
+        `${price?.symbol}${price?.priceDate}`,
+        {
+          user_profile_id: user?.id,
+          symbol: price?.symbol,
+          price_date: price?.priceDate,
+          close: parseFloat(price?.close),
+          source
+        }
+      ])));
+
+      const saved = [];
+      for (let start = 0; start < rows?.length; start += this.PAGE_SIZE) {
+        const { data, error } = await supabase
+          ?.from('benchmark_prices')
+          ?.upsert(rows?.slice(start, start + this.PAGE_SIZE), { onConflict: 'user_profile_id,symbol,price_date' })
+          ?.select('id');
+
+        if (error) {
+          return { success: false, data: saved, error: error?.message };
+        }
+
+        saved?.push(...(data || []));
+      }
+
+      return { success: true, data: saved, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save benchmark prices' };
+    }
+  }
+
+  /**
+   * Remove the whole price history of an index
+   */
+  static async deletePrices(symbol) {
+    try {
+      const { error } = await supabase?.from('benchmark_prices')?.delete()?.eq('symbol', symbol);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete benchmark prices' };
+    }
+  }
+
+  /**
+   * Error message for a close that cannot be stored, or null
+   */
+  static validatePrice(price) {
+    if (!this.BENCHMARKS?.[price?.symbol]) return `Unsupported index "${price?.symbol}"`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(price?.priceDate || '')) return 'Valid date is required';
+    if (!(parseFloat(price?.close) > 0)) return 'Close must be greater than 0';
+    return null;
+  }
+
+  /**
+   * Index key for a name or ticker from a price file ("NIFTY 50", "^NSEI", "S&P 500"), or null
+   */
+  static resolveSymbol(value) {
+    const key = `${value ?? ''}`?.toLowerCase()?.replace(/&/g, 'and')?.replace(/[^a-z0-9]/g, '');
+    return Object.entries(this.SYMBOL_ALIASES)?.find(([, aliases]) => aliases?.includes(key))?.[0] || null;
+  }
+
+  /**
+   * Read a CSV/XLSX index price history (NSE, BSE or Yahoo exports). Columns: date and close, plus an
+   * optional index column; files without one are stored under the chosen index
+   */
+  static async parsePricesFile(file, symbol, dateFormat = 'auto') {
+    const parsed = await TradeImportService?.parseFile(file);
+    if (!parsed?.success) {
+      return { success: false, data: null, error: 'No price rows found in file' };
+    }
+
+    const { headers, rows, headerRowNumber } = parsed?.data;
+    const normalised = headers?.map((header) => TradeImportService?.normaliseHeader(header));
+    const column = Object.fromEntries(this.PRICE_FIELDS?.map((field) => [
+      field?.key,
+      // Alias order decides between columns, so "Close" wins over "Adj Close"
+      field?.aliases?.reduce((found, alias) => (found >= 0 ? found : normalised?.indexOf(alias)), -1)
+    ]));
+
+    if (column?.date < 0 || column?.close < 0) {
+      return { success: false, data: null, error: 'File needs date and close columns' };
+    }
+
+    const prices = [];
+    const errors = [];
+
+    rows?.forEach((row, index) => {
+      const price = {
+        symbol: column?.symbol >= 0 ? this.resolveSymbol(row?.[column?.symbol]) || symbol : symbol,
+        priceDate: FxService?.parseRateDate(row?.[column?.date], dateFormat),
+        close: TradeImportService?.parseAmount(row?.[column?.close])
+      };
+
+      const error = this.validatePrice(price);
+      if (error) {
+        errors?.push({ rowNumber: headerRowNumber + index + 1, error });
+      } else {
+        prices?.push(price);
+      }
+    });
+
+    return { success: true, data: { prices, errors }, error: null };
+  }
+
+  /**
+   * Sorted { date, close } points of one index from stored rows
+   */
+  static closeSeries(rows, symbol) {
+    return (rows || [])
+      ?.filter((row) => row?.symbol === symbol && parseFloat(row?.close) > 0)
+      ?.map((row) => ({ date: row?.price_date, close: parseFloat(row?.close) }))
+      ?.sort((a, b) => (a?.date < b?.date ? -1 : a?.date > b?.date ? 1 : 0));
+  }
+
+  /**
+   * Closes inside the date range, led by the last close before it so the first day has a return
+   */
+  static closesInRange(closes, { startDate, endDate } = {}) {
+    const before = closes?.filter((point) => startDate && point?.date < startDate);
+    const inside = closes?.filter((point) => (!startDate || point?.date >= startDate) && (!endDate || point?.date <= endDate));
+    return before?.length ? [before?.[before?.length - 1], ...inside] : inside;
+  }
+
+  /**
+   * Portfolio and index returns on each index close in the range. Daily rows are sorted by date
+   */
+  static returnSeries(days, closes, { capital = 0, startDate, endDate } = {}) {
+    const points = this.closesInRange(closes, { startDate, endDate });
+    const series = [];
+    let dayIndex = 0;
+    let earned = 0;
+
+    // P&L on or before the base close falls outside the first return
+    while (dayIndex < days?.length && points?.length && days?.[dayIndex]?.date <= points?.[0]?.date) {
+      if (!startDate || days?.[dayIndex]?.date >= startDate) earned += days?.[dayIndex]?.daily_pnl;
+      dayIndex += 1;
+    }
+
+    for (let index = 1; index < points?.length; index++) {
+      let pnl = 0;
+      while (dayIndex < days?.length && days?.[dayIndex]?.date <= points?.[index]?.date) {
+        pnl += days?.[dayIndex]?.daily_pnl;
+        dayIndex += 1;
+      }
+
+      const equity = capital + earned;
+      series?.push({
+        date: points?.[index]?.date,
+        pnl,
+        portfolio: equity > 0 ? pnl / equity : null,
+        benchmark: points?.[index]?.close / points?.[index - 1]?.close - 1
+      });
+      earned += pnl;
+    }
+
+    return series?.filter((point) => point?.portfolio !== null);
+  }
+
+  /**
+   * Beta, alpha, correlation, tracking error, information ratio and up/down capture of the
+   * portfolio against an index, with compounded returns of both. Null when under two returns
+   */
+  static compare(days, closes, options = {}) {
+    const series = this.returnSeries(days, closes, options);
+    if (series?.length < 2) return null;
+
+    const annual = AnalyticsService?.TRADING_DAYS_PER_YEAR;
+    const mean = (values) => values?.reduce((sum, value) => sum + value, 0) / (values?.length || 1);
+    const portfolio = series?.map((point) => point?.portfolio);
+    const benchmark = series?.map((point) => point?.benchmark);
+    const meanPortfolio = mean(portfolio);
+    const meanBenchmark = mean(benchmark);
+
+    let covariance = 0;
+    let variancePortfolio = 0;
+    let varianceBenchmark = 0;
+    series?.forEach((point) => {
+      covariance += (point?.portfolio - meanPortfolio) * (point?.benchmark - meanBenchmark);
+      variancePortfolio += Math.pow(point?.portfolio - meanPortfolio, 2);
+      varianceBenchmark += Math.pow(point?.benchmark - meanBenchmark, 2);
+    });
+
+    const active = series?.map((point) => point?.portfolio - point?.benchmark);
+    const meanActive = mean(active);
+    const trackingError = Math.sqrt(mean(active?.map((value) => Math.pow(value - meanActive, 2)))) * Math.sqrt(annual);
+
+    // Mean portfolio return over mean index return, on days the index rose (up) or fell (down)
+    const capture = (predicate) => {
+      const matched = series?.filter((point) => predicate(point?.benchmark));
+      const indexMean = mean(matched?.map((point) => point?.benchmark));
+      return matched?.length && indexMean !== 0 ? (mean(matched?.map((point) => point?.portfolio)) / indexMean) * 100 : null;
+    };
+
+    const compound = (values) => (values?.reduce((total, value) => total * (1 + value), 1) - 1) * 100;
+    const beta = varianceBenchmark > 0 ? covariance / varianceBenchmark : null;
+    const portfolioReturn = compound(portfolio);
+    const benchmarkReturn = compound(benchmark);
+
+    return {
+      days: series?.length,
+      from: series?.[0]?.date,
+      to: series?.[series?.length - 1]?.date,
+      beta,
+      // Jensen's alpha with a zero risk-free rate, annualised, in percent
+      alpha: beta !== null ? (meanPortfolio - beta * meanBenchmark) * annual * 100 : null,
+      correlation: variancePortfolio > 0 && varianceBenchmark > 0 ? covariance / Math.sqrt(variancePortfolio * varianceBenchmark) : null,
+      trackingError: trackingError * 100,
+      informationRatio: trackingError > 0 ? (meanActive * annual) / trackingError : null,
+      upCapture: capture((value) => value > 0),
+      downCapture: capture((value) => value < 0),
+      portfolioReturn,
+      benchmarkReturn,
+      excessReturn: portfolioReturn - benchmarkReturn,
+      series
+    };
+  }
+
+  /**
+   * compare() per trading account or strategy over prepared trades. capitalFor(key) gives each
+   * group's capital base
+   */
+  static compareGroups(trades, closes, { groupBy = 'account', capitalFor = () => 0, labelFor = (key) => key, startDate, endDate } = {}) {
+    const groups = {};
+
+    trades?.forEach((trade) => {
+      const key = groupBy === 'strategy' ? trade?.strategy || 'Unassigned' : trade?.accountId || trade?.brokerId || 'Unassigned';
+      groups[key] = groups?.[key] || [];
+      groups?.[key]?.push(trade);
+    });
+
+    return Object.entries(groups)?.map(([key, groupTrades]) => ({
+      key,
+      label: labelFor(key),
+      trades: groupTrades?.length,
+      pnl: groupTrades?.reduce((sum, trade) => sum + trade?.pnl, 0),
+      stats: this.compare(AnalyticsService?.dailyFromTrades(groupTrades), closes, { capital: capitalFor(key), startDate, endDate })
+    }))?.sort((a, b) => b?.pnl - a?.pnl);
+  }
+
+  /**
+   * What the capital base would have earned in the index by each close in the range, for
+   * overlaying on cumulative P&L
+   */
+  static equivalentPnl(closes, { capital = 0, startDate, endDate } = {}) {
+    const points = this.closesInRange(closes, { startDate, endDate });
+    const base = points?.[0]?.close;
+    return points?.map((point) => ({ date: point?.date, pnl: capital * (point?.close / base - 1) }));
+  }
+
+  /**
+   * Value of a date-sorted series on a day: the latest point on or before it, else null
+   */
+  static valueOn(points, date, field = 'pnl') {
+    let value = null;
+    for (const point of points || []) {
+      if (point?.date > date) break;
+      value = point?.[field];
+    }
+    return value;
+  }
+}
+
+export default BenchmarkService;
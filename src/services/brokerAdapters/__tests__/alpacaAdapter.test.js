@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { fakeSupabase, fixture, replayProxy, USER_ID } from './helpers';
+import BrokerProxyService from '../../brokerProxyService';
+import AlpacaService from '../../alpacaService';
+import AlpacaAdapter from '../alpacaAdapter';
+
+vi.mock('../../../lib/supabase', async () => ({ supabase: (await import('./helpers')).fakeSupabase }));
+
+const broker = { id: 'broker-alpaca', broker_key: 'alpaca', environment: 'paper', user_profile_id: USER_ID };
+
+describe('AlpacaAdapter', () => {
+  let proxy;
+
+  beforeEach(() => {
+    fakeSupabase.reset({ brokers: [{ ...broker, matching_method: 'fifo', last_sync_at: null }] });
+    proxy = replayProxy({
+      '/v2/account/activities/FILL': fixture('alpaca', 'activities-fill.json'),
+      '/v2/orders': fixture('alpaca', 'orders-closed.json'),
+      '/v2/positions': fixture('alpaca', 'positions.json')
+    });
+    BrokerProxyService.transport = proxy.transport;
+  });
+
+  it('imports fills with their order details and pairs them into a round trip', async () => {
+    const result = await AlpacaAdapter.fetchExecutions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 1, importedLegs: 2, openPositions: 0, totalAlpacaFills: 2 });
+
+    const legs = fakeSupabase.tables.orders;
+    expect(legs[1]).toMatchObject({
+      symbol: 'AAPL',
+      side: 'sell',
+      order_type: 'limit',
+      price: 192.8,
+      filled_price: 192.8,
+      executed_at: '2024-05-31T15:55:00.456Z',
+      execution_id_external: '20240531155500456::0c9f6f7e-5d2b-4c1a-8e7f-6a5b4c3d2e10'
+    });
+
+    const [trade] = fakeSupabase.tables.trades;
+    expect(trade).toMatchObject({ symbol: 'AAPL', status: 'closed', quantity: 10, entry_price: 191.25, exit_price: 192.8, currency: 'USD', fees_currency: 'USD' });
+    expect(trade.pnl).toBeCloseTo(15.5);
+  });
+
+  it('pages closed orders without skipping orders that share the last submitted_at', async () => {
+    const submittedAt = (index) => new Date(Date.UTC(2024, 4, 31, 14) + Math.min(index, 499) * 1000).toISOString();
+    const orders = Array.from({ length: 503 }, (_, index) => ({ id: `order-${index}`, submitted_at: submittedAt(index) }));
+
+    BrokerProxyService.transport = replayProxy({
+      '/v2/orders': ({ params }) => orders
+        .filter((order) => !params?.after || order.submitted_at > params.after)
+        .slice(0, 500)
+    }).transport;
+
+    const result = await AlpacaService.getClosedOrders({ brokerId: broker.id }, null);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(503);
+  });
+
+  it('maps positions, keeping shorts negative', async () => {
+    const result = await AlpacaAdapter.fetchPositions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([{
+      symbol: 'SPY',
+      exchange: 'ARCA',
+      quantity: -3,
+      averagePrice: 528.4,
+      lastPrice: 527.1,
+      unrealizedPnl: 3.9,
+      marginUsed: null,
+      currency: 'USD'
+    }]);
+    expect(proxy.calls.map((call) => call.path)).toEqual(['/v2/positions']);
+  });
+});
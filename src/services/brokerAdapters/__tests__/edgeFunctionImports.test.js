@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+
+const ROOT = resolve(__dirname, '../../../..');
+const FUNCTIONS_DIR = join(ROOT, 'supabase', 'functions');
+const IMPORT = /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]|import\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+/**
+ * Walk an edge function's static imports the way Deno resolves them: relative specifiers as written
+ * (no extension guessing) unless deno.json maps them, bare ones only through deno.json
+ */
+const unresolvedImports = (functionName) => {
+  const functionDir = join(FUNCTIONS_DIR, functionName);
+  const { imports = {} } = JSON.parse(readFileSync(join(functionDir, 'deno.json'), 'utf8'));
+  const mapped = new Map(Object.entries(imports).map(([key, value]) => [
+    key.startsWith('.') ? resolve(functionDir, key) : key,
+    value.startsWith('.') ? resolve(functionDir, value) : value
+  ]));
+
+  const problems = [];
+  const seen = new Set();
+  const pending = [join(functionDir, 'index.ts')];
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (seen.has(file)) continue;
+    seen.add(file);
+
+    for (const match of readFileSync(file, 'utf8').matchAll(IMPORT)) {
+      const specifier = match[1] || match[2];
+      const where = `${file.replace(`${ROOT}/`, '')}: '${specifier}'`;
+
+      if (!specifier.startsWith('.')) {
+        if (!specifier.startsWith('node:') && !specifier.startsWith('npm:') && !mapped.has(specifier)) {
+          problems.push(`${where} is not in deno.json`);
+        }
+        continue;
+      }
+
+      const target = resolve(dirname(file), specifier);
+      const resolved = mapped.get(target) || target;
+
+      if (!existsSync(resolved) || !/\.(js|jsx|ts)$/.test(resolved)) {
+        problems.push(`${where} does not name a file`);
+        continue;
+      }
+
+      pending.push(resolved);
+    }
+  }
+
+  return problems;
+};
+
+const SERVICES_DIR = join(ROOT, 'src', 'services');
+
+describe('edge function imports', () => {
+  const functionNames = readdirSync(FUNCTIONS_DIR).filter((name) => existsSync(join(FUNCTIONS_DIR, name, 'deno.json')));
+
+  it.each(functionNames)('%s resolves every module it loads', (functionName) => {
+    expect(unresolvedImports(functionName)).toEqual([]);
+  });
+
+  // Any service can end up in an edge function's graph, so they all import by file name
+  it('service modules name the file in every relative import', () => {
+    const files = readdirSync(SERVICES_DIR, { recursive: true })
+      .filter((name) => name.endsWith('.js') && !name.includes('__tests__'));
+
+    const extensionless = files.flatMap((name) => [...readFileSync(join(SERVICES_DIR, name), 'utf8').matchAll(IMPORT)]
+      .map((match) => match[1] || match[2])
+      .filter((specifier) => specifier.startsWith('.') && !/\.(js|jsx|ts)$/.test(specifier))
+      .map((specifier) => `src/services/${name}: '${specifier}'`));
+
+    expect(extensionless).toEqual([]);
+  });
+});
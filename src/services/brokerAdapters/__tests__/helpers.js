@@ -0,0 +1,224 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const USER_ID = 'user-1';
+
+/**
+ * Read a recorded broker response from fixtures/<broker>/<name>
+ */
+export const fixture = (broker, name) => {
+  const text = readFileSync(join(__dirname, 'fixtures', broker, name), 'utf8');
+  return name?.endsWith('.json') ? JSON.parse(text) : text;
+};
+
+const compare = (a, b) => (a === b ? 0 : (a ?? '') < (b ?? '') ? -1 : 1);
+
+/**
+ * A query against one in-memory table, covering the PostgREST builder calls the broker services make.
+ * Selects return whole rows; writes return the rows they touched.
+ */
+class FakeQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.sorts = [];
+    this.window = null;
+    this.mode = null;
+  }
+
+  get rows() {
+    this.client.tables[this.table] = this.client.tables[this.table] || [];
+    return this.client.tables[this.table];
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [values].flat();
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.values = [values].flat();
+    this.conflict = onConflict.split(',');
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where((row) => `${row[column]}` === `${value}`);
+  }
+
+  neq(column, value) {
+    return this.where((row) => `${row[column]}` !== `${value}`);
+  }
+
+  in(column, values) {
+    const set = new Set(values.map((value) => `${value}`));
+    return this.where((row) => set.has(`${row[column]}`));
+  }
+
+  is(column, value) {
+    return this.where((row) => (row[column] ?? null) === value);
+  }
+
+  not(column, operator, value) {
+    return this.where((row) => (row[column] ?? null) !== value);
+  }
+
+  like(column, pattern) {
+    const regex = new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`);
+    return this.where((row) => regex.test(`${row[column] ?? ''}`));
+  }
+
+  gte(column, value) {
+    return this.where((row) => compare(row[column], value) >= 0);
+  }
+
+  lte(column, value) {
+    return this.where((row) => compare(row[column], value) <= 0);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to];
+    return this;
+  }
+
+  limit(count) {
+    this.window = [0, count - 1];
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.rows.filter((row) => this.filters.every((test) => test(row)));
+  }
+
+  write(value) {
+    const existing = this.conflict && this.rows.find((row) => this.conflict.every((column) => `${row[column]}` === `${value[column]}`));
+    if (existing) {
+      return Object.assign(existing, value);
+    }
+
+    const row = { id: crypto.randomUUID(), ...value };
+    this.rows.push(row);
+    return row;
+  }
+
+  execute() {
+    let result;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      result = this.values.map((value) => this.write(value));
+    } else if (this.action === 'update') {
+      result = this.matching().map((row) => Object.assign(row, this.values));
+    } else if (this.action === 'delete') {
+      result = this.matching();
+      this.client.tables[this.table] = this.rows.filter((row) => !result.includes(row));
+    } else {
+      result = [...this.matching()].sort((a, b) => {
+        for (const { column, ascending } of this.sorts) {
+          const order = compare(a[column], b[column]);
+          if (order) return ascending ? order : -order;
+        }
+        return 0;
+      });
+      if (this.window) {
+        result = result.slice(this.window[0], this.window[1] + 1);
+      }
+    }
+
+    const data = structuredClone(result);
+
+    if (this.mode === 'single' && data.length !== 1) {
+      return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    if (this.mode) {
+      return { data: data[0] ?? null, error: null };
+    }
+    return { data, error: null };
+  }
+}
+
+/**
+ * In-memory stand-in for the app's Supabase client, signed in as USER_ID
+ */
+export const createFakeSupabase = () => {
+  const client = {
+    tables: {},
+    reset(tables = {}) {
+      client.tables = structuredClone(tables);
+    },
+    from: (table) => new FakeQuery(client, table),
+    auth: {
+      getUser: async () => ({ data: { user: { id: USER_ID } }, error: null })
+    },
+    functions: {
+      invoke: async () => ({ data: null, error: new Error('Tests answer the broker proxy through BrokerProxyService.transport') })
+    }
+  };
+
+  return client;
+};
+
+export const fakeSupabase = createFakeSupabase();
+
+/**
+ * A BrokerProxyService.transport that answers 'request' actions with the recorded response for the
+ * path, as the broker-proxy function would ({ status, data }). Every call is kept in calls.
+ */
+export const replayProxy = (responses) => {
+  const calls = [];
+
+  const transport = async (body) => {
+    calls.push(body);
+    const recorded = responses[body?.path];
+
+    if (body?.action !== 'request' || recorded === undefined) {
+      return { data: null, error: new Error(`No recording for ${body?.action} ${body?.path}`) };
+    }
+
+    return { data: { status: 200, data: typeof recorded === 'function' ? recorded(body) : recorded }, error: null };
+  };
+
+  return { transport, calls };
+};
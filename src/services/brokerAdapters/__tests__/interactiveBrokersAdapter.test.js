@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { fakeSupabase, fixture, replayProxy, USER_ID } from './helpers';
+import BrokerProxyService from '../../brokerProxyService';
+import InteractiveBrokersService from '../../interactiveBrokersService';
+import InteractiveBrokersAdapter from '../interactiveBrokersAdapter';
+import TradingService from '../../tradingService';
+
+vi.mock('../../../lib/supabase', async () => ({ supabase: (await import('./helpers')).fakeSupabase }));
+
+const broker = { id: 'broker-ib', broker_key: 'interactive', user_profile_id: USER_ID };
+
+describe('InteractiveBrokersAdapter', () => {
+  let proxy;
+
+  beforeEach(() => {
+    fakeSupabase.reset({
+      brokers: [{ ...broker, matching_method: 'fifo' }],
+      trading_accounts: [{ id: 'account-1', broker_id: broker.id, account_number: 'U1234567' }]
+    });
+
+    // The first download finds the statement still being generated
+    const statements = [fixture('interactive', 'statement-in-progress.xml'), fixture('interactive', 'statement.xml')];
+    proxy = replayProxy({
+      '/SendRequest': fixture('interactive', 'send-request.xml'),
+      '/GetStatement': () => statements.shift()
+    });
+    BrokerProxyService.transport = proxy.transport;
+    InteractiveBrokersService.STATEMENT_POLL_DELAY_MS = 0;
+  });
+
+  it('downloads the Flex statement and imports executions and FX conversions', async () => {
+    const result = await InteractiveBrokersAdapter.fetchExecutions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 1, importedLegs: 2, importedConversions: 1, totalFlexTrades: 3 });
+    expect(proxy.calls.map((call) => [call.path, call.params?.q])).toEqual([
+      ['/SendRequest', undefined],
+      ['/GetStatement', '7714285301'],
+      ['/GetStatement', '7714285301']
+    ]);
+
+    // Execution rows are used and the order summary row is ignored
+    const legs = fakeSupabase.tables.orders;
+    expect(legs.map((leg) => leg.execution_id_external)).toEqual(['655123001', '655123002']);
+    expect(legs[0]).toMatchObject({
+      trading_account_id: 'account-1',
+      side: 'buy',
+      order_type: 'limit',
+      filled_quantity: 20,
+      filled_price: 425.1,
+      fees: 1,
+      executed_at: '2024-05-29T10:05:12.000Z'
+    });
+
+    const trades = fakeSupabase.tables.trades;
+    const roundTrip = trades.find((trade) => trade.external_id?.startsWith('rt-'));
+    expect(roundTrip).toMatchObject({ symbol: 'MSFT', status: 'closed', entry_price: 425.1, exit_price: 414.7 });
+    expect(roundTrip.pnl).toBeCloseTo(-208);
+    expect(roundTrip.fees).toBeCloseTo(2.02);
+    const conversion = trades.find((trade) => trade.external_id === '655123003');
+    expect(conversion).toMatchObject({ symbol: 'EUR.USD', asset_class: 'forex', broker_id: broker.id });
+    // A currency conversion is not a closed trade
+    expect(TradingService.normaliseTrade(conversion)).toMatchObject({ status: 'conversion', closedAt: null });
+  });
+
+  it('does not offer live positions', async () => {
+    const result = await InteractiveBrokersAdapter.fetchPositions(broker);
+
+    expect(result).toEqual({ success: false, data: null, error: 'Interactive Brokers does not support live positions' });
+  });
+});
@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { fakeSupabase, fixture, USER_ID } from './helpers';
+import MetaTraderService from '../../metaTraderService';
+import MetaTraderAdapter from '../metaTraderAdapter';
+
+vi.mock('../../../lib/supabase', async () => ({ supabase: (await import('./helpers')).fakeSupabase }));
+
+const broker = { id: 'broker-mt5', broker_key: 'mt5', user_profile_id: USER_ID };
+const externalId = (number, kind = null) => MetaTraderService.externalId(broker.id, number, kind);
+
+// An uploaded report as the file input hands it over
+const reportFile = (name) => ({
+  arrayBuffer: async () => new TextEncoder().encode(fixture('mt5', name)).buffer
+});
+
+describe('MetaTraderAdapter', () => {
+  beforeEach(() => {
+    fakeSupabase.reset({ brokers: [{ ...broker }] });
+  });
+
+  it('asks for a report upload instead of fetching executions', async () => {
+    const result = await MetaTraderAdapter.fetchExecutions(broker);
+
+    expect(result).toEqual({ success: true, data: { importedCount: 0, requiresUpload: true, brokerId: broker.id }, error: null });
+  });
+
+  it('imports a report into closed round trips and open positions', async () => {
+    const result = await MetaTraderService.importReport(broker.id, reportFile('report-week1.html'));
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 2, insertedCount: 2, updatedCount: 0 });
+
+    const trades = fakeSupabase.tables.trades;
+    expect(trades.find((trade) => trade.external_id === externalId(1004))).toMatchObject({
+      symbol: 'GBPUSD',
+      trade_type: 'sell',
+      status: 'closed',
+      quantity: 0.5,
+      entry_price: 1.274,
+      exit_price: 1.271,
+      pnl: 150,
+      fees: 3.5,
+      currency: 'USD',
+      fees_currency: 'USD',
+      // Server times are read as UTC
+      opened_at: '2024-05-29T10:00:00.000Z',
+      closed_at: '2024-05-29T16:30:00.000Z'
+    });
+    expect(trades.find((trade) => trade.external_id === externalId(1002, 'open'))).toMatchObject({
+      symbol: 'EURUSD',
+      trade_type: 'buy',
+      status: 'open',
+      quantity: 1,
+      entry_price: 1.085,
+      fees: 3.5
+    });
+  });
+
+  it('keeps the same deal numbers from another account apart', async () => {
+    const other = { ...broker, id: 'broker-mt5-other' };
+    fakeSupabase.tables.brokers.push(other);
+
+    await MetaTraderService.importReport(broker.id, reportFile('report-week1.html'));
+    await MetaTraderService.importReport(other.id, reportFile('report-week1.html'));
+
+    const trades = fakeSupabase.tables.trades;
+    expect(trades).toHaveLength(4);
+    expect(trades.filter((trade) => trade.broker_id === broker.id)).toHaveLength(2);
+    expect(trades.find((trade) => trade.external_id === MetaTraderService.externalId(other.id, 1004))).toMatchObject({ broker_id: other.id });
+  });
+
+  it('closes positions opened in an earlier report', async () => {
+    await MetaTraderService.importReport(broker.id, reportFile('report-week1.html'));
+    const opened = fakeSupabase.tables.trades.find((trade) => trade.external_id === externalId(1002, 'open'));
+
+    const result = await MetaTraderService.importReport(broker.id, reportFile('report-week2.html'));
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 2, totalRoundTrips: 2 });
+
+    const trades = fakeSupabase.tables.trades;
+    expect(trades.map((trade) => trade.external_id).sort()).toEqual([1004, 1010, 1011].map((deal) => externalId(deal)).sort());
+
+    const [first, second] = [1010, 1011].map((deal) => trades.find((trade) => trade.external_id === externalId(deal)));
+    expect(first).toMatchObject({ symbol: 'EURUSD', trade_type: 'buy', quantity: 0.6, entry_price: 1.085, exit_price: 1.089, pnl: 240, swap: -1.2 });
+    expect(second).toMatchObject({ quantity: 0.4, entry_price: 1.085, exit_price: 1.083, pnl: -80 });
+    expect(first.opened_at).toBe(opened.opened_at);
+    // The opening commission is shared between the two closes by volume
+    expect(first.fees).toBeCloseTo(3.5 * 0.6 + 2.1);
+    expect(second.fees).toBeCloseTo(3.5 * 0.4 + 1.4);
+  });
+});
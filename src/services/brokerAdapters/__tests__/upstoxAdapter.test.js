@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import { fakeSupabase, fixture, USER_ID } from './helpers';
+import UpstoxService from '../../upstoxService';
+import UpstoxAdapter from '../upstoxAdapter';
+
+vi.mock('../../../lib/supabase', async () => ({ supabase: (await import('./helpers')).fakeSupabase }));
+
+const broker = { id: 'broker-upstox', name: 'Upstox', broker_key: 'upstox', status: 'active', user_profile_id: USER_ID };
+
+const recordings = {
+  '/order/trades/get-trades-for-day': fixture('upstox', 'get-trades-for-day.json'),
+  '/portfolio/long-term-positions': fixture('upstox', 'long-term-positions.json')
+};
+
+describe('UpstoxAdapter', () => {
+  const http = UpstoxService.http;
+  let requested;
+
+  beforeEach(() => {
+    fakeSupabase.reset({
+      brokers: [{ ...broker, matching_method: 'fifo', charges_plan: null }],
+      upstox_tokens: [{
+        userId: USER_ID,
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }]
+    });
+
+    requested = [];
+    UpstoxService.http = {
+      get: async (url, config) => {
+        const path = url.replace(UpstoxService.BASE_URL, '');
+        requested.push({ path, authorization: config?.headers?.Authorization });
+        if (!recordings[path]) throw Object.assign(new Error('Not recorded'), { response: { status: 404, data: {} } });
+        return { status: 200, data: recordings[path] };
+      },
+      post: async () => {
+        throw new Error('Tokens are not refreshed in these tests');
+      }
+    };
+  });
+
+  afterAll(() => {
+    UpstoxService.http = http;
+  });
+
+  it('imports the day\'s fills as legs with the stored access token', async () => {
+    const result = await UpstoxAdapter.fetchExecutions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 1, importedLegs: 2, openPositions: 1, totalUpstoxTrades: 2 });
+    expect(requested).toContainEqual({ path: '/order/trades/get-trades-for-day', authorization: 'Bearer access-token' });
+
+    const legs = fakeSupabase.tables.orders;
+    expect(legs.map((leg) => leg.execution_id_external)).toEqual(['5001001', '5001002']);
+    expect(legs[0]).toMatchObject({
+      broker_id: broker.id,
+      symbol: 'TATAMOTORS',
+      side: 'buy',
+      filled_quantity: 20,
+      filled_price: 931.2,
+      // Upstox times are IST
+      executed_at: '2024-05-31T04:35:42.000Z'
+    });
+
+    const [trade] = fakeSupabase.tables.trades;
+    expect(trade).toMatchObject({ symbol: 'TATAMOTORS', status: 'open', quantity: 15, entry_price: 931.2 });
+    expect(trade.pnl).toBeCloseTo(44);
+  });
+
+  it('maps long-term positions', async () => {
+    const result = await UpstoxAdapter.fetchPositions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([{
+      symbol: 'TATAMOTORS',
+      exchange: 'NSE',
+      quantity: 15,
+      averagePrice: 931.2,
+      lastPrice: 940.6,
+      unrealizedPnl: 141,
+      marginUsed: null,
+      currency: 'INR'
+    }]);
+  });
+});
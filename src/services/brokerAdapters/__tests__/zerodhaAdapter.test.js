@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { fakeSupabase, fixture, replayProxy, USER_ID } from './helpers';
+import BrokerProxyService from '../../brokerProxyService';
+import ZerodhaAdapter from '../zerodhaAdapter';
+
+vi.mock('../../../lib/supabase', async () => ({ supabase: (await import('./helpers')).fakeSupabase }));
+
+const broker = { id: 'broker-zerodha', broker_key: 'zerodha', user_profile_id: USER_ID };
+
+describe('ZerodhaAdapter', () => {
+  let proxy;
+
+  beforeEach(() => {
+    fakeSupabase.reset({ brokers: [{ ...broker, matching_method: 'fifo', charges_plan: null }] });
+    proxy = replayProxy({
+      '/trades': fixture('zerodha', 'trades.json'),
+      '/orders': fixture('zerodha', 'orders.json'),
+      '/portfolio/positions': fixture('zerodha', 'positions.json')
+    });
+    BrokerProxyService.transport = proxy.transport;
+  });
+
+  it('imports tradebook fills as legs and pairs them into a round trip', async () => {
+    const result = await ZerodhaAdapter.fetchExecutions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ importedCount: 1, importedLegs: 3, openPositions: 0, insertedCount: 3 });
+    expect(proxy.calls.map((call) => call.path)).toEqual(['/trades', '/orders']);
+
+    const legs = fakeSupabase.tables.orders;
+    expect(legs.map((leg) => leg.execution_id_external)).toEqual(['10000001', '10000002', '10000003']);
+    // Kite times are IST
+    expect(legs[0].executed_at).toBe('2024-05-31T03:48:57.000Z');
+    expect(legs[1]).toMatchObject({ side: 'sell', order_type: 'limit', price: 1410, product: 'intraday' });
+    expect(legs.every((leg) => leg.fees > 0 && leg.charges)).toBe(true);
+
+    const [trade] = fakeSupabase.tables.trades;
+    expect(trade).toMatchObject({
+      symbol: 'INFY',
+      position_side: 'long',
+      currency: 'INR',
+      status: 'closed',
+      quantity: 10,
+      entry_price: 1402.5,
+      exit_price: 1410,
+      opened_at: '2024-05-31T03:48:57.000Z',
+      closed_at: '2024-05-31T08:32:11.000Z',
+      external_id: `rt-${legs[0].id}`
+    });
+    expect(trade.pnl).toBeCloseTo(75);
+  });
+
+  it('reports nothing new when the same tradebook is synced again', async () => {
+    await ZerodhaAdapter.fetchExecutions(broker);
+    const result = await ZerodhaAdapter.fetchExecutions(broker, { duplicateHandling: 'skip' });
+
+    expect(result.data).toMatchObject({ importedCount: 0, insertedCount: 0, skippedCount: 3 });
+    expect(fakeSupabase.tables.orders).toHaveLength(3);
+    expect(fakeSupabase.tables.trades).toHaveLength(1);
+  });
+
+  it('charges brokerage once for an order whose fills arrive in different syncs', async () => {
+    // Large enough for each fill to reach the per-order brokerage cap on its own
+    const tradebook = fixture('zerodha', 'trades.json');
+    tradebook.data.forEach((fill) => { fill.quantity *= 100; });
+    const sync = (fills) => {
+      BrokerProxyService.transport = replayProxy({
+        '/trades': { ...tradebook, data: fills },
+        '/orders': fixture('zerodha', 'orders.json')
+      }).transport;
+      return ZerodhaAdapter.fetchExecutions(broker, { duplicateHandling: 'skip' });
+    };
+    const brokerage = (legs) => legs.reduce((sum, leg) => sum + leg.charges.brokerage, 0);
+
+    await sync(tradebook.data);
+    const inOneSync = brokerage(fakeSupabase.tables.orders);
+
+    fakeSupabase.reset({ brokers: [{ ...broker, matching_method: 'fifo', charges_plan: null }] });
+    await sync(tradebook.data.slice(0, 2));
+    const result = await sync(tradebook.data);
+
+    expect(result.data).toMatchObject({ insertedCount: 1, skippedCount: 2 });
+    expect(fakeSupabase.tables.orders).toHaveLength(3);
+    expect(brokerage(fakeSupabase.tables.orders)).toBeCloseTo(inOneSync);
+  });
+
+  it('maps open net positions', async () => {
+    const result = await ZerodhaAdapter.fetchPositions(broker);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([{
+      symbol: 'SBIN',
+      exchange: 'NSE',
+      quantity: 25,
+      averagePrice: 812.4,
+      lastPrice: 820.9,
+      unrealizedPnl: 212.5,
+      marginUsed: null,
+      currency: 'INR'
+    }]);
+  });
+});
@@ -0,0 +1,92 @@
+import BrokerAdapter from './brokerAdapter.js';
+import { CREDENTIAL_FIELDS } from './credentialFields.js';
+import AlpacaService from '../alpacaService.js';
+
+/**
+ * Alpaca Markets adapter - API key pair for a paper or live account
+ */
+export class AlpacaAdapter extends BrokerAdapter {
+  static key = 'alpaca';
+  static label = 'Alpaca Markets';
+  static description = 'Commission-free trading API';
+  static logo = "https://images.unsplash.com/photo-1644995520599-211478ea8254";
+  static features = ['Equity Trading', 'Options', 'Crypto'];
+  static aliases = ['alpaca', 'alpaca markets'];
+
+  static credentialFields = [
+    CREDENTIAL_FIELDS.apiKey,
+    CREDENTIAL_FIELDS.apiSecret,
+    {
+      name: 'environment',
+      label: 'Environment',
+      type: 'select',
+      options: [
+        { value: 'paper', label: 'Paper Trading' },
+        { value: 'live', label: 'Live Trading' }
+      ],
+      defaultValue: 'paper',
+      description: 'Which Alpaca account the API keys belong to'
+    }
+  ];
+
+  static async fetchExecutions(broker, preferences = null) {
+    try {
+      return await AlpacaService?.importTradesToDatabase(broker?.id, preferences);
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to sync Alpaca data' };
+    }
+  }
+
+  static supportsReconciliation = true;
+
+  static async fetchLegs(broker, range) {
+    const result = await AlpacaService?.fetchLegs(broker?.id, range?.from);
+    if (!result?.success) {
+      return result;
+    }
+
+    return { success: true, data: { legs: result?.data, from: range?.from, to: range?.to }, error: null };
+  }
+
+  static supportsLivePositions = true;
+
+  static async fetchPositions(broker) {
+    const result = await AlpacaService?.getPositions(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    // qty is already negative for shorts
+    const positions = (result?.data || [])?.map((position) => ({
+      symbol: position?.symbol,
+      exchange: position?.exchange,
+      quantity: Number(position?.qty),
+      averagePrice: Number(position?.avg_entry_price),
+      lastPrice: Number(position?.current_price),
+      unrealizedPnl: Number(position?.unrealized_pl),
+      marginUsed: null,
+      currency: 'USD'
+    }));
+
+    return { success: true, data: positions, error: null };
+  }
+
+  static async fetchFunds(broker) {
+    const result = await AlpacaService?.getAccount(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      data: {
+        available: Number(result?.data?.buying_power ?? result?.data?.cash),
+        marginUsed: Number(result?.data?.initial_margin ?? 0),
+        currency: result?.data?.currency || 'USD'
+      },
+      error: null
+    };
+  }
+}
+
+export default AlpacaAdapter;
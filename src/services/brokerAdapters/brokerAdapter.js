@@ -0,0 +1,99 @@
+import BrokerProxyService from '../brokerProxyService.js';
+
+/**
+ * Base broker adapter for TradeScope
+ * Every supported broker extends this with its metadata and overrides the operations it offers.
+ * TradingService and the broker pages only reach brokers through this interface, via BrokerRegistry.
+ *
+ * Broker HTTP goes through BrokerProxyService (UpstoxService.http for Upstox), so an adapter can be
+ * run against recorded responses by swapping that transport.
+ */
+export class BrokerAdapter {
+  // Stable id stored in brokers.broker_key
+  static key = null;
+  static label = null;
+  static description = '';
+  static logo = null;
+  static features = [];
+
+  // Lower-cased display names that identify this broker on rows without a broker_key
+  static aliases = [];
+
+  // 'credentials' brokers are added through AddBrokerModal from credentialFields;
+  // 'oauth' brokers are connected through their own login flow
+  static connection = 'credentials';
+  static credentialFields = [];
+
+  // Whether stored legs are paired into round trips with the broker's lot matching method
+  static usesLotMatching = true;
+
+  // Whether fetchPositions/fetchFunds can be called for a live view
+  static supportsLivePositions = false;
+
+  // Whether fetchLegs can read executions back for reconciliation
+  static supportsReconciliation = false;
+
+  // Whether fills are on Indian exchanges and come without fees, so they are charged using a brokerage plan
+  static usesChargesPlan = false;
+
+  /**
+   * Check the stored credentials still work: { status: 'connected' | 'login_required' }
+   */
+  static async testConnection(broker) {
+    return BrokerProxyService?.invoke('test', broker?.id);
+  }
+
+  /**
+   * Fetch new executions from the broker and import them as legs, returning the import counts
+   */
+  static async fetchExecutions(broker, preferences = null) {
+    return this.unsupported('trade import');
+  }
+
+  /**
+   * Read executions as legs without saving them, for reconciliation against the journal.
+   * Returns { legs, from, to }, where from/to is the part of range ({ from, to } ISO strings) the broker can report.
+   */
+  static async fetchLegs(broker, range) {
+    return this.unsupported('tradebook reconciliation');
+  }
+
+  /**
+   * Fetch current open positions as
+   * [{ symbol, exchange, quantity (negative when short), averagePrice, lastPrice, unrealizedPnl, marginUsed, currency }]
+   */
+  static async fetchPositions(broker) {
+    return this.unsupported('live positions');
+  }
+
+  /**
+   * Fetch available funds and margin as { available, marginUsed, currency }
+   */
+  static async fetchFunds(broker) {
+    return this.unsupported('funds');
+  }
+
+  /**
+   * Release anything held for the broker when it is disconnected
+   */
+  static async disconnect(broker) {
+    return { success: true, error: null };
+  }
+
+  // Day tradebooks only report fills since midnight
+  static todaysCoverage(range) {
+    const startOfDay = new Date();
+    startOfDay?.setHours(0, 0, 0, 0);
+
+    return {
+      from: new Date(Math.max(new Date(range?.from)?.getTime() || 0, startOfDay?.getTime()))?.toISOString(),
+      to: range?.to
+    };
+  }
+
+  static unsupported(feature) {
+    return { success: false, data: null, error: `${this.label} does not support ${feature}` };
+  }
+}
+
+export default BrokerAdapter;
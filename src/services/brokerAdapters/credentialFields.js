@@ -0,0 +1,36 @@
+/**
+ * Credential field definitions shared by broker adapters.
+ * AddBrokerModal renders these directly; adapters pick the ones they need and may override the wording.
+ */
+export const CREDENTIAL_FIELDS = {
+  apiKey: {
+    name: 'apiKey',
+    label: 'API Key',
+    type: 'password',
+    placeholder: 'Enter your API key',
+    description: 'Your broker API key for authentication'
+  },
+  apiSecret: {
+    name: 'apiSecret',
+    label: 'API Secret',
+    type: 'password',
+    placeholder: 'Enter your API secret',
+    description: 'Secret key paired with your API key'
+  },
+  userId: {
+    name: 'userId',
+    label: 'User ID',
+    type: 'text',
+    placeholder: 'Enter your user ID',
+    description: 'Your broker account user ID'
+  },
+  password: {
+    name: 'password',
+    label: 'Password',
+    type: 'password',
+    placeholder: 'Enter your password',
+    description: 'Your broker account password'
+  }
+};
+
+export default CREDENTIAL_FIELDS;
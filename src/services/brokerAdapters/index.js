@@ -0,0 +1,48 @@
+import ZerodhaAdapter from './zerodhaAdapter.js';
+import UpstoxAdapter from './upstoxAdapter.js';
+import InteractiveBrokersAdapter from './interactiveBrokersAdapter.js';
+import AlpacaAdapter from './alpacaAdapter.js';
+import MetaTraderAdapter from './metaTraderAdapter.js';
+
+/**
+ * Broker Registry for TradeScope
+ * The one list of supported brokers. Adding a broker means writing a BrokerAdapter and listing it here;
+ * sync, connection tests and the add-broker form all pick it up from the registry.
+ */
+export class BrokerRegistry {
+  static ADAPTERS = [
+    ZerodhaAdapter,
+    UpstoxAdapter,
+    InteractiveBrokersAdapter,
+    AlpacaAdapter,
+    MetaTraderAdapter
+  ];
+
+  static list() {
+    return this.ADAPTERS;
+  }
+
+  static get(key) {
+    return this.ADAPTERS?.find((adapter) => adapter?.key === key) || null;
+  }
+
+  /**
+   * Resolve a brokers row to its adapter by broker_key, falling back to its display name
+   */
+  static forBroker(broker) {
+    const name = broker?.name?.trim()?.toLowerCase();
+    return this.get(broker?.broker_key) ||
+      this.ADAPTERS?.find((adapter) => adapter?.aliases?.includes(name)) ||
+      null;
+  }
+
+  /**
+   * Brokers added by entering credentials in AddBrokerModal
+   */
+  static credentialBrokers() {
+    return this.ADAPTERS?.filter((adapter) => adapter?.connection === 'credentials');
+  }
+}
+
+export { BrokerAdapter } from './brokerAdapter.js';
+export default BrokerRegistry;
@@ -0,0 +1,65 @@
+import BrokerAdapter from './brokerAdapter.js';
+import InteractiveBrokersService from '../interactiveBrokersService.js';
+
+/**
+ * Interactive Brokers adapter - trades come from a saved Activity Flex Query, fetched or uploaded.
+ * Flex statements are end-of-day, so there are no live positions or funds.
+ */
+export class InteractiveBrokersAdapter extends BrokerAdapter {
+  static key = 'interactive';
+  static label = 'Interactive Brokers';
+  static description = 'Global electronic trading';
+  static logo = "https://images.unsplash.com/photo-1614029951470-ef9eb9952be7";
+  static features = ['Equity Trading', 'Options', 'Futures', 'Forex'];
+  static aliases = ['interactive brokers'];
+
+  static credentialFields = [
+    {
+      name: 'flexToken',
+      label: 'Flex Web Service Token',
+      type: 'password',
+      placeholder: 'Enter your Flex token',
+      description: 'Generated under Reports > Settings > Flex Web Service in Client Portal'
+    },
+    {
+      name: 'flexQueryId',
+      label: 'Flex Query ID',
+      type: 'text',
+      placeholder: 'Enter your Activity Flex Query ID',
+      description: 'Query should include Trades at execution level'
+    }
+  ];
+
+  static async fetchExecutions(broker, preferences = null) {
+    try {
+      return await InteractiveBrokersService?.importFromFlexService(broker?.id, preferences);
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to sync Interactive Brokers data' };
+    }
+  }
+
+  static supportsReconciliation = true;
+
+  static async fetchLegs(broker, range) {
+    const result = await InteractiveBrokersService?.fetchLegs(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    // The statement covers its query's period, whole days inclusive (Flex dates are read as UTC)
+    const statementEnd = result?.data?.toDate ? new Date(result?.data?.toDate) : null;
+    statementEnd?.setUTCHours(23, 59, 59, 999);
+
+    return {
+      success: true,
+      data: {
+        legs: result?.data?.legs,
+        from: new Date(Math.max(new Date(range?.from)?.getTime() || 0, new Date(result?.data?.fromDate || 0)?.getTime()))?.toISOString(),
+        to: new Date(Math.min(new Date(range?.to)?.getTime(), statementEnd?.getTime() ?? Infinity))?.toISOString()
+      },
+      error: null
+    };
+  }
+}
+
+export default InteractiveBrokersAdapter;
@@ -0,0 +1,39 @@
+import BrokerAdapter from './brokerAdapter.js';
+import { CREDENTIAL_FIELDS } from './credentialFields.js';
+
+/**
+ * MetaTrader 5 adapter - MT5 has no web API; trades arrive through uploaded History reports
+ */
+export class MetaTraderAdapter extends BrokerAdapter {
+  static key = 'mt5';
+  static label = 'MetaTrader 5';
+  static description = 'Multi-asset trading platform';
+  static logo = "https://images.unsplash.com/photo-1642052503374-13c45f288e5e";
+  static features = ['Forex', 'CFDs', 'Futures'];
+  static aliases = ['mt5', 'metatrader 5'];
+
+  static credentialFields = [
+    CREDENTIAL_FIELDS.userId,
+    CREDENTIAL_FIELDS.password,
+    {
+      name: 'serverAddress',
+      label: 'Server Address',
+      type: 'text',
+      placeholder: 'Enter server address',
+      description: 'MT5 server address'
+    }
+  ];
+
+  // Reports are paired from their own in/out deals, not from stored legs
+  static usesLotMatching = false;
+
+  static async fetchExecutions(broker) {
+    return {
+      success: true,
+      data: { importedCount: 0, requiresUpload: true, brokerId: broker?.id },
+      error: null
+    };
+  }
+}
+
+export default MetaTraderAdapter;
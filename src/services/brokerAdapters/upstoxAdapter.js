@@ -0,0 +1,90 @@
+import BrokerAdapter from './brokerAdapter.js';
+import UpstoxService from '../upstoxService.js';
+
+/**
+ * Upstox adapter - connected through OAuth; tokens live in upstox_tokens rather than the credential vault
+ */
+export class UpstoxAdapter extends BrokerAdapter {
+  static key = 'upstox';
+  static label = 'Upstox';
+  static description = 'Technology-first discount broker';
+  static logo = "https://images.unsplash.com/photo-1611974789855-9c2a0a7236a3";
+  static features = ['Equity Trading', 'F&O', 'Commodity', 'Currency'];
+  static aliases = ['upstox'];
+  static connection = 'oauth';
+
+  static async testConnection(broker) {
+    const status = await UpstoxService?.getConnectionStatus();
+    return status?.connected ?
+      { success: true, data: { status: 'connected' }, error: null } :
+      { success: false, data: null, error: status?.error || 'Upstox is not connected' };
+  }
+
+  static async fetchExecutions(broker, preferences = null) {
+    return await UpstoxService?.isConnected() ?
+      await UpstoxService?.importTradesToDatabase(preferences) :
+      { success: false, data: null, error: 'Upstox is not connected' };
+  }
+
+  static supportsReconciliation = true;
+
+  static async fetchLegs(broker, range) {
+    const result = await UpstoxService?.fetchLegs(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    return { success: true, data: { legs: result?.data, ...this.todaysCoverage(range) }, error: null };
+  }
+
+  static usesChargesPlan = true;
+
+  static supportsLivePositions = true;
+
+  static async fetchPositions(broker) {
+    const result = await UpstoxService?.getPositions();
+    if (!result?.success) {
+      return result;
+    }
+
+    const positions = (result?.data || [])
+      ?.filter((position) => Number(position?.quantity) !== 0)
+      ?.map((position) => ({
+        symbol: position?.trading_symbol || position?.tradingsymbol,
+        exchange: position?.exchange,
+        quantity: Number(position?.quantity),
+        averagePrice: Number(position?.average_price),
+        lastPrice: Number(position?.last_price),
+        unrealizedPnl: Number(position?.unrealised ?? position?.pnl),
+        marginUsed: null,
+        currency: 'INR'
+      }));
+
+    return { success: true, data: positions, error: null };
+  }
+
+  static async fetchFunds(broker) {
+    const result = await UpstoxService?.getFundsAndMargin();
+    if (!result?.success) {
+      return result;
+    }
+
+    const equity = result?.data?.equity;
+
+    return {
+      success: true,
+      data: {
+        available: Number(equity?.available_margin ?? 0),
+        marginUsed: Number(equity?.used_margin ?? 0),
+        currency: 'INR'
+      },
+      error: null
+    };
+  }
+
+  static async disconnect(broker) {
+    return UpstoxService?.disconnect();
+  }
+}
+
+export default UpstoxAdapter;
@@ -0,0 +1,88 @@
+import BrokerAdapter from './brokerAdapter.js';
+import { CREDENTIAL_FIELDS } from './credentialFields.js';
+import ZerodhaService from '../zerodhaService.js';
+
+/**
+ * Zerodha Kite adapter - API key/secret saved here, session created through the Kite login redirect
+ */
+export class ZerodhaAdapter extends BrokerAdapter {
+  static key = 'zerodha';
+  static label = 'Zerodha Kite';
+  static description = 'India\'s largest retail broker';
+  static logo = "https://images.unsplash.com/photo-1690692927220-12c0d6305389";
+  static features = ['Equity Trading', 'F&O', 'Commodity', 'Currency'];
+  static aliases = ['zerodha', 'zerodha kite'];
+
+  static credentialFields = [
+    CREDENTIAL_FIELDS.apiKey,
+    CREDENTIAL_FIELDS.apiSecret,
+    CREDENTIAL_FIELDS.userId
+  ];
+
+  static async fetchExecutions(broker, preferences = null) {
+    try {
+      return await ZerodhaService?.importTradesToDatabase(broker?.id, preferences);
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to sync Zerodha data' };
+    }
+  }
+
+  static supportsReconciliation = true;
+
+  static async fetchLegs(broker, range) {
+    const result = await ZerodhaService?.fetchLegs(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    return { success: true, data: { legs: result?.data, ...this.todaysCoverage(range) }, error: null };
+  }
+
+  static usesChargesPlan = true;
+
+  static supportsLivePositions = true;
+
+  static async fetchPositions(broker) {
+    const result = await ZerodhaService?.getPositions(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    // Net positions carry overnight and intraday quantity together
+    const positions = (result?.data?.net || [])
+      ?.filter((position) => Number(position?.quantity) !== 0)
+      ?.map((position) => ({
+        symbol: position?.tradingsymbol,
+        exchange: position?.exchange,
+        quantity: Number(position?.quantity),
+        averagePrice: Number(position?.average_price),
+        lastPrice: Number(position?.last_price),
+        unrealizedPnl: Number(position?.unrealised ?? position?.pnl),
+        marginUsed: null,
+        currency: 'INR'
+      }));
+
+    return { success: true, data: positions, error: null };
+  }
+
+  static async fetchFunds(broker) {
+    const result = await ZerodhaService?.getMargins(broker?.id);
+    if (!result?.success) {
+      return result;
+    }
+
+    const equity = result?.data?.equity;
+
+    return {
+      success: true,
+      data: {
+        available: Number(equity?.net ?? equity?.available?.live_balance),
+        marginUsed: Number(equity?.utilised?.debits ?? 0),
+        currency: 'INR'
+      },
+      error: null
+    };
+  }
+}
+
+export default ZerodhaAdapter;
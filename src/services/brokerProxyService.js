@@ -0,0 +1,56 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Broker Proxy Service for TradeScope
+ * Calls broker APIs through the broker-proxy edge function, which signs requests with the
+ * encrypted credentials server-side so secrets never reach the browser
+ */
+export class BrokerProxyService {
+  static FUNCTION_NAME = 'broker-proxy';
+
+  // Sends a proxy request body and resolves to { data, error }; swap it to replay recorded responses
+  static transport = (body) => supabase?.functions?.invoke(BrokerProxyService.FUNCTION_NAME, { body });
+
+  /**
+   * Invoke a proxy action for a broker
+   */
+  static async invoke(action, brokerId, payload = {}) {
+    try {
+      const { data, error } = await this.transport({ action, brokerId, ...payload });
+
+      if (error) {
+        // Non-2xx responses carry the proxy's own message in the body
+        const body = await error?.context?.json?.()?.catch(() => null);
+        return { success: false, data: null, error: body?.error || error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to reach broker proxy' };
+    }
+  }
+
+  /**
+   * Send a signed request to a broker's API. Resolves to { status, data } and rejects with
+   * error.response on failure, like axios, so callers keep their existing error handling
+   */
+  static async request(brokerId, { method = 'GET', path, params, data } = {}) {
+    const result = await this.invoke('request', brokerId, { method, path, params, data });
+
+    if (!result?.success) {
+      const error = new Error(result?.error);
+      error.response = { status: 0, data: { message: result?.error } };
+      throw error;
+    }
+
+    if (result?.data?.status >= 400) {
+      const error = new Error(`Request failed with status code ${result?.data?.status}`);
+      error.response = result?.data;
+      throw error;
+    }
+
+    return result?.data;
+  }
+}
+
+export default BrokerProxyService;
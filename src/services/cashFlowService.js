@@ -0,0 +1,267 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Cash Flow Service for TradeScope
+ * Ledger of deposits, withdrawals, dividends and interest per trading account, and the equity
+ * curve and returns built from it together with closed-trade P&L.
+ *
+ * Deposits and withdrawals are contributions: they move equity without being performance.
+ * Dividends and interest are income and count towards returns like trading P&L.
+ */
+export class CashFlowService {
+  static FLOW_TYPES = {
+    deposit: { label: 'Deposit', sign: 1, contribution: true },
+    withdrawal: { label: 'Withdrawal', sign: -1, contribution: true },
+    dividend: { label: 'Dividend', sign: 1, contribution: false },
+    interest: { label: 'Interest', sign: 1, contribution: false }
+  };
+
+  static DAYS_PER_YEAR = 365;
+
+  /**
+   * Read the ledger, oldest first, optionally for one account
+   */
+  static async getCashFlows(accountId = null) {
+    try {
+      let query = supabase?.from('cash_flows')?.select(`
+          *,
+          trading_accounts (
+            account_name,
+            currency
+          )
+        `);
+
+      if (accountId) {
+        query = query?.eq('trading_account_id', accountId);
+      }
+
+      const { data, error } = await query?.order('flow_date', { ascending: true })?.order('created_at', { ascending: true });
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch cash flows' };
+    }
+  }
+
+  /**
+   * Record a cash flow ({ accountId, type, amount, currency, date, note })
+   */
+  static async addCashFlow(flow) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const invalid = this.validateCashFlow(flow);
+      if (invalid) {
+        return { success: false, data: null, error: invalid };
+      }
+
+      const { data, error } = await supabase?.from('cash_flows')?.insert({
+        user_profile_id: user?.id,
+        trading_account_id: flow?.accountId,
+        flow_type: flow?.type,
+        amount: parseFloat(flow?.amount),
+        currency: flow?.currency,
+        flow_date: flow?.date,
+        note: flow?.note || null
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save cash flow' };
+    }
+  }
+
+  static async deleteCashFlow(id) {
+    try {
+      const { error } = await supabase?.from('cash_flows')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete cash flow' };
+    }
+  }
+
+  /**
+   * Error message for a cash flow that cannot be stored, or null
+   */
+  static validateCashFlow(flow) {
+    if (!flow?.accountId) return 'Choose an account';
+    if (!this.FLOW_TYPES?.[flow?.type]) return `Unsupported cash flow type "${flow?.type}"`;
+    if (!(parseFloat(flow?.amount) > 0)) return 'Amount must be greater than 0';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(flow?.date || '')) return 'Valid date is required';
+    return null;
+  }
+
+  /**
+   * Signed base-currency amounts of ledger rows, converted on their dates. Rows without an FX
+   * rate are counted as unconverted and left out
+   */
+  static prepareFlows(rows, converter) {
+    let unconverted = 0;
+
+    const flows = (rows || [])?.flatMap((row) => {
+      const type = this.FLOW_TYPES?.[row?.flow_type];
+      const amount = converter?.convert(row?.amount, row?.currency, row?.flow_date);
+      if (!type) return [];
+      if (amount === null) {
+        unconverted += 1;
+        return [];
+      }
+
+      return [{
+        id: row?.id,
+        accountId: row?.trading_account_id,
+        type: row?.flow_type,
+        date: row?.flow_date,
+        amount: type?.sign * amount,
+        contribution: type?.contribution
+      }];
+    });
+
+    return { flows, unconverted };
+  }
+
+  /**
+   * Equity per day with a cash flow or closed trade: cumulative contributions, income and trading
+   * P&L. trades are AnalyticsService.prepareTrades() output (day, pnl in the base currency)
+   */
+  static equityTimeline(flows, trades, { accountId = null } = {}) {
+    const byDay = {};
+    const dayOf = (date) => {
+      byDay[date] = byDay?.[date] || { date, flow: 0, income: 0, pnl: 0 };
+      return byDay?.[date];
+    };
+
+    flows?.filter((flow) => !accountId || flow?.accountId === accountId)?.forEach((flow) => {
+      const day = dayOf(flow?.date);
+      if (flow?.contribution) {
+        day.flow += flow?.amount;
+      } else {
+        day.income += flow?.amount;
+      }
+    });
+
+    trades?.filter((trade) => !accountId || trade?.accountId === accountId)?.forEach((trade) => {
+      dayOf(trade?.day).pnl += trade?.pnl;
+    });
+
+    let contributions = 0;
+    let income = 0;
+    let tradingPnl = 0;
+
+    return Object.values(byDay)
+      ?.sort((a, b) => (a?.date < b?.date ? -1 : a?.date > b?.date ? 1 : 0))
+      ?.map((day) => {
+        contributions += day?.flow;
+        income += day?.income;
+        tradingPnl += day?.pnl;
+        return {
+          ...day,
+          contributions,
+          incomeTotal: income,
+          tradingPnl,
+          equity: contributions + income + tradingPnl
+        };
+      });
+  }
+
+  /**
+   * Time-weighted return in percent: daily returns chained, with contributions taken as made at
+   * the start of their day. Days that start with no equity are skipped
+   */
+  static timeWeightedReturn(timeline) {
+    let growth = 1;
+    let previous = 0;
+    let periods = 0;
+
+    timeline?.forEach((point) => {
+      const start = previous + point?.flow;
+      if (start > 0) {
+        growth *= point?.equity / start;
+        periods += 1;
+      }
+      previous = point?.equity;
+    });
+
+    return periods ? (growth - 1) * 100 : null;
+  }
+
+  /**
+   * Money-weighted return in percent a year: the rate at which contributions, discounted from their
+   * dates, equal the equity on asOf (XIRR). Null when there is nothing invested or no rate fits
+   */
+  static moneyWeightedReturn(timeline, asOf = null) {
+    const flows = timeline?.filter((point) => point?.flow !== 0)?.map((point) => ({ date: point?.date, amount: -point?.flow }));
+    const last = timeline?.[timeline?.length - 1];
+    if (!flows?.length || !last) return null;
+
+    const end = asOf || last?.date;
+    flows?.push({ date: end, amount: last?.equity });
+
+    const start = new Date(`${flows?.[0]?.date}T00:00:00Z`);
+    const years = flows?.map((flow) => (new Date(`${flow?.date}T00:00:00Z`) - start) / (this.DAYS_PER_YEAR * 86400000));
+    if (!(years?.[years?.length - 1] > 0)) return null;
+
+    const presentValue = (rate) => flows?.reduce((sum, flow, index) => sum + flow?.amount / Math.pow(1 + rate, years?.[index]), 0);
+
+    // Bisection between -99.99% and +10000% a year; present value falls as the rate rises
+    let low = -0.9999;
+    let high = 100;
+    if (presentValue(low) * presentValue(high) > 0) return null;
+
+    for (let iteration = 0; iteration < 200; iteration++) {
+      const middle = (low + high) / 2;
+      if (presentValue(middle) > 0) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return ((low + high) / 2) * 100;
+  }
+
+  /**
+   * Totals and returns over a timeline, with annualised time-weighted return once it spans a year
+   */
+  static performance(timeline, asOf = null) {
+    const last = timeline?.[timeline?.length - 1];
+    if (!last) return null;
+
+    const from = timeline?.[0]?.date;
+    const to = asOf || last?.date;
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+    const twr = this.timeWeightedReturn(timeline);
+
+    return {
+      from,
+      to,
+      equity: last?.equity,
+      contributions: last?.contributions,
+      income: last?.incomeTotal,
+      tradingPnl: last?.tradingPnl,
+      twr,
+      twrAnnualised: twr !== null && days >= this.DAYS_PER_YEAR ?
+        (Math.pow(1 + twr / 100, this.DAYS_PER_YEAR / days) - 1) * 100 :
+        null,
+      mwr: this.moneyWeightedReturn(timeline, asOf)
+    };
+  }
+}
+
+export default CashFlowService;
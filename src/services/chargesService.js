@@ -0,0 +1,303 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Charges Service for TradeScope
+ * Computes brokerage and statutory charges (STT/CTT, exchange transaction charges, SEBI fees,
+ * stamp duty and GST) for trades on NSE, BSE and MCX.
+ *
+ * Statutory rates are percentages of turnover as in force from 1 October 2024; options charges
+ * apply to premium turnover. Brokerage comes from the broker's plan and is charged per executed order.
+ */
+export class ChargesService {
+  static EXCHANGES = ['NSE', 'BSE', 'MCX'];
+
+  static SEGMENTS = {
+    equity_delivery: 'Equity delivery',
+    equity_intraday: 'Equity intraday',
+    futures: 'Equity futures',
+    options: 'Equity options',
+    commodity_futures: 'Commodity futures',
+    commodity_options: 'Commodity options'
+  };
+
+  // Percent of turnover. stt is charged on the listed sides; stamp duty only on buys
+  static RATES = {
+    equity_delivery: { stt: { buy: 0.1, sell: 0.1 }, stamp: 0.015, exchange: { NSE: 0.00297, BSE: 0.00375 } },
+    equity_intraday: { stt: { buy: 0, sell: 0.025 }, stamp: 0.003, exchange: { NSE: 0.00297, BSE: 0.00375 } },
+    futures: { stt: { buy: 0, sell: 0.02 }, stamp: 0.002, exchange: { NSE: 0.00173, BSE: 0 } },
+    options: { stt: { buy: 0, sell: 0.1 }, stamp: 0.003, exchange: { NSE: 0.03503, BSE: 0.0325 } },
+    commodity_futures: { stt: { buy: 0, sell: 0.01 }, stamp: 0.002, exchange: { MCX: 0.0021 } },
+    commodity_options: { stt: { buy: 0, sell: 0.05 }, stamp: 0.003, exchange: { MCX: 0.0418 } }
+  };
+
+  // ₹10 per crore of turnover
+  static SEBI_FEE_PERCENT = 0.0001;
+
+  // Charged on brokerage, exchange charges and SEBI fees
+  static GST_PERCENT = 18;
+
+  // Brokerage per executed order: a flat amount, or percent of order value capped at cap
+  static PLANS = {
+    zerodha: {
+      label: 'Zerodha',
+      rules: {
+        equity_delivery: { flat: 0 },
+        equity_intraday: { percent: 0.03, cap: 20 },
+        futures: { percent: 0.03, cap: 20 },
+        options: { flat: 20 },
+        commodity_futures: { percent: 0.03, cap: 20 },
+        commodity_options: { flat: 20 }
+      }
+    },
+    upstox: {
+      label: 'Upstox',
+      rules: {
+        equity_delivery: { percent: 2.5, cap: 20 },
+        equity_intraday: { percent: 0.05, cap: 20 },
+        futures: { percent: 0.05, cap: 20 },
+        options: { flat: 20 },
+        commodity_futures: { percent: 0.05, cap: 20 },
+        commodity_options: { flat: 20 }
+      }
+    },
+    flat_20: {
+      label: 'Flat ₹20 per order',
+      rules: Object.fromEntries(['equity_delivery', 'equity_intraday', 'futures', 'options', 'commodity_futures', 'commodity_options']
+        ?.map((segment) => [segment, { flat: 20 }]))
+    },
+    zero: {
+      label: 'Zero brokerage',
+      rules: {}
+    }
+  };
+
+  static DEFAULT_PLAN = 'flat_20';
+
+  // Plan used for a broker until one is picked on its card
+  static DEFAULT_PLAN_BY_BROKER = {
+    zerodha: 'zerodha',
+    upstox: 'upstox'
+  };
+
+  // Broker product codes for positions squared off the same day (Kite MIS/CO/BO, Upstox I)
+  static INTRADAY_PRODUCTS = ['MIS', 'CO', 'BO', 'I', 'INTRADAY'];
+
+  static CHARGE_LABELS = {
+    brokerage: 'Brokerage',
+    stt: 'STT/CTT',
+    exchangeCharges: 'Exchange charges',
+    sebiFees: 'SEBI fees',
+    stampDuty: 'Stamp duty',
+    gst: 'GST'
+  };
+
+  /**
+   * Work out the charges segment from the exchange, symbol and product, or null when not covered
+   * (currency derivatives, foreign exchanges). Kite/Upstox exchanges like NFO, BFO or NSE_FO map onto NSE/BSE.
+   */
+  static segmentFor({ exchange, symbol, assetClass, intraday = false }) {
+    const code = `${exchange || ''}`?.toUpperCase();
+    const isOption = assetClass === 'options' || /\d(CE|PE)$/?.test(`${symbol || ''}`?.toUpperCase());
+    const isFuture = assetClass === 'futures' || /FUT$/?.test(`${symbol || ''}`?.toUpperCase());
+
+    if (code?.startsWith('MCX')) {
+      return isOption ? 'commodity_options' : 'commodity_futures';
+    }
+
+    if (['NFO', 'BFO']?.some((prefix) => code?.startsWith(prefix)) || code?.endsWith('_FO')) {
+      return isOption ? 'options' : 'futures';
+    }
+
+    if (['NSE', 'BSE']?.some((prefix) => code?.startsWith(prefix)) && !code?.includes('_CD')) {
+      if (isOption) return 'options';
+      if (isFuture) return 'futures';
+      return intraday ? 'equity_intraday' : 'equity_delivery';
+    }
+
+    return null;
+  }
+
+  /**
+   * The exchange whose transaction charge applies (NFO is NSE, BFO is BSE, NSE_FO is NSE)
+   */
+  static exchangeFor(exchange) {
+    const code = `${exchange || ''}`?.toUpperCase();
+    if (code?.startsWith('MCX')) return 'MCX';
+    if (['NSE', 'NFO']?.some((prefix) => code?.startsWith(prefix))) return 'NSE';
+    if (['BSE', 'BFO']?.some((prefix) => code?.startsWith(prefix))) return 'BSE';
+    return null;
+  }
+
+  /**
+   * Normalise a broker product code to 'intraday' or 'delivery'
+   */
+  static productFor(product) {
+    if (!product) return null;
+    return this.INTRADAY_PRODUCTS?.includes(`${product}`?.toUpperCase()) ? 'intraday' : 'delivery';
+  }
+
+  static brokerage(planKey, segment, orderValue) {
+    const rule = (this.PLANS?.[planKey] || this.PLANS?.[this.DEFAULT_PLAN])?.rules?.[segment];
+    if (!rule) return 0;
+    if (rule?.flat !== undefined) return rule?.flat;
+    return Math.min(orderValue * rule?.percent / 100, rule?.cap ?? Infinity);
+  }
+
+  static round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round((value || 0) * factor) / factor;
+  }
+
+  /**
+   * Charges for buy and sell turnover in one segment.
+   * Returns { segment, exchange, plan, brokerage, stt, exchangeCharges, sebiFees, stampDuty, gst, total }
+   */
+  static calculate({ exchange, segment, buyValue = 0, sellValue = 0, buyOrders = buyValue > 0 ? 1 : 0, sellOrders = sellValue > 0 ? 1 : 0, plan = this.DEFAULT_PLAN }) {
+    const rates = this.RATES?.[segment];
+    const exchangeCode = this.exchangeFor(exchange);
+    if (!rates || !exchangeCode) {
+      return null;
+    }
+
+    const turnover = buyValue + sellValue;
+    const brokerage =
+      (buyOrders > 0 ? this.brokerage(plan, segment, buyValue / buyOrders) * buyOrders : 0) +
+      (sellOrders > 0 ? this.brokerage(plan, segment, sellValue / sellOrders) * sellOrders : 0);
+    const stt = (buyValue * rates?.stt?.buy + sellValue * rates?.stt?.sell) / 100;
+    const exchangeCharges = turnover * (rates?.exchange?.[exchangeCode] || 0) / 100;
+    const sebiFees = turnover * this.SEBI_FEE_PERCENT / 100;
+    const stampDuty = buyValue * rates?.stamp / 100;
+    const gst = (brokerage + exchangeCharges + sebiFees) * this.GST_PERCENT / 100;
+
+    const charges = {
+      brokerage: this.round(brokerage),
+      stt: this.round(stt),
+      exchangeCharges: this.round(exchangeCharges),
+      sebiFees: this.round(sebiFees),
+      stampDuty: this.round(stampDuty),
+      gst: this.round(gst)
+    };
+
+    return {
+      segment,
+      exchange: exchangeCode,
+      plan,
+      ...charges,
+      total: this.round(Object.values(charges)?.reduce((sum, value) => sum + value, 0))
+    };
+  }
+
+  /**
+   * Add a share of one charges breakdown onto another (used when fills are split across round trips)
+   */
+  static addCharges(target, charges, share = 1) {
+    if (!charges) return target;
+
+    const sum = { ...(target || { segment: charges?.segment, exchange: charges?.exchange, plan: charges?.plan }) };
+    [...Object.keys(this.CHARGE_LABELS), 'total']?.forEach((key) => {
+      // Shares keep the fees column's precision so splits still add back up to the order's charges
+      sum[key] = this.round((sum?.[key] || 0) + (charges?.[key] || 0) * share, 6);
+    });
+    return sum;
+  }
+
+  /**
+   * Charges for a manually entered or file-imported trade ({ exchange, instrument, tradeType, quantity,
+   * entryPrice, exitPrice, tradeDate, exitDate, intraday }). Without an intraday flag, a trade with an exit but
+   * no exit date is treated as intraday.
+   */
+  static calculateForTrade(tradeData, plan = this.DEFAULT_PLAN) {
+    const quantity = Math.abs(parseFloat(tradeData?.quantity) || 0) * (parseFloat(tradeData?.multiplier) || 1);
+    const entryValue = quantity * (parseFloat(tradeData?.entryPrice) || 0);
+    const exitValue = tradeData?.exitPrice ? quantity * parseFloat(tradeData?.exitPrice) : 0;
+    const isBuy = `${tradeData?.tradeType || 'BUY'}`?.toUpperCase() === 'BUY';
+    const intraday = tradeData?.intraday ?? (exitValue > 0 &&
+      (!tradeData?.exitDate || `${tradeData?.exitDate}`?.slice(0, 10) === `${tradeData?.tradeDate}`?.slice(0, 10)));
+
+    const segment = this.segmentFor({
+      exchange: tradeData?.exchange,
+      symbol: tradeData?.instrument,
+      assetClass: tradeData?.assetClass,
+      intraday
+    });
+
+    if (!segment) {
+      return null;
+    }
+
+    return this.calculate({
+      exchange: tradeData?.exchange,
+      segment,
+      buyValue: isBuy ? entryValue : exitValue,
+      sellValue: isBuy ? exitValue : entryValue,
+      plan
+    });
+  }
+
+  /**
+   * Get the brokerage plan of each broker, falling back to the broker's default
+   */
+  static async getBrokerPlans(brokerIds) {
+    if (!brokerIds?.length) return {};
+
+    const { data } = await supabase?.from('brokers')?.select('id, broker_key, charges_plan')?.in('id', brokerIds);
+
+    return Object.fromEntries((data || [])?.map((broker) => [
+      broker?.id,
+      broker?.charges_plan || this.DEFAULT_PLAN_BY_BROKER?.[broker?.broker_key] || this.DEFAULT_PLAN
+    ]));
+  }
+
+  /**
+   * Fill in fees and a charges breakdown on legs traded on Indian exchanges that the broker
+   * reported without fees. Brokerage is charged once per order and shared across its fills by value.
+   */
+  static async chargeLegs(legs) {
+    const legSegment = (leg) => this.segmentFor({
+      exchange: leg?.exchange,
+      symbol: leg?.symbol,
+      assetClass: leg?.asset_class,
+      intraday: leg?.product === 'intraday'
+    });
+    const chargeable = legs?.filter((leg) => legSegment(leg) && !(parseFloat(leg?.fees) > 0));
+    if (!chargeable?.length) {
+      return legs;
+    }
+
+    const plans = await this.getBrokerPlans([...new Set(chargeable?.map((leg) => leg?.broker_id))]);
+
+    const orders = {};
+    chargeable?.forEach((leg) => {
+      const key = `${leg?.broker_id}|${leg?.order_id_external || leg?.execution_id_external}`;
+      orders[key] = orders?.[key] || [];
+      orders?.[key]?.push(leg);
+    });
+
+    const charged = new Map();
+
+    Object.values(orders)?.forEach((orderLegs) => {
+      const first = orderLegs?.[0];
+      const value = (leg) => (parseFloat(leg?.filled_quantity) || 0) * (parseFloat(leg?.filled_price) || 0) * (parseFloat(leg?.multiplier) || 1);
+      const orderValue = orderLegs?.reduce((sum, leg) => sum + value(leg), 0);
+      const orderCharges = this.calculate({
+        exchange: first?.exchange,
+        segment: legSegment(first),
+        buyValue: first?.side === 'buy' ? orderValue : 0,
+        sellValue: first?.side === 'sell' ? orderValue : 0,
+        plan: plans?.[first?.broker_id]
+      });
+
+      orderLegs?.forEach((leg) => {
+        const charges = orderCharges ? this.addCharges(null, orderCharges, orderValue > 0 ? value(leg) / orderValue : 1 / orderLegs?.length) : null;
+        charged.set(leg, charges);
+      });
+    });
+
+    return legs?.map((leg) => {
+      const charges = charged?.get(leg);
+      return charges ? { ...leg, fees: charges?.total, fees_currency: 'INR', charges } : leg;
+    });
+  }
+}
+
+export default ChargesService;
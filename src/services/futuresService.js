@@ -0,0 +1,173 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Futures Service for TradeScope
+ * Contract multipliers, rollover detection and grouping of contracts by their underlying.
+ *
+ * A rollover is a futures position closed and reopened in a later expiry of the same underlying
+ * on the same side within ROLL_WINDOW_HOURS. Rolled trades are linked into a chain that shares
+ * the id of its first contract, so a position held across expiries reads as one series.
+ */
+export class FuturesService {
+  // MCX quantities are reported in lots while prices are quoted per unit (per 10g for gold,
+  // per kg for silver, per barrel for crude); P&L is quantity × price move × multiplier
+  static MCX_MULTIPLIERS = {
+    GOLD: 100,
+    GOLDM: 10,
+    GOLDGUINEA: 1,
+    GOLDPETAL: 1,
+    SILVER: 30,
+    SILVERM: 5,
+    SILVERMIC: 1,
+    CRUDEOIL: 100,
+    CRUDEOILM: 10,
+    NATURALGAS: 1250,
+    NATGASMINI: 250,
+    COPPER: 2500,
+    ZINC: 5000,
+    ZINCMINI: 1000,
+    LEAD: 5000,
+    LEADMINI: 1000,
+    ALUMINIUM: 5000,
+    ALUMINI: 1000
+  };
+
+  static ROLL_WINDOW_HOURS = 24;
+
+  /**
+   * Contract multiplier for an underlying on an exchange (1 where quantity is already in units)
+   */
+  static multiplierFor(underlying, exchange = null) {
+    if (!`${exchange || ''}`?.toUpperCase()?.startsWith('MCX')) return 1;
+    return this.MCX_MULTIPLIERS?.[`${underlying || ''}`?.toUpperCase()] || 1;
+  }
+
+  /**
+   * Link each closed contract to the later-expiry contract it was rolled into.
+   * Contracts: { id, underlying, expiry, side, openedAt, closedAt, rolledFromId }
+   * Returns { [id]: { rolledFromId, chainId } } for every contract in a chain.
+   */
+  static detectRollovers(contracts) {
+    const windowMs = this.ROLL_WINDOW_HOURS * 3600000;
+    const byOpen = [...(contracts || [])]?.sort((a, b) => new Date(a?.openedAt) - new Date(b?.openedAt));
+    const rolledFrom = {};
+
+    byOpen
+      ?.filter((contract) => contract?.closedAt)
+      ?.sort((a, b) => new Date(a?.closedAt) - new Date(b?.closedAt))
+      ?.forEach((closed) => {
+        const closedAt = new Date(closed?.closedAt)?.getTime();
+        const next = byOpen
+          ?.filter((candidate) => !rolledFrom?.[candidate?.id] &&
+            candidate?.id !== closed?.id &&
+            candidate?.underlying === closed?.underlying &&
+            candidate?.side === closed?.side &&
+            candidate?.expiry > closed?.expiry &&
+            Math.abs(new Date(candidate?.openedAt)?.getTime() - closedAt) <= windowMs)
+          ?.sort((a, b) => Math.abs(new Date(a?.openedAt) - closedAt) - Math.abs(new Date(b?.openedAt) - closedAt))?.[0];
+
+        if (next) {
+          rolledFrom[next.id] = closed?.id;
+        }
+      });
+
+    const rolledInto = new Set(Object.values(rolledFrom));
+    const chains = {};
+
+    byOpen?.forEach((contract) => {
+      const previous = rolledFrom?.[contract?.id];
+      if (previous) {
+        chains[contract.id] = { rolledFromId: previous, chainId: chains?.[previous]?.chainId || previous };
+      } else if (rolledInto?.has(contract?.id)) {
+        chains[contract.id] = { rolledFromId: null, chainId: contract?.id };
+      }
+    });
+
+    return chains;
+  }
+
+  /**
+   * Detect rollovers among a broker's futures round trips and store the links on the trades
+   */
+  static async linkRollovers(brokerId) {
+    try {
+      const { data: rows, error } = await supabase
+        ?.from('trades')
+        ?.select('id, underlying, expiry, position_side, opened_at, closed_at, rolled_from_id, roll_chain_id')
+        ?.eq('broker_id', brokerId)
+        ?.is('option_type', null)
+        ?.not('underlying', 'is', null)
+        ?.not('expiry', 'is', null);
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      const chains = this.detectRollovers(rows?.map((row) => ({
+        id: row?.id,
+        underlying: row?.underlying,
+        expiry: row?.expiry,
+        side: row?.position_side,
+        openedAt: row?.opened_at,
+        closedAt: row?.closed_at
+      })));
+
+      let linked = 0;
+
+      for (const row of rows || []) {
+        const link = chains?.[row?.id];
+        const update = { rolled_from_id: link?.rolledFromId || null, roll_chain_id: link?.chainId || null };
+        if (link?.rolledFromId) linked += 1;
+        if (update?.rolled_from_id === row?.rolled_from_id && update?.roll_chain_id === row?.roll_chain_id) continue;
+
+        await supabase?.from('trades')?.update(update)?.eq('id', row?.id);
+      }
+
+      return { success: true, data: { rollovers: linked }, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to link rollovers' };
+    }
+  }
+
+  /**
+   * Key a normalised trade by its underlying, or by its own contract symbol
+   */
+  static seriesKey(trade, groupBy = 'underlying') {
+    return groupBy === 'underlying' ? trade?.underlying || trade?.symbol : trade?.symbol;
+  }
+
+  /**
+   * Realized P&L, charges and trade counts per underlying (or per contract) from normalised trades
+   */
+  static summariseBySeries(trades, groupBy = 'underlying') {
+    const series = {};
+
+    trades?.forEach((trade) => {
+      const key = this.seriesKey(trade, groupBy);
+      if (!key) return;
+
+      const entry = series?.[key] || {
+        key,
+        contracts: new Set(),
+        rollovers: 0,
+        trades: 0,
+        grossPnl: 0,
+        fees: 0,
+        currency: trade?.currency
+      };
+
+      entry?.contracts?.add(trade?.symbol);
+      entry.rollovers += trade?.rolledFromId ? 1 : 0;
+      entry.trades += 1;
+      entry.grossPnl += trade?.pnl || 0;
+      entry.fees += trade?.fees || 0;
+      series[key] = entry;
+    });
+
+    return Object.values(series)
+      ?.map((entry) => ({ ...entry, contracts: entry?.contracts?.size, netPnl: entry?.grossPnl - entry?.fees }))
+      ?.sort((a, b) => Math.abs(b?.netPnl) - Math.abs(a?.netPnl));
+  }
+}
+
+export default FuturesService;
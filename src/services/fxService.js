@@ -0,0 +1,291 @@
+import { supabase } from '../lib/supabase.js';
+import TradeImportService from './tradeImportService.js';
+
+/**
+ * FX Service for TradeScope
+ * Stores daily exchange rates (entered by hand or imported from CSV) and converts
+ * trade amounts into the user's base currency at the rate of the trade's date.
+ *
+ * A rate row reads "1 base_currency = rate quote_currency". Conversions use the pair directly,
+ * inverted, or crossed through USD, taking the latest rate on or before the date.
+ */
+export class FxService {
+  // The currency_code enum
+  static CURRENCIES = ['USD', 'INR', 'EUR', 'GBP', 'JPY'];
+
+  static CURRENCY_NAMES = {
+    USD: 'US Dollar',
+    INR: 'Indian Rupee',
+    EUR: 'Euro',
+    GBP: 'British Pound',
+    JPY: 'Japanese Yen'
+  };
+
+  static CROSS_CURRENCY = 'USD';
+
+  // Rate file columns, with header names we recognise
+  static RATE_FIELDS = [
+    { key: 'date', aliases: ['date', 'ratedate', 'day', 'asof'] },
+    { key: 'pair', aliases: ['pair', 'symbol', 'ticker', 'currencypair'] },
+    { key: 'base', aliases: ['base', 'basecurrency', 'from', 'fromcurrency'] },
+    { key: 'quote', aliases: ['quote', 'quotecurrency', 'to', 'tocurrency'] },
+    { key: 'rate', aliases: ['rate', 'close', 'price', 'value', 'fxrate', 'exchangerate'] }
+  ];
+
+  static PAGE_SIZE = 1000;
+
+  /**
+   * Read every stored rate, oldest first
+   */
+  static async getRates() {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += this.PAGE_SIZE) {
+        const { data, error } = await supabase
+          ?.from('fx_rates')
+          ?.select('*')
+          ?.order('rate_date', { ascending: true })
+          ?.order('id')
+          ?.range(offset, offset + this.PAGE_SIZE - 1);
+
+        if (error) {
+          return { success: false, data: [], error: error?.message };
+        }
+
+        rows?.push(...(data || []));
+        if ((data?.length || 0) < this.PAGE_SIZE) break;
+      }
+
+      return { success: true, data: rows, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch FX rates' };
+    }
+  }
+
+  /**
+   * Add or replace rates ({ baseCurrency, quoteCurrency, rateDate, rate }), one per pair and day
+   */
+  static async saveRates(rates, source = 'manual') {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const invalid = rates?.find((rate) => this.validateRate(rate));
+      if (invalid) {
+        return { success: false, data: null, error: this.validateRate(invalid) };
+      }
+
+      // Later rows for the same pair and day win, as a single upsert cannot touch a row twice
+      const rows = Object.values(Object.fromEntries(rates?.map((rate) => [
+        `${rate?.baseCurrency}${rate?.quoteCurrency}${rate?.rateDate}`,
+        {
+          user_profile_id: user?.id,
+          base_currency: rate?.baseCurrency,
+          quote_currency: rate?.quoteCurrency,
+          rate_date: rate?.rateDate,
+          rate: parseFloat(rate?.rate),
+          source
+        }
+      ])));
+
+      const { data, error } = await supabase
+        ?.from('fx_rates')
+        ?.upsert(rows, { onConflict: 'user_profile_id,base_currency,quote_currency,rate_date' })
+        ?.select();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save FX rates' };
+    }
+  }
+
+  static async deleteRate(id) {
+    try {
+      const { error } = await supabase?.from('fx_rates')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete FX rate' };
+    }
+  }
+
+  /**
+   * Error message for a rate that cannot be stored, or null
+   */
+  static validateRate(rate) {
+    if (!this.CURRENCIES?.includes(rate?.baseCurrency)) return `Unsupported currency "${rate?.baseCurrency}"`;
+    if (!this.CURRENCIES?.includes(rate?.quoteCurrency)) return `Unsupported currency "${rate?.quoteCurrency}"`;
+    if (rate?.baseCurrency === rate?.quoteCurrency) return 'Base and quote currency must differ';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rate?.rateDate || '')) return 'Valid date is required';
+    if (!(parseFloat(rate?.rate) > 0)) return 'Rate must be greater than 0';
+    return null;
+  }
+
+  /**
+   * Read a CSV/XLSX of historical rates. Columns: date plus either a pair ("USDINR", "USD/INR")
+   * or base and quote currencies, and the rate
+   */
+  static async parseRatesFile(file, dateFormat = 'auto') {
+    const parsed = await TradeImportService?.parseFile(file);
+    if (!parsed?.success) {
+      return { success: false, data: null, error: 'No rate rows found in file' };
+    }
+
+    const { headers, rows, headerRowNumber } = parsed?.data;
+    const normalised = headers?.map((header) => TradeImportService?.normaliseHeader(header));
+    const column = Object.fromEntries(this.RATE_FIELDS?.map((field) => [
+      field?.key,
+      normalised?.findIndex((header) => field?.aliases?.includes(header))
+    ]));
+
+    if (column?.date < 0 || column?.rate < 0 || (column?.pair < 0 && (column?.base < 0 || column?.quote < 0))) {
+      return { success: false, data: null, error: 'File needs date, rate and either pair or base/quote columns' };
+    }
+
+    const rates = [];
+    const errors = [];
+
+    rows?.forEach((row, index) => {
+      const pair = column?.pair >= 0 ? `${row?.[column?.pair] ?? ''}`?.toUpperCase()?.replace(/[^A-Z]/g, '') : '';
+      const rate = {
+        baseCurrency: pair ? pair?.slice(0, 3) : `${row?.[column?.base] ?? ''}`?.trim()?.toUpperCase(),
+        quoteCurrency: pair ? pair?.slice(3, 6) : `${row?.[column?.quote] ?? ''}`?.trim()?.toUpperCase(),
+        rateDate: this.parseRateDate(row?.[column?.date], dateFormat),
+        rate: TradeImportService?.parseAmount(row?.[column?.rate])
+      };
+
+      const error = this.validateRate(rate);
+      if (error) {
+        errors?.push({ rowNumber: headerRowNumber + index + 1, error });
+      } else {
+        rates?.push(rate);
+      }
+    });
+
+    return { success: true, data: { rates, errors }, error: null };
+  }
+
+  /**
+   * Calendar day (YYYY-MM-DD) of a rate file date cell. ISO dates are taken as written; other
+   * formats are parsed as local dates, so they are read back in local time rather than UTC
+   */
+  static parseRateDate(value, dateFormat = 'auto') {
+    const text = `${value ?? ''}`?.trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text?.slice(0, 10);
+
+    const parsed = TradeImportService?.parseDate(text, dateFormat);
+    if (!parsed) return null;
+
+    const date = new Date(parsed);
+    const pad = (number) => `${number}`?.padStart(2, '0');
+    return `${date?.getFullYear()}-${pad(date?.getMonth() + 1)}-${pad(date?.getDate())}`;
+  }
+
+  /**
+   * Build a converter over stored rate rows. convert(amount, currency, date) returns the amount in
+   * baseCurrency, or null when the amount has no currency or no rate links the two currencies
+   */
+  static buildConverter(rates, baseCurrency) {
+    const series = {};
+    const add = (from, to, date, rate) => {
+      const key = `${from}${to}`;
+      series[key] = series?.[key] || [];
+      series?.[key]?.push({ date, rate });
+    };
+
+    rates?.forEach((row) => {
+      const rate = parseFloat(row?.rate);
+      if (!(rate > 0)) return;
+      add(row?.base_currency, row?.quote_currency, row?.rate_date, rate);
+      add(row?.quote_currency, row?.base_currency, row?.rate_date, 1 / rate);
+    });
+
+    Object.values(series)?.forEach((points) => points?.sort((a, b) => (a?.date < b?.date ? -1 : a?.date > b?.date ? 1 : 0)));
+
+    // Latest rate on or before the date; dates before the first stored rate use the first one
+    const directRate = (from, to, date) => {
+      const points = series?.[`${from}${to}`];
+      if (!points?.length) return null;
+
+      let low = 0;
+      let high = points?.length - 1;
+      let found = -1;
+
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (points?.[middle]?.date <= date) {
+          found = middle;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+
+      return points?.[Math.max(found, 0)]?.rate;
+    };
+
+    // An amount with no currency has no rate
+    const rateOn = (from, to, date) => {
+      if (!from) return null;
+      if (!to || from === to) return 1;
+
+      const day = `${date || new Date()?.toISOString()}`?.slice(0, 10);
+      const direct = directRate(from, to, day);
+      if (direct) return direct;
+
+      const viaCross = directRate(from, this.CROSS_CURRENCY, day);
+      const fromCross = directRate(this.CROSS_CURRENCY, to, day);
+      return viaCross && fromCross ? viaCross * fromCross : null;
+    };
+
+    const convert = (amount, currency, date) => {
+      const rate = rateOn(currency, baseCurrency, date);
+      return rate === null ? null : (parseFloat(amount) || 0) * rate;
+    };
+
+    return { baseCurrency, rateOn, convert };
+  }
+
+  /**
+   * Native and base-currency totals of a numeric field over normalised trades, converted on
+   * each trade's close date (open date while still open)
+   */
+  static summarise(trades, converter, field = 'pnl') {
+    const native = {};
+    let base = 0;
+    let unconverted = 0;
+
+    trades?.forEach((trade) => {
+      const amount = parseFloat(trade?.[field]) || 0;
+      const currency = trade?.currency;
+      if (!currency) {
+        unconverted += 1;
+        return;
+      }
+
+      native[currency] = (native?.[currency] || 0) + amount;
+
+      const converted = converter?.convert(amount, currency, trade?.closedAt || trade?.openedAt);
+      if (converted === null) {
+        unconverted += 1;
+      } else {
+        base += converted;
+      }
+    });
+
+    return { base, native, unconverted, baseCurrency: converter?.baseCurrency };
+  }
+}
+
+export default FxService;
@@ -0,0 +1,383 @@
+import { supabase } from '../lib/supabase.js';
+import BrokerProxyService from './brokerProxyService.js';
+import TradeMatchingService from './tradeMatchingService.js';
+
+/**
+ * Interactive Brokers Flex Query Integration Service for TradeScope
+ * Fetches or accepts uploaded Flex statement XML and imports trades, commissions and FX conversions
+ */
+export class InteractiveBrokersService {
+  // Flex statements are generated asynchronously; poll GetStatement until ready
+  static STATEMENT_POLL_ATTEMPTS = 10;
+  static STATEMENT_POLL_DELAY_MS = 3000;
+  static STATEMENT_IN_PROGRESS_CODES = ['1019'];
+
+  static ORDER_TYPE_MAP = {
+    MKT: 'market',
+    LMT: 'limit',
+    STP: 'stop',
+    'STP LMT': 'stop_limit'
+  };
+
+  // Flex assetCategory codes mapped onto import asset types
+  static ASSET_CLASS_MAP = {
+    STK: 'equity',
+    OPT: 'options',
+    FOP: 'options',
+    FUT: 'futures',
+    CASH: 'forex',
+    CRYPTO: 'crypto'
+  };
+
+  /**
+   * Parse an XML string, returning null when it is not well-formed
+   */
+  static parseXml(xmlText) {
+    const doc = new DOMParser()?.parseFromString(xmlText, 'application/xml');
+    return doc?.getElementsByTagName('parsererror')?.length ? null : doc;
+  }
+
+  /**
+   * Read a FlexStatementResponse envelope (Status, ReferenceCode, ErrorCode, ErrorMessage)
+   */
+  static readFlexResponse(doc) {
+    const text = (tag) => doc?.getElementsByTagName(tag)?.[0]?.textContent?.trim() || null;
+
+    return {
+      status: text('Status'),
+      referenceCode: text('ReferenceCode'),
+      errorCode: text('ErrorCode'),
+      errorMessage: text('ErrorMessage')
+    };
+  }
+
+  /**
+   * Ask IB to generate a statement for the broker's saved Flex Query
+   */
+  static async requestStatement(brokerId) {
+    try {
+      const response = await BrokerProxyService?.request(brokerId, { path: '/SendRequest' });
+
+      const envelope = this.readFlexResponse(this.parseXml(response?.data));
+      if (envelope?.status !== 'Success' || !envelope?.referenceCode) {
+        return { success: false, data: null, error: envelope?.errorMessage || 'Flex request was rejected' };
+      }
+
+      return { success: true, data: { referenceCode: envelope?.referenceCode }, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to request Flex statement' };
+    }
+  }
+
+  /**
+   * Download a generated statement, retrying while IB is still building it
+   */
+  static async fetchStatement(brokerId, referenceCode) {
+    try {
+      for (let attempt = 0; attempt < this.STATEMENT_POLL_ATTEMPTS; attempt++) {
+        const response = await BrokerProxyService?.request(brokerId, {
+          path: '/GetStatement',
+          params: { q: referenceCode }
+        });
+
+        const doc = this.parseXml(response?.data);
+        if (doc?.getElementsByTagName('FlexQueryResponse')?.length) {
+          return { success: true, data: response?.data, error: null };
+        }
+
+        const envelope = this.readFlexResponse(doc);
+        if (!this.STATEMENT_IN_PROGRESS_CODES?.includes(envelope?.errorCode)) {
+          return { success: false, data: null, error: envelope?.errorMessage || 'Failed to download Flex statement' };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.STATEMENT_POLL_DELAY_MS));
+      }
+
+      return { success: false, data: null, error: 'Flex statement was not ready in time. Please try again shortly' };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to download Flex statement' };
+    }
+  }
+
+  // Zone suffixes IB appends when the query's time format includes one
+  static FLEX_ZONES = {
+    UTC: 'Z', GMT: 'Z',
+    EST: '-05:00', EDT: '-04:00', CST: '-06:00', CDT: '-05:00',
+    MST: '-07:00', MDT: '-06:00', PST: '-08:00', PDT: '-07:00'
+  };
+
+  /**
+   * Convert IB date/time strings ("20250115;093015", "2025-01-15, 09:30:15", "20250115") to ISO.
+   * Flex statements carry no time zone, so times are read as UTC unless they end in a zone
+   * ("093015 EST", "09:30:15 -0500"), the same on every machine; set the query's zone to UTC to match
+   */
+  static parseFlexDateTime(value) {
+    const match = value?.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[;, ]+(\d{2}):?(\d{2}):?(\d{2})(?:\s*([A-Z]{3}|[+-]\d{2}:?\d{2}))?)?/i);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', zone] = match;
+    const offset = zone?.match(/^[+-]/) ? zone?.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2') : this.FLEX_ZONES?.[zone?.toUpperCase()] || 'Z';
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`)?.toISOString();
+  }
+
+  /**
+   * Parse Flex Query XML into executions grouped with their orders
+   */
+  static parseFlexStatement(xmlText) {
+    const doc = this.parseXml(xmlText);
+    if (!doc || !doc?.getElementsByTagName('FlexQueryResponse')?.length) {
+      return { success: false, data: null, error: 'File is not a Flex Query XML statement' };
+    }
+
+    const rows = Array.from(doc?.getElementsByTagName('Trade') || [])?.map((node) => {
+      const attr = (name) => node?.getAttribute(name);
+      const statement = node?.closest('FlexStatement');
+
+      return {
+        accountId: attr('accountId') || statement?.getAttribute('accountId'),
+        tradeId: attr('tradeID') || attr('transactionID'),
+        orderId: attr('ibOrderID') || attr('orderID'),
+        levelOfDetail: attr('levelOfDetail'),
+        symbol: attr('symbol'),
+        assetCategory: attr('assetCategory'),
+        multiplier: parseFloat(attr('multiplier')) || 1,
+        underlying: attr('underlyingSymbol') || null,
+        expiry: attr('expiry')?.replace(/^(\d{4})-?(\d{2})-?(\d{2}).*$/, '$1-$2-$3') || null,
+        strike: attr('strike') ? parseFloat(attr('strike')) : null,
+        putCall: attr('putCall') || null,
+        currency: attr('currency'),
+        fxRateToBase: parseFloat(attr('fxRateToBase')) || 1,
+        dateTime: this.parseFlexDateTime(attr('dateTime') || attr('tradeDate')),
+        quantity: Math.abs(parseFloat(attr('quantity')) || 0),
+        price: parseFloat(attr('tradePrice')) || 0,
+        commission: Math.abs(parseFloat(attr('ibCommission')) || 0),
+        commissionCurrency: attr('ibCommissionCurrency') || attr('currency'),
+        side: attr('buySell')?.toUpperCase()?.startsWith('BUY') ? 'buy' : 'sell',
+        openClose: attr('openCloseIndicator'),
+        orderType: attr('orderType')
+      };
+    });
+
+    // Prefer execution-level rows; fall back to order-level rows for summary-only queries
+    const executions = rows?.filter((row) => !row?.levelOfDetail || row?.levelOfDetail === 'EXECUTION');
+    const trades = executions?.length > 0 ? executions : rows?.filter((row) => row?.levelOfDetail === 'ORDER');
+
+    // The period the query covered, taken from the first statement
+    const statement = doc?.getElementsByTagName('FlexStatement')?.[0];
+
+    return {
+      success: true,
+      data: {
+        trades: trades?.filter((row) => row?.tradeId && row?.dateTime),
+        fromDate: this.parseFlexDateTime(statement?.getAttribute('fromDate')),
+        toDate: this.parseFlexDateTime(statement?.getAttribute('toDate'))
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Contract columns for futures and options executions, using IB's own multiplier
+   */
+  static contractFields(flexTrade) {
+    if (!['FUT', 'OPT', 'FOP']?.includes(flexTrade?.assetCategory)) {
+      return { multiplier: flexTrade?.multiplier || 1 };
+    }
+
+    return {
+      underlying: flexTrade?.underlying || flexTrade?.symbol?.split(' ')?.[0] || null,
+      expiry: flexTrade?.expiry,
+      strike: flexTrade?.assetCategory === 'FUT' ? null : flexTrade?.strike,
+      option_type: flexTrade?.assetCategory === 'FUT' ? null : { C: 'CE', P: 'PE' }?.[flexTrade?.putCall] || null,
+      multiplier: flexTrade?.multiplier || 1
+    };
+  }
+
+  /**
+   * Map parsed Flex executions (not FX conversions) onto execution legs
+   */
+  static async buildLegs(brokerId, userId, executions) {
+    // Statements can cover several IB accounts; match each against its own trading account
+    const { data: accounts } = await supabase?.from('trading_accounts')?.select('id, account_number')?.eq('broker_id', brokerId);
+    const accountIds = Object.fromEntries((accounts || [])?.map((account) => [account?.account_number, account?.id]));
+
+    return executions?.map((flexTrade) => ({
+      user_profile_id: userId,
+      broker_id: brokerId,
+      trading_account_id: accountIds?.[flexTrade?.accountId] || null,
+      symbol: flexTrade?.symbol,
+      side: flexTrade?.side,
+      order_type: this.ORDER_TYPE_MAP?.[flexTrade?.orderType] || 'market',
+      quantity: flexTrade?.quantity,
+      price: null,
+      status: 'filled',
+      filled_quantity: flexTrade?.quantity,
+      filled_price: flexTrade?.price,
+      executed_at: flexTrade?.dateTime,
+      fees: flexTrade?.commission,
+      fees_currency: flexTrade?.commissionCurrency,
+      asset_class: this.ASSET_CLASS_MAP?.[flexTrade?.assetCategory] || flexTrade?.assetCategory?.toLowerCase(),
+      ...this.contractFields(flexTrade),
+      currency: flexTrade?.currency,
+      fx_rate_to_base: flexTrade?.fxRateToBase,
+      order_id_external: flexTrade?.orderId || null,
+      execution_id_external: flexTrade?.tradeId
+    }));
+  }
+
+  /**
+   * Import a Flex statement (fetched or uploaded) as execution legs and round-trip trades
+   */
+  static async importStatement(brokerId, xmlText, preferences = null) {
+    try {
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const parseResult = this.parseFlexStatement(xmlText);
+      if (!parseResult?.success) {
+        return parseResult;
+      }
+
+      const flexTrades = parseResult?.data?.trades;
+      const fxConversions = flexTrades?.filter((flexTrade) => flexTrade?.assetCategory === 'CASH');
+      const executions = flexTrades?.filter((flexTrade) => flexTrade?.assetCategory !== 'CASH');
+      const conversionErrors = [];
+      let importedConversions = 0;
+      let updatedConversions = 0;
+
+      const { data: existingConversions } = fxConversions?.length > 0 ?
+        await supabase?.from('trades')?.select('external_id')?.eq('broker_id', brokerId)?.in('external_id', fxConversions?.map((flexTrade) => flexTrade?.tradeId)) :
+        { data: [] };
+      const existingConversionIds = new Set(existingConversions?.map((trade) => trade?.external_id));
+
+      // FX conversions have no round trip and are stored as standalone forex trades with no exit price.
+      // They are not closed trades: normaliseTrade gives them status 'conversion' and closed_trade_fact skips them
+      for (const flexTrade of fxConversions) {
+        const tradeData = {
+          symbol: flexTrade?.symbol,
+          trade_type: flexTrade?.side,
+          position_side: 'long',
+          quantity: flexTrade?.quantity,
+          entry_price: flexTrade?.price,
+          exit_price: null,
+          status: 'closed',
+          opened_at: flexTrade?.dateTime,
+          closed_at: flexTrade?.dateTime,
+          asset_class: 'forex',
+          currency: flexTrade?.currency,
+          fx_rate_to_base: flexTrade?.fxRateToBase,
+          fees: flexTrade?.commission,
+          fees_currency: flexTrade?.commissionCurrency,
+          external_id: flexTrade?.tradeId,
+          broker_id: brokerId
+        };
+
+        const { error: insertError } = await supabase?.from('trades')?.upsert(tradeData, { onConflict: 'external_id' });
+
+        if (insertError) {
+          conversionErrors?.push({ externalId: flexTrade?.tradeId, symbol: flexTrade?.symbol, message: insertError?.message });
+        } else if (existingConversionIds?.has(flexTrade?.tradeId)) {
+          updatedConversions++;
+        } else {
+          importedConversions++;
+        }
+      }
+
+      const legs = await this.buildLegs(brokerId, user?.user?.id, executions);
+
+      const importResult = await TradeMatchingService?.importLegs(brokerId, legs, preferences);
+      if (!importResult?.success) {
+        return importResult;
+      }
+
+      return {
+        success: true,
+        data: {
+          ...importResult?.data,
+          importedConversions: importedConversions + updatedConversions,
+          fetchedCount: flexTrades?.length,
+          insertedCount: importResult?.data?.insertedCount + importedConversions,
+          updatedCount: importResult?.data?.updatedCount + updatedConversions,
+          rowErrors: [...(importResult?.data?.rowErrors || []), ...conversionErrors],
+          totalFlexTrades: flexTrades?.length
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: 'Failed to import Interactive Brokers statement'
+      };
+    }
+  }
+
+  /**
+   * Fetch the broker's saved Flex Query and read its executions as legs, without saving them.
+   * Returns { legs, fromDate, toDate } so callers know which period the statement covers.
+   */
+  static async fetchLegs(brokerId) {
+    try {
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const requestResult = await this.requestStatement(brokerId);
+      if (!requestResult?.success) {
+        return requestResult;
+      }
+
+      const statementResult = await this.fetchStatement(brokerId, requestResult?.data?.referenceCode);
+      if (!statementResult?.success) {
+        return statementResult;
+      }
+
+      const parseResult = this.parseFlexStatement(statementResult?.data);
+      if (!parseResult?.success) {
+        return parseResult;
+      }
+
+      const executions = parseResult?.data?.trades?.filter((flexTrade) => flexTrade?.assetCategory !== 'CASH');
+
+      return {
+        success: true,
+        data: {
+          legs: await this.buildLegs(brokerId, user?.user?.id, executions),
+          fromDate: parseResult?.data?.fromDate,
+          toDate: parseResult?.data?.toDate
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to read Flex statement' };
+    }
+  }
+
+  /**
+   * Fetch the broker's saved Flex Query with its stored token and import it
+   */
+  static async importFromFlexService(brokerId, preferences = null) {
+    try {
+      const requestResult = await this.requestStatement(brokerId);
+      if (!requestResult?.success) {
+        return requestResult;
+      }
+
+      const statementResult = await this.fetchStatement(brokerId, requestResult?.data?.referenceCode);
+      if (!statementResult?.success) {
+        return statementResult;
+      }
+
+      return await this.importStatement(brokerId, statementResult?.data, preferences);
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to sync Interactive Brokers data' };
+    }
+  }
+}
+
+export default InteractiveBrokersService;
@@ -0,0 +1,406 @@
+import { supabase } from '../lib/supabase.js';
+import * as XLSX from 'xlsx';
+
+/**
+ * MetaTrader 5 Report Import Service for TradeScope
+ * Parses the terminal's exported History report (HTML or XLSX) into round-trip trades
+ */
+export class MetaTraderService {
+  static SECTIONS = ['positions', 'orders', 'deals'];
+
+  // Report sections end at the first summary block
+  static SECTION_TERMINATORS = ['results', 'summary', 'balance:'];
+
+  /**
+   * Decode an uploaded report file into a grid of cell strings
+   */
+  static async readReportRows(file) {
+    const buffer = await file?.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const isSpreadsheet = bytes?.[0] === 0x50 && bytes?.[1] === 0x4b; // XLSX is a ZIP archive
+
+    if (isSpreadsheet) {
+      const workbook = XLSX?.read(buffer, { type: 'array' });
+      const sheet = workbook?.Sheets?.[workbook?.SheetNames?.[0]];
+      return XLSX?.utils?.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })?.map((row) => row?.map((cell) => `${cell}`?.trim()));
+    }
+
+    // Terminal HTML reports are saved as UTF-16LE with a BOM
+    const encoding = bytes?.[0] === 0xff && bytes?.[1] === 0xfe ? 'utf-16le' : 'utf-8';
+    const html = new TextDecoder(encoding)?.decode(buffer);
+    const doc = new DOMParser()?.parseFromString(html, 'text/html');
+
+    return Array.from(doc?.querySelectorAll('tr') || [])?.map((tr) => {
+      const cells = [];
+      tr?.querySelectorAll('th, td')?.forEach((cell) => {
+        // Hidden cells carry internal ids and shift column positions
+        if (cell?.classList?.contains('hidden')) return;
+        const span = parseInt(cell?.getAttribute('colspan')) || 1;
+        cells?.push(cell?.textContent?.trim());
+        for (let i = 1; i < span; i++) cells?.push('');
+      });
+      return cells;
+    });
+  }
+
+  /**
+   * Split report rows into named sections keyed by normalised header
+   */
+  static extractSections(rows) {
+    const sections = {};
+    let current = null;
+    let header = null;
+
+    for (const row of rows) {
+      const filled = row?.filter((cell) => cell !== '');
+      const label = filled?.length === 1 ? filled?.[0]?.toLowerCase() : null;
+
+      if (label && this.SECTIONS?.includes(label)) {
+        current = label;
+        header = null;
+        sections[current] = [];
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (filled?.length === 0 || (label && this.SECTION_TERMINATORS?.some((term) => label?.startsWith(term)))) {
+        if (header) current = null;
+        continue;
+      }
+
+      if (!header) {
+        // Repeated headers (two "Time"/"Price" columns in Positions) become time, time_2, ...
+        const seen = {};
+        header = row?.map((cell) => {
+          const key = cell?.toLowerCase()?.replace(/[^a-z]/g, '');
+          seen[key] = (seen?.[key] || 0) + 1;
+          return seen?.[key] > 1 ? `${key}_${seen?.[key]}` : key;
+        });
+        continue;
+      }
+
+      const record = {};
+      header?.forEach((key, index) => {
+        if (key) record[key] = row?.[index] ?? '';
+      });
+      sections?.[current]?.push(record);
+    }
+
+    return sections;
+  }
+
+  static parseNumber(value) {
+    const cleaned = `${value ?? ''}`?.split('/')?.[0]?.replace(/\s/g, '');
+    return parseFloat(cleaned) || 0;
+  }
+
+  /**
+   * trades.external_id for an MT5 deal, ticket or position number. The numbers are only unique on one
+   * trade server, so the broker id is part of the key; kind is 'open' or 'pos' for those rows
+   */
+  static externalId(brokerId, number, kind = null) {
+    return ['mt5', kind, brokerId, number]?.filter(Boolean)?.join('-');
+  }
+
+  // Report times are the trade server's clock with no zone; they are read as UTC so an import gives
+  // the same instants whatever the browser's zone
+  static parseTime(value) {
+    const match = value?.match(/^(\d{4})[.\-/](\d{2})[.\-/](\d{2})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`)?.toISOString();
+  }
+
+  /**
+   * Deposit currency from the report header ("Account: 51234567 (USD, MetaQuotes-Demo, demo, Hedge)"),
+   * or null when the header is missing
+   */
+  static parseAccountCurrency(rows) {
+    for (const row of rows) {
+      const filled = row?.filter((cell) => cell !== '');
+      if (filled?.[0]?.toLowerCase() !== 'account:') continue;
+
+      const match = filled?.slice(1)?.join(' ')?.match(/\(\s*([A-Za-z]{3})\s*[,)]/);
+      return match ? match?.[1]?.toUpperCase() : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Pair in/out deals per symbol (FIFO) into closed round trips plus open remainders.
+   * storedLots are positions left open by earlier reports (see getOpenLots); out-deals close them
+   * first, unless this report also holds their in-deal
+   */
+  static buildRoundTripsFromDeals(deals, brokerId, storedLots = []) {
+    const openLots = {};
+    const closedTrades = [];
+    const consumedTickets = new Set();
+    const reportTickets = new Set(deals?.map((deal) => deal?.deal));
+
+    storedLots
+      ?.filter((lot) => !reportTickets?.has(lot?.ticket))
+      ?.sort((a, b) => new Date(a?.openedAt) - new Date(b?.openedAt))
+      ?.forEach((lot) => {
+        openLots[lot?.symbol] = [...(openLots?.[lot?.symbol] || []), { ...lot }];
+      });
+
+    const tradingDeals = deals
+      ?.filter((deal) => ['buy', 'sell']?.includes(deal?.type?.toLowerCase()))
+      ?.sort((a, b) => new Date(this.parseTime(a?.time)) - new Date(this.parseTime(b?.time)));
+
+    for (const deal of tradingDeals) {
+      const side = deal?.type?.toLowerCase();
+      const direction = deal?.direction?.toLowerCase();
+      const lots = openLots[deal?.symbol] = openLots?.[deal?.symbol] || [];
+      const volume = this.parseNumber(deal?.volume);
+      const costs = this.parseNumber(deal?.commission) + this.parseNumber(deal?.fee);
+
+      let remaining = volume;
+
+      if (direction === 'out' || direction === 'inout') {
+        const matched = [];
+        while (remaining > 1e-9 && lots?.length > 0 && lots?.[0]?.side !== side) {
+          const lot = lots?.[0];
+          const take = Math.min(lot?.remaining, remaining);
+          matched?.push({ lot, take });
+          lot.remaining -= take;
+          remaining -= take;
+          if (lot?.remaining <= 1e-9) {
+            consumedTickets?.add(lot?.ticket);
+            lots?.shift();
+          }
+        }
+
+        const closedVolume = matched?.reduce((sum, m) => sum + m?.take, 0);
+        if (closedVolume > 0) {
+          const entryPrice = matched?.reduce((sum, m) => sum + m?.lot?.price * m?.take, 0) / closedVolume;
+          const entryCosts = matched?.reduce((sum, m) => sum + m?.lot?.costs * (m?.take / m?.lot?.volume), 0);
+          const share = closedVolume / volume;
+
+          closedTrades?.push({
+            externalId: this.externalId(brokerId, deal?.deal),
+            symbol: deal?.symbol,
+            side: matched?.[0]?.lot?.side,
+            quantity: closedVolume,
+            entryPrice,
+            exitPrice: this.parseNumber(deal?.price),
+            openedAt: matched?.[0]?.lot?.openedAt,
+            closedAt: this.parseTime(deal?.time),
+            // Profit and swap on an inout deal belong entirely to the closed part
+            profit: this.parseNumber(deal?.profit),
+            swap: this.parseNumber(deal?.swap),
+            fees: Math.abs(entryCosts + costs * share),
+            status: 'closed'
+          });
+        }
+
+        if (direction === 'out') continue;
+      }
+
+      if (remaining > 1e-9) {
+        lots?.push({
+          ticket: deal?.deal,
+          symbol: deal?.symbol,
+          side,
+          openedAt: this.parseTime(deal?.time),
+          price: this.parseNumber(deal?.price),
+          volume: remaining,
+          remaining,
+          costs: costs * (remaining / volume)
+        });
+      }
+    }
+
+    const openTrades = Object.values(openLots)?.flat()?.map((lot) => ({
+      externalId: this.externalId(brokerId, lot?.ticket, 'open'),
+      symbol: lot?.symbol,
+      side: lot?.side,
+      quantity: lot?.remaining,
+      entryPrice: lot?.price,
+      exitPrice: null,
+      openedAt: lot?.openedAt,
+      closedAt: null,
+      profit: 0,
+      swap: 0,
+      fees: Math.abs(lot?.costs * (lot?.remaining / lot?.volume)),
+      status: 'open'
+    }));
+
+    return {
+      trades: [...closedTrades, ...openTrades],
+      closedOpenIds: Array.from(consumedTickets)?.map((ticket) => this.externalId(brokerId, ticket, 'open'))
+    };
+  }
+
+  /**
+   * Reports without a Deals section still list closed positions directly
+   */
+  static buildRoundTripsFromPositions(positions, brokerId) {
+    return positions
+      ?.filter((position) => ['buy', 'sell']?.includes(position?.type?.toLowerCase()))
+      ?.map((position) => ({
+        externalId: this.externalId(brokerId, position?.position, 'pos'),
+        symbol: position?.symbol,
+        side: position?.type?.toLowerCase(),
+        quantity: this.parseNumber(position?.volume),
+        entryPrice: this.parseNumber(position?.price),
+        exitPrice: this.parseNumber(position?.price_2) || null,
+        openedAt: this.parseTime(position?.time),
+        closedAt: this.parseTime(position?.time_2),
+        profit: this.parseNumber(position?.profit),
+        swap: this.parseNumber(position?.swap),
+        fees: Math.abs(this.parseNumber(position?.commission)),
+        status: position?.time_2 ? 'closed' : 'open'
+      }));
+  }
+
+  /**
+   * Open positions stored by earlier report imports, as lots for buildRoundTripsFromDeals
+   */
+  static async getOpenLots(brokerId) {
+    const { data, error } = await supabase
+      ?.from('trades')
+      ?.select('external_id, symbol, trade_type, quantity, entry_price, fees, opened_at')
+      ?.eq('broker_id', brokerId)
+      ?.eq('status', 'open')
+      ?.like('external_id', `${this.externalId(brokerId, null, 'open')}-%`);
+
+    if (error) {
+      return { success: false, data: null, error: error?.message };
+    }
+
+    const lots = (data || [])?.map((trade) => ({
+      ticket: trade?.external_id?.slice(`${this.externalId(brokerId, null, 'open')}-`?.length),
+      symbol: trade?.symbol,
+      side: trade?.trade_type,
+      openedAt: trade?.opened_at,
+      price: parseFloat(trade?.entry_price) || 0,
+      volume: parseFloat(trade?.quantity) || 0,
+      remaining: parseFloat(trade?.quantity) || 0,
+      // Report commissions are negative, stored fees positive
+      costs: -Math.abs(parseFloat(trade?.fees) || 0)
+    }));
+
+    return { success: true, data: lots, error: null };
+  }
+
+  /**
+   * Parse an uploaded History report into round-trip trades, closing storedLots from earlier reports
+   */
+  static async parseReport(file, brokerId, storedLots = []) {
+    try {
+      const rows = await this.readReportRows(file);
+      const sections = this.extractSections(rows);
+      const currency = this.parseAccountCurrency(rows);
+
+      if (sections?.deals?.length > 0) {
+        return { success: true, data: { ...this.buildRoundTripsFromDeals(sections?.deals, brokerId, storedLots), currency }, error: null };
+      }
+
+      if (sections?.positions?.length > 0) {
+        return { success: true, data: { trades: this.buildRoundTripsFromPositions(sections?.positions, brokerId), closedOpenIds: [], currency }, error: null };
+      }
+
+      return { success: false, data: null, error: 'No Positions or Deals section found in report' };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to read MetaTrader 5 report' };
+    }
+  }
+
+  /**
+   * Import an MT5 History report into the TradeScope database
+   */
+  static async importReport(brokerId, file) {
+    try {
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      // A report may close positions whose in-deal was in an earlier report
+      const lotsResult = await this.getOpenLots(brokerId);
+      if (!lotsResult?.success) {
+        return lotsResult;
+      }
+
+      const parseResult = await this.parseReport(file, brokerId, lotsResult?.data);
+      if (!parseResult?.success) {
+        return parseResult;
+      }
+
+      const { trades: roundTrips, closedOpenIds, currency } = parseResult?.data;
+      const importedTrades = [];
+      const rowErrors = [];
+
+      const { data: existingTrades } = roundTrips?.length > 0 ?
+        await supabase?.from('trades')?.select('external_id')?.eq('broker_id', brokerId)?.in('external_id', roundTrips?.map((roundTrip) => roundTrip?.externalId)) :
+        { data: [] };
+      const existingIds = new Set(existingTrades?.map((trade) => trade?.external_id));
+
+      for (const roundTrip of roundTrips) {
+        const tradeData = {
+          symbol: roundTrip?.symbol,
+          trade_type: roundTrip?.side,
+          position_side: roundTrip?.side === 'buy' ? 'long' : 'short',
+          quantity: roundTrip?.quantity,
+          entry_price: roundTrip?.entryPrice,
+          exit_price: roundTrip?.exitPrice,
+          pnl: roundTrip?.profit,
+          swap: roundTrip?.swap,
+          fees: roundTrip?.fees,
+          // Profit, swap and commission are all in the account's deposit currency
+          currency,
+          fees_currency: currency,
+          status: roundTrip?.status,
+          opened_at: roundTrip?.openedAt,
+          closed_at: roundTrip?.closedAt,
+          external_id: roundTrip?.externalId,
+          broker_id: brokerId
+        };
+
+        const { data: insertedTrade, error: insertError } = await supabase?.from('trades')?.upsert(tradeData, { onConflict: 'external_id' })?.select()?.single();
+
+        if (insertError) {
+          rowErrors?.push({ externalId: roundTrip?.externalId, symbol: roundTrip?.symbol, message: insertError?.message });
+        } else {
+          importedTrades?.push(insertedTrade);
+        }
+      }
+
+      const updatedCount = importedTrades?.filter((trade) => existingIds?.has(trade?.external_id))?.length;
+
+      // Positions that were open in an earlier report and are now fully closed
+      if (closedOpenIds?.length > 0) {
+        await supabase?.from('trades')?.delete()?.eq('broker_id', brokerId)?.in('external_id', closedOpenIds);
+      }
+
+      await supabase?.from('brokers')?.update({ last_sync_at: new Date()?.toISOString() })?.eq('id', brokerId);
+
+      return {
+        success: true,
+        data: {
+          importedCount: importedTrades?.length,
+          totalRoundTrips: roundTrips?.length,
+          fetchedCount: roundTrips?.length,
+          insertedCount: importedTrades?.length - updatedCount,
+          updatedCount,
+          skippedCount: 0,
+          rowErrors,
+          trades: importedTrades
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: 'Failed to import MetaTrader 5 report'
+      };
+    }
+  }
+}
+
+export default MetaTraderService;
@@ -0,0 +1,212 @@
+import FuturesService from './futuresService.js';
+
+/**
+ * Options Service for TradeScope
+ * Reads option and futures contract details out of Indian exchange trading symbols and
+ * recognises multi-leg option strategies.
+ *
+ * Symbol formats:
+ *   Kite monthly   NIFTY24OCT25000CE   (underlying, YY, MON, strike, CE/PE)
+ *   Kite weekly    NIFTY2410325000CE   (underlying, YY, month 1-9/O/N/D, DD, strike, CE/PE)
+ *   Kite futures   NIFTY24OCTFUT
+ *   Upstox         NIFTY 25000 CE 03 OCT 24, NIFTY FUT 31 OCT 24
+ */
+export class OptionsService {
+  static MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  // Weekly symbols write October to December as O, N and D
+  static WEEKLY_MONTH_CODES = { O: 10, N: 11, D: 12 };
+
+  // Exchange lot sizes as revised in December 2024. They change from time to time, so a trade's lot size can be edited
+  static LOT_SIZES = {
+    NIFTY: 75,
+    BANKNIFTY: 30,
+    FINNIFTY: 65,
+    MIDCPNIFTY: 120,
+    NIFTYNXT50: 25,
+    SENSEX: 20,
+    BANKEX: 30
+  };
+
+  // NSE moved monthly expiries from the last Thursday to the last Tuesday in September 2025
+  static NSE_TUESDAY_EXPIRY_FROM = '2025-09-01';
+
+  static STRATEGY_TYPES = {
+    vertical_spread: 'Vertical spread',
+    calendar_spread: 'Calendar spread',
+    straddle: 'Straddle',
+    strangle: 'Strangle',
+    butterfly: 'Butterfly',
+    iron_condor: 'Iron condor',
+    iron_butterfly: 'Iron butterfly',
+    covered: 'Covered / protective',
+    custom: 'Custom'
+  };
+
+  static OPTION_TYPES = ['CE', 'PE'];
+
+  static toDate(year, month, day) {
+    return `${year}-${`${month}`?.padStart(2, '0')}-${`${day}`?.padStart(2, '0')}`;
+  }
+
+  /**
+   * Last Thursday (Tuesday for NSE from September 2025) of a month, before holiday adjustments
+   */
+  static monthlyExpiry(year, month, exchange = 'NSE') {
+    const isBse = ['BSE', 'BFO']?.some((code) => `${exchange || ''}`?.toUpperCase()?.startsWith(code));
+    const tuesday = !isBse && this.toDate(year, month, 1) >= this.NSE_TUESDAY_EXPIRY_FROM;
+    const weekday = tuesday ? 2 : 4;
+
+    const date = new Date(Date.UTC(year, month, 0));
+    date?.setUTCDate(date?.getUTCDate() - ((date?.getUTCDay() - weekday + 7) % 7));
+    return date?.toISOString()?.slice(0, 10);
+  }
+
+  /**
+   * Contract details from a trading symbol, or null when it is not a derivative.
+   * Returns { underlying, expiry (YYYY-MM-DD), strike, optionType ('CE'|'PE'|null), instrumentType ('OPT'|'FUT') }
+   */
+  static parseSymbol(symbol, exchange = null) {
+    const text = `${symbol || ''}`?.trim()?.toUpperCase();
+    const months = this.MONTHS?.join('|');
+    const century = 2000;
+    let match;
+
+    if ((match = text?.match(new RegExp(`^([A-Z][A-Z&-]*?)(\\d{2})(${months})(\\d+(?:\\.\\d+)?)(CE|PE)$`)))) {
+      const [, underlying, year, month, strike, optionType] = match;
+      const monthNumber = this.MONTHS?.indexOf(month) + 1;
+      return { underlying, expiry: this.monthlyExpiry(century + Number(year), monthNumber, exchange), strike: parseFloat(strike), optionType, instrumentType: 'OPT' };
+    }
+
+    if ((match = text?.match(/^([A-Z][A-Z&-]*?)(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/))) {
+      const [, underlying, year, monthCode, day, strike, optionType] = match;
+      const monthNumber = this.WEEKLY_MONTH_CODES?.[monthCode] || Number(monthCode);
+      return { underlying, expiry: this.toDate(century + Number(year), monthNumber, day), strike: parseFloat(strike), optionType, instrumentType: 'OPT' };
+    }
+
+    if ((match = text?.match(new RegExp(`^([A-Z][A-Z&-]*?)(\\d{2})(${months})FUT$`)))) {
+      const [, underlying, year, month] = match;
+      const monthNumber = this.MONTHS?.indexOf(month) + 1;
+      return { underlying, expiry: this.monthlyExpiry(century + Number(year), monthNumber, exchange), strike: null, optionType: null, instrumentType: 'FUT' };
+    }
+
+    if ((match = text?.match(new RegExp(`^([A-Z][A-Z&-]*) (\\d+(?:\\.\\d+)?) (CE|PE) (\\d{2}) (${months}) (\\d{2})$`)))) {
+      const [, underlying, strike, optionType, day, month, year] = match;
+      return { underlying, expiry: this.toDate(century + Number(year), this.MONTHS?.indexOf(month) + 1, day), strike: parseFloat(strike), optionType, instrumentType: 'OPT' };
+    }
+
+    if ((match = text?.match(new RegExp(`^([A-Z][A-Z&-]*) FUT (\\d{2}) (${months}) (\\d{2})$`)))) {
+      const [, underlying, day, month, year] = match;
+      return { underlying, expiry: this.toDate(century + Number(year), this.MONTHS?.indexOf(month) + 1, day), strike: null, optionType: null, instrumentType: 'FUT' };
+    }
+
+    return null;
+  }
+
+  static lotSizeFor(underlying) {
+    return this.LOT_SIZES?.[`${underlying || ''}`?.toUpperCase()] || null;
+  }
+
+  /**
+   * Contract columns for an orders or trades row ({} when the symbol is not a derivative).
+   * Values already known (entered by hand or reported by the broker) win over parsed ones.
+   */
+  static contractFields(symbol, exchange = null, known = {}) {
+    const contract = this.parseSymbol(symbol, exchange);
+    const underlying = known?.underlying || contract?.underlying || null;
+    const optionType = known?.optionType || contract?.optionType || null;
+
+    if (!underlying && !optionType) {
+      return {};
+    }
+
+    return {
+      underlying,
+      expiry: known?.expiry || contract?.expiry || null,
+      strike: known?.strike !== undefined && known?.strike !== null && known?.strike !== '' ? parseFloat(known?.strike) : contract?.strike ?? null,
+      option_type: optionType,
+      lot_size: parseInt(known?.lotSize, 10) || this.lotSizeFor(underlying),
+      multiplier: parseFloat(known?.multiplier) || FuturesService?.multiplierFor(underlying, exchange)
+    };
+  }
+
+  /**
+   * Name the strategy formed by a set of legs ({ side: 'long'|'short', optionType, strike, expiry }).
+   * Legs without an option type are the underlying or a future.
+   */
+  static detectStrategy(legs) {
+    const options = legs?.filter((leg) => leg?.optionType);
+    const others = legs?.filter((leg) => !leg?.optionType);
+
+    if (others?.length === 1 && options?.length === 1) return 'covered';
+    if (others?.length > 0 || options?.length < 2) return 'custom';
+
+    const sameExpiry = new Set(options?.map((leg) => leg?.expiry))?.size === 1;
+    const strike = (leg) => parseFloat(leg?.strike);
+
+    if (options?.length === 2) {
+      const [a, b] = options;
+
+      if (a?.optionType === b?.optionType && a?.side !== b?.side) {
+        if (sameExpiry && strike(a) !== strike(b)) return 'vertical_spread';
+        if (!sameExpiry && strike(a) === strike(b)) return 'calendar_spread';
+      }
+
+      if (a?.optionType !== b?.optionType && a?.side === b?.side && sameExpiry) {
+        return strike(a) === strike(b) ? 'straddle' : 'strangle';
+      }
+
+      return 'custom';
+    }
+
+    if (!sameExpiry) return 'custom';
+
+    if (options?.length === 3 && new Set(options?.map((leg) => leg?.optionType))?.size === 1) {
+      const [low, middle, high] = [...options]?.sort((a, b) => strike(a) - strike(b));
+      const wingsMatch = low?.side === high?.side && middle?.side !== low?.side;
+      const bodyIsDouble = Math.abs(middle?.quantity) === Math.abs(low?.quantity) + Math.abs(high?.quantity);
+      return wingsMatch && bodyIsDouble ? 'butterfly' : 'custom';
+    }
+
+    if (options?.length === 4) {
+      const calls = options?.filter((leg) => leg?.optionType === 'CE');
+      const puts = options?.filter((leg) => leg?.optionType === 'PE');
+      const isSpread = (pair) => pair?.length === 2 && pair?.[0]?.side !== pair?.[1]?.side;
+
+      if (isSpread(calls) && isSpread(puts)) {
+        const shortCall = calls?.find((leg) => leg?.side === 'short');
+        const shortPut = puts?.find((leg) => leg?.side === 'short');
+        return strike(shortCall) === strike(shortPut) ? 'iron_butterfly' : 'iron_condor';
+      }
+    }
+
+    return 'custom';
+  }
+
+  /**
+   * Combined P&L of a strategy's legs ({ pnl, fees, status })
+   */
+  static combinedPnl(legs) {
+    const grossPnl = legs?.reduce((sum, leg) => sum + (parseFloat(leg?.pnl) || 0), 0);
+    const fees = legs?.reduce((sum, leg) => sum + (parseFloat(leg?.fees) || 0), 0);
+
+    return {
+      grossPnl,
+      fees,
+      netPnl: grossPnl - fees,
+      status: legs?.length > 0 && legs?.every((leg) => leg?.status === 'closed') ? 'closed' : 'open'
+    };
+  }
+
+  /**
+   * Default name for a strategy, e.g. "NIFTY Iron condor 31 Oct"
+   */
+  static groupName(strategyType, legs) {
+    const underlyings = [...new Set(legs?.map((leg) => leg?.underlying || leg?.symbol)?.filter(Boolean))];
+    const expiry = legs?.find((leg) => leg?.expiry)?.expiry;
+    const expiryLabel = expiry ? new Date(expiry)?.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' }) : '';
+    return [underlyings?.join('/'), this.STRATEGY_TYPES?.[strategyType], expiryLabel]?.filter(Boolean)?.join(' ');
+  }
+}
+
+export default OptionsService;
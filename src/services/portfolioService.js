@@ -0,0 +1,267 @@
+import { supabase } from '../lib/supabase.js';
+import AnalyticsService from './analyticsService.js';
+
+/**
+ * Portfolio Service for TradeScope
+ * Portfolios group trading accounts and strategies into separate books (e.g. "Prop" and "Personal").
+ *
+ * A trade belongs to the portfolio of its trading account, or failing that to the portfolio of its
+ * strategy, so each trade is in at most one portfolio. Stored totals (total_pnl, total_value,
+ * total_pnl_percentage) are kept current by database triggers; see refresh_portfolio_totals().
+ */
+export class PortfolioService {
+  // Filter value for trades that no portfolio claims
+  static UNASSIGNED = 'unassigned';
+
+  static PAGE_SIZE = 1000;
+
+  /**
+   * Read portfolios with their members, by name
+   */
+  static async getPortfolios() {
+    try {
+      const { data, error } = await supabase?.from('portfolios')?.select(`
+          *,
+          portfolio_members (
+            id,
+            trading_account_id,
+            strategy
+          )
+        `)?.order('name', { ascending: true });
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch portfolios' };
+    }
+  }
+
+  /**
+   * Create a portfolio ({ name, description })
+   */
+  static async createPortfolio(portfolio) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const invalid = this.validatePortfolio(portfolio);
+      if (invalid) {
+        return { success: false, data: null, error: invalid };
+      }
+
+      const { data, error } = await supabase?.from('portfolios')?.insert({
+        user_profile_id: user?.id,
+        name: portfolio?.name?.trim(),
+        description: portfolio?.description?.trim() || null
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to create portfolio' };
+    }
+  }
+
+  /**
+   * Rename a portfolio or change its description
+   */
+  static async updatePortfolio(id, portfolio) {
+    try {
+      const invalid = this.validatePortfolio(portfolio);
+      if (invalid) {
+        return { success: false, data: null, error: invalid };
+      }
+
+      const { data, error } = await supabase?.from('portfolios')?.update({
+        name: portfolio?.name?.trim(),
+        description: portfolio?.description?.trim() || null
+      })?.eq('id', id)?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to update portfolio' };
+    }
+  }
+
+  // Deleting a portfolio releases its accounts and strategies; their trades are kept
+  static async deletePortfolio(id) {
+    try {
+      const { error } = await supabase?.from('portfolios')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete portfolio' };
+    }
+  }
+
+  /**
+   * Make a portfolio's members exactly the given account ids and strategy names, adding and
+   * removing only what changed
+   */
+  static async setMembers(portfolio, { accountIds = [], strategies = [] } = {}) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, error: 'User not authenticated' };
+      }
+
+      const members = portfolio?.portfolio_members || [];
+      const strategyKeys = new Set(strategies?.map((name) => this.strategyKey(name)));
+      const removed = members?.filter((member) => (member?.trading_account_id ?
+        !accountIds?.includes(member?.trading_account_id) :
+        !strategyKeys?.has(this.strategyKey(member?.strategy))));
+
+      const heldAccounts = new Set(members?.map((member) => member?.trading_account_id)?.filter(Boolean));
+      const heldStrategies = new Set(members?.filter((member) => member?.strategy)?.map((member) => this.strategyKey(member?.strategy)));
+      const added = [
+        ...accountIds?.filter((id) => !heldAccounts?.has(id))?.map((id) => ({ trading_account_id: id })),
+        ...strategies?.filter((name) => this.strategyKey(name) && !heldStrategies?.has(this.strategyKey(name)))?.map((name) => ({ strategy: name?.trim() }))
+      ];
+
+      if (removed?.length) {
+        const { error } = await supabase?.from('portfolio_members')?.delete()?.in('id', removed?.map((member) => member?.id));
+        if (error) {
+          return { success: false, error: error?.message };
+        }
+      }
+
+      if (added?.length) {
+        const { error } = await supabase?.from('portfolio_members')?.insert(
+          added?.map((member) => ({ user_profile_id: user?.id, portfolio_id: portfolio?.id, ...member }))
+        );
+        if (error) {
+          return { success: false, error: error?.code === '23505' ? 'An account or strategy can only be in one portfolio' : error?.message };
+        }
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to update portfolio members' };
+    }
+  }
+
+  /**
+   * Strategy names to offer for assignment: the strategy registry and every name used on a trade
+   */
+  static async getStrategyNames() {
+    try {
+      const names = [];
+
+      const { data: strategies, error: strategyError } = await supabase?.from('strategies')?.select('name');
+      if (strategyError) {
+        return { success: false, data: [], error: strategyError?.message };
+      }
+      names?.push(...(strategies || [])?.map((row) => row?.name));
+
+      for (let offset = 0; ; offset += this.PAGE_SIZE) {
+        const { data, error } = await supabase?.from('trades')
+          ?.select('strategy')
+          ?.not('strategy', 'is', null)
+          ?.order('id')
+          ?.range(offset, offset + this.PAGE_SIZE - 1);
+
+        if (error) {
+          return { success: false, data: [], error: error?.message };
+        }
+
+        names?.push(...(data || [])?.map((row) => row?.strategy));
+        if ((data?.length || 0) < this.PAGE_SIZE) break;
+      }
+
+      // One entry per strategy, keeping the first spelling seen
+      const byKey = new Map();
+      names?.forEach((name) => {
+        const key = this.strategyKey(name);
+        if (key && !byKey?.has(key)) byKey?.set(key, name?.trim());
+      });
+
+      return { success: true, data: [...byKey.values()]?.sort((a, b) => a?.localeCompare(b)), error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch strategies' };
+    }
+  }
+
+  /**
+   * Error message for a portfolio that cannot be stored, or null
+   */
+  static validatePortfolio(portfolio) {
+    if (!portfolio?.name?.trim()) return 'Portfolio name is required';
+    if (portfolio?.name?.trim()?.toLowerCase() === this.UNASSIGNED) return `"${portfolio?.name?.trim()}" is reserved`;
+    return null;
+  }
+
+  // Same comparison as the database's strategy_key()
+  static strategyKey(name) {
+    return AnalyticsService?.slug(name) || null;
+  }
+
+  /**
+   * Function giving the portfolio id of a normalised trade ({ accountId, strategy }), or null.
+   * The account's portfolio wins over the strategy's. Also works for cash flows, which only have an account
+   */
+  static resolver(portfolios = []) {
+    const byAccount = {};
+    const byStrategy = {};
+
+    portfolios?.forEach((portfolio) => {
+      portfolio?.portfolio_members?.forEach((member) => {
+        if (member?.trading_account_id) {
+          byAccount[member?.trading_account_id] = portfolio?.id;
+        } else if (this.strategyKey(member?.strategy)) {
+          byStrategy[this.strategyKey(member?.strategy)] = portfolio?.id;
+        }
+      });
+    });
+
+    return (trade) => byAccount?.[trade?.accountId] || byStrategy?.[this.strategyKey(trade?.strategy)] || null;
+  }
+
+  /**
+   * Whether a portfolio id passes a portfolio filter value ('all', UNASSIGNED or a portfolio id)
+   */
+  static matches(portfolioId, filter) {
+    if (!filter || filter === 'all') return true;
+    if (filter === this.UNASSIGNED) return !portfolioId;
+    return portfolioId === filter;
+  }
+
+  /**
+   * P&L, trade count and win rate per portfolio from prepared trades carrying portfolioId,
+   * with a trailing row for unassigned trades when there are any
+   */
+  static breakdown(portfolios = [], trades = []) {
+    const rows = [
+      ...portfolios?.map((portfolio) => ({ id: portfolio?.id, name: portfolio?.name, portfolio })),
+      { id: this.UNASSIGNED, name: 'Unassigned', portfolio: null }
+    ]?.map((row) => {
+      const own = trades?.filter((trade) => this.matches(trade?.portfolioId, row?.id));
+      const wins = own?.filter((trade) => trade?.pnl > 0)?.length;
+      return {
+        ...row,
+        pnl: own?.reduce((sum, trade) => sum + trade?.pnl, 0),
+        trades: own?.length,
+        winRate: own?.length ? (wins / own?.length) * 100 : null
+      };
+    });
+
+    return rows?.filter((row) => row?.portfolio || row?.trades > 0);
+  }
+}
+
+export default PortfolioService;
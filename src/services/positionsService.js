@@ -0,0 +1,181 @@
+import { supabase } from '../lib/supabase.js';
+import { BrokerRegistry } from './brokerAdapters/index.js';
+
+/**
+ * Positions Service for TradeScope
+ * Reads live holdings from every connected broker and reconciles them against open journal trades
+ */
+export class PositionsService {
+  static REFRESH_INTERVALS = [
+    { value: '0', label: 'Off' },
+    { value: '15000', label: 'Every 15s' },
+    { value: '30000', label: 'Every 30s' },
+    { value: '60000', label: 'Every minute' },
+    { value: '300000', label: 'Every 5 minutes' }
+  ];
+
+  // Quantities closer than this are treated as equal (fractional shares, float rounding)
+  static QUANTITY_TOLERANCE = 1e-6;
+
+  /**
+   * Fetch positions and funds from each active broker that supports a live view
+   */
+  static async getBrokerPositions() {
+    try {
+      const { data: brokers, error } = await supabase?.from('brokers')?.select('*')?.eq('status', 'active')?.order('name');
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      const liveBrokers = (brokers || [])?.filter((broker) => BrokerRegistry?.forBroker(broker)?.supportsLivePositions);
+
+      const data = await Promise.all(liveBrokers?.map(async (broker) => {
+        const adapter = BrokerRegistry?.forBroker(broker);
+        const [positionsResult, fundsResult] = await Promise.all([
+          adapter?.fetchPositions(broker),
+          adapter?.fetchFunds(broker)
+        ]);
+
+        return {
+          broker,
+          positions: positionsResult?.success ? positionsResult?.data : [],
+          funds: fundsResult?.success ? fundsResult?.data : null,
+          error: positionsResult?.success ? null : positionsResult?.error || 'Failed to fetch positions'
+        };
+      }));
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch broker positions' };
+    }
+  }
+
+  /**
+   * Fetch open trades from the journal
+   */
+  static async getJournalPositions() {
+    try {
+      const { data, error } = await supabase
+        ?.from('trades')
+        ?.select('id, symbol, quantity, entry_price, position_side, broker_id, currency')
+        ?.eq('status', 'open');
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch open trades' };
+    }
+  }
+
+  /**
+   * Match broker positions to open journal trades by broker and symbol. Each row gets a status of
+   * matched, quantity_mismatch, not_in_journal (held at the broker only) or not_at_broker (open in the journal only).
+   * Journal trades for brokers that returned no live data are left out.
+   */
+  static reconcile(brokerResults, journalTrades) {
+    const rows = new Map();
+    const keyFor = (brokerId, symbol) => `${brokerId}:${`${symbol || ''}`?.toUpperCase()}`;
+
+    brokerResults?.filter((result) => !result?.error)?.forEach(({ broker, positions }) => {
+      positions?.forEach((position) => {
+        const key = keyFor(broker?.id, position?.symbol);
+        const existing = rows.get(key);
+
+        // Brokers can report the same symbol on more than one exchange
+        rows.set(key, {
+          ...position,
+          key,
+          brokerId: broker?.id,
+          brokerName: broker?.name,
+          quantity: (existing?.quantity || 0) + (position?.quantity || 0),
+          unrealizedPnl: (existing?.unrealizedPnl || 0) + (position?.unrealizedPnl || 0),
+          journalQuantity: 0,
+          tradeIds: []
+        });
+      });
+    });
+
+    const reconciledBrokerIds = new Set(
+      brokerResults?.filter((result) => !result?.error)?.map((result) => result?.broker?.id)
+    );
+
+    journalTrades?.filter((trade) => reconciledBrokerIds?.has(trade?.broker_id))?.forEach((trade) => {
+      const key = keyFor(trade?.broker_id, trade?.symbol);
+      const signedQuantity = (trade?.position_side === 'short' ? -1 : 1) * Number(trade?.quantity || 0);
+      const row = rows.get(key) || {
+        key,
+        brokerId: trade?.broker_id,
+        brokerName: brokerResults?.find((result) => result?.broker?.id === trade?.broker_id)?.broker?.name,
+        symbol: trade?.symbol,
+        quantity: 0,
+        averagePrice: Number(trade?.entry_price),
+        lastPrice: null,
+        unrealizedPnl: null,
+        marginUsed: null,
+        currency: trade?.currency,
+        journalQuantity: 0,
+        tradeIds: []
+      };
+
+      row.journalQuantity += signedQuantity;
+      row.tradeIds.push(trade?.id);
+      rows.set(key, row);
+    });
+
+    return Array.from(rows.values())?.map((row) => ({
+      ...row,
+      status: this.getReconciliationStatus(row)
+    }));
+  }
+
+  static getReconciliationStatus(row) {
+    if (row?.tradeIds?.length === 0) return 'not_in_journal';
+    if (Math.abs(row?.quantity) <= this.QUANTITY_TOLERANCE) return 'not_at_broker';
+    if (Math.abs(row?.quantity - row?.journalQuantity) <= this.QUANTITY_TOLERANCE) return 'matched';
+    return 'quantity_mismatch';
+  }
+
+  /**
+   * Live positions across brokers, reconciled against the journal, with per-broker funds
+   */
+  static async getLivePositions() {
+    try {
+      const [brokersResult, journalResult] = await Promise.all([
+        this.getBrokerPositions(),
+        this.getJournalPositions()
+      ]);
+
+      if (!brokersResult?.success) {
+        return { success: false, data: null, error: brokersResult?.error };
+      }
+
+      if (!journalResult?.success) {
+        return { success: false, data: null, error: journalResult?.error };
+      }
+
+      return {
+        success: true,
+        data: {
+          positions: this.reconcile(brokersResult?.data, journalResult?.data),
+          brokers: brokersResult?.data?.map(({ broker, positions, funds, error }) => ({
+            id: broker?.id,
+            name: broker?.name,
+            positionCount: positions?.length || 0,
+            funds,
+            error
+          })),
+          fetchedAt: new Date()?.toISOString()
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to load live positions' };
+    }
+  }
+}
+
+export default PositionsService;
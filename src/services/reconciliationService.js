@@ -0,0 +1,381 @@
+import { supabase } from '../lib/supabase.js';
+import { BrokerRegistry } from './brokerAdapters/index.js';
+import PositionsService from './positionsService.js';
+import SyncPreferencesService from './syncPreferencesService.js';
+import TradeMatchingService from './tradeMatchingService.js';
+
+/**
+ * Reconciliation Service for TradeScope
+ * Compares a broker's reported executions and positions with the journal's legs and open trades
+ * for a date range, stores the differences as a report and applies fixes from it.
+ *
+ * Differences are keyed on the broker's execution id:
+ *   missing  - reported by the broker, not in the journal (fix: import the leg)
+ *   extra    - in the journal, not reported by the broker (fix: delete the leg)
+ *   mismatch - in both with a different quantity, price or fees (fix: overwrite with the broker's values)
+ *   position - live position and open journal quantity disagree (informational; fixing the legs settles it)
+ */
+export class ReconciliationService {
+  static DEFAULT_RANGE_DAYS = 7;
+  static PAGE_SIZE = 1000;
+  static FIXABLE_TYPES = ['missing', 'extra', 'mismatch'];
+
+  // Differences smaller than these are rounding, not a real mismatch
+  static TOLERANCE = {
+    quantity: 1e-6,
+    price: 1e-4,
+    fees: 0.01
+  };
+
+  static defaultRange(to = new Date()) {
+    return {
+      from: new Date(to?.getTime() - this.DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000)?.toISOString(),
+      to: to?.toISOString()
+    };
+  }
+
+  static legValues(leg) {
+    return {
+      quantity: parseFloat(leg?.filled_quantity ?? leg?.quantity),
+      price: parseFloat(leg?.filled_price ?? leg?.price),
+      fees: leg?.fees === undefined || leg?.fees === null ? null : parseFloat(leg?.fees)
+    };
+  }
+
+  // Same fill imported twice under different ids (e.g. an uploaded statement and an API sync)
+  static fingerprint(leg) {
+    const values = this.legValues(leg);
+    return [
+      `${leg?.symbol || ''}`?.toUpperCase(),
+      leg?.side,
+      values?.quantity,
+      values?.price,
+      new Date(leg?.executed_at)?.toISOString()
+    ]?.join('|');
+  }
+
+  /**
+   * Fields whose broker and journal values differ; fees are skipped when the broker does not report them
+   */
+  static differingFields(brokerValues, journalValues) {
+    return ['quantity', 'price', 'fees']?.filter((field) => {
+      if (brokerValues?.[field] === null || brokerValues?.[field] === undefined) return false;
+      return Math.abs(brokerValues?.[field] - (journalValues?.[field] || 0)) > this.TOLERANCE?.[field];
+    });
+  }
+
+  /**
+   * Compare broker legs with journal legs (orders rows) by execution id
+   */
+  static compareLegs(brokerLegs, journalLegs) {
+    const journalById = new Map(journalLegs?.map((leg) => [leg?.execution_id_external, leg]));
+    const brokerIds = new Set(brokerLegs?.map((leg) => leg?.execution_id_external));
+    const brokerFingerprints = new Map(brokerLegs?.map((leg) => [this.fingerprint(leg), leg?.execution_id_external]));
+    const items = [];
+
+    const describe = (leg) => ({
+      executionId: leg?.execution_id_external,
+      symbol: leg?.symbol,
+      side: leg?.side,
+      executedAt: leg?.executed_at
+    });
+
+    brokerLegs?.forEach((brokerLeg) => {
+      const journalLeg = journalById?.get(brokerLeg?.execution_id_external);
+      const brokerValues = this.legValues(brokerLeg);
+
+      if (!journalLeg) {
+        items?.push({
+          id: `missing:${brokerLeg?.execution_id_external}`,
+          type: 'missing',
+          ...describe(brokerLeg),
+          broker: brokerValues,
+          journal: null,
+          brokerLeg,
+          resolved: false
+        });
+        return;
+      }
+
+      const journalValues = this.legValues(journalLeg);
+      const fields = this.differingFields(brokerValues, journalValues);
+
+      if (fields?.length > 0) {
+        items?.push({
+          id: `mismatch:${brokerLeg?.execution_id_external}`,
+          type: 'mismatch',
+          ...describe(brokerLeg),
+          fields,
+          broker: brokerValues,
+          journal: journalValues,
+          brokerLeg,
+          resolved: false
+        });
+      }
+    });
+
+    journalLegs?.filter((leg) => !brokerIds?.has(leg?.execution_id_external))?.forEach((journalLeg) => {
+      items?.push({
+        id: `extra:${journalLeg?.execution_id_external}`,
+        type: 'extra',
+        ...describe(journalLeg),
+        broker: null,
+        journal: this.legValues(journalLeg),
+        legId: journalLeg?.id,
+        duplicateOf: brokerFingerprints?.get(this.fingerprint(journalLeg)) || null,
+        resolved: false
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Get a broker's stored legs executed within a window, paging past the API row limit
+   */
+  static async getJournalLegs(brokerId, from, to) {
+    const legs = [];
+
+    for (let offset = 0; ; offset += this.PAGE_SIZE) {
+      const { data, error } = await supabase
+        ?.from('orders')
+        ?.select('id, symbol, side, quantity, price, filled_quantity, filled_price, fees, executed_at, asset_class, execution_id_external')
+        ?.eq('broker_id', brokerId)
+        ?.not('execution_id_external', 'is', null)
+        ?.gte('executed_at', from)
+        ?.lte('executed_at', to)
+        ?.order('executed_at', { ascending: true })
+        ?.range(offset, offset + this.PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(error?.message);
+      }
+
+      legs?.push(...(data || []));
+      if ((data || [])?.length < this.PAGE_SIZE) {
+        return legs;
+      }
+    }
+  }
+
+  /**
+   * Live positions that disagree with the journal's open trades for this broker
+   */
+  static async getPositionItems(broker, adapter) {
+    if (!adapter?.supportsLivePositions) {
+      return [];
+    }
+
+    const [positionsResult, journalResult] = await Promise.all([
+      adapter?.fetchPositions(broker),
+      PositionsService?.getJournalPositions()
+    ]);
+
+    if (!positionsResult?.success || !journalResult?.success) {
+      return [];
+    }
+
+    const rows = PositionsService?.reconcile(
+      [{ broker, positions: positionsResult?.data, error: null }],
+      journalResult?.data?.filter((trade) => trade?.broker_id === broker?.id)
+    );
+
+    return rows
+      ?.filter((row) => row?.status !== 'matched')
+      ?.map((row) => ({
+        id: `position:${row?.symbol}`,
+        type: 'position',
+        symbol: row?.symbol,
+        status: row?.status,
+        broker: { quantity: row?.quantity },
+        journal: { quantity: row?.journalQuantity },
+        resolved: false
+      }));
+  }
+
+  /**
+   * Reconcile one broker for a date range ({ from, to } ISO strings) and store the report
+   */
+  static async runReport(broker, range = this.defaultRange(), triggerType = 'manual') {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const report = {
+        user_profile_id: user?.id,
+        broker_id: broker?.id,
+        trigger_type: triggerType,
+        range_from: range?.from,
+        range_to: range?.to
+      };
+
+      const adapter = BrokerRegistry?.forBroker(broker);
+      const legsResult = adapter ?
+        await adapter?.fetchLegs(broker, range) :
+        { success: false, data: null, error: 'Unsupported broker' };
+
+      if (!legsResult?.success) {
+        return await this.saveReport({ ...report, status: 'error', error_message: legsResult?.error });
+      }
+
+      const { from, to } = legsResult?.data;
+
+      // Asset types the broker is set not to import are left out on both sides
+      const preferencesResult = await SyncPreferencesService?.getPreferences(broker?.id);
+      const importTypes = preferencesResult?.data?.importTypes || {};
+      const included = (leg) => !leg?.asset_class || importTypes?.[leg?.asset_class] !== false;
+
+      const brokerLegs = legsResult?.data?.legs
+        ?.filter((leg) => leg?.executed_at >= from && leg?.executed_at <= to)
+        ?.filter(included);
+      const journalLegs = (await this.getJournalLegs(broker?.id, from, to))?.filter(included);
+
+      const items = [
+        ...this.compareLegs(brokerLegs, journalLegs),
+        ...(await this.getPositionItems(broker, adapter))
+      ];
+      const count = (type) => items?.filter((item) => item?.type === type)?.length;
+
+      return await this.saveReport({
+        ...report,
+        status: items?.length > 0 ? 'differences' : 'clean',
+        covered_from: from,
+        covered_to: to,
+        broker_count: brokerLegs?.length,
+        journal_count: journalLegs?.length,
+        missing_count: count('missing'),
+        extra_count: count('extra'),
+        mismatch_count: count('mismatch'),
+        position_count: count('position'),
+        items
+      });
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to reconcile broker' };
+    }
+  }
+
+  static async saveReport(report) {
+    const { data, error } = await supabase?.from('reconciliation_reports')?.insert(report)?.select(`
+        *,
+        brokers (
+          id,
+          name
+        )
+      `)?.single();
+
+    if (error) {
+      return { success: false, data: null, error: error?.message };
+    }
+
+    return { success: true, data, error: null };
+  }
+
+  /**
+   * Get reports, newest first, optionally for one broker
+   */
+  static async getReports({ brokerId = null, limit = 20 } = {}) {
+    try {
+      let query = supabase?.from('reconciliation_reports')?.select(`
+          *,
+          brokers (
+            id,
+            name
+          )
+        `)?.order('created_at', { ascending: false })?.limit(limit);
+
+      if (brokerId) {
+        query = query?.eq('broker_id', brokerId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch reconciliation reports' };
+    }
+  }
+
+  /**
+   * Apply the fixes for a report's items (all unresolved ones when itemIds is omitted),
+   * rebuild the broker's round trips once and mark the items resolved
+   */
+  static async fixItems(reportId, itemIds = null) {
+    try {
+      const { data: report, error } = await supabase?.from('reconciliation_reports')?.select('*')?.eq('id', reportId)?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      const items = report?.items || [];
+      const toFix = items?.filter((item) =>
+        !item?.resolved &&
+        this.FIXABLE_TYPES?.includes(item?.type) &&
+        (!itemIds || itemIds?.includes(item?.id)));
+
+      if (toFix?.length === 0) {
+        return { success: true, data: report, error: null };
+      }
+
+      // Missing and mismatched legs are upserted from the broker's copy kept in the report
+      const legsToSave = toFix?.filter((item) => item?.type !== 'extra')?.map((item) => item?.brokerLeg);
+      const legIdsToDelete = toFix?.filter((item) => item?.type === 'extra')?.map((item) => item?.legId);
+      const failedIds = new Set();
+
+      if (legsToSave?.length > 0) {
+        const saveResult = await TradeMatchingService?.saveLegs(legsToSave);
+        if (!saveResult?.success) {
+          return saveResult;
+        }
+        saveResult?.data?.rowErrors?.forEach((rowError) => failedIds?.add(rowError?.externalId));
+      }
+
+      if (legIdsToDelete?.length > 0) {
+        const { error: deleteError } = await supabase?.from('orders')?.delete()?.in('id', legIdsToDelete);
+        if (deleteError) {
+          return { success: false, data: null, error: deleteError?.message };
+        }
+      }
+
+      const rebuildResult = await TradeMatchingService?.rebuildRoundTrips(report?.broker_id);
+      if (!rebuildResult?.success) {
+        return rebuildResult;
+      }
+
+      const fixedIds = new Set(toFix?.filter((item) => !failedIds?.has(item?.executionId))?.map((item) => item?.id));
+      const updatedItems = items?.map((item) => fixedIds?.has(item?.id) ? { ...item, resolved: true } : item);
+      const allResolved = updatedItems?.every((item) => item?.resolved || !this.FIXABLE_TYPES?.includes(item?.type));
+
+      const { data, error: updateError } = await supabase?.from('reconciliation_reports')?.update({
+        items: updatedItems,
+        status: allResolved ? 'resolved' : report?.status
+      })?.eq('id', reportId)?.select(`
+          *,
+          brokers (
+            id,
+            name
+          )
+        `)?.single();
+
+      if (updateError) {
+        return { success: false, data: null, error: updateError?.message };
+      }
+
+      return {
+        success: failedIds?.size === 0,
+        data,
+        error: failedIds?.size > 0 ? `${failedIds?.size} legs could not be saved` : null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to apply reconciliation fixes' };
+    }
+  }
+}
+
+export default ReconciliationService;
@@ -0,0 +1,195 @@
+import { supabase } from '../lib/supabase.js';
+import AnalyticsService from './analyticsService.js';
+
+/**
+ * Strategy Service for TradeScope
+ * User-defined strategies (playbooks) that trades link to by strategy_id.
+ *
+ * Stats (total_trades, win_rate, avg_profit, avg_loss, total_pnl) are rebuilt by database triggers
+ * whenever trades change, in the preferred currency and net of fees; see refresh_strategy_stats().
+ * Naming a strategy on a trade or import that does not exist yet registers it.
+ */
+export class StrategyService {
+  /**
+   * Read every strategy, archived ones included, by name
+   */
+  static async getStrategies() {
+    try {
+      const { data, error } = await supabase?.from('strategies')?.select('*')?.order('name', { ascending: true });
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch strategies' };
+    }
+  }
+
+  /**
+   * Create a strategy ({ name, description, parameters })
+   */
+  static async createStrategy(strategy) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const invalid = this.validateStrategy(strategy);
+      if (invalid) {
+        return { success: false, data: null, error: invalid };
+      }
+
+      const { data, error } = await supabase?.from('strategies')?.insert({
+        user_profile_id: user?.id,
+        ...this.buildStrategyRow(strategy)
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: this.describeError(error) };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to create strategy' };
+    }
+  }
+
+  /**
+   * Edit a strategy; a new name is carried over to its trades
+   */
+  static async updateStrategy(id, strategy) {
+    try {
+      const invalid = this.validateStrategy(strategy);
+      if (invalid) {
+        return { success: false, data: null, error: invalid };
+      }
+
+      const { data, error } = await supabase?.from('strategies')?.update(this.buildStrategyRow(strategy))?.eq('id', id)?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: this.describeError(error) };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to update strategy' };
+    }
+  }
+
+  // Archived strategies keep their trades and stats but are no longer offered for new trades
+  static async setActive(id, isActive) {
+    try {
+      const { error } = await supabase?.from('strategies')?.update({ is_active: isActive })?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to update strategy' };
+    }
+  }
+
+  // Deleting a strategy unlinks its trades rather than deleting them
+  static async deleteStrategy(id) {
+    try {
+      const { error } = await supabase?.from('strategies')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete strategy' };
+    }
+  }
+
+  static buildStrategyRow(strategy) {
+    return {
+      name: strategy?.name?.trim(),
+      description: strategy?.description?.trim() || null,
+      parameters: this.parseParameters(strategy?.parameters)
+    };
+  }
+
+  /**
+   * Playbook parameters as an object: given as one, as JSON text, or empty
+   */
+  static parseParameters(parameters) {
+    if (parameters && typeof parameters === 'object') return parameters;
+    if (!`${parameters ?? ''}`?.trim()) return null;
+    return JSON.parse(parameters);
+  }
+
+  /**
+   * Error message for a strategy that cannot be stored, or null
+   */
+  static validateStrategy(strategy) {
+    if (!AnalyticsService?.slug(strategy?.name)) return 'Strategy name is required';
+
+    try {
+      const parameters = this.parseParameters(strategy?.parameters);
+      if (parameters !== null && (typeof parameters !== 'object' || Array.isArray(parameters))) {
+        return 'Parameters must be a JSON object, e.g. {"timeframe": "15m"}';
+      }
+    } catch (error) {
+      return 'Parameters are not valid JSON';
+    }
+
+    return null;
+  }
+
+  static describeError(error) {
+    return error?.code === '23505' ? 'A strategy with this name already exists' : error?.message;
+  }
+
+  /**
+   * Select options for active strategies, keyed by id, plus any archived one still selected
+   */
+  static options(strategies = [], selectedId = null) {
+    return strategies
+      ?.filter((strategy) => strategy?.is_active !== false || strategy?.id === selectedId)
+      ?.map((strategy) => ({ value: strategy?.id, label: strategy?.name }));
+  }
+
+  /**
+   * 0-100 scores of a strategy's stored stats for the radar chart: win rate; risk/reward from the
+   * payoff ratio (average win over average loss, 1:1 scores 50); profitability from the profit
+   * factor (gross wins over gross losses, breakeven scores 50); and activity, its trade count
+   * against the most traded strategy. Null when it has no closed trades
+   */
+  static scores(strategy, maxTrades = 0) {
+    const trades = strategy?.total_trades || 0;
+    if (!trades) return null;
+
+    const winRate = parseFloat(strategy?.win_rate) || 0;
+    const avgProfit = parseFloat(strategy?.avg_profit) || 0;
+    const avgLoss = Math.abs(parseFloat(strategy?.avg_loss) || 0);
+    const ratioScore = (ratio) => (ratio === Infinity ? 100 : (ratio / (1 + ratio)) * 100);
+
+    const payoff = avgLoss > 0 ? avgProfit / avgLoss : avgProfit > 0 ? Infinity : 0;
+    const grossWins = winRate * avgProfit;
+    const grossLosses = (100 - winRate) * avgLoss;
+    const profitFactor = grossLosses > 0 ? grossWins / grossLosses : grossWins > 0 ? Infinity : 0;
+
+    const scores = {
+      winRate,
+      riskReward: ratioScore(payoff),
+      profitability: ratioScore(profitFactor),
+      activity: maxTrades > 0 ? (trades / maxTrades) * 100 : 100
+    };
+
+    return {
+      ...scores,
+      overall: (scores?.winRate + scores?.riskReward + scores?.profitability) / 3,
+      expectancy: (winRate / 100) * avgProfit - ((100 - winRate) / 100) * avgLoss
+    };
+  }
+}
+
+export default StrategyService;
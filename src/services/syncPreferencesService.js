@@ -0,0 +1,162 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Sync Preferences Service for TradeScope
+ * Persists per-broker import preferences and applies them to scheduled and manual syncs
+ */
+export class SyncPreferencesService {
+  static DEFAULT_PREFERENCES = {
+    autoSync: true,
+    syncFrequency: '15min',
+    dataRange: '30days',
+    duplicateHandling: 'skip',
+    autoCategories: true,
+    importTypes: {
+      equity: true,
+      futures: true,
+      options: true,
+      forex: false,
+      crypto: false
+    },
+    notifications: {
+      syncComplete: true,
+      syncErrors: true,
+      dailySummary: false
+    }
+  };
+
+  // null means the broker is only synced on demand
+  static FREQUENCY_MINUTES = {
+    '5min': 5,
+    '15min': 15,
+    '30min': 30,
+    '1hour': 60,
+    '4hours': 240,
+    manual: null
+  };
+
+  static DATA_RANGE_DAYS = {
+    '7days': 7,
+    '30days': 30,
+    '90days': 90,
+    all: null
+  };
+
+  static fromRow(row) {
+    if (!row) {
+      return { ...this.DEFAULT_PREFERENCES };
+    }
+
+    return {
+      autoSync: row?.auto_sync,
+      syncFrequency: row?.sync_frequency,
+      dataRange: row?.data_range,
+      duplicateHandling: row?.duplicate_handling,
+      autoCategories: row?.auto_categorize,
+      importTypes: { ...this.DEFAULT_PREFERENCES?.importTypes, ...row?.import_types },
+      notifications: { ...this.DEFAULT_PREFERENCES?.notifications, ...row?.notifications },
+      nextSyncAt: row?.next_sync_at
+    };
+  }
+
+  /**
+   * When the broker should next be picked up by the scheduler
+   */
+  static getNextSyncAt(preferences, from = new Date()) {
+    const minutes = this.FREQUENCY_MINUTES?.[preferences?.syncFrequency];
+    if (!preferences?.autoSync || !minutes) {
+      return null;
+    }
+
+    return new Date(from?.getTime() + minutes * 60 * 1000)?.toISOString();
+  }
+
+  /**
+   * Earliest execution time to import, or null for all available history
+   */
+  static getDataRangeStart(preferences, from = new Date()) {
+    const days = this.DATA_RANGE_DAYS?.[preferences?.dataRange];
+    if (!days) {
+      return null;
+    }
+
+    return new Date(from?.getTime() - days * 24 * 60 * 60 * 1000)?.toISOString();
+  }
+
+  /**
+   * Drop execution legs outside the data range or of a disabled asset type
+   */
+  static filterLegs(legs, preferences) {
+    if (!preferences) {
+      return legs;
+    }
+
+    const since = this.getDataRangeStart(preferences);
+    const importTypes = preferences?.importTypes || {};
+
+    return legs?.filter((leg) => {
+      if (since && leg?.executed_at && leg?.executed_at < since) return false;
+      if (leg?.asset_class && importTypes?.[leg?.asset_class] === false) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get a broker's preferences, falling back to defaults when none are saved
+   */
+  static async getPreferences(brokerId) {
+    try {
+      const { data, error } = await supabase?.from('sync_preferences')?.select('*')?.eq('broker_id', brokerId)?.maybeSingle();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data: this.fromRow(data), error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to load sync preferences' };
+    }
+  }
+
+  /**
+   * Save a broker's preferences and reschedule its next automatic sync
+   */
+  static async savePreferences(brokerId, preferences) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const { data, error } = await supabase?.from('sync_preferences')?.upsert({
+        user_profile_id: user?.id,
+        broker_id: brokerId,
+        auto_sync: preferences?.autoSync,
+        sync_frequency: preferences?.syncFrequency,
+        data_range: preferences?.dataRange,
+        duplicate_handling: preferences?.duplicateHandling,
+        auto_categorize: preferences?.autoCategories,
+        import_types: preferences?.importTypes,
+        notifications: preferences?.notifications,
+        next_sync_at: this.getNextSyncAt(preferences)
+      }, { onConflict: 'broker_id' })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data: this.fromRow(data), error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save sync preferences' };
+    }
+  }
+
+  /**
+   * Push the broker's next scheduled sync out by its frequency after a sync run
+   */
+  static async scheduleNextSync(brokerId, preferences) {
+    await supabase?.from('sync_preferences')?.update({ next_sync_at: this.getNextSyncAt(preferences) })?.eq('broker_id', brokerId);
+  }
+}
+
+export default SyncPreferencesService;
@@ -0,0 +1,154 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Sync Run Service for TradeScope
+ * Records every broker sync or file import as an auditable run with counts and row errors
+ */
+export class SyncRunService {
+  static PERIOD_HOURS = {
+    '24hours': 24,
+    '7days': 7 * 24,
+    '30days': 30 * 24,
+    all: null
+  };
+
+  // Only API syncs can be re-run; uploaded files are not kept
+  static RETRYABLE_TRIGGERS = ['manual', 'scheduled', 'retry'];
+
+  /**
+   * Open a run before the broker is contacted
+   */
+  static async startRun(brokerId, triggerType = 'manual', retryOf = null) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const { data, error } = await supabase?.from('sync_runs')?.insert({
+        user_profile_id: user?.id,
+        broker_id: brokerId,
+        trigger_type: triggerType,
+        status: 'running',
+        retry_of: retryOf
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to start sync run' };
+    }
+  }
+
+  /**
+   * Close a run with an importer's result ({ fetchedCount, insertedCount, updatedCount, skippedCount, rowErrors })
+   */
+  static async finishRun(runId, result) {
+    try {
+      const rowErrors = result?.data?.rowErrors || [];
+      const status = !result?.success ? 'error' : rowErrors?.length > 0 ? 'partial' : 'success';
+
+      const { data, error } = await supabase?.from('sync_runs')?.update({
+        status,
+        finished_at: new Date()?.toISOString(),
+        fetched_count: result?.data?.fetchedCount || 0,
+        inserted_count: result?.data?.insertedCount || 0,
+        updated_count: result?.data?.updatedCount || 0,
+        skipped_count: result?.data?.skippedCount || 0,
+        row_errors: rowErrors,
+        error_message: result?.success ? null : result?.error
+      })?.eq('id', runId)?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to finish sync run' };
+    }
+  }
+
+  /**
+   * Run an import task inside a recorded sync run
+   */
+  static async track(brokerId, triggerType, task, retryOf = null) {
+    const runResult = await this.startRun(brokerId, triggerType, retryOf);
+    let result;
+
+    try {
+      result = await task();
+    } catch (error) {
+      result = { success: false, data: null, error: error?.message || 'Sync failed' };
+    }
+
+    if (runResult?.success) {
+      await this.finishRun(runResult?.data?.id, result);
+    }
+
+    return { ...result, runId: runResult?.data?.id || null };
+  }
+
+  static PAGE_SIZE = 50;
+
+  /**
+   * Get a page of runs, newest first, optionally limited to a period and broker
+   */
+  static async getRuns({ period = '7days', brokerId = null, limit = this.PAGE_SIZE, offset = 0 } = {}) {
+    try {
+      let query = supabase?.from('sync_runs')?.select(`
+          *,
+          brokers (
+            id,
+            name
+          )
+        `)?.order('started_at', { ascending: false })?.order('id', { ascending: false });
+
+      const hours = this.PERIOD_HOURS?.[period];
+      if (hours) {
+        query = query?.gte('started_at', new Date(Date.now() - hours * 60 * 60 * 1000)?.toISOString());
+      }
+
+      if (brokerId) {
+        query = query?.eq('broker_id', brokerId);
+      }
+
+      query = query?.range(offset, offset + limit - 1);
+
+      const { data, error } = await query;
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      return { success: true, data: data || [], error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch sync history' };
+    }
+  }
+
+  /**
+   * Get one run with its broker
+   */
+  static async getRun(runId) {
+    try {
+      const { data, error } = await supabase?.from('sync_runs')?.select(`
+          *,
+          brokers (*)
+        `)?.eq('id', runId)?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to fetch sync run' };
+    }
+  }
+}
+
+export default SyncRunService;
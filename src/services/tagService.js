@@ -0,0 +1,314 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Tag Service for TradeScope
+ * User-defined tags in groups (Setup, Mistake, Emotion, Market Condition are created for every user)
+ * and the trade_tags links between trades and tags.
+ *
+ * Trades read through TradingService carry their tag ids (normaliseTrade().tags), which is what the
+ * tag filters match on and what stats() aggregates.
+ */
+export class TagService {
+  // Rows per request when linking many trades at once
+  static BATCH_SIZE = 500;
+  static DELETE_BATCH_SIZE = 100;
+
+  static COLORS = ['#3b82f6', '#22c55e', '#ef4444', '#f59e0b', '#8b5cf6', '#06b6d4', '#ec4899', '#64748b'];
+
+  /**
+   * Read tag groups in order, each with its tags by name
+   */
+  static async getTagGroups() {
+    try {
+      const { data, error } = await supabase?.from('tag_groups')?.select(`
+          *,
+          tags (
+            id,
+            group_id,
+            name,
+            color
+          )
+        `)?.order('sort_order', { ascending: true })?.order('name', { ascending: true });
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      const groups = (data || [])?.map((group) => ({
+        ...group,
+        tags: [...(group?.tags || [])]?.sort((a, b) => a?.name?.localeCompare(b?.name))
+      }));
+
+      return { success: true, data: groups, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch tags' };
+    }
+  }
+
+  static async createGroup(name) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      if (!name?.trim()) {
+        return { success: false, data: null, error: 'Group name is required' };
+      }
+
+      const { data: last } = await supabase?.from('tag_groups')?.select('sort_order')?.order('sort_order', { ascending: false })?.limit(1);
+
+      const { data, error } = await supabase?.from('tag_groups')?.insert({
+        user_profile_id: user?.id,
+        name: name?.trim(),
+        sort_order: (last?.[0]?.sort_order || 0) + 1
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: this.describeError(error, 'group') };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to create tag group' };
+    }
+  }
+
+  // Deleting a group deletes its tags and untags their trades
+  static async deleteGroup(id) {
+    try {
+      const { error } = await supabase?.from('tag_groups')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete tag group' };
+    }
+  }
+
+  /**
+   * Create a tag ({ groupId, name, color }) in one of the user's groups
+   */
+  static async createTag(tag) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      if (!tag?.groupId) {
+        return { success: false, data: null, error: 'Choose a group for the tag' };
+      }
+      if (!tag?.name?.trim()) {
+        return { success: false, data: null, error: 'Tag name is required' };
+      }
+
+      const { data, error } = await supabase?.from('tags')?.insert({
+        user_profile_id: user?.id,
+        group_id: tag?.groupId,
+        name: tag?.name?.trim(),
+        color: tag?.color || null
+      })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: this.describeError(error, 'tag') };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to create tag' };
+    }
+  }
+
+  // Deleting a tag removes it from every trade
+  static async deleteTag(id) {
+    try {
+      const { error } = await supabase?.from('tags')?.delete()?.eq('id', id);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to delete tag' };
+    }
+  }
+
+  /**
+   * Add every tag to every trade; links that already exist are kept
+   */
+  static async tagTrades(tradeIds = [], tagIds = []) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, error: 'User not authenticated' };
+      }
+
+      if (!tradeIds?.length || !tagIds?.length) {
+        return { success: false, error: 'Select trades and at least one tag' };
+      }
+
+      const rows = tradeIds?.flatMap((tradeId) => tagIds?.map((tagId) => ({
+        trade_id: `${tradeId}`,
+        tag_id: tagId,
+        user_profile_id: user?.id
+      })));
+
+      for (let start = 0; start < rows?.length; start += this.BATCH_SIZE) {
+        const { error } = await supabase?.from('trade_tags')?.upsert(rows?.slice(start, start + this.BATCH_SIZE), {
+          onConflict: 'trade_id,tag_id',
+          ignoreDuplicates: true
+        });
+
+        if (error) {
+          return { success: false, error: error?.message };
+        }
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to tag trades' };
+    }
+  }
+
+  /**
+   * Remove the tags from the trades
+   */
+  static async untagTrades(tradeIds = [], tagIds = []) {
+    try {
+      if (!tradeIds?.length || !tagIds?.length) {
+        return { success: false, error: 'Select trades and at least one tag' };
+      }
+
+      // Ids travel in the query string, so delete in smaller batches
+      for (let start = 0; start < tradeIds?.length; start += this.DELETE_BATCH_SIZE) {
+        const ids = tradeIds?.slice(start, start + this.DELETE_BATCH_SIZE)?.map((id) => `${id}`);
+        const { error } = await supabase?.from('trade_tags')?.delete()?.in('trade_id', ids)?.in('tag_id', tagIds);
+
+        if (error) {
+          return { success: false, error: error?.message };
+        }
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to untag trades' };
+    }
+  }
+
+  /**
+   * Make a trade's tags exactly tagIds
+   */
+  static async setTradeTags(tradeId, currentIds = [], tagIds = []) {
+    const removed = currentIds?.filter((id) => !tagIds?.includes(id));
+    const added = tagIds?.filter((id) => !currentIds?.includes(id));
+
+    if (removed?.length) {
+      const result = await this.untagTrades([tradeId], removed);
+      if (!result?.success) return result;
+    }
+    if (added?.length) {
+      const result = await this.tagTrades([tradeId], added);
+      if (!result?.success) return result;
+    }
+
+    return { success: true, error: null };
+  }
+
+  static describeError(error, kind) {
+    if (error?.code === '23505') {
+      return kind === 'group' ? 'A tag group with this name already exists' : 'This group already has a tag with that name';
+    }
+    return error?.message;
+  }
+
+  /**
+   * Tag ids of a trade row, whether it came with its trade_tags or is already normalised
+   */
+  static tagIdsOf(trade) {
+    return (trade?.tags || trade?.trade_tags || [])?.map((tag) => (typeof tag === 'object' ? tag?.tag_id : tag))?.filter(Boolean);
+  }
+
+  /**
+   * Every tag with its group's name, in group order
+   */
+  static flatten(groups = []) {
+    return groups?.flatMap((group) => (group?.tags || [])?.map((tag) => ({ ...tag, groupName: group?.name })));
+  }
+
+  /**
+   * Select options for tags, labelled with their group
+   */
+  static options(groups = []) {
+    return this.flatten(groups)?.map((tag) => ({
+      value: tag?.id,
+      label: tag?.name,
+      description: tag?.groupName
+    }));
+  }
+
+  /**
+   * Per-tag results over prepared trades (see AnalyticsService.prepareTrades), best expectancy first.
+   * A trade with several tags counts under each, so rows do not add up to the total.
+   * Expectancy is the average P&L per trade: win rate x average win - loss rate x average loss.
+   * groupId limits the rows to one group; trades with none of those tags are summarised as untagged
+   */
+  static stats(trades = [], groups = [], { groupId = null } = {}) {
+    const tags = this.flatten(groups)?.filter((tag) => !groupId || tag?.group_id === groupId);
+    const rows = Object.fromEntries(tags?.map((tag) => [tag?.id, { tag, trades: [] }]));
+    const untagged = [];
+
+    trades?.forEach((trade) => {
+      const ids = this.tagIdsOf(trade)?.filter((id) => rows?.[id]);
+      ids?.forEach((id) => rows?.[id]?.trades?.push(trade));
+      if (!ids?.length) untagged?.push(trade);
+    });
+
+    const summarise = (key, tag, tagged) => {
+      const wins = tagged?.filter((trade) => trade?.pnl > 0);
+      const losses = tagged?.filter((trade) => trade?.pnl < 0);
+      const sum = (list) => list?.reduce((total, trade) => total + (trade?.pnl || 0), 0);
+      const pnl = sum(tagged);
+      const grossWins = sum(wins);
+      const grossLosses = Math.abs(sum(losses));
+
+      return {
+        key,
+        tag,
+        trades: tagged?.length,
+        wins: wins?.length,
+        losses: losses?.length,
+        pnl,
+        winRate: tagged?.length ? (wins?.length / tagged?.length) * 100 : 0,
+        avgWin: wins?.length ? grossWins / wins?.length : 0,
+        avgLoss: losses?.length ? grossLosses / losses?.length : 0,
+        expectancy: tagged?.length ? pnl / tagged?.length : 0,
+        profitFactor: grossLosses > 0 ? grossWins / grossLosses : null
+      };
+    };
+
+    const results = Object.values(rows)
+      ?.filter((row) => row?.trades?.length)
+      ?.map((row) => summarise(row?.tag?.id, row?.tag, row?.trades))
+      ?.sort((a, b) => b?.expectancy - a?.expectancy);
+
+    return {
+      tags: results,
+      untagged: untagged?.length ? summarise('untagged', null, untagged) : null
+    };
+  }
+
+  /**
+   * Default colour for a new tag, cycling through the palette
+   */
+  static nextColor(groups = []) {
+    const count = this.flatten(groups)?.length;
+    return this.COLORS?.[count % this.COLORS?.length];
+  }
+}
+
+export default TagService;
@@ -0,0 +1,278 @@
+import TradingService from './tradingService.js';
+
+/**
+ * Tax Report Service for TradeScope
+ * Splits a financial year's closed INR trades into the heads an Indian ITR reports them under:
+ *   speculative - intraday equity (Schedule BP, speculative business income)
+ *   stcg        - delivery equity held 12 months or less (Schedule CG, section 111A)
+ *   ltcg        - delivery equity held more than 12 months (Schedule CG, section 112A)
+ *   fno         - futures and options, equity or commodity (Schedule BP, non-speculative business income)
+ *
+ * Turnover follows the ICAI guidance note on tax audit: for speculative and F&O trades it is the sum of
+ * absolute profits and losses of each trade. Capital gains have no turnover; their sale value is reported.
+ */
+export class TaxReportService {
+  static CATEGORIES = {
+    speculative: { label: 'Intraday (speculative)', schedule: 'Schedule BP - speculative business income' },
+    stcg: { label: 'Short-term capital gains', schedule: 'Schedule CG - STCG u/s 111A' },
+    ltcg: { label: 'Long-term capital gains', schedule: 'Schedule CG - LTCG u/s 112A' },
+    fno: { label: 'F&O (non-speculative)', schedule: 'Schedule BP - non-speculative business income' }
+  };
+
+  // Listed equity held for more than 12 months is long term
+  static LONG_TERM_MONTHS = 12;
+
+  static DERIVATIVE_SEGMENTS = ['futures', 'options', 'commodity_futures', 'commodity_options'];
+
+  static CSV_COLUMNS = [
+    ['Schedule', (row) => this.CATEGORIES?.[row?.category]?.label],
+    ['Symbol', (row) => row?.symbol],
+    ['Side', (row) => row?.side],
+    ['Quantity', (row) => row?.quantity],
+    ['Opened', (row) => row?.openedAt?.slice(0, 10)],
+    ['Closed', (row) => row?.closedAt?.slice(0, 10)],
+    ['Holding Days', (row) => row?.holdingDays],
+    ['Buy Value', (row) => row?.buyValue?.toFixed(2)],
+    ['Sell Value', (row) => row?.sellValue?.toFixed(2)],
+    ['Gross P&L', (row) => row?.grossPnl?.toFixed(2)],
+    ['Charges', (row) => row?.fees?.toFixed(2)],
+    ['Net P&L', (row) => row?.netPnl?.toFixed(2)],
+    ['Turnover', (row) => row?.turnover?.toFixed(2)]
+  ];
+
+  /**
+   * Financial year (April to March) a date falls in, e.g. '2024-25'
+   */
+  static financialYear(date = new Date()) {
+    const value = new Date(date);
+    const startYear = value?.getMonth() >= 3 ? value?.getFullYear() : value?.getFullYear() - 1;
+    return `${startYear}-${`${(startYear + 1) % 100}`?.padStart(2, '0')}`;
+  }
+
+  static yearRange(financialYear) {
+    const startYear = parseInt(financialYear, 10);
+    return {
+      from: new Date(startYear, 3, 1),
+      to: new Date(startYear + 1, 2, 31, 23, 59, 59, 999)
+    };
+  }
+
+  /**
+   * The current and previous financial years, newest first
+   */
+  static yearOptions(count = 5) {
+    const startYear = parseInt(this.financialYear(), 10);
+    return Array.from({ length: count }, (_, index) => {
+      const year = this.financialYear(new Date(startYear - index, 3, 1));
+      return { value: year, label: `FY ${year}` };
+    });
+  }
+
+  static isDerivative(trade) {
+    return ['futures', 'options']?.includes(trade?.assetClass) ||
+      this.DERIVATIVE_SEGMENTS?.includes(trade?.charges?.segment) ||
+      /(\d(CE|PE)|FUT)$/?.test(`${trade?.symbol || ''}`?.toUpperCase());
+  }
+
+  static isLongTerm(openedAt, closedAt) {
+    const threshold = new Date(openedAt);
+    threshold?.setMonth(threshold?.getMonth() + this.LONG_TERM_MONTHS);
+    return new Date(closedAt) > threshold;
+  }
+
+  /**
+   * Tax head for a closed, normalised trade, or null when it is not reported here (crypto, forex)
+   */
+  static categorise(trade) {
+    if (this.isDerivative(trade)) return 'fno';
+    if (['crypto', 'forex']?.includes(trade?.assetClass)) return null;
+
+    // The charges segment records the product a trade was charged as; otherwise same-day trades are intraday
+    const sameDay = `${trade?.openedAt}`?.slice(0, 10) === `${trade?.closedAt}`?.slice(0, 10);
+    const intraday = trade?.charges?.segment ? trade?.charges?.segment === 'equity_intraday' : sameDay;
+    if (intraday || trade?.side === 'short') return 'speculative';
+
+    return this.isLongTerm(trade?.openedAt, trade?.closedAt) ? 'ltcg' : 'stcg';
+  }
+
+  /**
+   * Charges that reduce the taxable amount: all of them against business income,
+   * everything except STT against capital gains
+   */
+  static deductibleFees(trade, category) {
+    if (!['stcg', 'ltcg']?.includes(category) || !trade?.charges) return trade?.fees;
+    return Math.max(0, trade?.fees - (trade?.charges?.stt || 0));
+  }
+
+  static buildRow(trade, category) {
+    const entryValue = trade?.quantity * trade?.entryPrice;
+    const exitValue = trade?.quantity * trade?.exitPrice;
+    const fees = this.deductibleFees(trade, category);
+
+    return {
+      id: trade?.id,
+      category,
+      symbol: trade?.symbol,
+      side: trade?.side,
+      quantity: trade?.quantity,
+      openedAt: trade?.openedAt,
+      closedAt: trade?.closedAt,
+      holdingDays: Math.max(0, Math.round((new Date(trade?.closedAt) - new Date(trade?.openedAt)) / 86400000)),
+      buyValue: trade?.side === 'short' ? exitValue : entryValue,
+      sellValue: trade?.side === 'short' ? entryValue : exitValue,
+      grossPnl: trade?.pnl,
+      fees,
+      netPnl: trade?.pnl - fees,
+      turnover: ['speculative', 'fno']?.includes(category) ? Math.abs(trade?.pnl) : 0
+    };
+  }
+
+  static summarise(rows) {
+    return rows?.reduce((totals, row) => ({
+      count: totals?.count + 1,
+      buyValue: totals?.buyValue + row?.buyValue,
+      sellValue: totals?.sellValue + row?.sellValue,
+      grossPnl: totals?.grossPnl + row?.grossPnl,
+      fees: totals?.fees + row?.fees,
+      netPnl: totals?.netPnl + row?.netPnl,
+      turnover: totals?.turnover + row?.turnover
+    }), { count: 0, buyValue: 0, sellValue: 0, grossPnl: 0, fees: 0, netPnl: 0, turnover: 0 });
+  }
+
+  /**
+   * Build the report for a financial year from trades closed in it
+   */
+  static async getReport(financialYear = this.financialYear()) {
+    try {
+      const tradesResult = await TradingService?.getAllTrades();
+      if (!tradesResult?.success) {
+        return { success: false, data: null, error: tradesResult?.error };
+      }
+
+      const { from, to } = this.yearRange(financialYear);
+      const schedules = Object.fromEntries(Object.keys(this.CATEGORIES)?.map((category) => [category, []]));
+      const skipped = [];
+
+      tradesResult?.data
+        ?.map((row) => TradingService?.normaliseTrade(row))
+        ?.filter((trade) => trade?.status === 'closed' && new Date(trade?.closedAt) >= from && new Date(trade?.closedAt) <= to)
+        ?.forEach((trade) => {
+          if (trade?.currency !== 'INR') {
+            skipped?.push({ id: trade?.id, symbol: trade?.symbol, reason: trade?.currency ? `Traded in ${trade?.currency}` : 'No currency recorded' });
+            return;
+          }
+
+          // Without an exit date the holding period, and so the tax head, is unknown
+          if (trade?.closedAtEstimated) {
+            skipped?.push({ id: trade?.id, symbol: trade?.symbol, reason: 'No exit date recorded' });
+            return;
+          }
+
+          const category = this.categorise(trade);
+          if (!category) {
+            skipped?.push({ id: trade?.id, symbol: trade?.symbol, reason: `${trade?.assetClass} is not covered` });
+            return;
+          }
+
+          schedules?.[category]?.push(this.buildRow(trade, category));
+        });
+
+      Object.values(schedules)?.forEach((rows) => rows?.sort((a, b) => new Date(a?.closedAt) - new Date(b?.closedAt)));
+
+      const totals = Object.fromEntries(Object.entries(schedules)?.map(([category, rows]) => [category, this.summarise(rows)]));
+
+      return {
+        success: true,
+        data: {
+          financialYear,
+          from: from?.toISOString(),
+          to: to?.toISOString(),
+          schedules,
+          totals,
+          // Speculative and F&O turnover together decide whether a tax audit applies
+          businessTurnover: totals?.speculative?.turnover + totals?.fno?.turnover,
+          skipped
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to build tax report' };
+    }
+  }
+
+  /**
+   * All schedules as one CSV, one line per trade followed by a total line per schedule
+   */
+  static toCsv(report) {
+    const escape = (value) => `"${`${value ?? ''}`?.replace(/"/g, '""')}"`;
+    const lines = [this.CSV_COLUMNS?.map(([header]) => header)?.join(',')];
+
+    Object.keys(this.CATEGORIES)?.forEach((category) => {
+      report?.schedules?.[category]?.forEach((row) => {
+        lines?.push(this.CSV_COLUMNS?.map(([, getValue]) => escape(getValue(row)))?.join(','));
+      });
+
+      const totals = report?.totals?.[category];
+      lines?.push(this.CSV_COLUMNS?.map(([header]) => {
+        if (header === 'Schedule') return escape(`${this.CATEGORIES?.[category]?.label} total`);
+        if (header === 'Quantity') return escape(totals?.count);
+        const key = { 'Buy Value': 'buyValue', 'Sell Value': 'sellValue', 'Gross P&L': 'grossPnl', Charges: 'fees', 'Net P&L': 'netPnl', Turnover: 'turnover' }?.[header];
+        return escape(key ? totals?.[key]?.toFixed(2) : '');
+      })?.join(','));
+    });
+
+    return lines?.join('\n');
+  }
+
+  /**
+   * A self-contained HTML document of the report, for printing or saving as PDF
+   */
+  static toPrintableHtml(report) {
+    const html = (value) => `${value ?? ''}`?.replace(/&/g, '&amp;')?.replace(/</g, '&lt;')?.replace(/>/g, '&gt;');
+    const money = (value) => (value || 0)?.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    const sections = Object.entries(this.CATEGORIES)?.map(([category, { label, schedule }]) => {
+      const rows = report?.schedules?.[category] || [];
+      const totals = report?.totals?.[category];
+
+      return `
+        <h2>${html(label)}</h2>
+        <p class="schedule">${html(schedule)}</p>
+        <table>
+          <thead><tr>${this.CSV_COLUMNS?.slice(1)?.map(([header]) => `<th>${html(header)}</th>`)?.join('')}</tr></thead>
+          <tbody>
+            ${rows?.map((row) => `<tr>${this.CSV_COLUMNS?.slice(1)?.map(([, getValue]) => `<td>${html(getValue(row))}</td>`)?.join('')}</tr>`)?.join('') ||
+              `<tr><td colspan="${this.CSV_COLUMNS?.length - 1}">No trades</td></tr>`}
+          </tbody>
+        </table>
+        <p class="totals">
+          ${totals?.count} trades · Gross ₹${money(totals?.grossPnl)} · Charges ₹${money(totals?.fees)} ·
+          Net ₹${money(totals?.netPnl)}${['speculative', 'fno']?.includes(category) ? ` · Turnover ₹${money(totals?.turnover)}` : ` · Sale value ₹${money(totals?.sellValue)}`}
+        </p>`;
+    })?.join('');
+
+    return `<!DOCTYPE html>
+      <html>
+        <head>
+          <title>Tax P&amp;L FY ${html(report?.financialYear)}</title>
+          <style>
+            body { font-family: sans-serif; font-size: 11px; margin: 24px; }
+            h1 { font-size: 18px; }
+            h2 { font-size: 14px; margin: 24px 0 2px; }
+            .schedule { color: #666; margin: 0 0 8px; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { border: 1px solid #ddd; padding: 4px; text-align: left; }
+            .totals { font-weight: bold; }
+          </style>
+        </head>
+        <body>
+          <h1>Tax P&amp;L report · FY ${html(report?.financialYear)}</h1>
+          <p>Business turnover (speculative + F&amp;O): ₹${money(report?.businessTurnover)}</p>
+          ${sections}
+          ${report?.skipped?.length > 0 ? `<p>${report?.skipped?.length} trades not included (non-INR, not covered or without an exit date).</p>` : ''}
+        </body>
+      </html>`;
+  }
+}
+
+export default TaxReportService;
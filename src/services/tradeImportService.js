@@ -0,0 +1,408 @@
+import { supabase } from '../lib/supabase.js';
+import * as XLSX from 'xlsx';
+import TradingService from './tradingService.js';
+import OptionsService from './optionsService.js';
+
+/**
+ * Trade File Import Service for TradeScope
+ * Parses CSV/XLSX exports, maps columns onto createTrade fields and bulk-inserts with duplicate detection
+ */
+export class TradeImportService {
+  // createTrade fields a file column can be mapped to, with header names we recognise
+  static TRADE_FIELDS = [
+    { key: 'instrument', label: 'Instrument', required: true, aliases: ['instrument', 'symbol', 'ticker', 'tradingsymbol', 'scrip', 'contract', 'security'] },
+    { key: 'tradeType', label: 'Trade Type', required: true, aliases: ['type', 'side', 'tradetype', 'action', 'buysell', 'transactiontype', 'direction'] },
+    { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'shares', 'volume', 'lots', 'units', 'size'] },
+    { key: 'entryPrice', label: 'Entry Price', required: true, aliases: ['entryprice', 'price', 'buyprice', 'openprice', 'avgprice', 'averageprice', 'tradeprice'] },
+    { key: 'exitPrice', label: 'Exit Price', required: false, aliases: ['exitprice', 'sellprice', 'closeprice'] },
+    { key: 'tradeDate', label: 'Trade Date', required: true, aliases: ['date', 'tradedate', 'datetime', 'time', 'entrydate', 'opentime', 'executiontime', 'ordertime'] },
+    { key: 'exitDate', label: 'Exit Date', required: false, aliases: ['exitdate', 'closedate', 'closetime', 'exittime', 'selldate'] },
+    { key: 'exchange', label: 'Exchange', required: false, aliases: ['exchange', 'exch', 'segment', 'market'] },
+    { key: 'multiplier', label: 'Multiplier', required: false, aliases: ['multiplier', 'contractmultiplier', 'pointvalue'] },
+    { key: 'fees', label: 'Fees', required: false, aliases: ['fees', 'fee', 'charges', 'totalcharges', 'commission', 'brokerage'] },
+    { key: 'pnl', label: 'P&L', required: false, aliases: ['pnl', 'profit', 'profitloss', 'realizedpnl', 'realisedpnl', 'netpnl'] },
+    { key: 'pnlCurrency', label: 'Currency', required: false, aliases: ['currency', 'ccy', 'pnlcurrency'] },
+    { key: 'strategy', label: 'Strategy', required: false, aliases: ['strategy', 'setup', 'playbook'] },
+    { key: 'notes', label: 'Notes', required: false, aliases: ['notes', 'note', 'comment', 'comments', 'remarks'] }
+  ];
+
+  static DATE_FORMATS = ['auto', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+  static CURRENCIES = ['USD', 'INR', 'EUR', 'GBP', 'JPY'];
+
+  // How many leading rows to scan for the header row
+  static HEADER_SCAN_ROWS = 20;
+
+  // PostgREST returns at most 1000 rows per request
+  static PAGE_SIZE = 1000;
+
+  static normaliseHeader(value) {
+    return `${value ?? ''}`?.toLowerCase()?.replace(/[^a-z]/g, '');
+  }
+
+  /**
+   * Split CSV text into rows, honouring quotes and the detected delimiter
+   */
+  static parseCsv(text) {
+    const firstLine = text?.split(/\r?\n/)?.[0] || '';
+    const delimiter = [',', ';', '\t']?.reduce((best, candidate) =>
+      firstLine?.split(candidate)?.length > firstLine?.split(best)?.length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text?.length; i++) {
+      const char = text?.[i];
+
+      if (inQuotes) {
+        if (char === '"' && text?.[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row?.push(cell?.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text?.[i + 1] === '\n') i++;
+        row?.push(cell?.trim());
+        rows?.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row?.length > 0) {
+      row?.push(cell?.trim());
+      rows?.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Pick the header row: the first early row whose cells are mostly text and fill most of the width
+   */
+  static detectHeaderRow(rows) {
+    const width = Math.max(0, ...rows?.slice(0, this.HEADER_SCAN_ROWS)?.map((row) => row?.filter((cell) => cell !== '')?.length));
+
+    const index = rows?.slice(0, this.HEADER_SCAN_ROWS)?.findIndex((row) => {
+      const filled = row?.filter((cell) => cell !== '');
+      const textual = filled?.filter((cell) => isNaN(parseFloat(cell)));
+      return filled?.length >= Math.max(2, width * 0.6) && textual?.length === filled?.length;
+    });
+
+    return index >= 0 ? index : 0;
+  }
+
+  /**
+   * Read an uploaded CSV/XLSX file into headers and row objects keyed by column index
+   */
+  static async parseFile(file) {
+    try {
+      let rows;
+
+      if (/\.(xlsx|xls)$/i.test(file?.name)) {
+        const workbook = XLSX?.read(await file?.arrayBuffer(), { type: 'array', cellDates: true });
+        const sheet = workbook?.Sheets?.[workbook?.SheetNames?.[0]];
+        rows = XLSX?.utils?.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })?.map((row) =>
+          row?.map((cell) => cell instanceof Date ? cell?.toISOString() : `${cell}`?.trim()));
+      } else {
+        rows = this.parseCsv(await file?.text());
+      }
+
+      const headerIndex = this.detectHeaderRow(rows);
+      const headers = rows?.[headerIndex]?.map((header, index) => header || `Column ${index + 1}`);
+      const dataRows = rows?.slice(headerIndex + 1)?.filter((row) => row?.some((cell) => cell !== ''));
+
+      if (!headers?.length || dataRows?.length === 0) {
+        return { success: false, data: null, error: 'No trade rows found in file' };
+      }
+
+      return {
+        success: true,
+        data: { headers, rows: dataRows, headerRowNumber: headerIndex + 1 },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to read file' };
+    }
+  }
+
+  /**
+   * Guess a field -> column index mapping from header names
+   */
+  static suggestMapping(headers) {
+    const normalised = headers?.map((header) => this.normaliseHeader(header));
+    const mapping = {};
+    const used = new Set();
+
+    for (const field of this.TRADE_FIELDS) {
+      const index = normalised?.findIndex((header, i) => !used?.has(i) && field?.aliases?.includes(header));
+      if (index >= 0) {
+        mapping[field.key] = index;
+        used?.add(index);
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Parse a date cell using the chosen format
+   */
+  static parseDate(value, dateFormat = 'auto') {
+    const text = `${value ?? ''}`?.trim();
+    if (!text) return null;
+
+    const match = text?.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match && dateFormat !== 'auto') {
+      const [, first, second, rawYear, hour = '0', minute = '0', secondPart = '0'] = match;
+      const [day, month] = dateFormat === 'DD/MM/YYYY' ? [first, second] : [second, first];
+      const year = rawYear?.length === 2 ? `20${rawYear}` : rawYear;
+      const date = new Date(year, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute), parseInt(secondPart));
+      return isNaN(date?.getTime()) ? null : date?.toISOString();
+    }
+
+    const date = new Date(text);
+    return isNaN(date?.getTime()) ? null : date?.toISOString();
+  }
+
+  static parseAmount(value) {
+    const cleaned = `${value ?? ''}`?.replace(/[^0-9.\-()]/g, '');
+    if (!cleaned) return null;
+
+    const negative = /^\(.*\)$/.test(cleaned);
+    const amount = parseFloat(cleaned?.replace(/[()]/g, ''));
+    return isNaN(amount) ? null : (negative ? -amount : amount);
+  }
+
+  static parseTradeType(value, quantity) {
+    const text = this.normaliseHeader(value);
+    if (['buy', 'b', 'long', 'bot', 'bought', 'buytoopen', 'buytoclose']?.includes(text)) return 'BUY';
+    if (['sell', 's', 'short', 'sld', 'sold', 'selltoopen', 'selltoclose', 'sellshort']?.includes(text)) return 'SELL';
+    if (!text && quantity !== null) return quantity < 0 ? 'SELL' : 'BUY';
+    return null;
+  }
+
+  /**
+   * Map file rows into createTrade payloads and collect per-row validation errors
+   */
+  static validateRows(rows, mapping, options = {}) {
+    const { dateFormat = 'auto', defaultCurrency = 'INR', firstRowNumber = 2 } = options;
+    const cell = (row, key) => mapping?.[key] !== undefined && mapping?.[key] !== '' ? row?.[mapping?.[key]] : '';
+
+    return rows?.map((row, index) => {
+      const errors = [];
+      const rawQuantity = this.parseAmount(cell(row, 'quantity'));
+      const quantity = rawQuantity !== null ? Math.abs(rawQuantity) : null;
+      const entryPrice = this.parseAmount(cell(row, 'entryPrice'));
+      const exitPrice = this.parseAmount(cell(row, 'exitPrice'));
+      const tradeType = this.parseTradeType(cell(row, 'tradeType'), rawQuantity);
+      const tradeDate = this.parseDate(cell(row, 'tradeDate'), dateFormat);
+      const exitDate = cell(row, 'exitDate') ? this.parseDate(cell(row, 'exitDate'), dateFormat) : null;
+      const currency = `${cell(row, 'pnlCurrency') || defaultCurrency}`?.toUpperCase();
+      const instrument = `${cell(row, 'instrument') ?? ''}`?.trim();
+      const exchange = `${cell(row, 'exchange') ?? ''}`?.trim()?.toUpperCase() || null;
+      const multiplier = Math.abs(this.parseAmount(cell(row, 'multiplier')) || 0) ||
+        OptionsService?.contractFields(instrument, exchange)?.multiplier || 1;
+
+      if (!instrument) errors?.push('Instrument is required');
+      if (!tradeType) errors?.push(`Unrecognised trade type "${cell(row, 'tradeType')}"`);
+      if (!quantity || quantity <= 0) errors?.push('Valid quantity is required');
+      if (!entryPrice || entryPrice <= 0) errors?.push('Valid entry price is required');
+      if (!tradeDate) errors?.push(`Unparseable date "${cell(row, 'tradeDate')}"`);
+      if (exitPrice !== null && exitPrice <= 0) errors?.push('Exit price must be greater than 0');
+      if (cell(row, 'exitDate') && !exitDate) errors?.push(`Unparseable exit date "${cell(row, 'exitDate')}"`);
+      if (exitDate && tradeDate && new Date(exitDate) < new Date(tradeDate)) errors?.push('Exit date cannot be before trade date');
+      if (!this.CURRENCIES?.includes(currency)) errors?.push(`Unsupported currency "${currency}"`);
+
+      const pnl = this.parseAmount(cell(row, 'pnl'));
+      const fees = this.parseAmount(cell(row, 'fees'));
+      const computedPnl = exitPrice && entryPrice && quantity ?
+        (tradeType === 'SELL' ? -1 : 1) * quantity * multiplier * (exitPrice - entryPrice) :
+        0;
+
+      return {
+        rowNumber: firstRowNumber + index,
+        errors,
+        duplicate: false,
+        trade: {
+          instrument,
+          tradeType,
+          quantity,
+          entryPrice,
+          exitPrice,
+          tradeDate,
+          exitDate,
+          strategy: `${cell(row, 'strategy') ?? ''}`?.trim() || null,
+          notes: `${cell(row, 'notes') ?? ''}`?.trim() || null,
+          process: 'imported',
+          pnl: pnl !== null ? pnl : computedPnl,
+          pnlCurrency: currency,
+          exchange,
+          multiplier,
+          // A fees column overrides the calculated charges
+          fees: fees !== null ? Math.abs(fees) : null
+        }
+      };
+    });
+  }
+
+  static duplicateKey(trade) {
+    return [
+      `${trade?.instrument ?? ''}`?.toUpperCase(),
+      `${trade?.tradeDate ?? ''}`?.slice(0, 10),
+      `${trade?.tradeType ?? ''}`?.toUpperCase(),
+      parseFloat(trade?.quantity),
+      parseFloat(trade?.entryPrice)
+    ]?.join('|');
+  }
+
+  /**
+   * Flag rows that repeat earlier rows in the file or trades already in the journal
+   */
+  static async markDuplicates(validatedRows) {
+    try {
+      const validRows = validatedRows?.filter((row) => row?.errors?.length === 0);
+      const dates = validRows?.map((row) => row?.trade?.tradeDate)?.sort();
+      const existingKeys = new Set();
+
+      if (dates?.length > 0) {
+        const from = `${dates?.[0]?.slice(0, 10)}T00:00:00.000Z`;
+        const to = `${dates?.[dates?.length - 1]?.slice(0, 10)}T23:59:59.999Z`;
+
+        // A file can span more journal trades than one request returns
+        for (let offset = 0; ; offset += this.PAGE_SIZE) {
+          const { data, error } = await supabase
+            ?.from('trades')
+            ?.select('id, instrument, tradeType, quantity, entryPrice, tradeDate')
+            ?.gte('tradeDate', from)
+            ?.lte('tradeDate', to)
+            ?.order('id', { ascending: true })
+            ?.range(offset, offset + this.PAGE_SIZE - 1);
+
+          if (error) {
+            return { success: false, data: validatedRows, error: error?.message };
+          }
+
+          data?.forEach((trade) => existingKeys?.add(this.duplicateKey(trade)));
+          if ((data?.length || 0) < this.PAGE_SIZE) break;
+        }
+      }
+
+      const seenKeys = new Set();
+      const rows = validatedRows?.map((row) => {
+        if (row?.errors?.length > 0) return row;
+
+        const key = this.duplicateKey(row?.trade);
+        const duplicate = existingKeys?.has(key) ? 'journal' : seenKeys?.has(key) ? 'file' : false;
+        seenKeys?.add(key);
+        return { ...row, duplicate };
+      });
+
+      return { success: true, data: rows, error: null };
+    } catch (error) {
+      return { success: false, data: validatedRows, error: 'Failed to check for duplicates' };
+    }
+  }
+
+  /**
+   * Insert validated rows, optionally skipping duplicates
+   */
+  static async importRows(validatedRows, { skipDuplicates = true } = {}) {
+    const importable = validatedRows?.filter((row) =>
+      row?.errors?.length === 0 && (!skipDuplicates || !row?.duplicate));
+
+    if (importable?.length === 0) {
+      return { success: true, data: { insertedCount: 0, skippedCount: validatedRows?.length }, error: null };
+    }
+
+    const result = await TradingService?.createTrades(importable?.map((row) => row?.trade));
+
+    return {
+      ...result,
+      data: {
+        ...result?.data,
+        skippedCount: validatedRows?.length - importable?.length
+      }
+    };
+  }
+
+  /**
+   * Load the saved column mapping for a broker/source name
+   */
+  static async getSavedMapping(brokerName) {
+    try {
+      const { data, error } = await supabase?.from('import_mappings')?.select('*')?.eq('broker_name', brokerName?.trim()?.toLowerCase())?.maybeSingle();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to load saved mapping' };
+    }
+  }
+
+  /**
+   * Save a column mapping (by header name, so column order may change) for a broker/source
+   */
+  static async saveMapping(brokerName, headers, mapping, options = {}) {
+    try {
+      const { data: { user }, error: authError } = await supabase?.auth?.getUser();
+      if (authError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const columns = {};
+      Object.entries(mapping || {})?.forEach(([field, index]) => {
+        if (index !== '' && index !== undefined) columns[field] = headers?.[index];
+      });
+
+      const { data, error } = await supabase?.from('import_mappings')?.upsert({
+          user_profile_id: user?.id,
+          broker_name: brokerName?.trim()?.toLowerCase(),
+          mapping: columns,
+          date_format: options?.dateFormat || 'auto',
+          default_currency: options?.defaultCurrency || 'INR'
+        }, {
+          onConflict: 'user_profile_id,broker_name'
+        })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      return { success: true, data, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save mapping' };
+    }
+  }
+
+  /**
+   * Resolve a saved header-name mapping against a file's headers
+   */
+  static applySavedMapping(savedMapping, headers) {
+    const normalised = headers?.map((header) => this.normaliseHeader(header));
+    const mapping = {};
+
+    Object.entries(savedMapping?.mapping || {})?.forEach(([field, header]) => {
+      const index = normalised?.indexOf(this.normaliseHeader(header));
+      if (index >= 0) mapping[field] = index;
+    });
+
+    return mapping;
+  }
+}
+
+export default TradeImportService;
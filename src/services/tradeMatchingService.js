@@ -0,0 +1,648 @@
+import { supabase } from '../lib/supabase.js';
+import SyncPreferencesService from './syncPreferencesService.js';
+import ChargesService from './chargesService.js';
+import FuturesService from './futuresService.js';
+
+/**
+ * Fill-to-Trade Matching Service for TradeScope
+ * Stores broker executions as legs in the orders table and rebuilds round-trip trades from them.
+ *
+ * A round trip runs from flat to flat for one broker/account/symbol, so scale-ins and
+ * scale-outs stay in one trade. The lot method (FIFO, LIFO or average cost) decides which
+ * lots each closing leg consumes: it changes the realized P&L of individual legs and of
+ * positions that are still open, while a fully closed round trip nets to the same P&L.
+ */
+export class TradeMatchingService {
+  static METHODS = ['fifo', 'lifo', 'average'];
+  static DEFAULT_METHOD = 'fifo';
+  static EPSILON = 1e-9;
+  static LOOKUP_CHUNK_SIZE = 100;
+
+  // Execution ids are unique per broker connection, not globally
+  static LEG_CONFLICT_KEY = 'broker_id,execution_id_external';
+
+  // PostgREST returns at most 1000 rows per request
+  static PAGE_SIZE = 1000;
+
+  static legKey(leg) {
+    return `${leg?.broker_id}|${leg?.execution_id_external}`;
+  }
+
+  static positionKey(leg) {
+    return `${leg?.brokerId || ''}|${leg?.accountId || ''}|${leg?.symbol}`;
+  }
+
+  /**
+   * Take quantity off the open lots using the chosen method, returning the cost basis consumed
+   */
+  static consumeLots(lots, quantity, method) {
+    if (method === 'average') {
+      const totalQty = lots?.reduce((sum, lot) => sum + lot?.quantity, 0);
+      const avgPrice = lots?.reduce((sum, lot) => sum + lot?.quantity * lot?.price, 0) / totalQty;
+      const remaining = totalQty - quantity;
+      lots?.splice(0, lots?.length, ...(remaining > this.EPSILON ? [{ quantity: remaining, price: avgPrice }] : []));
+      return quantity * avgPrice;
+    }
+
+    let left = quantity;
+    let cost = 0;
+
+    while (left > this.EPSILON && lots?.length > 0) {
+      const lot = method === 'lifo' ? lots?.[lots?.length - 1] : lots?.[0];
+      const take = Math.min(lot?.quantity, left);
+      cost += take * lot?.price;
+      lot.quantity -= take;
+      left -= take;
+
+      if (lot?.quantity <= this.EPSILON) {
+        method === 'lifo' ? lots?.pop() : lots?.shift();
+      }
+    }
+
+    return cost;
+  }
+
+  /**
+   * Pair executions into round trips.
+   * Executions: { id, brokerId, accountId, symbol, side: 'buy'|'sell', quantity, price, multiplier, fees, charges, executedAt }
+   * Realized P&L is scaled by the contract multiplier (1 for cash instruments).
+   */
+  static matchExecutions(executions, method = this.DEFAULT_METHOD) {
+    const positions = {};
+    const roundTrips = [];
+
+    const startRoundTrip = (leg, direction) => ({
+      key: this.positionKey(leg),
+      externalId: `rt-${leg?.id}`,
+      brokerId: leg?.brokerId,
+      accountId: leg?.accountId,
+      symbol: leg?.symbol,
+      direction,
+      lots: [],
+      legs: [],
+      openedQuantity: 0,
+      openedNotional: 0,
+      closedQuantity: 0,
+      closedNotional: 0,
+      realizedPnl: 0,
+      fees: 0,
+      charges: null,
+      openedAt: leg?.executedAt,
+      closedAt: null
+    });
+
+    const sorted = [...(executions || [])]?.sort((a, b) => new Date(a?.executedAt) - new Date(b?.executedAt));
+
+    for (const execution of sorted) {
+      const key = this.positionKey(execution);
+      const direction = execution?.side === 'buy' ? 1 : -1;
+      const quantity = Math.abs(parseFloat(execution?.quantity) || 0);
+      const price = parseFloat(execution?.price) || 0;
+      const multiplier = parseFloat(execution?.multiplier) || 1;
+      const fees = Math.abs(parseFloat(execution?.fees) || 0);
+      let remaining = quantity;
+
+      if (quantity <= this.EPSILON) continue;
+
+      let position = positions?.[key];
+
+      // Closing (or reversing) against an open position
+      if (position && position?.direction !== direction) {
+        const openQty = position?.lots?.reduce((sum, lot) => sum + lot?.quantity, 0);
+        const closeQty = Math.min(openQty, remaining);
+        const cost = this.consumeLots(position?.lots, closeQty, method);
+        const realized = (closeQty * price - cost) * position?.direction * multiplier;
+        const feeShare = fees * (closeQty / quantity);
+
+        position.closedQuantity += closeQty;
+        position.closedNotional += closeQty * price;
+        position.realizedPnl += realized;
+        position.fees += feeShare;
+        position.charges = ChargesService?.addCharges(position?.charges, execution?.charges, closeQty / quantity);
+        position?.legs?.push({ executionId: execution?.id, role: 'close', quantity: closeQty, realizedPnl: realized });
+        remaining -= closeQty;
+
+        if (openQty - closeQty <= this.EPSILON) {
+          position.closedAt = execution?.executedAt;
+          roundTrips?.push(position);
+          positions[key] = null;
+          position = null;
+        }
+      }
+
+      // Opening or adding to a position (including the remainder of a reversal)
+      if (remaining > this.EPSILON) {
+        if (!position) {
+          position = startRoundTrip(execution, direction);
+          positions[key] = position;
+        }
+
+        position?.lots?.push({ quantity: remaining, price });
+        position.openedQuantity += remaining;
+        position.openedNotional += remaining * price;
+        position.fees += fees * (remaining / quantity);
+        position.charges = ChargesService?.addCharges(position?.charges, execution?.charges, remaining / quantity);
+        position?.legs?.push({ executionId: execution?.id, role: 'open', quantity: remaining, realizedPnl: 0 });
+      }
+    }
+
+    Object.values(positions)?.filter(Boolean)?.forEach((position) => roundTrips?.push(position));
+
+    return roundTrips?.map(({ lots, ...roundTrip }) => {
+      const openQuantity = lots?.reduce((sum, lot) => sum + lot?.quantity, 0);
+      const isOpen = openQuantity > this.EPSILON;
+
+      return {
+        ...roundTrip,
+        status: isOpen ? 'open' : 'closed',
+        openQuantity,
+        // Open positions report the method-dependent cost basis of what is still held
+        costBasis: isOpen ? lots?.reduce((sum, lot) => sum + lot?.quantity * lot?.price, 0) / openQuantity : null,
+        entryPrice: roundTrip?.openedNotional / roundTrip?.openedQuantity,
+        exitPrice: roundTrip?.closedQuantity > 0 ? roundTrip?.closedNotional / roundTrip?.closedQuantity : null
+      };
+    });
+  }
+
+  /**
+   * Read every row of a query a page at a time. query() builds a fresh query with a stable order for each page
+   */
+  static async fetchAll(query) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += this.PAGE_SIZE) {
+      const { data, error } = await query()?.range(offset, offset + this.PAGE_SIZE - 1);
+
+      if (error) {
+        return { data: null, error };
+      }
+
+      rows?.push(...(data || []));
+      if ((data?.length || 0) < this.PAGE_SIZE) {
+        return { data: rows, error: null };
+      }
+    }
+  }
+
+  /**
+   * Whether a stored column already holds a computed value. Trade columns come back rounded and
+   * timestamps in Postgres' format, so numbers match within half a cent and times by instant
+   */
+  static sameValue(stored, value, isTime = false) {
+    if ((stored ?? null) === null || (value ?? null) === null) {
+      return (stored ?? null) === (value ?? null);
+    }
+    if (isTime) {
+      return new Date(stored)?.getTime() === new Date(value)?.getTime();
+    }
+    if (typeof value === 'number') {
+      return Math.abs(parseFloat(stored) - value) < 0.005;
+    }
+    if (typeof value === 'object') {
+      const keys = new Set([...Object.keys(value), ...Object.keys(stored || {})]);
+      return typeof stored === 'object' && [...keys]?.every((key) => this.sameValue(stored?.[key], value?.[key]));
+    }
+    return `${stored}` === `${value}`;
+  }
+
+  static TIME_COLUMNS = ['opened_at', 'closed_at'];
+
+  /**
+   * Classify an Indian exchange segment (Kite/Upstox) into an import asset type
+   */
+  static assetClassForSegment(exchange, symbol) {
+    const segment = exchange?.toUpperCase() || '';
+    const isOption = /\d(CE|PE)$/?.test(symbol?.toUpperCase() || '');
+
+    if (['CDS', 'BCD']?.some((code) => segment?.startsWith(code)) || segment?.includes('CD_')) return 'forex';
+    if (['NFO', 'BFO', 'MCX']?.some((code) => segment?.startsWith(code)) || segment?.endsWith('_FO')) {
+      return isOption ? 'options' : 'futures';
+    }
+    return 'equity';
+  }
+
+  /**
+   * Describe why a leg cannot be stored, or null when it is complete
+   */
+  static validateLeg(leg) {
+    if (!leg?.execution_id_external) return 'Missing execution id';
+    if (!leg?.symbol) return 'Missing symbol';
+    if (!(parseFloat(leg?.filled_quantity) > 0)) return 'Missing or zero quantity';
+    if (!Number.isFinite(parseFloat(leg?.filled_price))) return 'Missing fill price';
+    if (!leg?.executed_at || isNaN(new Date(leg?.executed_at)?.getTime())) return 'Missing execution time';
+    return null;
+  }
+
+  /**
+   * Upsert execution legs into orders, keyed on the broker connection and its execution id.
+   * With duplicateHandling 'skip', legs that were already imported are left untouched.
+   * Returns insert/update/skip counts and per-row errors for the sync run log.
+   */
+  static async saveLegs(legs, preferences = null) {
+    try {
+      const rowErrors = [];
+      const validLegs = (legs || [])?.filter((leg) => {
+        const message = this.validateLeg(leg);
+        if (message) {
+          rowErrors?.push({ externalId: leg?.execution_id_external || null, symbol: leg?.symbol || null, message });
+        }
+        return !message;
+      });
+
+      // Look up which legs already exist so inserts and updates can be told apart
+      const existingIds = new Set();
+      const idsByBroker = {};
+      validLegs?.forEach((leg) => {
+        if (!idsByBroker?.[leg?.broker_id]) idsByBroker[leg?.broker_id] = [];
+        idsByBroker[leg?.broker_id]?.push(leg?.execution_id_external);
+      });
+
+      for (const [brokerId, executionIds] of Object.entries(idsByBroker)) {
+        for (let i = 0; i < executionIds?.length; i += this.LOOKUP_CHUNK_SIZE) {
+          const { data } = await supabase?.from('orders')?.select('broker_id, execution_id_external')?.eq('broker_id', brokerId)?.in('execution_id_external', executionIds?.slice(i, i + this.LOOKUP_CHUNK_SIZE));
+          data?.forEach((row) => existingIds?.add(this.legKey(row)));
+        }
+      }
+
+      const incomingLegs = preferences?.duplicateHandling === 'skip' ?
+        validLegs?.filter((leg) => !existingIds?.has(this.legKey(leg))) :
+        validLegs;
+
+      // Indian exchange fills come without fees, so their brokerage and statutory charges are computed here.
+      // Brokerage is charged once per order, so fills of the same order stored by an earlier sync are
+      // charged again together with these
+      const siblingLegs = await this.getChargedSiblings(incomingLegs);
+      const chargedLegs = await ChargesService?.chargeLegs([
+        ...incomingLegs,
+        ...siblingLegs?.map((leg) => ({ ...leg, fees: null, charges: null }))
+      ]);
+      const legsToSave = chargedLegs?.slice(0, incomingLegs?.length);
+      const failedIds = new Set();
+
+      if (siblingLegs?.length > 0) {
+        const { error: siblingError } = await supabase?.from('orders')?.upsert(chargedLegs?.slice(incomingLegs?.length), { onConflict: this.LEG_CONFLICT_KEY });
+        if (siblingError) {
+          rowErrors?.push({ externalId: null, symbol: null, message: `Failed to recharge earlier fills: ${siblingError?.message}` });
+        }
+      }
+
+      if (legsToSave?.length > 0) {
+        const { error } = await supabase?.from('orders')?.upsert(legsToSave, { onConflict: this.LEG_CONFLICT_KEY });
+
+        // Retry row by row so one bad leg does not lose the whole batch
+        if (error) {
+          for (const leg of legsToSave) {
+            const { error: legError } = await supabase?.from('orders')?.upsert(leg, { onConflict: this.LEG_CONFLICT_KEY });
+
+            if (legError) {
+              failedIds?.add(this.legKey(leg));
+              rowErrors?.push({ externalId: leg?.execution_id_external, symbol: leg?.symbol, message: legError?.message });
+            }
+          }
+        }
+      }
+
+      const savedLegs = legsToSave?.filter((leg) => !failedIds?.has(this.legKey(leg)));
+      const updatedCount = savedLegs?.filter((leg) => existingIds?.has(this.legKey(leg)))?.length;
+
+      return {
+        success: true,
+        data: {
+          savedCount: savedLegs?.length,
+          insertedCount: savedLegs?.length - updatedCount,
+          updatedCount,
+          skippedCount: validLegs?.length - legsToSave?.length,
+          rowErrors
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to save execution legs' };
+    }
+  }
+
+  /**
+   * Stored legs that were charged here and belong to the same broker orders as legs, but are not among them
+   */
+  static async getChargedSiblings(legs) {
+    const incoming = new Set(legs?.map((leg) => this.legKey(leg)));
+    const orderIdsByBroker = {};
+    legs?.filter((leg) => leg?.order_id_external)?.forEach((leg) => {
+      if (!orderIdsByBroker?.[leg?.broker_id]) orderIdsByBroker[leg?.broker_id] = new Set();
+      orderIdsByBroker[leg?.broker_id]?.add(leg?.order_id_external);
+    });
+
+    const siblings = [];
+
+    for (const [brokerId, orderIds] of Object.entries(orderIdsByBroker)) {
+      const ids = [...orderIds];
+
+      for (let i = 0; i < ids?.length; i += this.LOOKUP_CHUNK_SIZE) {
+        const { data } = await supabase
+          ?.from('orders')
+          ?.select('*')
+          ?.eq('broker_id', brokerId)
+          ?.in('order_id_external', ids?.slice(i, i + this.LOOKUP_CHUNK_SIZE))
+          ?.not('execution_id_external', 'is', null)
+          ?.not('charges', 'is', null);
+
+        siblings?.push(...(data || [])?.filter((leg) => !incoming?.has(this.legKey(leg))));
+      }
+    }
+
+    return siblings;
+  }
+
+  /**
+   * Apply sync preferences to fetched legs, save them and rebuild the broker's round trips
+   */
+  static async importLegs(brokerId, legs, preferences = null) {
+    const importLegs = SyncPreferencesService?.filterLegs(legs || [], preferences);
+
+    const saveResult = await this.saveLegs(importLegs, preferences);
+    if (!saveResult?.success) {
+      return saveResult;
+    }
+
+    const matchResult = await this.rebuildRoundTrips(brokerId);
+    if (!matchResult?.success) {
+      return matchResult;
+    }
+
+    return {
+      success: true,
+      data: {
+        // Only round trips this import created or changed; the rest of the rebuild left them as they were
+        importedCount: matchResult?.data?.createdCount + matchResult?.data?.changedCount,
+        importedLegs: saveResult?.data?.savedCount,
+        openPositions: matchResult?.data?.openPositions,
+        fetchedCount: legs?.length || 0,
+        insertedCount: saveResult?.data?.insertedCount,
+        updatedCount: saveResult?.data?.updatedCount,
+        // Legs outside the data range or of a disabled asset type count as skipped
+        skippedCount: saveResult?.data?.skippedCount + (legs?.length || 0) - importLegs?.length,
+        rowErrors: saveResult?.data?.rowErrors
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Get a broker's lot matching method
+   */
+  static async getMatchingMethod(brokerId) {
+    const { data } = await supabase?.from('brokers')?.select('matching_method')?.eq('id', brokerId)?.maybeSingle();
+    return this.METHODS?.includes(data?.matching_method) ? data?.matching_method : this.DEFAULT_METHOD;
+  }
+
+  /**
+   * Change a broker's lot matching method and rebuild its round trips
+   */
+  static async setMatchingMethod(brokerId, method) {
+    try {
+      if (!this.METHODS?.includes(method)) {
+        return { success: false, data: null, error: 'Unsupported matching method' };
+      }
+
+      const previous = await this.getMatchingMethod(brokerId);
+      const { error } = await supabase?.from('brokers')?.update({ matching_method: method })?.eq('id', brokerId);
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      const result = await this.rebuildRoundTrips(brokerId);
+
+      // Put the old method back so the stored setting keeps describing the round trips on file
+      if (!result?.success) {
+        await supabase?.from('brokers')?.update({ matching_method: previous })?.eq('id', brokerId);
+      }
+
+      return result;
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to update matching method' };
+    }
+  }
+
+  /**
+   * Change the brokerage plan used to charge a broker's fills, recharge its legs and rebuild its round trips
+   */
+  static async setChargesPlan(brokerId, plan) {
+    try {
+      if (!ChargesService?.PLANS?.[plan]) {
+        return { success: false, data: null, error: 'Unsupported brokerage plan' };
+      }
+
+      const { data: broker } = await supabase?.from('brokers')?.select('charges_plan')?.eq('id', brokerId)?.maybeSingle();
+      const result = await this.applyChargesPlan(brokerId, plan);
+
+      // Recharge under the old plan so the stored setting, the fees and the round trips agree again
+      if (!result?.success) {
+        await this.applyChargesPlan(brokerId, broker?.charges_plan || null);
+      }
+
+      return result;
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to update brokerage plan' };
+    }
+  }
+
+  /**
+   * Store a broker's brokerage plan, recharge its legs under it and rebuild its round trips
+   */
+  static async applyChargesPlan(brokerId, plan) {
+    const { error } = await supabase?.from('brokers')?.update({ charges_plan: plan })?.eq('id', brokerId);
+
+    if (error) {
+      return { success: false, data: null, error: error?.message };
+    }
+
+    // Only legs charged here are recharged; fees reported by the broker are left alone
+    const { data: legs, error: legsError } = await this.fetchAll(() => supabase
+      ?.from('orders')
+      ?.select('*')
+      ?.eq('broker_id', brokerId)
+      ?.not('charges', 'is', null)
+      ?.order('id', { ascending: true }));
+
+    if (legsError) {
+      return { success: false, data: null, error: legsError?.message };
+    }
+
+    const recharged = await ChargesService?.chargeLegs(legs?.map((leg) => ({ ...leg, fees: null, charges: null })));
+
+    for (let i = 0; i < recharged?.length; i += this.PAGE_SIZE) {
+      const { error: updateError } = await supabase?.from('orders')?.upsert(recharged?.slice(i, i + this.PAGE_SIZE), { onConflict: this.LEG_CONFLICT_KEY });
+
+      if (updateError) {
+        return { success: false, data: null, error: updateError?.message };
+      }
+    }
+
+    return await this.rebuildRoundTrips(brokerId);
+  }
+
+  /**
+   * Rebuild a broker's round-trip trades from all of its stored execution legs
+   */
+  static async rebuildRoundTrips(brokerId) {
+    try {
+      const method = await this.getMatchingMethod(brokerId);
+
+      const { data: legs, error: legsError } = await this.fetchAll(() => supabase
+        ?.from('orders')
+        ?.select('*')
+        ?.eq('broker_id', brokerId)
+        ?.not('execution_id_external', 'is', null)
+        ?.order('executed_at', { ascending: true })
+        ?.order('id', { ascending: true }));
+
+      if (legsError) {
+        return { success: false, data: null, error: legsError?.message };
+      }
+
+      const legsById = Object.fromEntries((legs || [])?.map((leg) => [leg?.id, leg]));
+
+      const roundTrips = this.matchExecutions(legs?.map((leg) => ({
+        id: leg?.id,
+        brokerId: leg?.broker_id,
+        accountId: leg?.trading_account_id,
+        symbol: leg?.symbol,
+        side: leg?.side,
+        quantity: leg?.filled_quantity || leg?.quantity,
+        price: leg?.filled_price ?? leg?.price,
+        multiplier: leg?.multiplier,
+        fees: leg?.fees,
+        charges: leg?.charges,
+        executedAt: leg?.executed_at
+      })), method);
+
+      // Fees the user entered by hand survive rebuilds
+      const { data: overridden } = await this.fetchAll(() => supabase
+        ?.from('trades')
+        ?.select('external_id')
+        ?.eq('broker_id', brokerId)
+        ?.eq('charges_overridden', true)
+        ?.order('id', { ascending: true }));
+      const overriddenIds = new Set(overridden?.map((trade) => trade?.external_id));
+
+      // The broker's journal before the rebuild, to skip unchanged round trips and remove stale ones
+      // A stale list built from a partial read would delete live trades, so stop if it cannot be read in full
+      const { data: storedTrades, error: storedError } = await this.fetchAll(() => supabase
+        ?.from('trades')
+        ?.select('*')
+        ?.eq('broker_id', brokerId)
+        ?.order('id', { ascending: true }));
+
+      if (storedError) {
+        return { success: false, data: null, error: storedError?.message };
+      }
+
+      const storedByExternalId = Object.fromEntries(storedTrades?.map((trade) => [trade?.external_id, trade]));
+      const tradeIds = new Set();
+      let createdCount = 0;
+      let changedCount = 0;
+      const legLinks = {};
+
+      for (const roundTrip of roundTrips) {
+        const firstLeg = legsById?.[roundTrip?.legs?.[0]?.executionId];
+
+        const tradeData = {
+          symbol: roundTrip?.symbol,
+          trade_type: roundTrip?.direction > 0 ? 'buy' : 'sell',
+          position_side: roundTrip?.direction > 0 ? 'long' : 'short',
+          quantity: roundTrip?.status === 'open' ? roundTrip?.openQuantity : roundTrip?.openedQuantity,
+          entry_price: roundTrip?.status === 'open' ? roundTrip?.costBasis : roundTrip?.entryPrice,
+          exit_price: roundTrip?.exitPrice,
+          pnl: roundTrip?.realizedPnl,
+          status: roundTrip?.status,
+          opened_at: roundTrip?.openedAt,
+          closed_at: roundTrip?.closedAt,
+          asset_class: firstLeg?.asset_class || null,
+          exchange: firstLeg?.exchange || null,
+          underlying: firstLeg?.underlying || null,
+          expiry: firstLeg?.expiry || null,
+          strike: firstLeg?.strike ?? null,
+          option_type: firstLeg?.option_type || null,
+          lot_size: firstLeg?.lot_size || null,
+          multiplier: parseFloat(firstLeg?.multiplier) || 1,
+          currency: firstLeg?.currency || null,
+          fx_rate_to_base: firstLeg?.fx_rate_to_base || null,
+          external_id: roundTrip?.externalId,
+          broker_id: brokerId,
+          ...(overriddenIds?.has(roundTrip?.externalId) ? {} : {
+            fees: roundTrip?.fees,
+            fees_currency: firstLeg?.fees_currency || null,
+            charges: roundTrip?.charges
+          })
+        };
+
+        const stored = storedByExternalId?.[roundTrip?.externalId];
+        let trade = stored;
+
+        const unchanged = stored && Object.entries(tradeData)?.every(([column, value]) => (
+          this.sameValue(stored?.[column], value, this.TIME_COLUMNS?.includes(column))
+        ));
+
+        if (!unchanged) {
+          const { data: saved, error: tradeError } = await supabase?.from('trades')?.upsert(tradeData, { onConflict: 'external_id' })?.select('id')?.single();
+
+          if (tradeError) {
+            continue;
+          }
+
+          trade = saved;
+          stored ? changedCount++ : createdCount++;
+        }
+
+        tradeIds?.add(trade?.id);
+
+        // A reversal leg closes one round trip and opens the next; it stays linked to the one it closed
+        roundTrip?.legs?.forEach((leg) => {
+          if (!legLinks?.[leg?.executionId]) {
+            legLinks[leg?.executionId] = { trade_id: trade?.id, realized_pnl: leg?.realizedPnl };
+          }
+        });
+      }
+
+      for (const [legId, link] of Object.entries(legLinks)) {
+        const leg = legsById?.[legId];
+        if (leg?.trade_id === link?.trade_id && parseFloat(leg?.realized_pnl) === link?.realized_pnl) continue;
+
+        await supabase?.from('orders')?.update(link)?.eq('id', legId);
+      }
+
+      // Drop round trips that no longer exist and per-fill trades written by older importers
+      const executionIds = new Set(legs?.map((leg) => leg?.execution_id_external));
+      const staleIds = storedTrades
+        ?.filter((trade) => !tradeIds?.has(trade?.id))
+        ?.filter((trade) => trade?.external_id?.startsWith('rt-') || executionIds?.has(trade?.external_id))
+        ?.map((trade) => trade?.id);
+
+      for (let i = 0; i < staleIds?.length; i += this.LOOKUP_CHUNK_SIZE) {
+        await supabase?.from('trades')?.delete()?.in('id', staleIds?.slice(i, i + this.LOOKUP_CHUNK_SIZE));
+      }
+
+      const rolloverResult = await FuturesService?.linkRollovers(brokerId);
+
+      return {
+        success: true,
+        data: {
+          method,
+          roundTrips: roundTrips?.length,
+          createdCount,
+          changedCount,
+          removedCount: staleIds?.length,
+          openPositions: roundTrips?.filter((roundTrip) => roundTrip?.status === 'open')?.length,
+          rollovers: rolloverResult?.data?.rollovers || 0,
+          legs: legs?.length
+        },
+        error: null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to rebuild round trips' };
+    }
+  }
+}
+
+export default TradeMatchingService;
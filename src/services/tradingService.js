@@ -1,6 +1,12 @@
-import { supabase } from '../lib/supabase';
-import UpstoxService from './upstoxService';
-import BrokerCredentialService from './brokerCredentialService';
+import { supabase } from '../lib/supabase.js';
+import BrokerRegistry from './brokerAdapters/index.js';
+import BrokerCredentialService from './brokerCredentialService.js';
+import SyncPreferencesService from './syncPreferencesService.js';
+import SyncRunService from './syncRunService.js';
+import ChargesService from './chargesService.js';
+import TradeMatchingService from './tradeMatchingService.js';
+import OptionsService from './optionsService.js';
+import CashFlowService from './cashFlowService.js';
 
 // Trading Service for TradeScope
 export class TradingService {
@@ -25,9 +31,12 @@ export class TradingService {
     }
   }
 
-  // Get user's trades with filtering and pagination
+  // Get user's trades with filtering and pagination. tagIds keeps trades with any of those tags
   static async getTrades(filters = {}) {
     try {
+      const tagIds = filters?.tagIds || [];
+      // A second, inner-joined embed filters the rows without trimming the tags they show
+      const tagFilter = tagIds?.length ? ', tag_filter:trade_tags!inner(tag_id)' : '';
       let query = supabase?.from('trades')?.select(`
           *,
           trading_accounts (
@@ -35,7 +44,10 @@ export class TradingService {
             brokers (
               name
             )
-          )
+          ),
+          trade_tags (
+            tag_id
+          )${tagFilter}
         `);
 
       // Apply filters
@@ -46,6 +58,14 @@ export class TradingService {
       if (filters?.symbol) {
         query = query?.ilike('symbol', `%${filters?.symbol}%`);
       }
+
+      if (filters?.strategyId) {
+        query = query?.eq('strategy_id', filters?.strategyId);
+      }
+
+      if (tagIds?.length) {
+        query = query?.in('tag_filter.tag_id', tagIds);
+      }
       
       if (filters?.dateFrom) {
         query = query?.gte('opened_at', filters?.dateFrom);
@@ -75,6 +95,111 @@ export class TradingService {
     }
   }
 
+  // Read every trade row, a page at a time
+  static async getAllTrades(pageSize = 1000) {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase?.from('trades')?.select('*, trade_tags(tag_id)')?.order('id')?.range(offset, offset + pageSize - 1);
+
+        if (error) {
+          return { success: false, data: [], error: error?.message };
+        }
+
+        rows?.push(...(data || []));
+        if ((data?.length || 0) < pageSize) break;
+      }
+
+      return { success: true, data: rows, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch trades' };
+    }
+  }
+
+  // One shape for both trade row styles: manual/file trades (instrument, tradeType, entryPrice, tradeDate)
+  // and broker round trips (symbol, position_side, entry_price, opened_at/closed_at).
+  // Manual trades close on their exit date; older ones without it are dated on their trade date and
+  // flagged as closedAtEstimated
+  static normaliseTrade(row) {
+    const isRoundTrip = !!row?.symbol && !row?.instrument;
+    const exitPrice = isRoundTrip ? row?.exit_price : row?.exitPrice;
+    // Interactive Brokers currency conversions: forex rows with no exit, neither open nor a closed trade
+    const isConversion = isRoundTrip && row?.asset_class === 'forex' && (exitPrice === null || exitPrice === undefined);
+    const isClosed = !isConversion && (isRoundTrip ? row?.status === 'closed' : exitPrice !== null && exitPrice !== undefined);
+    const side = isRoundTrip ?
+      (row?.position_side || (`${row?.trade_type}`?.toLowerCase() === 'sell' ? 'short' : 'long')) :
+      (`${row?.tradeType}`?.toUpperCase() === 'SELL' ? 'short' : 'long');
+    const openedAt = isRoundTrip ? row?.opened_at : row?.tradeDate;
+
+    return {
+      id: row?.id,
+      symbol: isRoundTrip ? row?.symbol : row?.instrument,
+      side,
+      quantity: Math.abs(parseFloat(row?.quantity) || 0),
+      entryPrice: parseFloat(isRoundTrip ? row?.entry_price : row?.entryPrice) || 0,
+      exitPrice: isClosed ? parseFloat(exitPrice) || 0 : null,
+      openedAt,
+      closedAt: isClosed ? (isRoundTrip ? row?.closed_at : row?.exitDate || openedAt) : null,
+      closedAtEstimated: isClosed && !isRoundTrip && !row?.exitDate,
+      status: isConversion ? 'conversion' : isClosed ? 'closed' : 'open',
+      pnl: parseFloat(row?.pnl) || 0,
+      fees: parseFloat(row?.fees) || 0,
+      // Untagged trades stay null and are left out of base-currency totals rather than guessed
+      currency: (isRoundTrip ? row?.currency || row?.fees_currency : row?.pnlCurrency) || null,
+      assetClass: row?.asset_class || row?.assetClass || null,
+      exchange: row?.exchange || null,
+      charges: row?.charges || null,
+      strategy: row?.strategy || null,
+      strategyId: row?.strategy_id || null,
+      brokerId: row?.broker_id || null,
+      accountId: row?.trading_account_id || null,
+      underlying: row?.underlying || null,
+      expiry: row?.expiry || null,
+      strike: row?.strike !== null && row?.strike !== undefined ? parseFloat(row?.strike) : null,
+      optionType: row?.option_type || null,
+      lotSize: row?.lot_size || null,
+      multiplier: parseFloat(row?.multiplier) || 1,
+      rolledFromId: row?.rolled_from_id || null,
+      rollChainId: row?.roll_chain_id || null,
+      groupId: row?.group_id || null,
+      tags: (row?.trade_tags || [])?.map((tag) => tag?.tag_id)
+    };
+  }
+
+  // Map form/import trade data onto a trades row. Charges are computed for Indian exchanges
+  // unless fees were given, in which case they are kept as an override
+  static buildTradeRow(tradeData, userId) {
+    const charges = ChargesService?.calculateForTrade(tradeData, tradeData?.chargesPlan || undefined);
+    const hasFees = tradeData?.fees !== null && tradeData?.fees !== undefined && tradeData?.fees !== '';
+    const contract = OptionsService?.contractFields(tradeData?.instrument, tradeData?.exchange, tradeData);
+
+    return {
+      instrument: tradeData?.instrument?.toString(),
+      tradeType: tradeData?.tradeType?.toString(),
+      quantity: parseFloat(tradeData?.quantity),
+      entryPrice: parseFloat(tradeData?.entryPrice),
+      exitPrice: tradeData?.exitPrice ? parseFloat(tradeData?.exitPrice) : null,
+      tradeDate: tradeData?.tradeDate || new Date()?.toISOString(),
+      exitDate: tradeData?.exitPrice && tradeData?.exitDate ? tradeData?.exitDate : null,
+      // The database links the name to a strategy, registering new names, or fills the name from strategy_id
+      strategy_id: tradeData?.strategyId || null,
+      strategy: tradeData?.strategy || null,
+      notes: tradeData?.notes || null,
+      process: tradeData?.process || 'manual',
+      pnl: tradeData?.pnl || 0,
+      pnlCurrency: tradeData?.pnlCurrency || 'INR',
+      exchange: tradeData?.exchange || null,
+      charges,
+      fees: hasFees ? parseFloat(tradeData?.fees) : (charges?.total ?? 0),
+      charges_overridden: hasFees,
+      ...contract,
+      multiplier: parseFloat(tradeData?.multiplier) || contract?.multiplier || 1,
+      ...(contract?.underlying ? { asset_class: contract?.option_type ? 'options' : 'futures' } : {}),
+      userId: userId // Properly formatted user ID as text
+    };
+  }
+
   // Create new trade
   static async createTrade(tradeData) {
     try {
@@ -98,20 +223,7 @@ export class TradingService {
         return { success: false, data: null, error: 'Missing required trade data' };
       }
 
-      const { data, error } = await supabase?.from('trades')?.insert({
-          instrument: tradeData?.instrument?.toString(),
-          tradeType: tradeData?.tradeType?.toString(),
-          quantity: parseInt(tradeData?.quantity),
-          entryPrice: parseFloat(tradeData?.entryPrice),
-          exitPrice: tradeData?.exitPrice ? parseFloat(tradeData?.exitPrice) : null,
-          tradeDate: tradeData?.tradeDate || new Date()?.toISOString(),
-          strategy: tradeData?.strategy || null,
-          notes: tradeData?.notes || null,
-          process: tradeData?.process || 'manual',
-          pnl: tradeData?.pnl || 0,
-          pnlCurrency: tradeData?.pnlCurrency || 'INR',
-          userId: userId // Properly formatted user ID as text
-        })?.select()?.single();
+      const { data, error } = await supabase?.from('trades')?.insert(this.buildTradeRow(tradeData, userId))?.select()?.single();
 
       if (error) {
         console.error('Database insert error:', error);
@@ -125,6 +237,40 @@ export class TradingService {
     }
   }
 
+  // Bulk create trades (file imports), inserting in batches
+  static async createTrades(tradesData, batchSize = 500) {
+    try {
+      const { data: { user }, error: userError } = await supabase?.auth?.getUser();
+
+      if (userError || !user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const userId = user?.id?.toString();
+      const inserted = [];
+      const failedBatches = [];
+
+      for (let start = 0; start < tradesData?.length; start += batchSize) {
+        const rows = tradesData?.slice(start, start + batchSize)?.map((tradeData) => this.buildTradeRow(tradeData, userId));
+        const { data, error } = await supabase?.from('trades')?.insert(rows)?.select();
+
+        if (error) {
+          failedBatches?.push({ start, count: rows?.length, error: error?.message });
+        } else {
+          inserted?.push(...(data || []));
+        }
+      }
+
+      return {
+        success: failedBatches?.length === 0,
+        data: { insertedCount: inserted?.length, trades: inserted, failedBatches },
+        error: failedBatches?.length > 0 ? failedBatches?.map((batch) => batch?.error)?.join('; ') : null
+      };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to create trades' };
+    }
+  }
+
   // Update trade
   static async updateTrade(tradeId, updates) {
     try {
@@ -143,6 +289,44 @@ export class TradingService {
     }
   }
 
+  // Override a trade's fees, or pass null to go back to calculated charges
+  static async updateTradeCharges(trade, fees = null) {
+    try {
+      if (fees !== null && fees !== undefined && fees !== '') {
+        return await this.updateTrade(trade?.id, { fees: parseFloat(fees), charges_overridden: true });
+      }
+
+      // Broker round trips get their charges back from their legs
+      if (trade?.broker_id && trade?.external_id?.startsWith('rt-')) {
+        const { error } = await supabase?.from('trades')?.update({ charges_overridden: false })?.eq('id', trade?.id);
+        if (error) {
+          return { success: false, data: null, error: error?.message };
+        }
+
+        const rebuildResult = await TradeMatchingService?.rebuildRoundTrips(trade?.broker_id);
+        if (!rebuildResult?.success) {
+          return rebuildResult;
+        }
+
+        const { data, error: fetchError } = await supabase?.from('trades')?.select('*')?.eq('external_id', trade?.external_id)?.maybeSingle();
+        if (fetchError) {
+          return { success: false, data: null, error: fetchError?.message };
+        }
+
+        return { success: true, data, error: null };
+      }
+
+      const charges = ChargesService?.calculateForTrade({
+        ...trade,
+        intraday: trade?.charges?.segment ? trade?.charges?.segment === 'equity_intraday' : undefined
+      }, trade?.charges?.plan);
+
+      return await this.updateTrade(trade?.id, { charges, fees: charges?.total ?? 0, charges_overridden: false });
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to update trade charges' };
+    }
+  }
+
   // Close trade
   static async closeTrade(tradeId, exitPrice, closedAt = new Date()) {
     try {
@@ -178,10 +362,12 @@ export class TradingService {
     }
   }
 
-  // Get portfolio summary
-  static async getPortfolioSummary() {
+  // Get portfolio summary. converter (FxService.buildConverter, see useFx) puts cash flows in the base
+  // currency the portfolio totals are kept in
+  static async getPortfolioSummary(converter, pageSize = 1000) {
     try {
-      const { data: portfolios, error: portfolioError } = await supabase?.from('portfolios')?.select('*')?.order('created_at', { ascending: false });
+      // Totals are kept current by database triggers from each portfolio's trades (see PortfolioService)
+      const { data: portfolios, error: portfolioError } = await supabase?.from('portfolios')?.select('*, portfolio_members(id, trading_account_id, strategy)')?.order('name', { ascending: true });
 
       if (portfolioError) {
         return { success: false, data: null, error: portfolioError?.message };
@@ -194,15 +380,37 @@ export class TradingService {
         return { success: false, data: null, error: accountError?.message };
       }
 
+      // Money paid in less money taken out; the current balance already includes the P&L
+      const flowRows = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error: flowError } = await supabase?.from('cash_flows')?.select('id, flow_type, amount, currency, flow_date')?.order('id')?.range(offset, offset + pageSize - 1);
+
+        if (flowError) {
+          return { success: false, data: null, error: flowError?.message };
+        }
+
+        flowRows?.push(...(data || []));
+        if ((data?.length || 0) < pageSize) break;
+      }
+
+      const { flows, unconverted: unconvertedFlows } = CashFlowService?.prepareFlows(flowRows, converter);
+
       // Calculate totals
       const totalBalance = accounts?.reduce((sum, account) => sum + (parseFloat(account?.balance) || 0), 0) || 0;
+      // A trade is in at most one portfolio, so their totals add up; trades no portfolio claims are not included
       const totalPnL = portfolios?.reduce((sum, portfolio) => sum + (parseFloat(portfolio?.total_pnl) || 0), 0) || 0;
-      
+      const netContributions = flows?.reduce((sum, flow) => (flow?.contribution ? sum + flow?.amount : sum), 0) || 0;
+
       const summary = {
         portfolios: portfolios || [],
         totalBalance,
         totalPnL,
-        totalPnLPercentage: totalBalance > 0 ? ((totalPnL / totalBalance) * 100) : 0
+        netContributions,
+        // Flows with no FX rate into the base currency are left out of netContributions
+        unconvertedFlows,
+        // Simple return on money invested; time- and money-weighted returns come from CashFlowService.performance
+        totalPnLPercentage: netContributions > 0 ? ((totalPnL / netContributions) * 100) : null
       };
 
       return { success: true, data: summary, error: null };
@@ -265,7 +473,7 @@ export class TradingService {
       }
 
       // Test the connection after storing credentials
-      const testResult = await BrokerCredentialService?.testBrokerConnection(result?.data?.id);
+      const testResult = await BrokerRegistry?.forBroker(result?.data)?.testConnection(result?.data);
       
       if (testResult?.success) {
         // Update status to active if connection successful
@@ -323,10 +531,7 @@ export class TradingService {
   static async syncFromBrokers() {
     try {
       const results = {
-        upstox: { success: false, data: null, error: null },
-        zerodha: { success: false, data: null, error: null },
-        interactive: { success: false, data: null, error: null },
-        alpaca: { success: false, data: null, error: null },
+        ...Object.fromEntries(BrokerRegistry?.list()?.map((adapter) => [adapter?.key, { success: false, data: null, error: null }])),
         totalImported: 0,
         errors: []
       };
@@ -342,31 +547,11 @@ export class TradingService {
       // Sync each active broker
       for (const broker of activeBrokers) {
         try {
-          let syncResult = { success: false, data: null, error: 'Unsupported broker' };
-
-          switch (broker?.name?.toLowerCase()) {
-            case 'upstox':
-              const upstoxConnected = await UpstoxService?.isConnected();
-              if (upstoxConnected) {
-                syncResult = await UpstoxService?.importTradesToDatabase();
-              }
-              results.upstox = syncResult;
-              break;
-
-            case 'zerodha kite': case'zerodha':
-              syncResult = await this.syncZerodhaData(broker?.id);
-              results.zerodha = syncResult;
-              break;
-
-            case 'interactive brokers':
-              syncResult = await this.syncInteractiveBrokersData(broker?.id);
-              results.interactive = syncResult;
-              break;
-
-            case 'alpaca markets': case'alpaca':
-              syncResult = await this.syncAlpacaData(broker?.id);
-              results.alpaca = syncResult;
-              break;
+          const syncResult = await this.syncBroker(broker);
+          const brokerKey = BrokerRegistry?.forBroker(broker)?.key;
+
+          if (brokerKey) {
+            results[brokerKey] = syncResult;
           }
 
           if (syncResult?.success) {
@@ -379,9 +564,6 @@ export class TradingService {
         }
       }
 
-      // Update broker sync timestamps
-      await supabase?.from('brokers')?.update({ last_sync_at: new Date()?.toISOString() })?.eq('status', 'active');
-
       return {
         success: results?.totalImported > 0 || results?.errors?.length === 0,
         data: {
@@ -399,92 +581,49 @@ export class TradingService {
     }
   }
 
-  // Sync Zerodha data using stored credentials
-  static async syncZerodhaData(brokerId) {
-    try {
-      const credentialsResult = await BrokerCredentialService?.getBrokerCredentials(brokerId);
-      if (!credentialsResult?.success) {
-        return credentialsResult;
-      }
+  // Sync one broker using its saved import preferences, recording the run and scheduling the next automatic one
+  static async syncBroker(broker, triggerType = 'manual', retryOf = null) {
+    const preferencesResult = await SyncPreferencesService?.getPreferences(broker?.id);
+    const preferences = preferencesResult?.success ? preferencesResult?.data : null;
 
-      const { credentials } = credentialsResult?.data;
-      
-      // Implement Zerodha KiteConnect API calls
-      const response = await fetch('https://api.kite.trade/portfolio/positions', {
-        headers: {
-          'Authorization': `token ${credentials?.apiKey}:${credentials?.apiSecret}`,
-          'X-Kite-Version': '3'
-        }
-      });
+    const adapter = BrokerRegistry?.forBroker(broker);
 
-      if (!response?.ok) {
-        return { success: false, error: 'Failed to fetch Zerodha data' };
+    const syncResult = await SyncRunService?.track(broker?.id, triggerType, async () => {
+      if (!adapter) {
+        return { success: false, data: null, error: 'Unsupported broker' };
       }
 
-      const data = await response?.json();
-      // Process and import Zerodha trades...
+      return await adapter?.fetchExecutions(broker, preferences);
+    }, retryOf);
 
-      return {
-        success: true,
-        data: { importedCount: 0 }, // Implement actual import logic
-        error: null
-      };
-    } catch (error) {
-      return { success: false, data: null, error: 'Failed to sync Zerodha data' };
+    // Only advance the incremental sync cursor for brokers that imported cleanly
+    if (syncResult?.success && !syncResult?.data?.requiresUpload) {
+      await supabase?.from('brokers')?.update({ last_sync_at: new Date()?.toISOString() })?.eq('id', broker?.id);
     }
-  }
-
-  // Sync Interactive Brokers data using stored credentials
-  static async syncInteractiveBrokersData(brokerId) {
-    try {
-      const credentialsResult = await BrokerCredentialService?.getBrokerCredentials(brokerId);
-      if (!credentialsResult?.success) {
-        return credentialsResult;
-      }
 
-      // Implement IB TWS API integration
-      return {
-        success: true,
-        data: { importedCount: 0 }, // Implement actual import logic
-        error: null
-      };
-    } catch (error) {
-      return { success: false, data: null, error: 'Failed to sync Interactive Brokers data' };
+    if (preferences) {
+      await SyncPreferencesService?.scheduleNextSync(broker?.id, preferences);
     }
+
+    return syncResult;
   }
 
-  // Sync Alpaca data using stored credentials
-  static async syncAlpacaData(brokerId) {
+  // Re-run the broker sync behind a recorded run
+  static async retrySyncRun(runId) {
     try {
-      const credentialsResult = await BrokerCredentialService?.getBrokerCredentials(brokerId);
-      if (!credentialsResult?.success) {
-        return credentialsResult;
+      const runResult = await SyncRunService?.getRun(runId);
+      if (!runResult?.success) {
+        return runResult;
       }
 
-      const { credentials } = credentialsResult?.data;
-      
-      // Implement Alpaca API calls
-      const response = await fetch('https://paper-api.alpaca.markets/v2/positions', {
-        headers: {
-          'APCA-API-KEY-ID': credentials?.apiKey,
-          'APCA-API-SECRET-KEY': credentials?.apiSecret
-        }
-      });
-
-      if (!response?.ok) {
-        return { success: false, error: 'Failed to fetch Alpaca data' };
+      const run = runResult?.data;
+      if (!SyncRunService?.RETRYABLE_TRIGGERS?.includes(run?.trigger_type)) {
+        return { success: false, data: null, error: 'Uploaded imports must be re-uploaded' };
       }
 
-      const data = await response?.json();
-      // Process and import Alpaca trades...
-
-      return {
-        success: true,
-        data: { importedCount: 0 }, // Implement actual import logic
-        error: null
-      };
+      return await this.syncBroker(run?.brokers, 'retry', run?.id);
     } catch (error) {
-      return { success: false, data: null, error: 'Failed to sync Alpaca data' };
+      return { success: false, data: null, error: 'Failed to retry sync' };
     }
   }
 
@@ -493,23 +632,16 @@ export class TradingService {
     try {
       const statuses = {};
 
-      // Check Upstox connection
-      const upstoxStatus = await UpstoxService?.getConnectionStatus();
-      statuses.upstox = {
-        name: 'Upstox',
-        connected: upstoxStatus?.connected,
-        lastSync: upstoxStatus?.lastSync,
-        status: upstoxStatus?.connected ? 'active' : 'inactive',
-        error: upstoxStatus?.error
-      };
-
-      // Get all brokers and test their connections
+      // Get all brokers and test their connections through their adapters
       const brokersResult = await this.getBrokers();
       if (brokersResult?.success) {
         for (const broker of brokersResult?.data) {
-          const testResult = await BrokerCredentialService?.testBrokerConnection(broker?.id);
+          const adapter = BrokerRegistry?.forBroker(broker);
+          const testResult = adapter ?
+            await adapter?.testConnection(broker) :
+            { success: false, data: null, error: 'Unsupported broker' };
           
-          statuses[broker?.name?.toLowerCase()?.replace(/\s+/g, '_')] = {
+          statuses[broker?.id] = {
             name: broker?.name,
             connected: testResult?.success,
             lastSync: broker?.last_sync_at,
@@ -540,6 +672,87 @@ export class TradingService {
     }
   }
 
+  // Get multi-leg strategy groups with their legs and combined P&L
+  static async getTradeGroups() {
+    try {
+      const { data, error } = await supabase?.from('trade_groups')?.select('*, trades(*)')?.order('created_at', { ascending: false });
+
+      if (error) {
+        return { success: false, data: [], error: error?.message };
+      }
+
+      const groups = (data || [])?.map(({ trades, ...group }) => {
+        const legs = (trades || [])?.map((row) => this.normaliseTrade(row));
+        return { ...group, legs, ...OptionsService?.combinedPnl(legs) };
+      });
+
+      return { success: true, data: groups, error: null };
+    } catch (error) {
+      return { success: false, data: [], error: 'Failed to fetch strategy groups' };
+    }
+  }
+
+  // Group trades into a multi-leg strategy, naming it after the shape its legs form
+  static async createTradeGroup(tradeIds, name = null) {
+    try {
+      const { data: { user } } = await supabase?.auth?.getUser();
+      if (!user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      if (!(tradeIds?.length > 1)) {
+        return { success: false, data: null, error: 'Select at least two trades to group' };
+      }
+
+      const { data: rows, error: tradesError } = await supabase?.from('trades')?.select('*')?.in('id', tradeIds);
+
+      if (tradesError) {
+        return { success: false, data: null, error: tradesError?.message };
+      }
+
+      const legs = rows?.map((row) => this.normaliseTrade(row));
+      const strategyType = OptionsService?.detectStrategy(legs);
+      const underlyings = [...new Set(legs?.map((leg) => leg?.underlying)?.filter(Boolean))];
+
+      const { data: group, error } = await supabase?.from('trade_groups')?.insert({
+          user_profile_id: user?.id,
+          name: name || OptionsService?.groupName(strategyType, legs),
+          strategy_type: strategyType,
+          underlying: underlyings?.length === 1 ? underlyings?.[0] : null
+        })?.select()?.single();
+
+      if (error) {
+        return { success: false, data: null, error: error?.message };
+      }
+
+      const { error: linkError } = await supabase?.from('trades')?.update({ group_id: group?.id })?.in('id', tradeIds);
+
+      if (linkError) {
+        await supabase?.from('trade_groups')?.delete()?.eq('id', group?.id);
+        return { success: false, data: null, error: linkError?.message };
+      }
+
+      return { success: true, data: { ...group, legs, ...OptionsService?.combinedPnl(legs) }, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to group trades' };
+    }
+  }
+
+  // Ungroup a strategy; its trades stay in the journal
+  static async deleteTradeGroup(groupId) {
+    try {
+      const { error } = await supabase?.from('trade_groups')?.delete()?.eq('id', groupId);
+
+      if (error) {
+        return { success: false, error: error?.message };
+      }
+
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: 'Failed to ungroup trades' };
+    }
+  }
+
   // Real-time trades subscription
   static subscribeToTrades(callback) {
     return supabase?.channel('trades_changes')?.on('postgres_changes', 
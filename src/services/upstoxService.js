@@ -1,5 +1,8 @@
-import { supabase } from '../lib/supabase';
+import { supabase } from '../lib/supabase.js';
 import axios from 'axios';
+import TradeMatchingService from './tradeMatchingService.js';
+import ChargesService from './chargesService.js';
+import OptionsService from './optionsService.js';
 
 /**
  * Upstox API Integration Service for TradeScope
@@ -11,6 +14,20 @@ export class UpstoxService {
   // Upstox OAuth Configuration
   static OAUTH_URL = 'https://api.upstox.com/v2/login/authorization/dialog';
   static TOKEN_URL = 'https://api.upstox.com/v2/login/authorization/token';
+
+  // HTTP client for Upstox calls; swap it to replay recorded responses
+  static http = axios;
+
+  // Refresh this long before expiresAt so a token can't lapse mid-request
+  static EXPIRY_MARGIN_MS = 60 * 1000;
+
+  static SESSION_EXPIRED_ERROR = 'Upstox session expired. Please log in again';
+
+  // Window event telling SyncStatusIndicator whether Upstox needs a fresh login
+  static AUTH_EVENT = 'brokerAuthChanged';
+
+  // Shared by every caller while a refresh is running, so only one refresh hits Upstox
+  static refreshPromise = null;
   
   /**
    * Generate Upstox OAuth URL for user authentication
@@ -32,7 +49,7 @@ export class UpstoxService {
    */
   static async exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
     try {
-      const response = await axios?.post(this.TOKEN_URL, {
+      const response = await this.http?.post(this.TOKEN_URL, {
         code,
         client_id: clientId,
         client_secret: clientSecret,
@@ -91,6 +108,8 @@ export class UpstoxService {
         return { success: false, data: null, error: error?.message };
       }
 
+      this.notifyAuthState(false);
+
       return { success: true, data, error: null };
     } catch (error) {
       return { success: false, data: null, error: 'Failed to store tokens' };
@@ -98,7 +117,7 @@ export class UpstoxService {
   }
 
   /**
-   * Get stored Upstox tokens for current user
+   * Get stored Upstox tokens for current user, as stored (possibly expired)
    */
   static async getStoredTokens() {
     try {
@@ -113,20 +132,6 @@ export class UpstoxService {
         return { success: false, data: null, error: error?.message };
       }
 
-      // Check if token is expired
-      const now = new Date();
-      const expiresAt = new Date(data.expiresAt);
-      
-      if (now >= expiresAt) {
-        // Try to refresh token
-        const refreshResult = await this.refreshAccessToken(data?.refreshToken);
-        if (refreshResult?.success) {
-          return { success: true, data: refreshResult?.data, error: null };
-        } else {
-          return { success: false, data: null, error: 'Token expired and refresh failed' };
-        }
-      }
-
       return { success: true, data, error: null };
     } catch (error) {
       return { success: false, data: null, error: 'Failed to get stored tokens' };
@@ -138,7 +143,7 @@ export class UpstoxService {
    */
   static async refreshAccessToken(refreshToken) {
     try {
-      const response = await axios?.post(this.TOKEN_URL, {
+      const response = await this.http?.post(this.TOKEN_URL, {
         refresh_token: refreshToken,
         grant_type: 'refresh_token'
       }, {
@@ -176,186 +181,226 @@ export class UpstoxService {
   }
 
   /**
-   * Get user's Upstox profile information
+   * Refresh the stored token, joining a refresh that is already in flight
    */
-  static async getUserProfile() {
-    try {
-      const tokensResult = await this.getStoredTokens();
-      if (!tokensResult?.success) {
-        return tokensResult;
-      }
-
-      const response = await axios?.get(`${this.BASE_URL}/user/profile`, {
-        headers: {
-          'Authorization': `Bearer ${tokensResult?.data?.accessToken}`,
-          'Accept': 'application/json'
+  static refreshTokens(refreshToken) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshAccessToken(refreshToken)?.then((result) => {
+        if (!result?.success) {
+          this.notifyAuthState(true);
         }
+        return result;
+      })?.finally(() => {
+        this.refreshPromise = null;
       });
-
-      return {
-        success: true,
-        data: response?.data?.data,
-        error: null
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error?.response?.data?.message || 'Failed to get user profile'
-      };
     }
+
+    return this.refreshPromise;
   }
 
   /**
-   * Get account positions from Upstox
+   * Get tokens that are good for at least EXPIRY_MARGIN_MS, refreshing first if needed
    */
-  static async getPositions() {
-    try {
-      const tokensResult = await this.getStoredTokens();
-      if (!tokensResult?.success) {
-        return tokensResult;
-      }
+  static async getValidTokens() {
+    if (this.refreshPromise) {
+      const refreshResult = await this.refreshPromise;
+      return refreshResult?.success ? refreshResult : { success: false, data: null, error: this.SESSION_EXPIRED_ERROR };
+    }
 
-      const response = await axios?.get(`${this.BASE_URL}/portfolio/long-term-positions`, {
-        headers: {
-          'Authorization': `Bearer ${tokensResult?.data?.accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
+    const tokensResult = await this.getStoredTokens();
+    if (!tokensResult?.success) {
+      return tokensResult;
+    }
 
-      return {
-        success: true,
-        data: response?.data?.data,
-        error: null
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error?.response?.data?.message || 'Failed to get positions'
-      };
+    const expiresAt = new Date(tokensResult?.data?.expiresAt)?.getTime();
+    if (Date.now() < expiresAt - this.EXPIRY_MARGIN_MS) {
+      return tokensResult;
     }
+
+    const refreshResult = await this.refreshTokens(tokensResult?.data?.refreshToken);
+    return refreshResult?.success ? refreshResult : { success: false, data: null, error: this.SESSION_EXPIRED_ERROR };
   }
 
   /**
-   * Get order history from Upstox
+   * Authenticated GET against the Upstox API. Checks expiry before the call and, if Upstox
+   * still answers 401, refreshes once and retries.
    */
-  static async getOrderHistory() {
+  static async request(path, errorMessage) {
     try {
-      const tokensResult = await this.getStoredTokens();
+      const tokensResult = await this.getValidTokens();
       if (!tokensResult?.success) {
         return tokensResult;
       }
 
-      const response = await axios?.get(`${this.BASE_URL}/order/retrieve-all`, {
+      const get = (accessToken) => this.http?.get(`${this.BASE_URL}${path}`, {
         headers: {
-          'Authorization': `Bearer ${tokensResult?.data?.accessToken}`,
+          'Authorization': `Bearer ${accessToken}`,
           'Accept': 'application/json'
         }
       });
 
+      let response;
+      try {
+        response = await get(tokensResult?.data?.accessToken);
+      } catch (error) {
+        if (error?.response?.status !== 401) {
+          throw error;
+        }
+
+        const refreshResult = await this.refreshTokens(tokensResult?.data?.refreshToken);
+        if (!refreshResult?.success) {
+          return { success: false, data: null, error: this.SESSION_EXPIRED_ERROR };
+        }
+
+        response = await get(refreshResult?.data?.accessToken);
+      }
+
       return {
         success: true,
         data: response?.data?.data,
         error: null
       };
     } catch (error) {
+      if (error?.response?.status === 401) {
+        this.notifyAuthState(true);
+        return { success: false, data: null, error: this.SESSION_EXPIRED_ERROR };
+      }
+
       return {
         success: false,
         data: null,
-        error: error?.response?.data?.message || 'Failed to get order history'
+        error: error?.response?.data?.message || errorMessage
       };
     }
   }
 
+  static MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
   /**
-   * Get trade book (completed trades) from Upstox
+   * Upstox timestamps ("03-Aug-2022 15:37:17", "2022-08-03 15:37:17") carry no zone and are in IST,
+   * so they are read as +05:30 rather than in the browser's or server's local time
    */
-  static async getTradeBook() {
-    try {
-      const tokensResult = await this.getStoredTokens();
-      if (!tokensResult?.success) {
-        return tokensResult;
-      }
+  static parseTimestamp(value) {
+    const text = `${value || ''}`?.trim()?.replace(/^(\d{2})-([A-Za-z]{3})-(\d{4})/, (match, day, month, year) => {
+      const monthNumber = this.MONTHS?.indexOf(month?.toLowerCase()) + 1;
+      return `${year}-${`${monthNumber}`?.padStart(2, '0')}-${day}`;
+    });
+    const [date, time = '00:00:00'] = text?.split(/[ T]/);
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i?.test(time);
+    return new Date(`${date}T${time}${hasZone ? '' : '+05:30'}`);
+  }
 
-      const response = await axios?.get(`${this.BASE_URL}/order/trades/get-trades-for-day`, {
-        headers: {
-          'Authorization': `Bearer ${tokensResult?.data?.accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
+  /**
+   * Tell the app whether Upstox needs a fresh login (no-op outside the browser)
+   */
+  static notifyAuthState(reauthRequired) {
+    if (typeof window === 'undefined') return;
 
-      return {
-        success: true,
-        data: response?.data?.data,
-        error: null
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error?.response?.data?.message || 'Failed to get trade book'
-      };
-    }
+    window.dispatchEvent(new CustomEvent(this.AUTH_EVENT, {
+      detail: { broker: 'Upstox', reauthRequired, message: reauthRequired ? this.SESSION_EXPIRED_ERROR : null }
+    }));
+  }
+
+  /**
+   * Get user's Upstox profile information
+   */
+  static async getUserProfile() {
+    return this.request('/user/profile', 'Failed to get user profile');
+  }
+
+  /**
+   * Get account positions from Upstox
+   */
+  static async getPositions() {
+    return this.request('/portfolio/long-term-positions', 'Failed to get positions');
+  }
+
+  /**
+   * Get order history from Upstox
+   */
+  static async getOrderHistory() {
+    return this.request('/order/retrieve-all', 'Failed to get order history');
+  }
+
+  /**
+   * Get trade book (completed trades) from Upstox
+   */
+  static async getTradeBook() {
+    return this.request('/order/trades/get-trades-for-day', 'Failed to get trade book');
   }
 
   /**
    * Get account funds information
    */
   static async getFundsAndMargin() {
+    return this.request('/user/get-funds-and-margin', 'Failed to get funds and margin');
+  }
+
+  /**
+   * Read the day's tradebook fills as execution legs for a broker row, without saving them
+   */
+  static async fetchLegs(brokerId) {
     try {
-      const tokensResult = await this.getStoredTokens();
-      if (!tokensResult?.success) {
-        return tokensResult;
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
       }
 
-      const response = await axios?.get(`${this.BASE_URL}/user/get-funds-and-margin`, {
-        headers: {
-          'Authorization': `Bearer ${tokensResult?.data?.accessToken}`,
-          'Accept': 'application/json'
-        }
+      const tradesResult = await this.getTradeBook();
+      if (!tradesResult?.success) {
+        return tradesResult;
+      }
+
+      const legs = (tradesResult?.data || [])?.map((upstoxTrade) => {
+        const filledAt = this.parseTimestamp(upstoxTrade?.exchange_timestamp || upstoxTrade?.trade_date)?.toISOString();
+        const price = parseFloat(upstoxTrade?.average_price ?? upstoxTrade?.price);
+
+        return {
+          user_profile_id: user?.user?.id,
+          broker_id: brokerId,
+          symbol: upstoxTrade?.trading_symbol,
+          side: upstoxTrade?.transaction_type?.toLowerCase() === 'buy' ? 'buy' : 'sell',
+          order_type: upstoxTrade?.order_type?.toLowerCase() === 'limit' ? 'limit' : 'market',
+          quantity: parseFloat(upstoxTrade?.quantity),
+          price,
+          status: 'filled',
+          filled_quantity: parseFloat(upstoxTrade?.quantity),
+          filled_price: price,
+          executed_at: filledAt,
+          asset_class: TradeMatchingService?.assetClassForSegment(upstoxTrade?.exchange, upstoxTrade?.trading_symbol),
+          exchange: upstoxTrade?.exchange,
+          currency: 'INR',
+          fees_currency: 'INR',
+          product: ChargesService?.productFor(upstoxTrade?.product),
+          ...OptionsService?.contractFields(upstoxTrade?.trading_symbol, upstoxTrade?.exchange),
+          order_id_external: upstoxTrade?.order_id,
+          execution_id_external: upstoxTrade?.trade_id
+        };
       });
 
-      return {
-        success: true,
-        data: response?.data?.data,
-        error: null
-      };
+      return { success: true, data: legs, error: null };
     } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error?.response?.data?.message || 'Failed to get funds and margin'
-      };
+      return { success: false, data: null, error: 'Failed to read Upstox tradebook' };
     }
   }
 
   /**
    * Import trades from Upstox to TradeScope database
    */
-  static async importTradesToDatabase() {
+  static async importTradesToDatabase(preferences = null) {
     try {
-      // Get trades from Upstox
-      const tradesResult = await this.getTradeBook();
-      if (!tradesResult?.success) {
-        return tradesResult;
-      }
-
-      const upstoxTrades = tradesResult?.data;
-      const importedTrades = [];
-
-      // Get user's Upstox broker configuration
       const { data: user } = await supabase?.auth?.getUser();
       if (!user?.user) {
         return { success: false, data: null, error: 'User not authenticated' };
       }
 
       // Find or create Upstox broker entry
-      let { data: broker, error: brokerError } = await supabase?.from('brokers')?.select('id')?.eq('name', 'Upstox')?.eq('user_profile_id', user?.user?.id)?.single();
+      let { data: broker, error: brokerError } = await supabase?.from('brokers')?.select('id')?.eq('broker_key', 'upstox')?.eq('user_profile_id', user?.user?.id)?.single();
 
       if (brokerError || !broker) {
         const { data: newBroker, error: createError } = await supabase?.from('brokers')?.insert({
             name: 'Upstox',
+            broker_key: 'upstox',
             status: 'active',
             user_profile_id: user?.user?.id
           })?.select()?.single();
@@ -366,36 +411,22 @@ export class UpstoxService {
         broker = newBroker;
       }
 
-      // Transform and import trades
-      for (const upstoxTrade of upstoxTrades) {
-        const tradeData = {
-          symbol: upstoxTrade?.trading_symbol,
-          trade_type: upstoxTrade?.transaction_type?.toLowerCase() === 'buy' ? 'buy' : 'sell',
-          position_side: upstoxTrade?.transaction_type?.toLowerCase() === 'buy' ? 'long' : 'short',
-          quantity: parseFloat(upstoxTrade?.quantity),
-          entry_price: parseFloat(upstoxTrade?.price),
-          exit_price: null,
-          status: 'closed',
-          opened_at: new Date(upstoxTrade.trade_date)?.toISOString(),
-          closed_at: new Date(upstoxTrade.trade_date)?.toISOString(),
-          external_id: upstoxTrade?.trade_id,
-          broker_id: broker?.id
-        };
+      // Store each fill as an execution leg, then rebuild round trips from all legs
+      const legsResult = await this.fetchLegs(broker?.id);
+      if (!legsResult?.success) {
+        return legsResult;
+      }
 
-        const { data: insertedTrade, error: insertError } = await supabase?.from('trades')?.upsert(tradeData, { onConflict: 'external_id' })?.select()?.single();
+      const legs = legsResult?.data;
 
-        if (!insertError) {
-          importedTrades?.push(insertedTrade);
-        }
+      const importResult = await TradeMatchingService?.importLegs(broker?.id, legs, preferences);
+      if (!importResult?.success) {
+        return importResult;
       }
 
       return {
         success: true,
-        data: {
-          importedCount: importedTrades?.length,
-          totalUpstoxTrades: upstoxTrades?.length,
-          trades: importedTrades
-        },
+        data: { ...importResult?.data, totalUpstoxTrades: legs?.length },
         error: null
       };
     } catch (error) {
@@ -424,7 +455,7 @@ export class UpstoxService {
       }
 
       // Update broker status to inactive
-      await supabase?.from('brokers')?.update({ status: 'inactive' })?.eq('name', 'Upstox')?.eq('user_profile_id', user?.user?.id);
+      await supabase?.from('brokers')?.update({ status: 'inactive' })?.eq('broker_key', 'upstox')?.eq('user_profile_id', user?.user?.id);
 
       return { success: true, error: null };
     } catch (error) {
@@ -436,7 +467,7 @@ export class UpstoxService {
    * Check if user has valid Upstox connection
    */
   static async isConnected() {
-    const tokensResult = await this.getStoredTokens();
+    const tokensResult = await this.getValidTokens();
     return tokensResult?.success;
   }
 
@@ -445,7 +476,7 @@ export class UpstoxService {
    */
   static async getConnectionStatus() {
     try {
-      const tokensResult = await this.getStoredTokens();
+      const tokensResult = await this.getValidTokens();
       if (!tokensResult?.success) {
         return {
           connected: false,
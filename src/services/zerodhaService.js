@@ -0,0 +1,239 @@
+import { supabase } from '../lib/supabase.js';
+import BrokerCredentialService from './brokerCredentialService.js';
+import BrokerProxyService from './brokerProxyService.js';
+import TradeMatchingService from './tradeMatchingService.js';
+import ChargesService from './chargesService.js';
+import OptionsService from './optionsService.js';
+
+/**
+ * Zerodha Kite Connect Integration Service for TradeScope
+ * Handles the Kite login flow, session tokens, and tradebook/order import
+ */
+export class ZerodhaService {
+  // Kite order types mapped onto the public.order_type enum
+  static ORDER_TYPE_MAP = {
+    MARKET: 'market',
+    LIMIT: 'limit',
+    SL: 'stop_limit',
+    'SL-M': 'stop'
+  };
+
+  /**
+   * Get the Kite login URL for a broker's stored API key. Extra params are echoed back on the redirect.
+   */
+  static async getLoginUrl(brokerId, redirectParams = {}) {
+    const result = await BrokerProxyService?.invoke('loginUrl', brokerId, { redirectParams });
+    if (!result?.success) {
+      return result;
+    }
+
+    return { success: true, data: result?.data?.url, error: null };
+  }
+
+  /**
+   * Exchange the request token from the login redirect for an access token.
+   * The proxy computes the checksum with the stored secret and keeps the access token encrypted.
+   */
+  static async exchangeRequestToken(brokerId, requestToken) {
+    try {
+      const sessionResult = await BrokerProxyService?.invoke('createSession', brokerId, { requestToken });
+      if (!sessionResult?.success) {
+        return { success: false, data: null, error: sessionResult?.error || 'Failed to exchange request token' };
+      }
+
+      await BrokerCredentialService?.updateBrokerStatus(brokerId, 'active');
+
+      const { userId, userName, issuedAt } = sessionResult?.data || {};
+
+      return {
+        success: true,
+        data: {
+          userId,
+          userName,
+          expiresAt: this.getSessionExpiry(issuedAt)
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: 'Failed to exchange request token'
+      };
+    }
+  }
+
+  /**
+   * Kite sessions expire at 06:00 IST (00:30 UTC) the morning after login
+   */
+  static getSessionExpiry(issuedAt) {
+    const expiry = new Date(issuedAt);
+    expiry?.setUTCHours(0, 30, 0, 0);
+
+    if (expiry <= new Date(issuedAt)) {
+      expiry?.setUTCDate(expiry?.getUTCDate() + 1);
+    }
+
+    return expiry;
+  }
+
+  /**
+   * Kite timestamps ("2024-05-31 09:18:57") carry no zone and are in IST, so they are read as +05:30
+   * rather than in the browser's or server's local time
+   */
+  static parseTimestamp(value) {
+    const [date, time = '00:00:00'] = `${value || ''}`?.trim()?.split(/[ T]/);
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i?.test(time);
+    return new Date(`${date}T${time}${hasZone ? '' : '+05:30'}`);
+  }
+
+  /**
+   * Perform an authenticated GET against the Kite API through the broker proxy
+   */
+  static async request(brokerId, path, errorMessage) {
+    try {
+      const response = await BrokerProxyService?.request(brokerId, { path });
+
+      return {
+        success: true,
+        data: response?.data?.data,
+        error: null
+      };
+    } catch (error) {
+      if (error?.response?.data?.error_type === 'TokenException') {
+        return { success: false, data: null, error: 'Kite session expired. Please log in again' };
+      }
+
+      return {
+        success: false,
+        data: null,
+        error: error?.response?.data?.message || errorMessage
+      };
+    }
+  }
+
+  /**
+   * Get Kite user profile
+   */
+  static async getUserProfile(brokerId) {
+    return this.request(brokerId, '/user/profile', 'Failed to get user profile');
+  }
+
+  /**
+   * Get the day's tradebook (executed fills)
+   */
+  static async getTradeBook(brokerId) {
+    return this.request(brokerId, '/trades', 'Failed to get trade book');
+  }
+
+  /**
+   * Get the day's order history
+   */
+  static async getOrderHistory(brokerId) {
+    return this.request(brokerId, '/orders', 'Failed to get order history');
+  }
+
+  /**
+   * Get current positions
+   */
+  static async getPositions(brokerId) {
+    return this.request(brokerId, '/portfolio/positions', 'Failed to get positions');
+  }
+
+  /**
+   * Get equity and commodity funds and margins
+   */
+  static async getMargins(brokerId) {
+    return this.request(brokerId, '/user/margins', 'Failed to get funds and margins');
+  }
+
+  /**
+   * Read the day's tradebook fills as execution legs, without saving them
+   */
+  static async fetchLegs(brokerId) {
+    try {
+      const { data: user } = await supabase?.auth?.getUser();
+      if (!user?.user) {
+        return { success: false, data: null, error: 'User not authenticated' };
+      }
+
+      const tradesResult = await this.getTradeBook(brokerId);
+      if (!tradesResult?.success) {
+        return tradesResult;
+      }
+
+      const ordersResult = await this.getOrderHistory(brokerId);
+      if (!ordersResult?.success) {
+        return ordersResult;
+      }
+
+      const kiteTrades = tradesResult?.data || [];
+      const ordersById = Object.fromEntries((ordersResult?.data || [])?.map((kiteOrder) => [kiteOrder?.order_id, kiteOrder]));
+
+      // Store each tradebook fill as an execution leg carrying its parent order's details
+      const legs = kiteTrades?.map((kiteTrade) => {
+        const kiteOrder = ordersById?.[kiteTrade?.order_id];
+        const filledAt = this.parseTimestamp(kiteTrade?.fill_timestamp || kiteTrade?.exchange_timestamp || kiteTrade?.order_timestamp)?.toISOString();
+
+        return {
+          user_profile_id: user?.user?.id,
+          broker_id: brokerId,
+          symbol: kiteTrade?.tradingsymbol,
+          side: kiteTrade?.transaction_type?.toUpperCase() === 'BUY' ? 'buy' : 'sell',
+          order_type: this.ORDER_TYPE_MAP?.[kiteOrder?.order_type] || 'market',
+          quantity: parseFloat(kiteTrade?.quantity),
+          price: parseFloat(kiteOrder?.price) || null,
+          status: 'filled',
+          filled_quantity: parseFloat(kiteTrade?.quantity),
+          filled_price: parseFloat(kiteTrade?.average_price),
+          executed_at: filledAt,
+          asset_class: TradeMatchingService?.assetClassForSegment(kiteTrade?.exchange, kiteTrade?.tradingsymbol),
+          exchange: kiteTrade?.exchange,
+          currency: 'INR',
+          fees_currency: 'INR',
+          product: ChargesService?.productFor(kiteTrade?.product),
+          ...OptionsService?.contractFields(kiteTrade?.tradingsymbol, kiteTrade?.exchange),
+          order_id_external: kiteTrade?.order_id,
+          execution_id_external: kiteTrade?.trade_id
+        };
+      });
+
+      return { success: true, data: legs, error: null };
+    } catch (error) {
+      return { success: false, data: null, error: 'Failed to read Zerodha tradebook' };
+    }
+  }
+
+  /**
+   * Import tradebook fills from Kite as execution legs and rebuild round-trip trades
+   */
+  static async importTradesToDatabase(brokerId, preferences = null) {
+    try {
+      const legsResult = await this.fetchLegs(brokerId);
+      if (!legsResult?.success) {
+        return legsResult;
+      }
+
+      const legs = legsResult?.data;
+
+      const importResult = await TradeMatchingService?.importLegs(brokerId, legs, preferences);
+      if (!importResult?.success) {
+        return importResult;
+      }
+
+      return {
+        success: true,
+        data: { ...importResult?.data, totalKiteTrades: legs?.length },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        error: 'Failed to import Zerodha trades to database'
+      };
+    }
+  }
+}
+
+export default ZerodhaService;
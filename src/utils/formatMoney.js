@@ -0,0 +1,10 @@
+// Currency amount for display; INR is grouped the Indian way (12,34,567.00)
+export const formatMoney = (value, currency) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '—';
+  return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })?.format(value);
+};
@@ -0,0 +1,22 @@
+// Stand-in for src/lib/supabase.js when the app's service modules run inside an edge function.
+// `supabase` forwards to the client of the withSupabaseClient() call it runs under, so concurrent
+// runs for different users never share a client and nothing is left bound between them.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// deno-lint-ignore no-explicit-any
+const currentClient = new AsyncLocalStorage<any>();
+
+// deno-lint-ignore no-explicit-any
+export const supabase: any = new Proxy({}, {
+  get(_target, property) {
+    const client = currentClient.getStore();
+    if (!client) {
+      throw new Error('supabase used outside withSupabaseClient()');
+    }
+    const value = client[property];
+    return typeof value === 'function' ? value.bind(client) : value;
+  }
+});
+
+// deno-lint-ignore no-explicit-any
+export const withSupabaseClient = <T>(client: any, run: () => Promise<T>) => currentClient.run(client, run);
@@ -0,0 +1,306 @@
+// Broker proxy - the only place decrypted broker credentials are used.
+//
+// Credentials are stored encrypted by public.store_broker_credentials() (see
+// supabase/migrations/20261019170000_broker_credential_vault.sql) and can only be read back
+// with the service role. The app's broker services call this function instead of the broker
+// APIs directly; it signs each request server-side and returns only the broker's response.
+//
+// Callers authenticate with their own session and the broker must be theirs; scheduled-sync
+// signs in as each broker's owner rather than calling with the service role key.
+//
+// Actions:
+//   loginUrl       { brokerId, redirectParams }  Kite login URL for the stored API key
+//   createSession  { brokerId, requestToken }    Exchange a Kite request token and store the access token
+//   request        { brokerId, path, params }    Signed GET to one of the broker's ALLOWED_PATHS
+//   test           { brokerId }                  Connection test
+//   testCredentials { brokerKey, environment, credentials }  Connection test for credentials not yet saved
+//
+// Setup:
+//   supabase functions deploy broker-proxy
+
+import { createClient } from '@supabase/supabase-js';
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!;
+const SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+
+const KITE_URL = 'https://api.kite.trade';
+const KITE_LOGIN_URL = 'https://kite.zerodha.com/connect/login';
+const FLEX_URL = 'https://ndcdyn.interactivebrokers.com/AccountManagement/FlexWebService';
+const FLEX_VERSION = '3';
+const ALPACA_URLS: Record<string, string> = {
+  paper: 'https://paper-api.alpaca.markets',
+  live: 'https://api.alpaca.markets'
+};
+
+// The read-only endpoints the app's broker services call. Anything else is refused, so a caller
+// cannot use the stored credentials to place orders, cancel them or move funds
+const ALLOWED_PATHS: Record<string, string[]> = {
+  zerodha: ['/user/profile', '/user/margins', '/trades', '/orders', '/portfolio/positions'],
+  alpaca: ['/v2/account', '/v2/account/activities/FILL', '/v2/orders', '/v2/positions'],
+  interactive: ['/SendRequest', '/GetStatement']
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+type Credentials = Record<string, string | undefined>;
+type Broker = { id: string; broker_key: string | null; environment: string | null; user_profile_id: string };
+
+class ProxyError extends Error {
+  constructor(message: string, public status = 400) {
+    super(message);
+  }
+}
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
+
+const admin = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+// Kite sessions expire at 06:00 IST (00:30 UTC) the morning after login
+const kiteSessionExpiry = (issuedAt: string) => {
+  const expiry = new Date(issuedAt);
+  expiry.setUTCHours(0, 30, 0, 0);
+  if (expiry <= new Date(issuedAt)) {
+    expiry.setUTCDate(expiry.getUTCDate() + 1);
+  }
+  return expiry;
+};
+
+const sha256Hex = async (text: string) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Returns the calling user's id
+const authenticate = async (req: Request) => {
+  const token = req.headers.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  if (!token) throw new ProxyError('Unauthorized', 401);
+
+  const { data: { user } } = await admin.auth.getUser(token);
+  if (!user) throw new ProxyError('Unauthorized', 401);
+  return user.id;
+};
+
+const loadBroker = async (req: Request, brokerId: string) => {
+  const userId = await authenticate(req);
+
+  const { data: broker, error } = await admin
+    .from('brokers')
+    .select('id, broker_key, environment, user_profile_id')
+    .eq('id', brokerId)
+    .maybeSingle();
+
+  if (error || !broker || userId !== broker.user_profile_id) {
+    throw new ProxyError('Broker not found', 404);
+  }
+
+  const { data: credentials, error: credentialsError } = await admin.rpc('get_broker_credentials', { p_broker_id: brokerId });
+  if (credentialsError) throw new ProxyError('Failed to read broker credentials', 500);
+
+  return { broker: broker as Broker, credentials: (credentials ?? {}) as Credentials };
+};
+
+const storeCredentials = async (brokerId: string, credentials: Credentials) => {
+  const { error } = await admin.rpc('store_broker_credentials', { p_broker_id: brokerId, p_credentials: credentials });
+  if (error) throw new ProxyError('Failed to store broker credentials', 500);
+};
+
+// Signed base URL, headers and query params for a broker API call
+const signRequest = (broker: Broker, credentials: Credentials, path: string, params: Record<string, string>) => {
+  switch (broker.broker_key) {
+    case 'zerodha': {
+      if (!credentials.accessToken || !credentials.accessTokenIssuedAt) {
+        throw new ProxyError('Kite login required', 401);
+      }
+      if (new Date() >= kiteSessionExpiry(credentials.accessTokenIssuedAt)) {
+        return null;
+      }
+      return {
+        baseUrl: KITE_URL,
+        headers: { 'Authorization': `token ${credentials.apiKey}:${credentials.accessToken}`, 'X-Kite-Version': '3' },
+        params
+      };
+    }
+
+    case 'alpaca':
+      return {
+        baseUrl: ALPACA_URLS[broker.environment ?? ''] ?? ALPACA_URLS.paper,
+        headers: { 'APCA-API-KEY-ID': credentials.apiKey ?? '', 'APCA-API-SECRET-KEY': credentials.apiSecret ?? '' },
+        params
+      };
+
+    case 'interactive':
+      // SendRequest runs the stored query; GetStatement downloads by the reference code it returned
+      if (path === '/SendRequest') {
+        return { baseUrl: FLEX_URL, headers: {}, params: { t: credentials.flexToken ?? '', q: credentials.flexQueryId ?? '', v: FLEX_VERSION } };
+      }
+      if (path === '/GetStatement') {
+        return { baseUrl: FLEX_URL, headers: {}, params: { t: credentials.flexToken ?? '', q: params?.q ?? '', v: FLEX_VERSION } };
+      }
+      throw new ProxyError('Unsupported Flex Web Service path');
+
+    default:
+      throw new ProxyError('This broker does not support API requests');
+  }
+};
+
+const brokerRequest = async (
+  broker: Broker,
+  credentials: Credentials,
+  { method = 'GET', path = '', params = {}, data }: { method?: string; path?: string; params?: Record<string, string>; data?: unknown }
+) => {
+  if (method.toUpperCase() !== 'GET' || data !== undefined) {
+    throw new ProxyError('Only GET requests are allowed');
+  }
+  if (!ALLOWED_PATHS[broker.broker_key ?? '']?.includes(path)) {
+    throw new ProxyError('Unsupported broker API path');
+  }
+
+  const signed = signRequest(broker, credentials, path, params);
+  if (!signed) {
+    return { status: 403, data: { error_type: 'TokenException', message: 'Kite session expired. Please log in again' } };
+  }
+
+  // Paths are appended to a fixed broker host; anything that resolves elsewhere is refused
+  const url = new URL(`${signed.baseUrl}${path}`);
+  if (!path.startsWith('/') || url.origin !== new URL(signed.baseUrl).origin) {
+    throw new ProxyError('Invalid request path');
+  }
+  Object.entries(signed.params ?? {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+  });
+
+  const response = await fetch(url, { method: 'GET', headers: signed.headers });
+
+  const text = await response.text();
+  let body: unknown = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Flex statements and envelopes are XML; return them as text
+  }
+
+  return { status: response.status, data: body };
+};
+
+const createKiteSession = async (broker: Broker, credentials: Credentials, requestToken: string) => {
+  if (!credentials.apiKey || !credentials.apiSecret) {
+    throw new ProxyError('Missing API key or secret');
+  }
+
+  // Kite expects SHA-256(api_key + request_token + api_secret)
+  const checksum = await sha256Hex(`${credentials.apiKey}${requestToken}${credentials.apiSecret}`);
+
+  const response = await fetch(`${KITE_URL}/session/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Kite-Version': '3' },
+    body: new URLSearchParams({ api_key: credentials.apiKey, request_token: requestToken, checksum })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ProxyError(body?.message || 'Failed to exchange request token');
+  }
+
+  const issuedAt = new Date().toISOString();
+  await storeCredentials(broker.id, { accessToken: body?.data?.access_token, accessTokenIssuedAt: issuedAt });
+
+  return { userId: body?.data?.user_id, userName: body?.data?.user_name, issuedAt };
+};
+
+const testConnection = async (broker: Broker, credentials: Credentials) => {
+  switch (broker.broker_key) {
+    case 'zerodha': {
+      if (!credentials.apiKey || !credentials.apiSecret) throw new ProxyError('Missing API key or secret');
+      // Without a Kite session we can only validate the key pair exists
+      if (!credentials.accessToken) return { status: 'login_required' };
+      const result = await brokerRequest(broker, credentials, { path: '/user/profile' });
+      if (result.status >= 400) throw new ProxyError('Kite session expired. Please log in again');
+      return { status: 'connected' };
+    }
+
+    case 'alpaca': {
+      if (!credentials.apiKey || !credentials.apiSecret) throw new ProxyError('Missing API key or secret');
+      const result = await brokerRequest(broker, credentials, { path: '/v2/account' });
+      if (result.status >= 400) throw new ProxyError('Alpaca rejected the API key or secret');
+      return { status: 'connected' };
+    }
+
+    case 'interactive': {
+      if (!credentials.flexToken || !credentials.flexQueryId) throw new ProxyError('Missing Flex token or query ID');
+      // SendRequest validates the token/query pair without downloading a statement
+      const result = await brokerRequest(broker, credentials, { path: '/SendRequest' });
+      const body = String(result.data);
+      if (result.status >= 400 || !body.includes('<Status>Success</Status>')) {
+        throw new ProxyError(body.match(/<ErrorMessage>(.*?)<\/ErrorMessage>/)?.[1] || 'Flex Web Service rejected the token or query ID');
+      }
+      return { status: 'connected' };
+    }
+
+    case 'upstox':
+      if (!credentials.apiKey) throw new ProxyError('Missing API key');
+      return { status: 'connected' };
+
+    case 'mt5':
+      if (!credentials.userId || !credentials.password || !credentials.serverAddress) {
+        throw new ProxyError('Missing user ID, password, or server address');
+      }
+      return { status: 'connected' };
+
+    default:
+      throw new ProxyError('Unsupported broker type');
+  }
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+
+  try {
+    const { action, brokerId, ...payload } = await req.json();
+
+    if (action === 'testCredentials') {
+      await authenticate(req);
+      const broker = { id: '', broker_key: payload.brokerKey ?? null, environment: payload.environment ?? null, user_profile_id: '' };
+      return json(await testConnection(broker, payload.credentials ?? {}));
+    }
+
+    if (!brokerId) throw new ProxyError('brokerId is required');
+
+    const { broker, credentials } = await loadBroker(req, brokerId);
+
+    switch (action) {
+      case 'loginUrl': {
+        if (broker.broker_key !== 'zerodha' || !credentials.apiKey) throw new ProxyError('Missing API key');
+        const params = new URLSearchParams({ v: '3', api_key: credentials.apiKey });
+        const extraParams = new URLSearchParams(payload.redirectParams ?? {}).toString();
+        if (extraParams) params.append('redirect_params', extraParams);
+        return json({ url: `${KITE_LOGIN_URL}?${params.toString()}` });
+      }
+
+      case 'createSession':
+        if (broker.broker_key !== 'zerodha') throw new ProxyError('Sessions are only used by Zerodha');
+        return json(await createKiteSession(broker, credentials, payload.requestToken));
+
+      case 'request':
+        return json(await brokerRequest(broker, credentials, payload));
+
+      case 'test':
+        return json(await testConnection(broker, credentials));
+
+      default:
+        throw new ProxyError('Unknown action');
+    }
+  } catch (err) {
+    if (err instanceof ProxyError) {
+      return json({ error: err.message }, err.status);
+    }
+    return json({ error: 'Broker request failed' }, 500);
+  }
+});
@@ -0,0 +1,138 @@
+// Scheduled broker sync - invoked every 5 minutes by the pg_cron job in
+// supabase/migrations/20261019150000_sync_preferences.sql.
+//
+// Picks up brokers whose sync_preferences.next_sync_at is due and runs the same
+// TradingService.syncBroker used by the app's "Sync Now" button, then reconciles the
+// broker's last week against the journal so differences show up on the Reconciliation
+// tab without anyone asking for a report. The app's service modules are imported
+// directly; every relative import under src/services names its file (".js") so Deno can
+// resolve it, and deno.json only maps src/lib/supabase.js onto _shared/supabaseClient.ts
+// (see edgeFunctionImports.test.js).
+//
+// Each broker runs inside withSupabaseClient() with a client carrying a short-lived access token
+// minted here for its owner (HS256 with the project's JWT secret), so row level security scopes
+// every query exactly as in the app. Nobody is logged in: no session or refresh token is created,
+// no sign-in shows up in the auth logs and login hooks do not fire. The services are not run with
+// the service-role client because they rely on row level security and auth.getUser() for scoping.
+//
+// Setup:
+//   supabase secrets set SYNC_JWT_SECRET=<project JWT secret, Settings > API>
+//   supabase functions deploy scheduled-sync
+//   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+//   select vault.create_secret('<service-role-key>', 'service_role_key');
+
+import { createClient } from '@supabase/supabase-js';
+import { DOMParser } from 'linkedom';
+import { withSupabaseClient } from '../_shared/supabaseClient.ts';
+import TradingService from '../../../src/services/tradingService.js';
+import ReconciliationService from '../../../src/services/reconciliationService.js';
+import { BrokerRegistry } from '../../../src/services/brokerAdapters/index.js';
+
+// Flex statements are parsed with DOMParser, which the edge runtime does not provide
+// deno-lint-ignore no-explicit-any
+(globalThis as any).DOMParser ??= DOMParser;
+
+const SUPABASE_URL = Deno.env.get('SUPABASE_URL')!;
+const SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+const ANON_KEY = Deno.env.get('SUPABASE_ANON_KEY')!;
+const JWT_SECRET = Deno.env.get('SYNC_JWT_SECRET')!;
+
+// Long enough for a slow statement download, short enough to be useless once the run is over
+const TOKEN_TTL_SECONDS = 15 * 60;
+
+// Brokers synced per invocation; the rest are picked up on the next run
+const BATCH_SIZE = 25;
+
+const base64Url = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// An access token for the user as the auth server would issue it, without a session behind it
+const mintUserToken = async (userId: string) => {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (part: object) => base64Url(new TextEncoder().encode(JSON.stringify(part)));
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    iss: `${SUPABASE_URL}/auth/v1`,
+    sub: userId,
+    aud: 'authenticated',
+    role: 'authenticated',
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS
+  })}`;
+
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(JWT_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(unsigned));
+  return `${unsigned}.${base64Url(new Uint8Array(signature))}`;
+};
+
+// An anon-key client that sends the user's token on every request. It holds no session, so
+// auth.getUser() is pointed at the token; everything else is the client as is
+const clientForUser = async (userId: string) => {
+  const token = await mintUserToken(userId);
+  const client = createClient(SUPABASE_URL, ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${token}` } },
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+  });
+
+  const auth = new Proxy(client.auth, {
+    get: (target, property) => (property === 'getUser' ? () => target.getUser(token) : Reflect.get(target, property))
+  });
+  return new Proxy(client, {
+    get: (target, property) => (property === 'auth' ? auth : Reflect.get(target, property))
+  });
+};
+
+Deno.serve(async (req) => {
+  if (req.headers.get('Authorization') !== `Bearer ${SERVICE_ROLE_KEY}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
+  }
+
+  const admin = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const { data: due, error } = await admin
+    .from('sync_preferences')
+    .select('broker_id, user_profile_id, brokers!inner(*)')
+    .eq('auto_sync', true)
+    .neq('sync_frequency', 'manual')
+    .lte('next_sync_at', new Date().toISOString())
+    .eq('brokers.status', 'active')
+    .order('next_sync_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    return new Response(JSON.stringify({ error: error.message }), { status: 500 });
+  }
+
+  const results = [];
+
+  // One broker at a time, so brokers sharing a rate-limited API key are not hit at once
+  for (const row of due ?? []) {
+    try {
+      const client = await clientForUser(row.user_profile_id);
+
+      const { syncResult, reconcileResult } = await withSupabaseClient(client, async () => {
+        const syncResult = await TradingService.syncBroker(row.brokers, 'scheduled');
+
+        const reconcileResult = syncResult?.success && BrokerRegistry.forBroker(row.brokers)?.supportsReconciliation
+          ? await ReconciliationService.runReport(row.brokers, ReconciliationService.defaultRange(), 'scheduled')
+          : null;
+
+        return { syncResult, reconcileResult };
+      });
+
+      results.push({
+        brokerId: row.broker_id,
+        success: syncResult?.success,
+        importedCount: syncResult?.data?.importedCount ?? 0,
+        reconciliationStatus: reconcileResult?.data?.status ?? null,
+        error: syncResult?.error ?? null
+      });
+    } catch (err) {
+      results.push({ brokerId: row.broker_id, success: false, importedCount: 0, reconciliationStatus: null, error: String(err) });
+    }
+  }
+
+  return new Response(JSON.stringify({ synced: results.length, results }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+});
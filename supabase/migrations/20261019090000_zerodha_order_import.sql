@@ -0,0 +1,8 @@
+-- Location: supabase/migrations/20261019090000_zerodha_order_import.sql
+-- Schema Analysis: orders table exists with order_id_external but no uniqueness
+-- Integration Type: Additive index so broker importers can upsert orders
+-- Dependencies: public.orders
+
+-- 1. Unique external order id - NULLs stay distinct for manually entered orders
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_order_id_external
+ON public.orders(order_id_external);
@@ -0,0 +1,21 @@
+-- Location: supabase/migrations/20261019100000_alpaca_environment.sql
+-- Schema Analysis: brokers rows have no notion of paper vs live trading endpoints
+-- Integration Type: Additive column on existing brokers table
+-- Dependencies: public.brokers
+
+-- 1. Broker environment - NULL for brokers without separate paper/live APIs
+ALTER TABLE public.brokers
+ADD COLUMN IF NOT EXISTS environment TEXT;
+
+DO $$ BEGIN
+    ALTER TABLE public.brokers
+    ADD CONSTRAINT brokers_environment_check CHECK (environment IN ('paper', 'live'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 2. Existing Alpaca rows were always synced against the paper API
+UPDATE public.brokers
+SET environment = 'paper'
+WHERE environment IS NULL
+AND lower(name) IN ('alpaca', 'alpaca markets');
@@ -0,0 +1,12 @@
+-- Location: supabase/migrations/20261019110000_trade_currency_and_fees.sql
+-- Schema Analysis: Existing trades table (text id) has no currency, commission or asset class
+-- Integration Type: Additive columns so statement imports keep commissions and FX data
+-- Dependencies: public.trades
+
+-- 1. Trade currency, FX and commission columns
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS asset_class TEXT,
+ADD COLUMN IF NOT EXISTS currency TEXT,
+ADD COLUMN IF NOT EXISTS fx_rate_to_base DECIMAL(18,8),
+ADD COLUMN IF NOT EXISTS fees DECIMAL(15,6) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS fees_currency TEXT;
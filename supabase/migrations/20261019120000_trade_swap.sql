@@ -0,0 +1,15 @@
+-- Location: supabase/migrations/20261019120000_trade_swap.sql
+-- Schema Analysis: trades carries fees but not overnight financing charged by CFD/forex brokers
+-- Integration Type: Additive column for MetaTrader 5 report imports
+-- Dependencies: public.trades
+
+-- 1. Overnight swap/rollover charged or credited on the position
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS swap DECIMAL(15,6) DEFAULT 0;
+
+-- 2. MT5 deal, ticket and position numbers are only unique on one trade server, so report imports key
+-- their rows by broker too (mt5-<broker_id>-<deal>, mt5-open-<broker_id>-<ticket>, mt5-pos-<broker_id>-<position>)
+UPDATE public.trades
+SET external_id = regexp_replace(external_id, '^mt5-((open|pos)-)?', 'mt5-\1' || broker_id::text || '-')
+WHERE broker_id IS NOT NULL
+AND external_id ~ '^mt5-((open|pos)-)?[0-9]+$';
@@ -0,0 +1,39 @@
+-- Location: supabase/migrations/20261019130000_import_mappings.sql
+-- Schema Analysis: No storage for file-import column mappings
+-- Integration Type: New table for per-broker CSV/XLSX import mappings
+-- Dependencies: public.user_profiles, public.update_updated_at_column()
+
+-- 1. Import mappings - one saved mapping per user and broker/source name
+CREATE TABLE IF NOT EXISTS public.import_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    broker_name TEXT NOT NULL,
+    mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    date_format TEXT DEFAULT 'auto',
+    default_currency public.currency_code DEFAULT 'INR'::public.currency_code,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_profile_id, broker_name)
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_import_mappings_user_profile_id ON public.import_mappings(user_profile_id);
+
+-- 3. RLS
+ALTER TABLE public.import_mappings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_import_mappings" ON public.import_mappings;
+
+CREATE POLICY "users_manage_own_import_mappings"
+ON public.import_mappings
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 4. Triggers
+DROP TRIGGER IF EXISTS update_import_mappings_updated_at ON public.import_mappings;
+
+CREATE TRIGGER update_import_mappings_updated_at
+  BEFORE UPDATE ON public.import_mappings
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,90 @@
+-- Location: supabase/migrations/20261019140000_execution_legs.sql
+-- Schema Analysis: orders holds one row per broker order; trades holds one row per fill with no exit
+-- Integration Type: orders rows become execution legs that the matching engine pairs into round trips
+-- Dependencies: public.orders, public.brokers, public.trading_accounts, public.trades
+
+-- 1. Execution leg columns on orders
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS broker_id UUID REFERENCES public.brokers(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS trading_account_id UUID REFERENCES public.trading_accounts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS execution_id_external TEXT,
+ADD COLUMN IF NOT EXISTS side public.trade_type,
+ADD COLUMN IF NOT EXISTS executed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS fees DECIMAL(15,6) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS fees_currency TEXT,
+ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(15,6),
+ADD COLUMN IF NOT EXISTS asset_class TEXT,
+ADD COLUMN IF NOT EXISTS currency TEXT,
+ADD COLUMN IF NOT EXISTS fx_rate_to_base DECIMAL(18,8);
+
+-- 2. Several legs share one broker order, so uniqueness moves to the execution id. Execution ids are
+--    only unique within a broker connection (two accounts can both have fill 1), so the key includes it
+DROP INDEX IF EXISTS public.idx_orders_order_id_external;
+CREATE INDEX IF NOT EXISTS idx_orders_order_id_external ON public.orders(order_id_external);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_broker_execution_id
+ON public.orders(broker_id, execution_id_external);
+CREATE INDEX IF NOT EXISTS idx_orders_broker_id_executed_at ON public.orders(broker_id, executed_at);
+
+-- 3. Earlier importers stored each broker fill as a closed trade with no exit (external_id = fill id),
+--    plus an order-level row linked to the order's first fill. Tradebooks only return recent fills, so
+--    those fills become legs under the same fill id the importers now use; the next rebuild replaces the
+--    per-fill trades with round trips. Order-level rows are kept as order history; they have no
+--    execution id, so the matcher never reads them as legs.
+INSERT INTO public.orders (
+    user_profile_id, broker_id, symbol, side, order_type, quantity, price, status,
+    filled_quantity, filled_price, executed_at, fees, fees_currency, asset_class, currency,
+    fx_rate_to_base, order_id_external, execution_id_external
+)
+SELECT
+    b.user_profile_id,
+    t.broker_id,
+    t.symbol,
+    t.trade_type,
+    COALESCE(o.order_type, 'market'::public.order_type),
+    t.quantity,
+    o.price,
+    'filled',
+    t.quantity,
+    t.entry_price,
+    t.opened_at,
+    COALESCE(t.fees, 0),
+    t.fees_currency,
+    t.asset_class,
+    t.currency,
+    t.fx_rate_to_base,
+    o.order_id_external,
+    t.external_id
+FROM public.trades t
+JOIN public.brokers b ON b.id = t.broker_id
+LEFT JOIN LATERAL (
+    SELECT lo.order_type, lo.price, lo.order_id_external
+    FROM public.orders lo
+    WHERE lo.trade_id = t.id
+    AND lo.execution_id_external IS NULL
+    LIMIT 1
+) o ON true
+WHERE t.external_id IS NOT NULL
+AND t.external_id NOT LIKE 'rt-%'
+AND t.status = 'closed'
+AND t.exit_price IS NULL
+AND t.opened_at IS NOT NULL
+AND t.closed_at = t.opened_at
+AND t.quantity > 0
+AND t.entry_price IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- 4. Lot matching method per broker
+ALTER TABLE public.brokers
+ADD COLUMN IF NOT EXISTS matching_method TEXT DEFAULT 'fifo';
+
+DO $$ BEGIN
+    ALTER TABLE public.brokers
+    ADD CONSTRAINT brokers_matching_method_check CHECK (matching_method IN ('fifo', 'lifo', 'average'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 5. Alpaca syncs incrementally; clear the cursor so full fill history is re-read as legs
+UPDATE public.brokers
+SET last_sync_at = NULL
+WHERE lower(name) IN ('alpaca', 'alpaca markets');
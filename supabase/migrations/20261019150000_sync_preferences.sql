@@ -0,0 +1,99 @@
+-- Location: supabase/migrations/20261019150000_sync_preferences.sql
+-- Schema Analysis: Import preferences were never persisted; brokers only sync when the user clicks Sync
+-- Integration Type: New per-broker preferences table plus a pg_cron job that calls the scheduled-sync edge function
+-- Dependencies: public.user_profiles, public.brokers, public.update_updated_at_column(), pg_cron, pg_net, Vault secrets
+
+-- 1. Sync preferences - one row per broker
+CREATE TABLE IF NOT EXISTS public.sync_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    broker_id UUID REFERENCES public.brokers(id) ON DELETE CASCADE,
+    auto_sync BOOLEAN DEFAULT true,
+    sync_frequency TEXT DEFAULT '15min',
+    data_range TEXT DEFAULT '30days',
+    duplicate_handling TEXT DEFAULT 'skip',
+    auto_categorize BOOLEAN DEFAULT true,
+    import_types JSONB NOT NULL DEFAULT '{"equity": true, "futures": true, "options": true, "forex": false, "crypto": false}'::jsonb,
+    notifications JSONB NOT NULL DEFAULT '{"syncComplete": true, "syncErrors": true, "dailySummary": false}'::jsonb,
+    next_sync_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(broker_id),
+    CONSTRAINT sync_preferences_frequency_check CHECK (sync_frequency IN ('5min', '15min', '30min', '1hour', '4hours', 'manual')),
+    CONSTRAINT sync_preferences_data_range_check CHECK (data_range IN ('7days', '30days', '90days', 'all')),
+    CONSTRAINT sync_preferences_duplicate_handling_check CHECK (duplicate_handling IN ('skip', 'update'))
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_sync_preferences_user_profile_id ON public.sync_preferences(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_sync_preferences_due ON public.sync_preferences(next_sync_at) WHERE auto_sync = true;
+
+-- 3. RLS
+ALTER TABLE public.sync_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_sync_preferences" ON public.sync_preferences;
+
+CREATE POLICY "users_manage_own_sync_preferences"
+ON public.sync_preferences
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 4. Triggers
+DROP TRIGGER IF EXISTS update_sync_preferences_updated_at ON public.sync_preferences;
+
+CREATE TRIGGER update_sync_preferences_updated_at
+  BEFORE UPDATE ON public.sync_preferences
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- 5. Default preferences for existing and newly connected brokers, due on the next scheduler run
+CREATE OR REPLACE FUNCTION public.create_default_sync_preferences()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    INSERT INTO public.sync_preferences (user_profile_id, broker_id, next_sync_at)
+    VALUES (NEW.user_profile_id, NEW.id, CURRENT_TIMESTAMP)
+    ON CONFLICT (broker_id) DO NOTHING;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS create_broker_sync_preferences ON public.brokers;
+
+CREATE TRIGGER create_broker_sync_preferences
+  AFTER INSERT ON public.brokers
+  FOR EACH ROW EXECUTE FUNCTION public.create_default_sync_preferences();
+
+INSERT INTO public.sync_preferences (user_profile_id, broker_id, next_sync_at)
+SELECT b.user_profile_id, b.id, CURRENT_TIMESTAMP
+FROM public.brokers b
+ON CONFLICT (broker_id) DO NOTHING;
+
+-- 6. Scheduler - every 5 minutes, run the edge function that syncs brokers whose next_sync_at is due.
+-- Requires Vault secrets 'project_url' and 'service_role_key' (see supabase/functions/scheduled-sync).
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+DO $$ BEGIN
+    PERFORM cron.unschedule('scheduled-broker-sync');
+EXCEPTION
+    WHEN OTHERS THEN null;
+END $$;
+
+SELECT cron.schedule(
+    'scheduled-broker-sync',
+    '*/5 * * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/scheduled-sync',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+    );
+    $$
+);
@@ -0,0 +1,49 @@
+-- Location: supabase/migrations/20261019160000_sync_runs.sql
+-- Schema Analysis: Only brokers.last_sync_at records that a sync happened; no per-run audit trail
+-- Integration Type: New table recording every broker sync/import run with counts and row errors
+-- Dependencies: public.user_profiles, public.brokers, public.update_updated_at_column()
+
+-- 1. Sync runs
+CREATE TABLE IF NOT EXISTS public.sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    broker_id UUID REFERENCES public.brokers(id) ON DELETE CASCADE,
+    trigger_type TEXT NOT NULL DEFAULT 'manual',
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ,
+    fetched_count INTEGER DEFAULT 0,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    row_errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    retry_of UUID REFERENCES public.sync_runs(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT sync_runs_trigger_type_check CHECK (trigger_type IN ('manual', 'scheduled', 'upload', 'retry')),
+    CONSTRAINT sync_runs_status_check CHECK (status IN ('running', 'success', 'partial', 'error'))
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_sync_runs_user_profile_id_started_at ON public.sync_runs(user_profile_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_broker_id ON public.sync_runs(broker_id);
+
+-- 3. RLS
+ALTER TABLE public.sync_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_sync_runs" ON public.sync_runs;
+
+CREATE POLICY "users_manage_own_sync_runs"
+ON public.sync_runs
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 4. Triggers
+DROP TRIGGER IF EXISTS update_sync_runs_updated_at ON public.sync_runs;
+
+CREATE TRIGGER update_sync_runs_updated_at
+  BEFORE UPDATE ON public.sync_runs
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,217 @@
+-- Location: supabase/migrations/20261019170000_broker_credential_vault.sql
+-- Schema Analysis: brokers.api_key holds every credential (API secrets, passwords, TOTP keys) as plain JSON readable by the browser
+-- Integration Type: Encrypted credential table keyed from Vault, SECURITY DEFINER store/read/rotate functions, migration of existing rows
+-- Dependencies: public.brokers, public.update_updated_at_column(), pgcrypto, Vault
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- 1. Encryption keys - the key material lives in Vault, this table only records versions
+CREATE TABLE IF NOT EXISTS public.broker_credential_keys (
+    version INTEGER PRIMARY KEY,
+    secret_id UUID NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Encrypted credentials - one row per broker
+CREATE TABLE IF NOT EXISTS public.broker_credentials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    broker_id UUID REFERENCES public.brokers(id) ON DELETE CASCADE,
+    ciphertext BYTEA NOT NULL,
+    key_version INTEGER NOT NULL REFERENCES public.broker_credential_keys(version),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(broker_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_broker_credentials_key_version ON public.broker_credentials(key_version);
+
+-- Masked, non-secret view of what is stored, safe to show in the app
+ALTER TABLE public.brokers
+ADD COLUMN IF NOT EXISTS credential_hints JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- 3. RLS - no policies: only the service role and the functions below can touch these tables
+ALTER TABLE public.broker_credential_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.broker_credentials ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.broker_credential_keys FROM anon, authenticated;
+REVOKE ALL ON public.broker_credentials FROM anon, authenticated;
+
+-- 4. Triggers
+DROP TRIGGER IF EXISTS update_broker_credentials_updated_at ON public.broker_credentials;
+
+CREATE TRIGGER update_broker_credentials_updated_at
+  BEFORE UPDATE ON public.broker_credentials
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- 5. Initial key, generated inside the database so it never leaves Postgres
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM public.broker_credential_keys) THEN
+        INSERT INTO public.broker_credential_keys (version, secret_id)
+        VALUES (1, vault.create_secret(
+            encode(extensions.gen_random_bytes(32), 'hex'),
+            'broker_credentials_key_v1',
+            'Encrypts public.broker_credentials'
+        ));
+    END IF;
+END $$;
+
+-- 6. Functions
+CREATE OR REPLACE FUNCTION public.broker_credential_key(p_version INTEGER)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+    SELECT s.decrypted_secret
+    FROM public.broker_credential_keys k
+    JOIN vault.decrypted_secrets s ON s.id = k.secret_id
+    WHERE k.version = p_version;
+$$;
+
+-- Secrets are masked completely; identifiers keep their last four characters
+CREATE OR REPLACE FUNCTION public.broker_credential_hints(p_credentials JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_object_agg(key, CASE
+        WHEN key IN ('apiSecret', 'password', 'flexToken', 'accessToken') THEN to_jsonb('••••••••'::TEXT)
+        WHEN key = 'accessTokenIssuedAt' THEN value
+        ELSE to_jsonb('••••' || right(value #>> '{}', 4))
+    END), '{}'::jsonb)
+    FROM jsonb_each(p_credentials)
+    WHERE jsonb_typeof(value) <> 'null';
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_broker_credentials(p_broker_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+    SELECT extensions.pgp_sym_decrypt(c.ciphertext, public.broker_credential_key(c.key_version))::jsonb
+    FROM public.broker_credentials c
+    WHERE c.broker_id = p_broker_id;
+$$;
+
+-- Merges new values over the stored ones (null clears a field) and re-encrypts with the current key.
+-- Callable by the broker's owner; TOTP keys are never kept.
+CREATE OR REPLACE FUNCTION public.store_broker_credentials(p_broker_id UUID, p_credentials JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_owner UUID;
+    v_version INTEGER;
+    v_credentials JSONB;
+BEGIN
+    SELECT user_profile_id INTO v_owner FROM public.brokers WHERE id = p_broker_id;
+
+    IF v_owner IS NULL OR (auth.uid() IS NOT NULL AND v_owner <> auth.uid()) THEN
+        RAISE EXCEPTION 'Broker not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT MAX(version) INTO v_version FROM public.broker_credential_keys;
+
+    v_credentials := jsonb_strip_nulls(
+        COALESCE(public.get_broker_credentials(p_broker_id), '{}'::jsonb) || COALESCE(p_credentials, '{}'::jsonb)
+    ) - 'totpKey';
+
+    INSERT INTO public.broker_credentials (user_profile_id, broker_id, ciphertext, key_version)
+    VALUES (
+        v_owner,
+        p_broker_id,
+        extensions.pgp_sym_encrypt(v_credentials::TEXT, public.broker_credential_key(v_version), 'cipher-algo=aes256'),
+        v_version
+    )
+    ON CONFLICT (broker_id) DO UPDATE
+    SET ciphertext = EXCLUDED.ciphertext,
+        key_version = EXCLUDED.key_version;
+
+    UPDATE public.brokers
+    SET credential_hints = public.broker_credential_hints(v_credentials)
+    WHERE id = p_broker_id;
+
+    RETURN public.broker_credential_hints(v_credentials);
+END;
+$$;
+
+-- Creates a new Vault key and re-encrypts every row with it. Run as the service role or from the SQL editor:
+--   select public.rotate_broker_credentials_key();
+-- Old key versions stay in Vault until you delete them.
+CREATE OR REPLACE FUNCTION public.rotate_broker_credentials_key()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_version INTEGER;
+BEGIN
+    SELECT COALESCE(MAX(version), 0) + 1 INTO v_version FROM public.broker_credential_keys;
+
+    INSERT INTO public.broker_credential_keys (version, secret_id)
+    VALUES (v_version, vault.create_secret(
+        encode(extensions.gen_random_bytes(32), 'hex'),
+        'broker_credentials_key_v' || v_version,
+        'Encrypts public.broker_credentials'
+    ));
+
+    UPDATE public.broker_credentials
+    SET ciphertext = extensions.pgp_sym_encrypt(
+            extensions.pgp_sym_decrypt(ciphertext, public.broker_credential_key(key_version)),
+            public.broker_credential_key(v_version),
+            'cipher-algo=aes256'
+        ),
+        key_version = v_version
+    WHERE key_version <> v_version;
+
+    RETURN v_version;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.broker_credential_key(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_broker_credentials(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.rotate_broker_credentials_key() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.store_broker_credentials(UUID, JSONB) FROM PUBLIC, anon;
+
+GRANT EXECUTE ON FUNCTION public.get_broker_credentials(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.rotate_broker_credentials_key() TO service_role;
+GRANT EXECUTE ON FUNCTION public.store_broker_credentials(UUID, JSONB) TO authenticated, service_role;
+
+-- 7. Move existing plain-text credentials into the vault. Zerodha passwords were never used
+-- (Kite logs in through its own redirect) and are dropped along with every TOTP key.
+DO $$
+DECLARE
+    r RECORD;
+    v_credentials JSONB;
+BEGIN
+    FOR r IN SELECT id, name, api_key, api_secret FROM public.brokers WHERE api_key IS NOT NULL OR api_secret IS NOT NULL LOOP
+        BEGIN
+            v_credentials := r.api_key::jsonb;
+        EXCEPTION
+            WHEN others THEN
+                v_credentials := NULL;
+        END;
+
+        -- Rows saved before credentials were JSON hold the bare key/secret pair
+        IF v_credentials IS NULL OR jsonb_typeof(v_credentials) <> 'object' THEN
+            v_credentials := jsonb_build_object('apiKey', r.api_key, 'apiSecret', r.api_secret);
+        END IF;
+
+        IF lower(r.name) LIKE 'zerodha%' THEN
+            v_credentials := v_credentials - 'password';
+        END IF;
+
+        PERFORM public.store_broker_credentials(r.id, v_credentials);
+    END LOOP;
+END $$;
+
+ALTER TABLE public.brokers DROP COLUMN IF EXISTS api_key;
+ALTER TABLE public.brokers DROP COLUMN IF EXISTS api_secret;
@@ -0,0 +1,22 @@
+-- Location: supabase/migrations/20261019180000_broker_adapter_key.sql
+-- Schema Analysis: Brokers are identified only by their display name, matched as 'zerodha kite', 'alpaca markets', etc. in several places
+-- Integration Type: Stable adapter key on brokers, backfilled from the names used so far
+-- Dependencies: public.brokers
+
+-- 1. Adapter key (see src/services/brokerAdapters)
+ALTER TABLE public.brokers
+ADD COLUMN IF NOT EXISTS broker_key TEXT;
+
+-- 2. Backfill existing rows from their display names
+UPDATE public.brokers
+SET broker_key = CASE
+    WHEN lower(name) IN ('zerodha', 'zerodha kite') THEN 'zerodha'
+    WHEN lower(name) = 'upstox' THEN 'upstox'
+    WHEN lower(name) = 'interactive brokers' THEN 'interactive'
+    WHEN lower(name) IN ('alpaca', 'alpaca markets') THEN 'alpaca'
+    WHEN lower(name) IN ('mt5', 'metatrader 5') THEN 'mt5'
+END
+WHERE broker_key IS NULL;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_brokers_user_profile_id_broker_key ON public.brokers(user_profile_id, broker_key);
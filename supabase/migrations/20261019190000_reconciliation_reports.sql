@@ -0,0 +1,53 @@
+-- Location: supabase/migrations/20261019190000_reconciliation_reports.sql
+-- Schema Analysis: Nothing records whether orders legs match what the broker reports; missing, extra or edited fills go unnoticed
+-- Integration Type: New table storing each broker-vs-journal reconciliation with its differences and their fixes
+-- Dependencies: public.user_profiles, public.brokers, public.update_updated_at_column()
+
+-- 1. Reconciliation reports
+CREATE TABLE IF NOT EXISTS public.reconciliation_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    broker_id UUID REFERENCES public.brokers(id) ON DELETE CASCADE,
+    trigger_type TEXT NOT NULL DEFAULT 'manual',
+    status TEXT NOT NULL,
+    range_from TIMESTAMPTZ NOT NULL,
+    range_to TIMESTAMPTZ NOT NULL,
+    -- The part of the range the broker could report (day tradebooks only cover today)
+    covered_from TIMESTAMPTZ,
+    covered_to TIMESTAMPTZ,
+    broker_count INTEGER DEFAULT 0,
+    journal_count INTEGER DEFAULT 0,
+    missing_count INTEGER DEFAULT 0,
+    extra_count INTEGER DEFAULT 0,
+    mismatch_count INTEGER DEFAULT 0,
+    position_count INTEGER DEFAULT 0,
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT reconciliation_reports_trigger_type_check CHECK (trigger_type IN ('manual', 'scheduled')),
+    CONSTRAINT reconciliation_reports_status_check CHECK (status IN ('clean', 'differences', 'resolved', 'error'))
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_user_profile_id_created_at ON public.reconciliation_reports(user_profile_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_broker_id ON public.reconciliation_reports(broker_id);
+
+-- 3. RLS
+ALTER TABLE public.reconciliation_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_reconciliation_reports" ON public.reconciliation_reports;
+
+CREATE POLICY "users_manage_own_reconciliation_reports"
+ON public.reconciliation_reports
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 4. Triggers
+DROP TRIGGER IF EXISTS update_reconciliation_reports_updated_at ON public.reconciliation_reports;
+
+CREATE TRIGGER update_reconciliation_reports_updated_at
+  BEFORE UPDATE ON public.reconciliation_reports
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,18 @@
+-- Location: supabase/migrations/20261019200000_trade_charges.sql
+-- Schema Analysis: trades.fees exists but nothing computes it; Indian brokers report fills without brokerage or statutory charges
+-- Integration Type: Adds exchange, product and a charges breakdown to orders and trades, a per-trade override flag and a brokerage plan per broker
+-- Dependencies: public.orders, public.trades, public.brokers
+
+-- 1. Execution legs
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS exchange TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS product TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS charges JSONB;
+
+-- 2. Trades
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS exchange TEXT;
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS charges JSONB;
+-- Set when the user entered the fees by hand; rebuilds and recalculations leave them alone
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS charges_overridden BOOLEAN DEFAULT false;
+
+-- 3. Brokerage plan used to charge a broker's fills (null falls back to the broker's default plan)
+ALTER TABLE public.brokers ADD COLUMN IF NOT EXISTS charges_plan TEXT;
@@ -0,0 +1,69 @@
+-- Location: supabase/migrations/20261019210000_option_contracts.sql
+-- Schema Analysis: trades and orders only carry a symbol; option and futures contract details are buried in it
+-- Integration Type: Additive contract columns on orders and trades, plus groups that combine option legs into strategies
+-- Dependencies: public.user_profiles, public.orders, public.trades, public.update_updated_at_column()
+
+-- 1. Multi-leg strategy groups
+CREATE TABLE IF NOT EXISTS public.trade_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    strategy_type TEXT NOT NULL DEFAULT 'custom',
+    underlying TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT trade_groups_strategy_type_check CHECK (strategy_type IN (
+        'vertical_spread', 'calendar_spread', 'straddle', 'strangle', 'butterfly',
+        'iron_condor', 'iron_butterfly', 'covered', 'custom'
+    ))
+);
+
+-- 2. Contract details on execution legs
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS underlying TEXT,
+ADD COLUMN IF NOT EXISTS expiry DATE,
+ADD COLUMN IF NOT EXISTS strike DECIMAL(15,4),
+ADD COLUMN IF NOT EXISTS option_type TEXT,
+ADD COLUMN IF NOT EXISTS lot_size INTEGER;
+
+-- 3. Contract details and strategy group on trades
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS underlying TEXT,
+ADD COLUMN IF NOT EXISTS expiry DATE,
+ADD COLUMN IF NOT EXISTS strike DECIMAL(15,4),
+ADD COLUMN IF NOT EXISTS option_type TEXT,
+ADD COLUMN IF NOT EXISTS lot_size INTEGER,
+ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES public.trade_groups(id) ON DELETE SET NULL;
+
+DO $$ BEGIN
+    ALTER TABLE public.trades
+    ADD CONSTRAINT trades_option_type_check CHECK (option_type IS NULL OR option_type IN ('CE', 'PE'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_trade_groups_user_profile_id ON public.trade_groups(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_trades_group_id ON public.trades(group_id);
+CREATE INDEX IF NOT EXISTS idx_trades_underlying_expiry ON public.trades(underlying, expiry);
+
+-- 5. RLS
+ALTER TABLE public.trade_groups ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_trade_groups" ON public.trade_groups;
+
+CREATE POLICY "users_manage_own_trade_groups"
+ON public.trade_groups
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 6. Triggers
+DROP TRIGGER IF EXISTS update_trade_groups_updated_at ON public.trade_groups;
+
+CREATE TRIGGER update_trade_groups_updated_at
+  BEFORE UPDATE ON public.trade_groups
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
@@ -0,0 +1,18 @@
+-- Location: supabase/migrations/20261019220000_futures_rollovers.sql
+-- Schema Analysis: Futures P&L ignores contract multipliers and each monthly contract is an unrelated trade
+-- Integration Type: Additive multiplier columns on orders and trades, plus rollover links between futures trades
+-- Dependencies: public.orders, public.trades
+
+-- 1. Contract multiplier on execution legs
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS multiplier DECIMAL(15,4) DEFAULT 1;
+
+-- 2. Contract multiplier and rollover chain on trades
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS multiplier DECIMAL(15,4) DEFAULT 1,
+ADD COLUMN IF NOT EXISTS rolled_from_id TEXT REFERENCES public.trades(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS roll_chain_id TEXT;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_trades_roll_chain_id ON public.trades(roll_chain_id);
+CREATE INDEX IF NOT EXISTS idx_trades_rolled_from_id ON public.trades(rolled_from_id);
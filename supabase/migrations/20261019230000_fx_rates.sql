@@ -0,0 +1,58 @@
+-- Location: supabase/migrations/20261019230000_fx_rates.sql
+-- Schema Analysis: Trades carry their own currency but nothing converts them, so mixed INR/USD totals add unlike amounts
+-- Integration Type: New table of daily FX rates per user, entered by hand or imported from CSV
+-- Dependencies: public.user_profiles, public.currency_code, public.update_updated_at_column()
+
+-- 1. FX rates - one rate per user, currency pair and day. 1 unit of base_currency = rate units of quote_currency
+CREATE TABLE IF NOT EXISTS public.fx_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    base_currency public.currency_code NOT NULL,
+    quote_currency public.currency_code NOT NULL,
+    rate_date DATE NOT NULL,
+    rate DECIMAL(20,10) NOT NULL,
+    source TEXT DEFAULT 'manual',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_profile_id, base_currency, quote_currency, rate_date)
+);
+
+-- 2. Constraints
+DO $$
+BEGIN
+    ALTER TABLE public.fx_rates
+    ADD CONSTRAINT fx_rates_positive_rate CHECK (rate > 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$
+BEGIN
+    ALTER TABLE public.fx_rates
+    ADD CONSTRAINT fx_rates_distinct_currencies CHECK (base_currency <> quote_currency);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_fx_rates_user_profile_id ON public.fx_rates(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_fx_rates_pair_date ON public.fx_rates(base_currency, quote_currency, rate_date);
+
+-- 4. RLS
+ALTER TABLE public.fx_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_fx_rates" ON public.fx_rates;
+
+CREATE POLICY "users_manage_own_fx_rates"
+ON public.fx_rates
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 5. Triggers
+DROP TRIGGER IF EXISTS update_fx_rates_updated_at ON public.fx_rates;
+
+CREATE TRIGGER update_fx_rates_updated_at
+  BEFORE UPDATE ON public.fx_rates
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,350 @@
+-- Location: supabase/migrations/20261020000000_analytics_rollup.sql
+-- Schema Analysis: analytics_data is read by every chart but nothing writes it, so real accounts show empty dashboards
+-- Integration Type: SQL rollup of closed trades into one analytics_data row per user and day, kept current by triggers and backfilled here
+-- Dependencies: public.trades, public.brokers, public.user_profiles, public.fx_rates, public.analytics_data
+
+-- 1. Derived columns the charts read, and one row per user and day
+ALTER TABLE public.analytics_data
+ADD COLUMN IF NOT EXISTS cumulative_pnl DECIMAL(15,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS win_rate DECIMAL(5,2) DEFAULT 0;
+
+DELETE FROM public.analytics_data a
+USING public.analytics_data newer
+WHERE a.user_profile_id = newer.user_profile_id
+AND a.date = newer.date
+AND (a.updated_at, a.id::text) < (newer.updated_at, newer.id::text);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_data_user_profile_id_date ON public.analytics_data(user_profile_id, date);
+
+-- A user's trades are found through their brokers (round trips) or "userId" (manual/file trades)
+CREATE INDEX IF NOT EXISTS idx_trades_broker_id ON public.trades(broker_id);
+CREATE INDEX IF NOT EXISTS idx_trades_user_id ON public.trades("userId");
+
+-- 2. Functions
+-- Calendar day of a timestamp in the user's time zone; an unknown zone name falls back to UTC
+-- rather than failing the trade write that triggered the rollup
+CREATE OR REPLACE FUNCTION public.local_trade_day(p_at TIMESTAMPTZ, p_timezone TEXT)
+RETURNS DATE
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    RETURN (p_at AT TIME ZONE COALESCE(p_timezone, 'UTC'))::date;
+EXCEPTION
+    WHEN others THEN
+        RETURN (p_at AT TIME ZONE 'UTC')::date;
+END;
+$$;
+
+-- Latest stored rate for a pair on or before the day (the earliest one for days before it), read
+-- directly or inverted. Mirrors FxService.buildConverter in the app
+CREATE OR REPLACE FUNCTION public.fx_pair_rate(p_user UUID, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT r.rate
+    FROM (
+        SELECT rate, rate_date
+        FROM public.fx_rates
+        WHERE user_profile_id = p_user AND base_currency::text = p_from AND quote_currency::text = p_to
+        UNION ALL
+        SELECT 1 / rate, rate_date
+        FROM public.fx_rates
+        WHERE user_profile_id = p_user AND base_currency::text = p_to AND quote_currency::text = p_from
+    ) r
+    ORDER BY (r.rate_date <= p_date) DESC,
+        CASE WHEN r.rate_date <= p_date THEN r.rate_date END DESC,
+        r.rate_date ASC
+    LIMIT 1;
+$$;
+
+-- Rate converting p_from into p_to, crossed through USD when no direct pair is stored; null when none links
+-- them or the amount has no currency
+CREATE OR REPLACE FUNCTION public.fx_rate_on(p_user UUID, p_from TEXT, p_to TEXT, p_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN p_from IS NULL THEN NULL
+        WHEN p_to IS NULL OR p_from = p_to THEN 1
+        ELSE COALESCE(
+            public.fx_pair_rate(p_user, p_from, p_to, p_date),
+            public.fx_pair_rate(p_user, p_from, 'USD', p_date) * public.fx_pair_rate(p_user, 'USD', p_to, p_date)
+        )
+    END;
+$$;
+
+-- Owner, local close day and amounts of one closed trade, for both row styles: manual/file trades
+-- (instrument, "userId", "exitPrice", "exitDate" or else "tradeDate") and broker round trips (symbol, broker_id, status, closed_at).
+-- Takes the row as JSONB so trigger transition tables can be passed in. Open trades and FX conversions return no row
+CREATE OR REPLACE FUNCTION public.closed_trade_fact(p_trade JSONB)
+RETURNS TABLE (user_profile_id UUID, trade_day DATE, pnl NUMERIC, fees NUMERIC, currency TEXT, quantity NUMERIC)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH t AS (
+        SELECT
+            p_trade->>'symbol' IS NOT NULL AND p_trade->>'instrument' IS NULL AS is_round_trip,
+            COALESCE(
+                (SELECT b.user_profile_id FROM public.brokers b WHERE b.id::text = p_trade->>'broker_id'),
+                CASE WHEN p_trade->>'userId' ~* '^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$' THEN (p_trade->>'userId')::uuid END
+            ) AS owner
+    ),
+    closed AS (
+        SELECT
+            t.owner,
+            CASE
+                -- Forex rows with no exit are Interactive Brokers currency conversions, not trades
+                WHEN t.is_round_trip THEN
+                    CASE WHEN p_trade->>'status' = 'closed'
+                        AND NOT (p_trade->>'asset_class' = 'forex' AND NULLIF(p_trade->>'exit_price', '') IS NULL)
+                    THEN (p_trade->>'closed_at')::timestamptz END
+                WHEN NULLIF(p_trade->>'exitPrice', '') IS NOT NULL THEN
+                    COALESCE(NULLIF(p_trade->>'exitDate', ''), p_trade->>'tradeDate')::timestamptz
+            END AS closed_at,
+            -- Untagged trades keep a null currency and so get no FX rate, like the app's converter
+            upper(CASE WHEN t.is_round_trip
+                THEN COALESCE(NULLIF(p_trade->>'currency', ''), NULLIF(p_trade->>'fees_currency', ''))
+                ELSE NULLIF(p_trade->>'pnlCurrency', '')
+            END) AS currency
+        FROM t
+    )
+    SELECT
+        c.owner,
+        public.local_trade_day(c.closed_at, up.timezone),
+        COALESCE(NULLIF(p_trade->>'pnl', '')::numeric, 0),
+        COALESCE(NULLIF(p_trade->>'fees', '')::numeric, 0),
+        c.currency,
+        abs(COALESCE(NULLIF(p_trade->>'quantity', '')::numeric, 0))
+    FROM closed c
+    LEFT JOIN public.user_profiles up ON up.id = c.owner
+    WHERE c.owner IS NOT NULL AND c.closed_at IS NOT NULL;
+$$;
+
+-- Rebuilds a user's daily rows between two days (all history when both are null). P&L and commission
+-- are converted into the user's preferred currency at each trade's day; trades with no FX rate still
+-- count towards the trade totals but add no amounts. Cumulative P&L is refreshed from p_from onward.
+-- Run as the service role or from the SQL editor to rebuild by hand:
+--   select public.rollup_analytics('<user_profile_id>');
+CREATE OR REPLACE FUNCTION public.rollup_analytics(p_user UUID, p_from DATE DEFAULT NULL, p_to DATE DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_base TEXT;
+    v_days INTEGER;
+BEGIN
+    SELECT COALESCE(preferred_currency::text, 'USD') INTO v_base FROM public.user_profiles WHERE id = p_user;
+
+    IF v_base IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    WITH days AS (
+        SELECT
+            f.trade_day,
+            COUNT(*) AS total_trades,
+            COUNT(*) FILTER (WHERE f.pnl > 0) AS winning_trades,
+            COUNT(*) FILTER (WHERE f.pnl < 0) AS losing_trades,
+            COALESCE(SUM(f.pnl * fx.rate), 0) AS daily_pnl,
+            COALESCE(MAX(f.pnl * fx.rate) FILTER (WHERE f.pnl > 0), 0) AS largest_win,
+            COALESCE(MIN(f.pnl * fx.rate) FILTER (WHERE f.pnl < 0), 0) AS largest_loss,
+            SUM(f.quantity) AS volume_traded,
+            COALESCE(SUM(f.fees * fx.rate), 0) AS commission_paid
+        FROM (
+            -- Only the user's trades are turned into facts, not every row in the table
+            SELECT t.* FROM public.trades t
+            WHERE t.broker_id IN (SELECT b.id FROM public.brokers b WHERE b.user_profile_id = p_user)
+            OR t."userId" = p_user::text
+        ) tr
+        CROSS JOIN LATERAL public.closed_trade_fact(to_jsonb(tr)) f
+        CROSS JOIN LATERAL (SELECT public.fx_rate_on(p_user, f.currency, v_base, f.trade_day) AS rate) fx
+        WHERE f.user_profile_id = p_user
+        AND (p_from IS NULL OR f.trade_day >= p_from)
+        AND (p_to IS NULL OR f.trade_day <= p_to)
+        GROUP BY f.trade_day
+    ),
+    removed AS (
+        DELETE FROM public.analytics_data a
+        WHERE a.user_profile_id = p_user
+        AND (p_from IS NULL OR a.date >= p_from)
+        AND (p_to IS NULL OR a.date <= p_to)
+        AND NOT EXISTS (SELECT 1 FROM days d WHERE d.trade_day = a.date)
+    )
+    INSERT INTO public.analytics_data (
+        user_profile_id, date, daily_pnl, total_trades, winning_trades, losing_trades,
+        largest_win, largest_loss, volume_traded, commission_paid, win_rate, updated_at
+    )
+    SELECT
+        p_user, d.trade_day, d.daily_pnl, d.total_trades, d.winning_trades, d.losing_trades,
+        d.largest_win, d.largest_loss, d.volume_traded, d.commission_paid,
+        d.winning_trades * 100.0 / d.total_trades, CURRENT_TIMESTAMP
+    FROM days d
+    ON CONFLICT (user_profile_id, date) DO UPDATE
+    SET daily_pnl = EXCLUDED.daily_pnl,
+        total_trades = EXCLUDED.total_trades,
+        winning_trades = EXCLUDED.winning_trades,
+        losing_trades = EXCLUDED.losing_trades,
+        largest_win = EXCLUDED.largest_win,
+        largest_loss = EXCLUDED.largest_loss,
+        volume_traded = EXCLUDED.volume_traded,
+        commission_paid = EXCLUDED.commission_paid,
+        win_rate = EXCLUDED.win_rate,
+        updated_at = EXCLUDED.updated_at;
+
+    GET DIAGNOSTICS v_days = ROW_COUNT;
+
+    UPDATE public.analytics_data a
+    SET cumulative_pnl = running.cumulative_pnl
+    FROM (
+        SELECT id, SUM(daily_pnl) OVER (ORDER BY date) AS cumulative_pnl
+        FROM public.analytics_data
+        WHERE user_profile_id = p_user
+    ) running
+    WHERE a.id = running.id
+    AND (p_from IS NULL OR a.date >= p_from)
+    AND a.cumulative_pnl IS DISTINCT FROM running.cumulative_pnl;
+
+    RETURN v_days;
+END;
+$$;
+
+-- Statement-level so a bulk import or broker sync rebuilds each user once, over the span of days it touched
+CREATE OR REPLACE FUNCTION public.rollup_analytics_for_trades()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changed JSONB[] := '{}';
+    r RECORD;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(n)), '{}') INTO v_changed FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(o)), '{}') INTO v_changed FROM old_rows o;
+    END IF;
+
+    FOR r IN
+        SELECT f.user_profile_id, MIN(f.trade_day) AS first_day, MAX(f.trade_day) AS last_day
+        FROM unnest(v_changed) AS changed(trade)
+        CROSS JOIN LATERAL public.closed_trade_fact(changed.trade) f
+        GROUP BY f.user_profile_id
+    LOOP
+        PERFORM public.rollup_analytics(r.user_profile_id, r.first_day, r.last_day);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+-- New or changed rates can move any day's converted totals
+CREATE OR REPLACE FUNCTION public.rollup_analytics_for_fx_rates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_users UUID[] := '{}';
+    v_user UUID;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT n.user_profile_id), '{}') INTO v_users FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT o.user_profile_id), '{}') INTO v_users FROM old_rows o;
+    END IF;
+
+    FOR v_user IN SELECT DISTINCT u FROM unnest(v_users) AS u WHERE u IS NOT NULL LOOP
+        PERFORM public.rollup_analytics(v_user);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+-- A new preferred currency converts every day again; a new time zone moves day boundaries
+CREATE OR REPLACE FUNCTION public.rollup_analytics_for_profile()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM public.rollup_analytics(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.closed_trade_fact(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.rollup_analytics(UUID, DATE, DATE) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.rollup_analytics(UUID, DATE, DATE) TO service_role;
+
+-- 3. Triggers - transition tables need one trigger per event
+DROP TRIGGER IF EXISTS rollup_analytics_on_trades_insert ON public.trades;
+DROP TRIGGER IF EXISTS rollup_analytics_on_trades_update ON public.trades;
+DROP TRIGGER IF EXISTS rollup_analytics_on_trades_delete ON public.trades;
+
+CREATE TRIGGER rollup_analytics_on_trades_insert
+  AFTER INSERT ON public.trades
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_trades();
+
+CREATE TRIGGER rollup_analytics_on_trades_update
+  AFTER UPDATE ON public.trades
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_trades();
+
+CREATE TRIGGER rollup_analytics_on_trades_delete
+  AFTER DELETE ON public.trades
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_trades();
+
+DROP TRIGGER IF EXISTS rollup_analytics_on_fx_rates_insert ON public.fx_rates;
+DROP TRIGGER IF EXISTS rollup_analytics_on_fx_rates_update ON public.fx_rates;
+DROP TRIGGER IF EXISTS rollup_analytics_on_fx_rates_delete ON public.fx_rates;
+
+CREATE TRIGGER rollup_analytics_on_fx_rates_insert
+  AFTER INSERT ON public.fx_rates
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_fx_rates();
+
+CREATE TRIGGER rollup_analytics_on_fx_rates_update
+  AFTER UPDATE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_fx_rates();
+
+CREATE TRIGGER rollup_analytics_on_fx_rates_delete
+  AFTER DELETE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.rollup_analytics_for_fx_rates();
+
+DROP TRIGGER IF EXISTS rollup_analytics_on_profile_change ON public.user_profiles;
+
+CREATE TRIGGER rollup_analytics_on_profile_change
+  AFTER UPDATE OF preferred_currency, timezone ON public.user_profiles
+  FOR EACH ROW
+  WHEN (OLD.preferred_currency IS DISTINCT FROM NEW.preferred_currency OR OLD.timezone IS DISTINCT FROM NEW.timezone)
+  EXECUTE FUNCTION public.rollup_analytics_for_profile();
+
+-- 4. Backfill every user's history. Sample rows that no trade backs are removed
+DO $$
+DECLARE
+    v_user UUID;
+BEGIN
+    FOR v_user IN SELECT id FROM public.user_profiles LOOP
+        PERFORM public.rollup_analytics(v_user);
+    END LOOP;
+END $$;
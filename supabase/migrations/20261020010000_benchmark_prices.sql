@@ -0,0 +1,49 @@
+-- Location: supabase/migrations/20261020010000_benchmark_prices.sql
+-- Schema Analysis: Risk metrics compare returns against a simulated market, as no index prices are stored
+-- Integration Type: New table of daily index closes per user, imported from CSV price histories
+-- Dependencies: public.user_profiles, public.update_updated_at_column()
+
+-- 1. Benchmark prices - one close per user, index and day (NIFTY50, SENSEX, SPX)
+CREATE TABLE IF NOT EXISTS public.benchmark_prices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    symbol TEXT NOT NULL,
+    price_date DATE NOT NULL,
+    close DECIMAL(20,6) NOT NULL,
+    source TEXT DEFAULT 'import',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_profile_id, symbol, price_date)
+);
+
+-- 2. Constraints
+DO $$
+BEGIN
+    ALTER TABLE public.benchmark_prices
+    ADD CONSTRAINT benchmark_prices_positive_close CHECK (close > 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_benchmark_prices_user_profile_id ON public.benchmark_prices(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_benchmark_prices_symbol_date ON public.benchmark_prices(symbol, price_date);
+
+-- 4. RLS
+ALTER TABLE public.benchmark_prices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_benchmark_prices" ON public.benchmark_prices;
+
+CREATE POLICY "users_manage_own_benchmark_prices"
+ON public.benchmark_prices
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 5. Triggers
+DROP TRIGGER IF EXISTS update_benchmark_prices_updated_at ON public.benchmark_prices;
+
+CREATE TRIGGER update_benchmark_prices_updated_at
+  BEFORE UPDATE ON public.benchmark_prices
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
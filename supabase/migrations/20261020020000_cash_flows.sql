@@ -0,0 +1,58 @@
+-- Location: supabase/migrations/20261020020000_cash_flows.sql
+-- Schema Analysis: trading_accounts only hold a current balance, so returns cannot tell trading P&L from money paid in or out
+-- Integration Type: New ledger of cash movements per trading account
+-- Dependencies: public.user_profiles, public.trading_accounts, public.currency_code, public.update_updated_at_column()
+
+-- 1. Types
+DO $$ BEGIN
+    CREATE TYPE public.cash_flow_type AS ENUM ('deposit', 'withdrawal', 'dividend', 'interest');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 2. Cash flows - amounts are positive; the type gives the direction. Deposits and withdrawals are
+-- contributions, dividends and interest are income earned by the account
+CREATE TABLE IF NOT EXISTS public.cash_flows (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    trading_account_id UUID REFERENCES public.trading_accounts(id) ON DELETE CASCADE,
+    flow_type public.cash_flow_type NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    currency public.currency_code DEFAULT 'USD'::public.currency_code,
+    flow_date DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Constraints
+DO $$
+BEGIN
+    ALTER TABLE public.cash_flows
+    ADD CONSTRAINT cash_flows_positive_amount CHECK (amount > 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_cash_flows_user_profile_id ON public.cash_flows(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_cash_flows_account_date ON public.cash_flows(trading_account_id, flow_date);
+
+-- 5. RLS
+ALTER TABLE public.cash_flows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_cash_flows" ON public.cash_flows;
+
+CREATE POLICY "users_manage_own_cash_flows"
+ON public.cash_flows
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+-- 6. Triggers
+DROP TRIGGER IF EXISTS update_cash_flows_updated_at ON public.cash_flows;
+
+CREATE TRIGGER update_cash_flows_updated_at
+  BEFORE UPDATE ON public.cash_flows
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,328 @@
+-- Location: supabase/migrations/20261020030000_portfolio_members.sql
+-- Schema Analysis: portfolios hold total_value and total_pnl, but nothing links them to accounts or trades, so the totals are never set
+-- Integration Type: Membership of trading accounts and strategies in portfolios, with totals rebuilt from their trades by triggers and backfilled here
+-- Dependencies: public.portfolios, public.trading_accounts, public.trades, public.cash_flows, public.fx_rates, public.user_profiles,
+--               public.closed_trade_fact(), public.fx_rate_on(), public.update_updated_at_column()
+
+-- 1. Functions used by the constraints
+-- Strategy names as AnalyticsService.slug compares them: "Swing Trading" and "swing-trading" are one strategy
+CREATE OR REPLACE FUNCTION public.strategy_key(p_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT NULLIF(btrim(regexp_replace(lower(btrim(COALESCE(p_name, ''))), '[^a-z0-9]+', '-', 'g'), '-'), '');
+$$;
+
+-- 2. Portfolio members - each row assigns one trading account or one strategy to a portfolio.
+-- A trade belongs to the portfolio of its account, or failing that to the portfolio of its strategy,
+-- so every trade is in at most one portfolio and portfolio totals add up to the whole book
+CREATE TABLE IF NOT EXISTS public.portfolio_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    portfolio_id UUID NOT NULL REFERENCES public.portfolios(id) ON DELETE CASCADE,
+    trading_account_id UUID REFERENCES public.trading_accounts(id) ON DELETE CASCADE,
+    strategy TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Constraints
+DO $$
+BEGIN
+    ALTER TABLE public.portfolio_members
+    ADD CONSTRAINT portfolio_members_one_target CHECK (
+        (trading_account_id IS NOT NULL AND strategy IS NULL) OR
+        (trading_account_id IS NULL AND public.strategy_key(strategy) IS NOT NULL)
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 4. Indexes - an account or strategy can only be in one of a user's portfolios
+CREATE INDEX IF NOT EXISTS idx_portfolio_members_portfolio_id ON public.portfolio_members(portfolio_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portfolio_members_user_account
+ON public.portfolio_members(user_profile_id, trading_account_id)
+WHERE trading_account_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_portfolio_members_user_strategy
+ON public.portfolio_members(user_profile_id, public.strategy_key(strategy))
+WHERE strategy IS NOT NULL;
+
+-- 5. RLS
+ALTER TABLE public.portfolio_members ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_portfolio_members" ON public.portfolio_members;
+
+CREATE POLICY "users_manage_own_portfolio_members"
+ON public.portfolio_members
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (
+    user_profile_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.portfolios p WHERE p.id = portfolio_id AND p.user_profile_id = auth.uid())
+);
+
+-- 6. Aggregation functions
+-- Portfolio of a trade row: its account's, else its strategy's, else null. Mirrors PortfolioService.resolver
+CREATE OR REPLACE FUNCTION public.portfolio_for_trade(p_user UUID, p_trade JSONB)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT m.portfolio_id FROM public.portfolio_members m
+         WHERE m.user_profile_id = p_user AND m.trading_account_id::text = p_trade->>'trading_account_id'),
+        (SELECT m.portfolio_id FROM public.portfolio_members m
+         WHERE m.user_profile_id = p_user AND m.strategy IS NOT NULL
+         AND public.strategy_key(m.strategy) = public.strategy_key(p_trade->>'strategy'))
+    );
+$$;
+
+-- Rebuilds a user's portfolio totals in their preferred currency: total_pnl is closed-trade P&L net of
+-- fees, converted at each trade's day; total_value is the current balance of the member accounts; and
+-- total_pnl_percentage is P&L over the net deposits into those accounts (null without any).
+-- Trades and balances with no FX rate add nothing. Run by hand with:
+--   select public.refresh_portfolio_totals('<user_profile_id>');
+CREATE OR REPLACE FUNCTION public.refresh_portfolio_totals(p_user UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_base TEXT;
+    v_updated INTEGER;
+BEGIN
+    SELECT COALESCE(preferred_currency::text, 'USD') INTO v_base FROM public.user_profiles WHERE id = p_user;
+
+    IF v_base IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    WITH trade_pnl AS (
+        SELECT
+            public.portfolio_for_trade(p_user, to_jsonb(tr)) AS portfolio_id,
+            SUM((f.pnl - f.fees) * public.fx_rate_on(p_user, f.currency, v_base, f.trade_day)) AS total_pnl
+        FROM (
+            SELECT t.* FROM public.trades t
+            WHERE t.broker_id IN (SELECT b.id FROM public.brokers b WHERE b.user_profile_id = p_user)
+            OR t."userId" = p_user::text
+        ) tr
+        CROSS JOIN LATERAL public.closed_trade_fact(to_jsonb(tr)) f
+        WHERE f.user_profile_id = p_user
+        GROUP BY 1
+    ),
+    account_value AS (
+        SELECT m.portfolio_id, SUM(a.balance * public.fx_rate_on(p_user, a.currency::text, v_base, CURRENT_DATE)) AS total_value
+        FROM public.portfolio_members m
+        JOIN public.trading_accounts a ON a.id = m.trading_account_id
+        WHERE m.user_profile_id = p_user
+        GROUP BY 1
+    ),
+    contributions AS (
+        SELECT
+            m.portfolio_id,
+            SUM(
+                CASE cf.flow_type WHEN 'deposit' THEN 1 WHEN 'withdrawal' THEN -1 ELSE 0 END
+                * cf.amount * public.fx_rate_on(p_user, cf.currency::text, v_base, cf.flow_date)
+            ) AS net_contributions
+        FROM public.portfolio_members m
+        JOIN public.cash_flows cf ON cf.trading_account_id = m.trading_account_id
+        WHERE m.user_profile_id = p_user
+        GROUP BY 1
+    ),
+    totals AS (
+        SELECT
+            p.id,
+            COALESCE(tp.total_pnl, 0) AS total_pnl,
+            COALESCE(av.total_value, 0) AS total_value,
+            CASE WHEN c.net_contributions > 0 THEN
+                LEAST(GREATEST(COALESCE(tp.total_pnl, 0) * 100 / c.net_contributions, -9999), 9999)
+            END AS total_pnl_percentage
+        FROM public.portfolios p
+        LEFT JOIN trade_pnl tp ON tp.portfolio_id = p.id
+        LEFT JOIN account_value av ON av.portfolio_id = p.id
+        LEFT JOIN contributions c ON c.portfolio_id = p.id
+        WHERE p.user_profile_id = p_user
+    )
+    UPDATE public.portfolios p
+    SET total_pnl = t.total_pnl,
+        total_value = t.total_value,
+        total_pnl_percentage = t.total_pnl_percentage,
+        updated_at = CURRENT_TIMESTAMP
+    FROM totals t
+    WHERE p.id = t.id
+    AND (
+        p.total_pnl IS DISTINCT FROM round(t.total_pnl, 2)
+        OR p.total_value IS DISTINCT FROM round(t.total_value, 2)
+        OR p.total_pnl_percentage IS DISTINCT FROM round(t.total_pnl_percentage, 4)
+    );
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    RETURN v_updated;
+END;
+$$;
+
+-- Statement-level so a bulk import or broker sync refreshes each user once
+CREATE OR REPLACE FUNCTION public.refresh_portfolio_totals_for_trades()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changed JSONB[] := '{}';
+    v_user UUID;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(n)), '{}') INTO v_changed FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(o)), '{}') INTO v_changed FROM old_rows o;
+    END IF;
+
+    FOR v_user IN
+        SELECT DISTINCT f.user_profile_id
+        FROM unnest(v_changed) AS changed(trade)
+        CROSS JOIN LATERAL public.closed_trade_fact(changed.trade) f
+    LOOP
+        PERFORM public.refresh_portfolio_totals(v_user);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Rates are imported in bulk, so they refresh once per statement as well
+CREATE OR REPLACE FUNCTION public.refresh_portfolio_totals_for_fx_rates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_users UUID[] := '{}';
+    v_user UUID;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT n.user_profile_id), '{}') INTO v_users FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT o.user_profile_id), '{}') INTO v_users FROM old_rows o;
+    END IF;
+
+    FOR v_user IN SELECT DISTINCT u FROM unnest(v_users) AS u WHERE u IS NOT NULL LOOP
+        PERFORM public.refresh_portfolio_totals(v_user);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Membership, balance, cash flow and preferred currency changes are made one row at a time.
+-- user_profiles rows carry the owner in id rather than user_profile_id
+CREATE OR REPLACE FUNCTION public.refresh_portfolio_totals_for_row()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row JSONB := to_jsonb(CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END);
+    v_user UUID := COALESCE(v_row->>'user_profile_id', CASE WHEN TG_TABLE_NAME = 'user_profiles' THEN v_row->>'id' END)::uuid;
+BEGIN
+    IF v_user IS NOT NULL THEN
+        PERFORM public.refresh_portfolio_totals(v_user);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.portfolio_for_trade(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_portfolio_totals(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.refresh_portfolio_totals(UUID) TO service_role;
+
+-- 7. Triggers - transition tables need one trigger per event
+DROP TRIGGER IF EXISTS update_portfolio_members_updated_at ON public.portfolio_members;
+
+CREATE TRIGGER update_portfolio_members_updated_at
+  BEFORE UPDATE ON public.portfolio_members
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_trades_insert ON public.trades;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_trades_update ON public.trades;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_trades_delete ON public.trades;
+
+CREATE TRIGGER refresh_portfolio_totals_on_trades_insert
+  AFTER INSERT ON public.trades
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_trades();
+
+CREATE TRIGGER refresh_portfolio_totals_on_trades_update
+  AFTER UPDATE ON public.trades
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_trades();
+
+CREATE TRIGGER refresh_portfolio_totals_on_trades_delete
+  AFTER DELETE ON public.trades
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_trades();
+
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_fx_rates_insert ON public.fx_rates;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_fx_rates_update ON public.fx_rates;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_fx_rates_delete ON public.fx_rates;
+
+CREATE TRIGGER refresh_portfolio_totals_on_fx_rates_insert
+  AFTER INSERT ON public.fx_rates
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_fx_rates();
+
+CREATE TRIGGER refresh_portfolio_totals_on_fx_rates_update
+  AFTER UPDATE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_fx_rates();
+
+CREATE TRIGGER refresh_portfolio_totals_on_fx_rates_delete
+  AFTER DELETE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_portfolio_totals_for_fx_rates();
+
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_members_change ON public.portfolio_members;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_account_change ON public.trading_accounts;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_cash_flows_change ON public.cash_flows;
+DROP TRIGGER IF EXISTS refresh_portfolio_totals_on_profile_change ON public.user_profiles;
+
+CREATE TRIGGER refresh_portfolio_totals_on_members_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.portfolio_members
+  FOR EACH ROW EXECUTE FUNCTION public.refresh_portfolio_totals_for_row();
+
+CREATE TRIGGER refresh_portfolio_totals_on_account_change
+  AFTER INSERT OR DELETE OR UPDATE OF balance, currency ON public.trading_accounts
+  FOR EACH ROW EXECUTE FUNCTION public.refresh_portfolio_totals_for_row();
+
+CREATE TRIGGER refresh_portfolio_totals_on_cash_flows_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.cash_flows
+  FOR EACH ROW EXECUTE FUNCTION public.refresh_portfolio_totals_for_row();
+
+CREATE TRIGGER refresh_portfolio_totals_on_profile_change
+  AFTER UPDATE OF preferred_currency ON public.user_profiles
+  FOR EACH ROW
+  WHEN (OLD.preferred_currency IS DISTINCT FROM NEW.preferred_currency)
+  EXECUTE FUNCTION public.refresh_portfolio_totals_for_row();
+
+-- 8. Backfill - portfolios with no members (such as the sample one) drop to zero
+DO $$
+DECLARE
+    v_user UUID;
+BEGIN
+    FOR v_user IN SELECT DISTINCT user_profile_id FROM public.portfolios WHERE user_profile_id IS NOT NULL LOOP
+        PERFORM public.refresh_portfolio_totals(v_user);
+    END LOOP;
+END $$;
@@ -0,0 +1,346 @@
+-- Location: supabase/migrations/20261020040000_strategy_registry.sql
+-- Schema Analysis: strategies has stats columns nothing fills, and trades only carry a free-text strategy name
+-- Integration Type: Trades linked to user-defined strategies by id, with per-strategy stats rebuilt from closed trades by triggers and backfilled here
+-- Dependencies: public.strategies, public.trades, public.brokers, public.portfolio_members, public.fx_rates, public.user_profiles,
+--               public.strategy_key(), public.closed_trade_fact(), public.fx_rate_on()
+
+-- 1. One strategy per name and user, and a total to rank them by
+ALTER TABLE public.strategies
+ADD COLUMN IF NOT EXISTS total_pnl DECIMAL(15,2) DEFAULT 0;
+
+DELETE FROM public.strategies s
+USING public.strategies older
+WHERE s.user_profile_id = older.user_profile_id
+AND public.strategy_key(s.name) = public.strategy_key(older.name)
+AND (s.created_at, s.id::text) > (older.created_at, older.id::text);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_strategies_user_profile_id_name
+ON public.strategies(user_profile_id, public.strategy_key(name));
+
+-- 2. Trades point at their strategy; the name column is kept in step for display, filters and portfolio membership
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS strategy_id UUID REFERENCES public.strategies(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trades_strategy_id ON public.trades(strategy_id);
+
+-- 3. Functions
+-- Owner of a trade row of either style: the broker's user for round trips, "userId" for manual/file trades
+CREATE OR REPLACE FUNCTION public.trade_owner(p_trade JSONB)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT b.user_profile_id FROM public.brokers b WHERE b.id::text = p_trade->>'broker_id'),
+        CASE WHEN p_trade->>'userId' ~* '^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$' THEN (p_trade->>'userId')::uuid END
+    );
+$$;
+
+-- Keeps strategy_id and the strategy name in step. Setting strategy_id copies the name; setting a name
+-- links the owner's strategy of that name, creating it on first use so imported playbook names register
+-- themselves; clearing either clears both
+CREATE OR REPLACE FUNCTION public.link_trade_strategy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_owner UUID;
+    v_id UUID;
+    v_name TEXT;
+BEGIN
+    IF NEW.strategy_id IS NOT NULL AND (TG_OP = 'INSERT' OR NEW.strategy_id IS DISTINCT FROM OLD.strategy_id) THEN
+        SELECT s.name INTO NEW.strategy FROM public.strategies s WHERE s.id = NEW.strategy_id;
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.strategy_id IS NULL AND OLD.strategy_id IS NOT NULL AND NEW.strategy IS NOT DISTINCT FROM OLD.strategy THEN
+        NEW.strategy := NULL;
+        RETURN NEW;
+    END IF;
+
+    IF public.strategy_key(NEW.strategy) IS NULL THEN
+        NEW.strategy := NULL;
+        NEW.strategy_id := NULL;
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.strategy_id IS NOT NULL
+        AND public.strategy_key(NEW.strategy) IS NOT DISTINCT FROM public.strategy_key(OLD.strategy) THEN
+        RETURN NEW;
+    END IF;
+
+    v_owner := public.trade_owner(to_jsonb(NEW));
+    IF v_owner IS NULL THEN
+        NEW.strategy_id := NULL;
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO public.strategies (user_profile_id, name)
+    VALUES (v_owner, btrim(NEW.strategy))
+    ON CONFLICT (user_profile_id, public.strategy_key(name)) DO NOTHING;
+
+    SELECT s.id, s.name INTO v_id, v_name
+    FROM public.strategies s
+    WHERE s.user_profile_id = v_owner AND public.strategy_key(s.name) = public.strategy_key(NEW.strategy);
+
+    NEW.strategy_id := v_id;
+    NEW.strategy := v_name;
+    RETURN NEW;
+END;
+$$;
+
+-- A renamed strategy renames its trades and keeps its portfolio assignment
+CREATE OR REPLACE FUNCTION public.rename_strategy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.trades SET strategy = NEW.name WHERE strategy_id = NEW.id AND strategy IS DISTINCT FROM NEW.name;
+
+    UPDATE public.portfolio_members
+    SET strategy = NEW.name
+    WHERE user_profile_id = NEW.user_profile_id
+    AND public.strategy_key(strategy) = public.strategy_key(OLD.name);
+
+    RETURN NULL;
+END;
+$$;
+
+-- Rebuilds a user's strategy stats from their closed trades, in the preferred currency and net of fees:
+-- trade count, win rate (%), average winning and losing trade (losses negative, like largest_loss in
+-- analytics_data) and total P&L. Trades with no FX rate count towards the trade totals but add no amounts.
+-- Run by hand with:
+--   select public.refresh_strategy_stats('<user_profile_id>');
+CREATE OR REPLACE FUNCTION public.refresh_strategy_stats(p_user UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_base TEXT;
+    v_updated INTEGER;
+BEGIN
+    SELECT COALESCE(preferred_currency::text, 'USD') INTO v_base FROM public.user_profiles WHERE id = p_user;
+
+    IF v_base IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    WITH closed AS (
+        SELECT
+            tr.strategy_id,
+            f.pnl - f.fees AS net_pnl,
+            (f.pnl - f.fees) * public.fx_rate_on(p_user, f.currency, v_base, f.trade_day) AS base_pnl
+        FROM public.trades tr
+        CROSS JOIN LATERAL public.closed_trade_fact(to_jsonb(tr)) f
+        -- Only trades in the user's strategies are read, through idx_trades_strategy_id
+        WHERE tr.strategy_id IN (SELECT s.id FROM public.strategies s WHERE s.user_profile_id = p_user)
+        AND f.user_profile_id = p_user
+    ),
+    stats AS (
+        SELECT
+            s.id,
+            COUNT(c.strategy_id) AS total_trades,
+            CASE WHEN COUNT(c.strategy_id) > 0 THEN
+                COUNT(*) FILTER (WHERE c.net_pnl > 0) * 100.0 / COUNT(c.strategy_id)
+            END AS win_rate,
+            AVG(c.base_pnl) FILTER (WHERE c.net_pnl > 0) AS avg_profit,
+            AVG(c.base_pnl) FILTER (WHERE c.net_pnl < 0) AS avg_loss,
+            COALESCE(SUM(c.base_pnl), 0) AS total_pnl
+        FROM public.strategies s
+        LEFT JOIN closed c ON c.strategy_id = s.id
+        WHERE s.user_profile_id = p_user
+        GROUP BY s.id
+    )
+    UPDATE public.strategies s
+    SET total_trades = st.total_trades,
+        win_rate = st.win_rate,
+        avg_profit = st.avg_profit,
+        avg_loss = st.avg_loss,
+        total_pnl = st.total_pnl,
+        updated_at = CURRENT_TIMESTAMP
+    FROM stats st
+    WHERE s.id = st.id
+    AND (
+        s.total_trades IS DISTINCT FROM st.total_trades::integer
+        OR s.win_rate IS DISTINCT FROM round(st.win_rate, 2)
+        OR s.avg_profit IS DISTINCT FROM round(st.avg_profit, 2)
+        OR s.avg_loss IS DISTINCT FROM round(st.avg_loss, 2)
+        OR s.total_pnl IS DISTINCT FROM round(st.total_pnl, 2)
+    );
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    RETURN v_updated;
+END;
+$$;
+
+-- Statement-level so a bulk import or broker sync refreshes each user once
+CREATE OR REPLACE FUNCTION public.refresh_strategy_stats_for_trades()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changed JSONB[] := '{}';
+    v_user UUID;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(n)), '{}') INTO v_changed FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_changed || COALESCE(array_agg(to_jsonb(o)), '{}') INTO v_changed FROM old_rows o;
+    END IF;
+
+    FOR v_user IN
+        SELECT DISTINCT f.user_profile_id
+        FROM unnest(v_changed) AS changed(trade)
+        CROSS JOIN LATERAL public.closed_trade_fact(changed.trade) f
+    LOOP
+        PERFORM public.refresh_strategy_stats(v_user);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.refresh_strategy_stats_for_fx_rates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_users UUID[] := '{}';
+    v_user UUID;
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT n.user_profile_id), '{}') INTO v_users FROM new_rows n;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        SELECT v_users || COALESCE(array_agg(DISTINCT o.user_profile_id), '{}') INTO v_users FROM old_rows o;
+    END IF;
+
+    FOR v_user IN SELECT DISTINCT u FROM unnest(v_users) AS u WHERE u IS NOT NULL LOOP
+        PERFORM public.refresh_strategy_stats(v_user);
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.refresh_strategy_stats_for_profile()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM public.refresh_strategy_stats(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.trade_owner(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_strategy_stats(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.refresh_strategy_stats(UUID) TO service_role;
+
+-- 4. Triggers - transition tables need one trigger per event
+DROP TRIGGER IF EXISTS link_trade_strategy ON public.trades;
+
+CREATE TRIGGER link_trade_strategy
+  BEFORE INSERT OR UPDATE OF strategy, strategy_id ON public.trades
+  FOR EACH ROW EXECUTE FUNCTION public.link_trade_strategy();
+
+DROP TRIGGER IF EXISTS rename_strategy ON public.strategies;
+
+CREATE TRIGGER rename_strategy
+  AFTER UPDATE OF name ON public.strategies
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION public.rename_strategy();
+
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_trades_insert ON public.trades;
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_trades_update ON public.trades;
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_trades_delete ON public.trades;
+
+CREATE TRIGGER refresh_strategy_stats_on_trades_insert
+  AFTER INSERT ON public.trades
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_trades();
+
+CREATE TRIGGER refresh_strategy_stats_on_trades_update
+  AFTER UPDATE ON public.trades
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_trades();
+
+CREATE TRIGGER refresh_strategy_stats_on_trades_delete
+  AFTER DELETE ON public.trades
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_trades();
+
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_fx_rates_insert ON public.fx_rates;
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_fx_rates_update ON public.fx_rates;
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_fx_rates_delete ON public.fx_rates;
+
+CREATE TRIGGER refresh_strategy_stats_on_fx_rates_insert
+  AFTER INSERT ON public.fx_rates
+  REFERENCING NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_fx_rates();
+
+CREATE TRIGGER refresh_strategy_stats_on_fx_rates_update
+  AFTER UPDATE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_fx_rates();
+
+CREATE TRIGGER refresh_strategy_stats_on_fx_rates_delete
+  AFTER DELETE ON public.fx_rates
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION public.refresh_strategy_stats_for_fx_rates();
+
+DROP TRIGGER IF EXISTS refresh_strategy_stats_on_profile_change ON public.user_profiles;
+
+CREATE TRIGGER refresh_strategy_stats_on_profile_change
+  AFTER UPDATE OF preferred_currency ON public.user_profiles
+  FOR EACH ROW
+  WHEN (OLD.preferred_currency IS DISTINCT FROM NEW.preferred_currency)
+  EXECUTE FUNCTION public.refresh_strategy_stats_for_profile();
+
+-- 5. Backfill - register every strategy name already on a trade, link the trades, then rebuild the
+-- stats (the sample strategy's figures are replaced)
+INSERT INTO public.strategies (user_profile_id, name)
+SELECT DISTINCT ON (owned.owner, public.strategy_key(owned.strategy)) owned.owner, btrim(owned.strategy)
+FROM (
+    SELECT public.trade_owner(to_jsonb(tr)) AS owner, tr.strategy
+    FROM public.trades tr
+    WHERE public.strategy_key(tr.strategy) IS NOT NULL AND tr.strategy_id IS NULL
+) owned
+WHERE owned.owner IS NOT NULL
+ORDER BY owned.owner, public.strategy_key(owned.strategy), owned.strategy
+ON CONFLICT (user_profile_id, public.strategy_key(name)) DO NOTHING;
+
+UPDATE public.trades tr
+SET strategy_id = s.id
+FROM public.strategies s
+WHERE tr.strategy_id IS NULL
+AND s.user_profile_id = public.trade_owner(to_jsonb(tr))
+AND public.strategy_key(s.name) = public.strategy_key(tr.strategy);
+
+DO $$
+DECLARE
+    v_user UUID;
+BEGIN
+    FOR v_user IN SELECT DISTINCT user_profile_id FROM public.strategies WHERE user_profile_id IS NOT NULL LOOP
+        PERFORM public.refresh_strategy_stats(v_user);
+    END LOOP;
+END $$;
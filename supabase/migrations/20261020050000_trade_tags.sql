@@ -0,0 +1,147 @@
+-- Location: supabase/migrations/20261020050000_trade_tags.sql
+-- Schema Analysis: trades have no tag storage, so the analytics tag filter and bulk tagging have nothing to work with
+-- Integration Type: New user-defined tag groups, tags and a trade-to-tag link table, with default groups seeded per user
+-- Dependencies: public.user_profiles, public.trades, public.update_updated_at_column()
+
+-- 1. Tag groups - taxonomies such as setup, mistake, emotion and market condition
+CREATE TABLE IF NOT EXISTS public.tag_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Tags - each belongs to one group
+CREATE TABLE IF NOT EXISTS public.tags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES public.tag_groups(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    color TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Trade tags - TEXT trade_id to match trades.id
+CREATE TABLE IF NOT EXISTS public.trade_tags (
+    trade_id TEXT NOT NULL REFERENCES public.trades(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES public.tags(id) ON DELETE CASCADE,
+    user_profile_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (trade_id, tag_id)
+);
+
+-- 4. Constraints
+DO $$
+BEGIN
+    ALTER TABLE public.tag_groups
+    ADD CONSTRAINT tag_groups_name_not_blank CHECK (btrim(name) <> '');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$
+BEGIN
+    ALTER TABLE public.tags
+    ADD CONSTRAINT tags_name_not_blank CHECK (btrim(name) <> '');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- 5. Indexes - names are unique per user (groups) and per group (tags), ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tag_groups_user_profile_id_name ON public.tag_groups(user_profile_id, lower(btrim(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_group_id_name ON public.tags(group_id, lower(btrim(name)));
+CREATE INDEX IF NOT EXISTS idx_tags_user_profile_id ON public.tags(user_profile_id);
+CREATE INDEX IF NOT EXISTS idx_trade_tags_tag_id ON public.trade_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_trade_tags_user_profile_id ON public.trade_tags(user_profile_id);
+
+-- 6. RLS
+ALTER TABLE public.tag_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trade_tags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "users_manage_own_tag_groups" ON public.tag_groups;
+DROP POLICY IF EXISTS "users_manage_own_tags" ON public.tags;
+DROP POLICY IF EXISTS "users_manage_own_trade_tags" ON public.trade_tags;
+
+CREATE POLICY "users_manage_own_tag_groups"
+ON public.tag_groups
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (user_profile_id = auth.uid());
+
+CREATE POLICY "users_manage_own_tags"
+ON public.tags
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (
+    user_profile_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.tag_groups g WHERE g.id = group_id AND g.user_profile_id = auth.uid())
+);
+
+CREATE POLICY "users_manage_own_trade_tags"
+ON public.trade_tags
+FOR ALL
+TO authenticated
+USING (user_profile_id = auth.uid())
+WITH CHECK (
+    user_profile_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.tags t WHERE t.id = tag_id AND t.user_profile_id = auth.uid())
+);
+
+-- 7. Default groups for every user, new and existing
+CREATE OR REPLACE FUNCTION public.seed_tag_groups(p_user UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO public.tag_groups (user_profile_id, name, sort_order)
+    VALUES (p_user, 'Setup', 1), (p_user, 'Mistake', 2), (p_user, 'Emotion', 3), (p_user, 'Market Condition', 4)
+    ON CONFLICT (user_profile_id, lower(btrim(name))) DO NOTHING;
+$$;
+
+CREATE OR REPLACE FUNCTION public.seed_tag_groups_for_profile()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM public.seed_tag_groups(NEW.id);
+    RETURN NULL;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.seed_tag_groups(UUID) FROM PUBLIC, anon, authenticated;
+
+-- 8. Triggers
+DROP TRIGGER IF EXISTS update_tag_groups_updated_at ON public.tag_groups;
+DROP TRIGGER IF EXISTS update_tags_updated_at ON public.tags;
+DROP TRIGGER IF EXISTS seed_tag_groups_on_profile_insert ON public.user_profiles;
+
+CREATE TRIGGER update_tag_groups_updated_at
+  BEFORE UPDATE ON public.tag_groups
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+CREATE TRIGGER update_tags_updated_at
+  BEFORE UPDATE ON public.tags
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+CREATE TRIGGER seed_tag_groups_on_profile_insert
+  AFTER INSERT ON public.user_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.seed_tag_groups_for_profile();
+
+-- 9. Backfill
+DO $$
+DECLARE
+    v_user UUID;
+BEGIN
+    FOR v_user IN SELECT id FROM public.user_profiles LOOP
+        PERFORM public.seed_tag_groups(v_user);
+    END LOOP;
+END $$;
@@ -0,0 +1,9 @@
+-- Location: supabase/migrations/20261020060000_trade_exit_date.sql
+-- Schema Analysis: manual and file-imported trades (instrument, "tradeDate", "exitPrice") keep no close date,
+-- so holding periods and tax heads could only be guessed from the trade date
+-- Integration Type: Additive column
+-- Dependencies: public.trades
+
+-- 1. When a manual/file trade was exited; null for open trades and trades recorded before this column
+ALTER TABLE public.trades
+ADD COLUMN IF NOT EXISTS "exitDate" TIMESTAMPTZ;
@@ -0,0 +1,29 @@
+-- Location: supabase/migrations/20261020070000_trade_currency_backfill.sql
+-- Schema Analysis: Zerodha, Upstox and Alpaca legs and round trips were stored without a currency, and
+-- untagged trades used to be read as INR
+-- Integration Type: Data backfill from each broker's single trading currency
+-- Dependencies: public.orders, public.trades, public.brokers (broker_key)
+
+-- 1. Execution legs, so round trips rebuilt from them carry the currency too
+UPDATE public.orders o
+SET currency = COALESCE(o.currency, c.currency),
+    fees_currency = COALESCE(o.fees_currency, c.currency)
+FROM public.brokers b
+CROSS JOIN LATERAL (
+    SELECT CASE b.broker_key WHEN 'zerodha' THEN 'INR' WHEN 'upstox' THEN 'INR' WHEN 'alpaca' THEN 'USD' END AS currency
+) c
+WHERE b.id = o.broker_id
+AND c.currency IS NOT NULL
+AND (o.currency IS NULL OR o.fees_currency IS NULL);
+
+-- 2. Broker round trips. Other brokers' untagged rows are left null and stay out of converted totals
+UPDATE public.trades t
+SET currency = COALESCE(t.currency, c.currency),
+    fees_currency = COALESCE(t.fees_currency, c.currency)
+FROM public.brokers b
+CROSS JOIN LATERAL (
+    SELECT CASE b.broker_key WHEN 'zerodha' THEN 'INR' WHEN 'upstox' THEN 'INR' WHEN 'alpaca' THEN 'USD' END AS currency
+) c
+WHERE b.id = t.broker_id
+AND c.currency IS NOT NULL
+AND (t.currency IS NULL OR t.fees_currency IS NULL);